@@ -1,41 +1,38 @@
 const dotenv = require('dotenv').config({ path: './envfile.env' });
+const path = require('path');
 const express = require('express');
 const cors = require('cors');
 const helmet = require('helmet');
 const morgan = require('morgan');
-const { createLogger, format, transports } = require('winston');
 const { StatusCodes } = require('http-status-codes');
+const logger = require('./config/logger');
 
 // Import routes
 const authRoutes = require('./routes/auth.routes');
 const propertyRoutes = require('./routes/property.routes');
 const investmentRoutes = require('./routes/investment.routes');
 const portfolioRoutes = require('./routes/portfolio.routes');
+const walletRoutes = require('./routes/wallet.routes');
+const webhookRoutes = require('./routes/webhook.routes');
+const autoInvestRoutes = require('./routes/autoInvest.routes');
+const listingRoutes = require('./routes/listing.routes');
+const { STORAGE_DRIVER, MEDIA_BUCKET, LOCAL_STORAGE_DIR } = require('./services/storage');
 
 // Initialize express app
 const app = express();
 
-// Configure Winston logger
-const logger = createLogger({
-  level: 'info',
-  format: format.combine(
-    format.timestamp(),
-    format.json()
-  ),
-  transports: [
-    new transports.Console(),
-    new transports.File({ filename: 'logs/error.log', level: 'error' }),
-    new transports.File({ filename: 'logs/combined.log' })
-  ]
-});
-
 // Middleware
 app.use(helmet());
 app.use(cors({
   origin: process.env.CLIENT_URL || 'http://localhost:3000',
   credentials: true
 }));
-app.use(express.json());
+app.use(express.json({
+  // Keep the raw payload around for webhook signature verification
+  verify: (req, res, buf) => {
+    req.rawBody = buf;
+  },
+}));
 app.use(morgan('dev'));
 
 // Request logging middleware
@@ -44,6 +41,15 @@ app.use((req, res, next) => {
   next();
 });
 
+// Serve locally stored property media (the documents bucket stays private)
+if (STORAGE_DRIVER === 'local') {
+  app.use(
+    `/uploads/${MEDIA_BUCKET}`,
+    helmet.crossOriginResourcePolicy({ policy: 'cross-origin' }),
+    express.static(path.join(LOCAL_STORAGE_DIR, MEDIA_BUCKET), { index: false, dotfiles: 'deny' })
+  );
+}
+
 // Health check endpoint
 app.get('/health', (req, res) => {
   res.status(StatusCodes.OK).json({ status: 'ok', timestamp: new Date().toISOString() });
@@ -54,6 +60,10 @@ app.use('/api/auth', authRoutes);
 app.use('/api/properties', propertyRoutes);
 app.use('/api/investments', investmentRoutes);
 app.use('/api/portfolio', portfolioRoutes);
+app.use('/api/wallet', walletRoutes);
+app.use('/api/webhooks', webhookRoutes);
+app.use('/api/auto-invest', autoInvestRoutes);
+app.use('/api/listings', listingRoutes);
 
 // 404 handler
 app.use((req, res) => {
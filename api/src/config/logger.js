@@ -0,0 +1,18 @@
+const { createLogger, format, transports } = require('winston');
+
+// Configure Winston logger. Kept out of app.js so services, middleware and
+// jobs loaded while the app is being built can log without a circular require.
+const logger = createLogger({
+  level: 'info',
+  format: format.combine(
+    format.timestamp(),
+    format.json()
+  ),
+  transports: [
+    new transports.Console(),
+    new transports.File({ filename: 'logs/error.log', level: 'error' }),
+    new transports.File({ filename: 'logs/combined.log' })
+  ]
+});
+
+module.exports = logger;
@@ -4,7 +4,7 @@ const { StatusCodes } = require('http-status-codes');
 const { validationResult } = require('express-validator');
 const { v4: uuidv4 } = require('uuid');
 const supabase = require('../config/supabase');
-const { logger } = require('../app');
+const logger = require('../config/logger');
 
 const JWT_SECRET = process.env.JWT_SECRET || 'your_jwt_secret_key';
 const JWT_EXPIRES_IN = process.env.JWT_EXPIRES_IN || '24h';
@@ -0,0 +1,565 @@
+const { StatusCodes } = require('http-status-codes');
+const { validationResult } = require('express-validator');
+const supabase = require('../config/supabase');
+const logger = require('../config/logger');
+const {
+  today,
+  nextRunDate,
+  splitAmount,
+  getAllocations,
+} = require('../services/autoInvest.service');
+const {
+  USD_SCALE,
+  MIN_INVESTMENT_USD,
+  toUnits,
+  fromUnits,
+} = require('../utils/money');
+
+/**
+ * Get the user's auto-invest plans
+ */
+const getPlans = async (req, res) => {
+  try {
+    let query = supabase
+      .from('auto_invest_plans')
+      .select('*, allocations:auto_invest_allocations(property_id, weight_percent)')
+      .eq('user_id', req.user.id);
+
+    if (req.query.status) {
+      query = query.eq('status', req.query.status);
+    }
+
+    const { data: plans, error } = await query.order('created_at', { ascending: false });
+
+    if (error) {
+      logger.error(`Get auto-invest plans error: ${error.message}`);
+      throw new Error('Failed to fetch auto-invest plans');
+    }
+
+    res.status(StatusCodes.OK).json({
+      status: 'success',
+      data: (plans || []).map((plan) => formatPlan(plan, plan.allocations)),
+    });
+  } catch (error) {
+    logger.error(`Get auto-invest plans error: ${error.message}`, { stack: error.stack });
+    res.status(StatusCodes.INTERNAL_SERVER_ERROR).json({
+      status: 'error',
+      message: 'Failed to fetch auto-invest plans',
+    });
+  }
+};
+
+/**
+ * Create an auto-invest plan
+ */
+const createPlan = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(StatusCodes.BAD_REQUEST).json({
+        status: 'error',
+        message: 'Validation failed',
+        errors: errors.array(),
+      });
+    }
+
+    const {
+      name,
+      amountUsd,
+      cadence,
+      allocations,
+      paymentSource = 'wallet',
+      paymentMethodId,
+      startDate = today(),
+      endDate = null,
+    } = req.body;
+
+    const invalid = await checkPlan({ amountUsd, allocations, startDate, endDate });
+    if (invalid) {
+      return res.status(StatusCodes.BAD_REQUEST).json({ status: 'error', message: invalid });
+    }
+
+    const { data: plan, error } = await supabase
+      .from('auto_invest_plans')
+      .insert([
+        {
+          user_id: req.user.id,
+          name: name || null,
+          amount_usd: fromUnits(toUnits(amountUsd, USD_SCALE), USD_SCALE),
+          cadence,
+          payment_source: paymentSource,
+          payment_method_id: paymentSource === 'card' ? paymentMethodId : null,
+          start_date: startDate,
+          end_date: endDate,
+          next_run_date: startDate,
+          status: 'active',
+        },
+      ])
+      .select()
+      .single();
+
+    if (error) {
+      logger.error(`Create auto-invest plan error: ${error.message}`);
+      throw new Error('Failed to create auto-invest plan');
+    }
+
+    let savedAllocations;
+    try {
+      savedAllocations = await replaceAllocations(plan.plan_id, allocations);
+    } catch (allocationError) {
+      await supabase.from('auto_invest_plans').delete().eq('plan_id', plan.plan_id);
+      throw allocationError;
+    }
+
+    res.status(StatusCodes.CREATED).json({
+      status: 'success',
+      data: formatPlan(plan, savedAllocations),
+    });
+  } catch (error) {
+    logger.error(`Create auto-invest plan error: ${error.message}`, { stack: error.stack });
+    res.status(StatusCodes.INTERNAL_SERVER_ERROR).json({
+      status: 'error',
+      message: 'Failed to create auto-invest plan',
+    });
+  }
+};
+
+/**
+ * Get one of the user's auto-invest plans with its latest runs
+ */
+const getPlan = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(StatusCodes.BAD_REQUEST).json({
+        status: 'error',
+        message: 'Validation failed',
+        errors: errors.array(),
+      });
+    }
+
+    const plan = await getUserPlan(req.user.id, req.params.id);
+    if (!plan) {
+      return res.status(StatusCodes.NOT_FOUND).json({
+        status: 'error',
+        message: 'Auto-invest plan not found',
+      });
+    }
+
+    const [allocations, { data: runs, error }] = await Promise.all([
+      getAllocations(plan.plan_id),
+      supabase
+        .from('auto_invest_runs')
+        .select('*')
+        .eq('plan_id', plan.plan_id)
+        .order('scheduled_date', { ascending: false })
+        .limit(5),
+    ]);
+
+    if (error) {
+      logger.error(`Get auto-invest runs error: ${error.message}`);
+      throw new Error('Failed to fetch auto-invest runs');
+    }
+
+    res.status(StatusCodes.OK).json({
+      status: 'success',
+      data: {
+        ...formatPlan(plan, allocations),
+        recentRuns: (runs || []).map(formatRun),
+      },
+    });
+  } catch (error) {
+    logger.error(`Get auto-invest plan error: ${error.message}`, { stack: error.stack });
+    res.status(StatusCodes.INTERNAL_SERVER_ERROR).json({
+      status: 'error',
+      message: 'Failed to fetch auto-invest plan',
+    });
+  }
+};
+
+/**
+ * Update an auto-invest plan, including pausing and resuming it
+ */
+const updatePlan = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(StatusCodes.BAD_REQUEST).json({
+        status: 'error',
+        message: 'Validation failed',
+        errors: errors.array(),
+      });
+    }
+
+    const plan = await getUserPlan(req.user.id, req.params.id);
+    if (!plan) {
+      return res.status(StatusCodes.NOT_FOUND).json({
+        status: 'error',
+        message: 'Auto-invest plan not found',
+      });
+    }
+
+    if (plan.status === 'cancelled' || plan.status === 'completed') {
+      return res.status(StatusCodes.BAD_REQUEST).json({
+        status: 'error',
+        message: `Auto-invest plan is ${plan.status}`,
+      });
+    }
+
+    const {
+      name,
+      amountUsd = plan.amount_usd,
+      cadence = plan.cadence,
+      allocations,
+      paymentSource = plan.payment_source,
+      paymentMethodId = plan.payment_method_id,
+      startDate = plan.start_date,
+      endDate = plan.end_date,
+      status = plan.status,
+    } = req.body;
+
+    if (paymentSource === 'card' && !paymentMethodId) {
+      return res.status(StatusCodes.BAD_REQUEST).json({
+        status: 'error',
+        message: 'Payment method ID is required',
+      });
+    }
+
+    // A start date that already passed can't be moved; a future one can
+    if (startDate !== plan.start_date && plan.start_date <= today()) {
+      return res.status(StatusCodes.BAD_REQUEST).json({
+        status: 'error',
+        message: 'Plan has already started',
+      });
+    }
+
+    const invalid = await checkPlan({
+      amountUsd,
+      allocations: allocations || (await getAllocations(plan.plan_id)).map((allocation) => ({
+        propertyId: allocation.property_id,
+        weightPercent: String(allocation.weight_percent),
+      })),
+      startDate,
+      endDate,
+      startsInFuture: startDate !== plan.start_date,
+    });
+    if (invalid) {
+      return res.status(StatusCodes.BAD_REQUEST).json({ status: 'error', message: invalid });
+    }
+
+    // Reschedule on the (possibly new) cadence from the next pending date; a
+    // paused plan resumes from today rather than making up the runs it missed
+    const schedule = { cadence, start_date: startDate, end_date: endDate };
+    const from = [startDate, plan.next_run_date, today()].find((date) => date && date >= today());
+    const next = status === 'active' ? nextRunDate(schedule, previousDay(from)) : plan.next_run_date;
+
+    const { data: updated, error } = await supabase
+      .from('auto_invest_plans')
+      .update({
+        ...(name !== undefined && { name: name || null }),
+        amount_usd: fromUnits(toUnits(amountUsd, USD_SCALE), USD_SCALE),
+        cadence,
+        payment_source: paymentSource,
+        payment_method_id: paymentSource === 'card' ? paymentMethodId : null,
+        start_date: startDate,
+        end_date: endDate,
+        next_run_date: next,
+        status: status === 'active' && !next ? 'completed' : status,
+        updated_at: new Date().toISOString(),
+      })
+      .eq('plan_id', plan.plan_id)
+      .select()
+      .single();
+
+    if (error) {
+      logger.error(`Update auto-invest plan error: ${error.message}`);
+      throw new Error('Failed to update auto-invest plan');
+    }
+
+    const savedAllocations = allocations
+      ? await replaceAllocations(plan.plan_id, allocations)
+      : await getAllocations(plan.plan_id);
+
+    res.status(StatusCodes.OK).json({
+      status: 'success',
+      data: formatPlan(updated, savedAllocations),
+    });
+  } catch (error) {
+    logger.error(`Update auto-invest plan error: ${error.message}`, { stack: error.stack });
+    res.status(StatusCodes.INTERNAL_SERVER_ERROR).json({
+      status: 'error',
+      message: 'Failed to update auto-invest plan',
+    });
+  }
+};
+
+/**
+ * Cancel an auto-invest plan. Its run history is kept.
+ */
+const cancelPlan = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(StatusCodes.BAD_REQUEST).json({
+        status: 'error',
+        message: 'Validation failed',
+        errors: errors.array(),
+      });
+    }
+
+    const plan = await getUserPlan(req.user.id, req.params.id);
+    if (!plan) {
+      return res.status(StatusCodes.NOT_FOUND).json({
+        status: 'error',
+        message: 'Auto-invest plan not found',
+      });
+    }
+
+    const { data: cancelled, error } = await supabase
+      .from('auto_invest_plans')
+      .update({
+        status: 'cancelled',
+        next_run_date: null,
+        updated_at: new Date().toISOString(),
+      })
+      .eq('plan_id', plan.plan_id)
+      .in('status', ['active', 'paused'])
+      .select()
+      .maybeSingle();
+
+    if (error) {
+      logger.error(`Cancel auto-invest plan error: ${error.message}`);
+      throw new Error('Failed to cancel auto-invest plan');
+    }
+
+    if (!cancelled) {
+      return res.status(StatusCodes.BAD_REQUEST).json({
+        status: 'error',
+        message: `Auto-invest plan is already ${plan.status}`,
+      });
+    }
+
+    res.status(StatusCodes.OK).json({
+      status: 'success',
+      message: 'Auto-invest plan cancelled',
+      data: formatPlan(cancelled, await getAllocations(plan.plan_id)),
+    });
+  } catch (error) {
+    logger.error(`Cancel auto-invest plan error: ${error.message}`, { stack: error.stack });
+    res.status(StatusCodes.INTERNAL_SERVER_ERROR).json({
+      status: 'error',
+      message: 'Failed to cancel auto-invest plan',
+    });
+  }
+};
+
+/**
+ * Get a plan's run history
+ */
+const getPlanRuns = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(StatusCodes.BAD_REQUEST).json({
+        status: 'error',
+        message: 'Validation failed',
+        errors: errors.array(),
+      });
+    }
+
+    const plan = await getUserPlan(req.user.id, req.params.id);
+    if (!plan) {
+      return res.status(StatusCodes.NOT_FOUND).json({
+        status: 'error',
+        message: 'Auto-invest plan not found',
+      });
+    }
+
+    const page = parseInt(req.query.page, 10) || 1;
+    const limit = parseInt(req.query.limit, 10) || 20;
+    const offset = (page - 1) * limit;
+
+    let query = supabase
+      .from('auto_invest_runs')
+      .select('*', { count: 'exact' })
+      .eq('plan_id', plan.plan_id);
+
+    if (req.query.status) {
+      query = query.eq('status', req.query.status);
+    }
+
+    const { data: runs, count, error } = await query
+      .order('scheduled_date', { ascending: false })
+      .range(offset, offset + limit - 1);
+
+    if (error) {
+      logger.error(`Get auto-invest runs error: ${error.message}`);
+      throw new Error('Failed to fetch auto-invest runs');
+    }
+
+    res.status(StatusCodes.OK).json({
+      status: 'success',
+      data: (runs || []).map(formatRun),
+      pagination: {
+        total: count || 0,
+        page,
+        limit,
+        totalPages: Math.ceil((count || 0) / limit),
+      },
+    });
+  } catch (error) {
+    logger.error(`Get auto-invest runs error: ${error.message}`, { stack: error.stack });
+    res.status(StatusCodes.INTERNAL_SERVER_ERROR).json({
+      status: 'error',
+      message: 'Failed to fetch auto-invest runs',
+    });
+  }
+};
+
+// Helper Functions
+
+/**
+ * Get a plan owned by the user, or null
+ */
+async function getUserPlan(userId, planId) {
+  const { data: plan, error } = await supabase
+    .from('auto_invest_plans')
+    .select('*')
+    .eq('plan_id', planId)
+    .eq('user_id', userId)
+    .maybeSingle();
+
+  if (error) {
+    throw new Error(`Failed to fetch auto-invest plan: ${error.message}`);
+  }
+
+  return plan;
+}
+
+/**
+ * Check a plan's amount, allocations and dates. Returns an error message, or
+ * null when the plan is valid.
+ */
+async function checkPlan({ amountUsd, allocations, startDate, endDate, startsInFuture = true }) {
+  const propertyIds = allocations.map((allocation) => allocation.propertyId);
+  if (new Set(propertyIds).size !== propertyIds.length) {
+    return 'Each property can only be allocated once';
+  }
+
+  const totalWeight = allocations.reduce((sum, allocation) => sum + toUnits(allocation.weightPercent, USD_SCALE), 0n);
+  if (totalWeight !== toUnits(100, USD_SCALE)) {
+    return 'Allocation weights must add up to 100';
+  }
+
+  const legs = splitAmount(amountUsd, allocations.map((allocation) => ({
+    property_id: allocation.propertyId,
+    weight_percent: allocation.weightPercent,
+  })));
+  if (legs.some((leg) => toUnits(leg.amountUsd, USD_SCALE) < toUnits(MIN_INVESTMENT_USD, USD_SCALE))) {
+    return `Each property must receive at least $${MIN_INVESTMENT_USD} per run`;
+  }
+
+  if (startsInFuture && startDate < today()) {
+    return 'Start date cannot be in the past';
+  }
+
+  if (endDate && endDate < startDate) {
+    return 'End date must be on or after the start date';
+  }
+
+  const { data: properties, error } = await supabase
+    .from('properties')
+    .select('id')
+    .in('id', propertyIds);
+
+  if (error) {
+    throw new Error(`Failed to fetch properties: ${error.message}`);
+  }
+
+  if ((properties || []).length !== propertyIds.length) {
+    return 'Property not found';
+  }
+
+  return null;
+}
+
+/**
+ * Replace a plan's allocations
+ */
+async function replaceAllocations(planId, allocations) {
+  const { error: deleteError } = await supabase
+    .from('auto_invest_allocations')
+    .delete()
+    .eq('plan_id', planId);
+
+  if (deleteError) {
+    throw new Error(`Failed to replace plan allocations: ${deleteError.message}`);
+  }
+
+  const { data: saved, error } = await supabase
+    .from('auto_invest_allocations')
+    .insert(allocations.map((allocation) => ({
+      plan_id: planId,
+      property_id: allocation.propertyId,
+      weight_percent: allocation.weightPercent,
+    })))
+    .select('property_id, weight_percent');
+
+  if (error) {
+    throw new Error(`Failed to save plan allocations: ${error.message}`);
+  }
+
+  return saved || [];
+}
+
+/**
+ * The day before a date (YYYY-MM-DD)
+ */
+function previousDay(date) {
+  const day = new Date(`${date}T00:00:00Z`);
+  day.setUTCDate(day.getUTCDate() - 1);
+  return day.toISOString().slice(0, 10);
+}
+
+function formatPlan(plan, allocations = []) {
+  return {
+    id: plan.plan_id,
+    name: plan.name,
+    amountUsd: fromUnits(toUnits(plan.amount_usd, USD_SCALE), USD_SCALE),
+    cadence: plan.cadence,
+    paymentSource: plan.payment_source,
+    paymentMethodId: plan.payment_method_id,
+    startDate: plan.start_date,
+    endDate: plan.end_date,
+    nextRunDate: plan.next_run_date,
+    status: plan.status,
+    allocations: allocations.map((allocation) => ({
+      propertyId: allocation.property_id,
+      weightPercent: String(allocation.weight_percent),
+    })),
+    createdAt: plan.created_at,
+    updatedAt: plan.updated_at,
+  };
+}
+
+function formatRun(run) {
+  return {
+    id: run.run_id,
+    scheduledDate: run.scheduled_date,
+    status: run.status,
+    amountUsd: fromUnits(toUnits(run.amount_usd, USD_SCALE), USD_SCALE),
+    investedUsd: fromUnits(toUnits(run.invested_usd, USD_SCALE), USD_SCALE),
+    legs: run.legs || [],
+    startedAt: run.started_at,
+    completedAt: run.completed_at,
+  };
+}
+
+module.exports = {
+  getPlans,
+  createPlan,
+  getPlan,
+  updatePlan,
+  cancelPlan,
+  getPlanRuns,
+};
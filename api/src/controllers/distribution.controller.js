@@ -0,0 +1,352 @@
+const { StatusCodes } = require('http-status-codes');
+const { validationResult } = require('express-validator');
+const { v4: uuidv4 } = require('uuid');
+const supabase = require('../config/supabase');
+const logger = require('../config/logger');
+const { executeDistribution } = require('../services/distribution.service');
+const { USD_SCALE, toUnits, fromUnits } = require('../utils/money');
+
+/**
+ * Declare a rental income distribution for a property (Admin only)
+ */
+const declareDistribution = async (req, res) => {
+  try {
+    // Validate request body
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(StatusCodes.BAD_REQUEST).json({
+        status: 'error',
+        message: 'Validation failed',
+        errors: errors.array(),
+      });
+    }
+
+    const { id } = req.params;
+    const { grossAmountUsd, recordDate, payDate, description } = req.body;
+
+    // Check if property exists
+    const { data: property, error: propError } = await supabase
+      .from('properties')
+      .select('id')
+      .eq('id', id)
+      .single();
+
+    if (propError || !property) {
+      return res.status(StatusCodes.NOT_FOUND).json({
+        status: 'error',
+        message: 'Property not found',
+      });
+    }
+
+    const { data: distribution, error } = await supabase
+      .from('distributions')
+      .insert([
+        {
+          distribution_id: uuidv4(),
+          property_id: id,
+          gross_amount_usd: fromUnits(toUnits(grossAmountUsd, USD_SCALE), USD_SCALE),
+          record_date: recordDate,
+          pay_date: payDate,
+          description,
+          status: 'declared',
+          declared_by: req.user.id,
+          created_at: new Date().toISOString(),
+          updated_at: new Date().toISOString(),
+        },
+      ])
+      .select()
+      .single();
+
+    if (error) {
+      logger.error(`Declare distribution error: ${error.message}`);
+      throw new Error('Failed to declare distribution');
+    }
+
+    res.status(StatusCodes.CREATED).json({
+      status: 'success',
+      data: distribution,
+    });
+  } catch (error) {
+    logger.error(`Declare distribution error: ${error.message}`, { stack: error.stack });
+    res.status(StatusCodes.INTERNAL_SERVER_ERROR).json({
+      status: 'error',
+      message: 'Failed to declare distribution',
+    });
+  }
+};
+
+/**
+ * Get the distribution history of a property
+ */
+const getPropertyDistributions = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { status } = req.query;
+
+    let query = supabase
+      .from('distributions')
+      .select('*')
+      .eq('property_id', id);
+
+    if (status) {
+      query = query.eq('status', status);
+    }
+
+    const { data: distributions, error } = await query.order('record_date', { ascending: false });
+
+    if (error) {
+      logger.error(`Get property distributions error: ${error.message}`);
+      throw new Error('Failed to fetch distributions');
+    }
+
+    res.status(StatusCodes.OK).json({
+      status: 'success',
+      data: distributions || [],
+    });
+  } catch (error) {
+    logger.error(`Get property distributions error: ${error.message}`, { stack: error.stack });
+    res.status(StatusCodes.INTERNAL_SERVER_ERROR).json({
+      status: 'error',
+      message: 'Failed to fetch distributions',
+    });
+  }
+};
+
+/**
+ * Get a distribution with its payouts (all payouts for admins, the user's own otherwise)
+ */
+const getDistributionById = async (req, res) => {
+  try {
+    const { id, distributionId } = req.params;
+
+    const { data: distribution, error } = await supabase
+      .from('distributions')
+      .select('*')
+      .eq('distribution_id', distributionId)
+      .eq('property_id', id)
+      .single();
+
+    if (error || !distribution) {
+      return res.status(StatusCodes.NOT_FOUND).json({
+        status: 'error',
+        message: 'Distribution not found',
+      });
+    }
+
+    let query = supabase
+      .from('distribution_payouts')
+      .select('*')
+      .eq('distribution_id', distributionId);
+
+    if (req.user.role !== 'admin') {
+      query = query.eq('user_id', req.user.id);
+    }
+
+    const { data: payouts, error: payoutsError } = await query.order('amount_usd', { ascending: false });
+
+    if (payoutsError) {
+      logger.error(`Get distribution payouts error: ${payoutsError.message}`);
+      throw new Error('Failed to fetch distribution payouts');
+    }
+
+    res.status(StatusCodes.OK).json({
+      status: 'success',
+      data: {
+        ...distribution,
+        payouts: payouts || [],
+      },
+    });
+  } catch (error) {
+    logger.error(`Get distribution error: ${error.message}`, { stack: error.stack });
+    res.status(StatusCodes.INTERNAL_SERVER_ERROR).json({
+      status: 'error',
+      message: 'Failed to fetch distribution',
+    });
+  }
+};
+
+/**
+ * Pay a declared distribution to investors' wallets (Admin only)
+ */
+const payDistribution = async (req, res) => {
+  try {
+    const { id, distributionId } = req.params;
+
+    const { data: distribution, error: fetchError } = await supabase
+      .from('distributions')
+      .select('*')
+      .eq('distribution_id', distributionId)
+      .eq('property_id', id)
+      .single();
+
+    if (fetchError || !distribution) {
+      return res.status(StatusCodes.NOT_FOUND).json({
+        status: 'error',
+        message: 'Distribution not found',
+      });
+    }
+
+    let payouts;
+    let reinvestments;
+    try {
+      ({ payouts, reinvestments } = await executeDistribution(distribution));
+    } catch (error) {
+      const mapped = mapDistributionError(error);
+      if (mapped) {
+        return res.status(mapped.statusCode).json(mapped.body);
+      }
+
+      logger.error(`Execute distribution error: ${error.message}`);
+      throw new Error('Failed to pay distribution');
+    }
+
+    const totalPaidCents = payouts.reduce((sum, payout) => sum + toUnits(payout.amount_usd, USD_SCALE), 0n);
+
+    res.status(StatusCodes.OK).json({
+      status: 'success',
+      data: {
+        ...distribution,
+        status: 'paid',
+        investorCount: payouts.length,
+        totalPaidUsd: fromUnits(totalPaidCents, USD_SCALE),
+        payouts,
+        reinvestments,
+      },
+    });
+  } catch (error) {
+    logger.error(`Pay distribution error: ${error.message}`, {
+      stack: error.stack,
+      distributionId: req.params.distributionId,
+    });
+    res.status(StatusCodes.INTERNAL_SERVER_ERROR).json({
+      status: 'error',
+      message: 'Failed to pay distribution',
+    });
+  }
+};
+
+/**
+ * Cancel a distribution that has not been paid yet (Admin only)
+ */
+const cancelDistribution = async (req, res) => {
+  try {
+    const { id, distributionId } = req.params;
+
+    const { data: distribution, error } = await supabase
+      .from('distributions')
+      .update({
+        status: 'cancelled',
+        cancelled_at: new Date().toISOString(),
+        updated_at: new Date().toISOString(),
+      })
+      .eq('distribution_id', distributionId)
+      .eq('property_id', id)
+      .eq('status', 'declared')
+      .select()
+      .maybeSingle();
+
+    if (error) {
+      logger.error(`Cancel distribution error: ${error.message}`);
+      throw new Error('Failed to cancel distribution');
+    }
+
+    if (!distribution) {
+      return res.status(StatusCodes.BAD_REQUEST).json({
+        status: 'error',
+        message: 'Only declared distributions can be cancelled',
+      });
+    }
+
+    res.status(StatusCodes.OK).json({
+      status: 'success',
+      data: distribution,
+    });
+  } catch (error) {
+    logger.error(`Cancel distribution error: ${error.message}`, { stack: error.stack });
+    res.status(StatusCodes.INTERNAL_SERVER_ERROR).json({
+      status: 'error',
+      message: 'Failed to cancel distribution',
+    });
+  }
+};
+
+/**
+ * Get the distributions paid to the current user
+ */
+const getMyDistributions = async (req, res) => {
+  try {
+    const { propertyId } = req.query;
+    const page = parseInt(req.query.page, 10) || 1;
+    const limit = parseInt(req.query.limit, 10) || 20;
+    const offset = (page - 1) * limit;
+
+    let query = supabase
+      .from('distribution_payouts')
+      .select('*, distribution:distributions!inner(*, property:properties(id, title))', { count: 'exact' })
+      .eq('user_id', req.user.id);
+
+    if (propertyId) {
+      query = query.eq('distribution.property_id', propertyId);
+    }
+
+    const { data: payouts, count, error } = await query
+      .order('created_at', { ascending: false })
+      .range(offset, offset + limit - 1);
+
+    if (error) {
+      logger.error(`Get user distributions error: ${error.message}`);
+      throw new Error('Failed to fetch distributions');
+    }
+
+    res.status(StatusCodes.OK).json({
+      status: 'success',
+      data: payouts || [],
+      pagination: {
+        total: count || 0,
+        page,
+        limit,
+        totalPages: Math.ceil((count || 0) / limit),
+      },
+    });
+  } catch (error) {
+    logger.error(`Get user distributions error: ${error.message}`, { stack: error.stack });
+    res.status(StatusCodes.INTERNAL_SERVER_ERROR).json({
+      status: 'error',
+      message: 'Failed to fetch distributions',
+    });
+  }
+};
+
+// Helper Functions
+
+/**
+ * Map errors raised by execute_distribution to API responses
+ */
+function mapDistributionError(error) {
+  const responses = {
+    distribution_not_found: [StatusCodes.NOT_FOUND, 'Distribution not found'],
+    invalid_distribution_transition: [StatusCodes.CONFLICT, 'Distribution has already been paid or cancelled'],
+    distribution_not_payable: [StatusCodes.BAD_REQUEST, 'Distribution cannot be paid before its pay date or record date'],
+    no_eligible_holders: [StatusCodes.BAD_REQUEST, 'No investors held shares on the record date; the distribution was cancelled'],
+  };
+
+  const response = responses[error.message];
+  if (!response) {
+    return null;
+  }
+
+  const [statusCode, message] = response;
+  return {
+    statusCode,
+    body: { status: 'error', message },
+  };
+}
+
+module.exports = {
+  declareDistribution,
+  getPropertyDistributions,
+  getDistributionById,
+  payDistribution,
+  cancelDistribution,
+  getMyDistributions,
+};
@@ -2,7 +2,23 @@ const { StatusCodes } = require('http-status-codes');
 const { validationResult } = require('express-validator');
 const { v4: uuidv4 } = require('uuid');
 const supabase = require('../config/supabase');
-const { logger } = require('../app');
+const logger = require('../config/logger');
+const { getPaymentProvider } = require('../services/payments');
+const { settleDepositPayment } = require('../services/wallet.service');
+const { notifyAdmins } = require('../services/notification.service');
+const { ACCOUNT_TYPES, getLedgerAccount, postJournalEntry, getJournalEntries } = require('../services/ledger.service');
+const { calculateInvestmentPerformance } = require('../services/performance.service');
+const { formatDisposal } = require('../services/tax.service');
+const { placeInvestment, mapAllocationError } = require('../services/investment.service');
+const { refundInvestment } = require('../services/listing.service');
+const {
+  SHARE_SCALE,
+  USD_SCALE,
+  toUnits,
+  fromUnits,
+  quoteByAmount,
+  quoteByShares,
+} = require('../utils/money');
 
 /**
  * Create a new investment
@@ -21,149 +37,18 @@ const createInvestment = async (req, res) => {
       });
     }
 
-    const { propertyId, shares, paymentMethodId, notes } = req.body;
-    const userId = req.user.id;
-
-    // Start a database transaction
-    const { data: property, error: propertyError } = await supabase.rpc('begin_transaction');
-    
-    try {
-      // 1. Check if property exists and is active
-      const { data: property, error: propertyFetchError } = await supabase
-        .from('properties')
-        .select('id, status, available_shares, price_per_share')
-        .eq('id', propertyId)
-        .single();
-
-      if (propertyFetchError || !property) {
-        throw new Error('Property not found');
-      }
-
-      if (property.status !== 'active') {
-        return res.status(StatusCodes.BAD_REQUEST).json({
-          status: 'error',
-          message: 'Property is not available for investment',
-        });
-      }
-
-      // 2. Check if there are enough available shares
-      if (shares > property.available_shares) {
-        return res.status(StatusCodes.BAD_REQUEST).json({
-          status: 'error',
-          message: 'Not enough shares available',
-          availableShares: property.available_shares,
-        });
-      }
-
-      // 3. Calculate total amount
-      const amount = shares * property.price_per_share;
-
-      // 4. Create investment record
-      const investmentId = uuidv4();
-      const { data: investment, error: investmentError } = await supabase
-        .from('investments')
-        .insert([
-          {
-            id: investmentId,
-            user_id: userId,
-            property_id: propertyId,
-            shares,
-            amount,
-            status: 'pending',
-            payment_method_id: paymentMethodId,
-            transaction_id: transactionId,
-            notes: notes || null,
-            created_at: new Date().toISOString(),
-            updated_at: new Date().toISOString(),
-          },
-        ])
-        .select()
-        .single();
-
-      if (investmentError) {
-        logger.error(`Create investment error: ${investmentError.message}`);
-        throw new Error('Failed to create investment');
-      }
-
-      // 5. Process payment (simplified - in production, integrate with payment gateway)
-      // This is where you would integrate with Stripe, PayPal, etc.
-      const paymentSuccess = await processPayment({
-        userId,
-        amount,
-        paymentMethodId,
-        description: `Investment in property ${propertyId} for ${shares} shares`,
-        metadata: {
-          investmentId,
-          propertyId,
-          shares,
-        },
-      });
-
-      if (!paymentSuccess) {
-        throw new Error('Payment processing failed');
-      }
-
-      // 6. Update investment status to completed
-      const { data: updatedInvestment, error: updateError } = await supabase
-        .from('investments')
-        .update({
-          status: 'completed',
-          payment_status: 'succeeded',
-          updated_at: new Date().toISOString(),
-        })
-        .eq('id', investmentId)
-        .select()
-        .single();
-
-      if (updateError) {
-        logger.error(`Update investment status error: ${updateError.message}`);
-        throw new Error('Failed to update investment status');
-      }
-
-      // 7. Update property available shares
-      const { error: updatePropertyError } = await supabase
-        .from('properties')
-        .update({
-          available_shares: property.available_shares - shares,
-          updated_at: new Date().toISOString(),
-        })
-        .eq('id', propertyId);
-
-      if (updatePropertyError) {
-        logger.error(`Update property shares error: ${updatePropertyError.message}`);
-        throw new Error('Failed to update property shares');
-      }
-
-      // 8. Create transaction record
-      await createTransaction({
-        userId,
-        type: 'investment',
-        amount: -amount, // Negative because it's money going out
-        status: 'completed',
-        referenceId: investmentId,
-        description: `Purchased ${shares} shares in property ${propertyId}`,
-        metadata: {
-          propertyId,
-          shares,
-          pricePerShare: property.price_per_share,
-        },
-      });
-
-      // 9. Commit transaction
-      await supabase.rpc('commit_transaction');
-
-      // 10. Send confirmation email (in production)
-      // await sendInvestmentConfirmationEmail(userId, investmentId);
+    const { statusCode, body } = await placeInvestment({
+      userId: req.user.id,
+      propertyId: req.body.propertyId,
+      amountUsd: req.body.amountUsd,
+      shares: req.body.shares,
+      paymentSource: req.body.paymentSource,
+      paymentMethodId: req.body.paymentMethodId,
+      notes: req.body.notes,
+      transactionId,
+    });
 
-      res.status(StatusCodes.CREATED).json({
-        status: 'success',
-        data: updatedInvestment,
-      });
-    } catch (error) {
-      // Rollback transaction on error
-      await supabase.rpc('rollback_transaction');
-      throw error;
-    }
+    res.status(statusCode).json(body);
   } catch (error) {
     logger.error(`Create investment error: ${error.message}`, { 
       stack: error.stack,
@@ -198,6 +83,136 @@ const createInvestment = async (req, res) => {
   }
 };
 
+/**
+ * Sell owned (whole or fractional) shares back to the platform
+ */
+const sellShares = async (req, res) => {
+  try {
+    // Validate request body
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(StatusCodes.BAD_REQUEST).json({
+        status: 'error',
+        message: 'Validation failed',
+        errors: errors.array(),
+      });
+    }
+
+    const { propertyId, amountUsd, lotMethod = 'fifo', lots } = req.body;
+    const userId = req.user.id;
+
+    // Get property and current share price
+    const { data: property, error: propertyError } = await supabase
+      .from('properties')
+      .select('id, status, price_per_share')
+      .eq('id', propertyId)
+      .single();
+
+    if (propertyError || !property) {
+      return res.status(StatusCodes.NOT_FOUND).json({
+        status: 'error',
+        message: 'Property not found',
+      });
+    }
+
+    if (property.status !== 'active') {
+      return res.status(StatusCodes.BAD_REQUEST).json({
+        status: 'error',
+        message: 'Property is not accepting sell orders',
+      });
+    }
+
+    // Convert the order into exact shares and proceeds at the current price
+    const quote = amountUsd !== undefined
+      ? quoteByAmount(amountUsd, property.price_per_share)
+      : quoteByShares(req.body.shares, property.price_per_share);
+
+    if (quote.shareUnits <= 0n) {
+      return res.status(StatusCodes.BAD_REQUEST).json({
+        status: 'error',
+        message: 'Amount is too small to sell any shares at the current price',
+        pricePerShare: quote.pricePerShare,
+      });
+    }
+
+    if (lotMethod === 'specific') {
+      const selectedUnits = lots.reduce((sum, lot) => sum + toUnits(lot.shares, SHARE_SCALE), 0n);
+      if (selectedUnits !== quote.shareUnits) {
+        return res.status(StatusCodes.BAD_REQUEST).json({
+          status: 'error',
+          message: 'Selected lot shares must add up to the shares sold',
+          shares: quote.shares,
+        });
+      }
+    }
+
+    // Reduce the holding, relieve tax lots, return the shares to the property's
+    // available pool and record the sale in a single database transaction
+    const saleId = uuidv4();
+    const { data: holding, error: saleError } = await supabase
+      .rpc('execute_share_sale', {
+        p_sale_id: saleId,
+        p_user_id: userId,
+        p_property_id: propertyId,
+        p_shares: quote.shares,
+        p_amount: quote.amountUsd,
+        p_price_per_share: quote.pricePerShare,
+        p_lot_method: lotMethod,
+        p_lot_selection: lotMethod === 'specific'
+          ? lots.map((lot) => ({ lot_id: lot.lotId, shares: lot.shares }))
+          : null,
+      })
+      .single();
+
+    if (saleError) {
+      const allocationError = mapAllocationError(saleError);
+      if (allocationError) {
+        return res.status(allocationError.statusCode).json(allocationError.body);
+      }
+
+      logger.error(`Execute share sale error: ${saleError.message}`);
+      throw new Error('Failed to record sale');
+    }
+
+    const { data: disposals, error: disposalsError } = await supabase
+      .from('tax_lot_disposals')
+      .select('*')
+      .eq('sale_id', saleId);
+
+    if (disposalsError) {
+      logger.error(`Get sale disposals error: ${disposalsError.message}`);
+    }
+
+    res.status(StatusCodes.CREATED).json({
+      status: 'success',
+      data: {
+        id: saleId,
+        propertyId,
+        shares: quote.shares,
+        pricePerShare: quote.pricePerShare,
+        proceedsUsd: quote.amountUsd,
+        proceedsCreditedTo: 'wallet',
+        requestedAmountUsd: quote.requestedAmountUsd,
+        remainderUsd: quote.remainderUsd,
+        remainingShares: fromUnits(toUnits(holding.share_quantity, SHARE_SCALE), SHARE_SCALE),
+        lotMethod,
+        realizedGains: (disposals || []).map(formatDisposal),
+      },
+    });
+  } catch (error) {
+    logger.error(`Sell shares error: ${error.message}`, {
+      stack: error.stack,
+      userId: req.user?.id,
+      propertyId: req.body?.propertyId,
+    });
+
+    res.status(StatusCodes.INTERNAL_SERVER_ERROR).json({
+      status: 'error',
+      message: 'Failed to process sale',
+    });
+  }
+};
+
 /**
  * Get user's investments
  */
@@ -283,12 +298,8 @@ const getInvestmentById = async (req, res) => {
       });
     }
 
-    // Get investment transactions
-    const { data: transactions } = await supabase
-      .from('transactions')
-      .select('*')
-      .eq('reference_id', id)
-      .order('created_at', { ascending: false });
+    // Get the ledger entries posted for the investment
+    const transactions = await getJournalEntries(id);
 
     // Get property updates
     const { data: updates } = await supabase
@@ -299,7 +310,7 @@ const getInvestmentById = async (req, res) => {
       .limit(10);
 
     // Calculate investment performance
-    const performance = await calculateInvestmentPerformance(investment.id);
+    const performance = await calculateInvestmentPerformance(investment);
 
     res.status(StatusCodes.OK).json({
       status: 'success',
@@ -309,7 +320,7 @@ const getInvestmentById = async (req, res) => {
           ...investment.property,
           primaryImage: investment.property.images?.find(img => img.is_primary) || null,
         },
-        transactions: transactions || [],
+        transactions,
         updates: updates || [],
         performance,
       },
@@ -330,118 +341,34 @@ const cancelInvestment = async (req, res) => {
   try {
     const { id } = req.params;
 
-    // Start transaction
-    await supabase.rpc('begin_transaction');
-
-    try {
-      // Get investment
-      const { data: investment, error: investmentError } = await supabase
-        .from('investments')
-        .select('*')
-        .eq('id', id)
-        .eq('user_id', req.user.id)
-        .single();
-
-      if (investmentError || !investment) {
-        throw new Error('Investment not found');
-      }
-
-      // Check if investment can be cancelled
-      if (investment.status !== 'pending') {
-        return res.status(StatusCodes.BAD_REQUEST).json({
-          status: 'error',
-          message: 'Only pending investments can be cancelled',
-        });
-      }
-
-      // Update investment status
-      const { data: updatedInvestment, error: updateError } = await supabase
-        .from('investments')
-        .update({
-          status: 'cancelled',
-          updated_at: new Date().toISOString(),
-          cancelled_at: new Date().toISOString(),
-        })
-        .eq('id', id)
-        .select()
-        .single();
-
-      if (updateError) {
-        throw new Error('Failed to cancel investment');
-      }
-
-      // Process refund if payment was made
-      if (investment.payment_status === 'succeeded') {
-        // In production, integrate with payment provider to process refund
-        const refundSuccess = await processRefund({
-          paymentIntentId: investment.payment_intent_id,
-          amount: investment.amount,
-          reason: 'Investment cancelled by user',
-        });
-
-        if (!refundSuccess) {
-          throw new Error('Failed to process refund');
-        }
+    // Lock and cancel the investment in a single database transaction
+    const { data: investment, error: cancelError } = await supabase
+      .rpc('cancel_pending_investment', {
+        p_investment_id: id,
+        p_user_id: req.user.id,
+      })
+      .single();
 
-        // Update payment status
-        await supabase
-          .from('investments')
-          .update({
-            payment_status: 'refunded',
-            updated_at: new Date().toISOString(),
-          })
-          .eq('id', id);
+    if (cancelError) {
+      const allocationError = mapAllocationError(cancelError);
+      if (allocationError) {
+        return res.status(allocationError.statusCode).json(allocationError.body);
       }
 
-      // Create transaction record
-      await createTransaction({
-        userId: req.user.id,
-        type: 'refund',
-        amount: investment.amount,
-        status: 'completed',
-        referenceId: id,
-        description: `Refund for cancelled investment ${id}`,
-        metadata: {
-          originalInvestmentId: id,
-          propertyId: investment.property_id,
-          shares: investment.shares,
-        },
-      });
-
-      // Update property available shares
-      if (investment.status === 'completed') {
-        const { data: property } = await supabase
-          .from('properties')
-          .select('available_shares')
-          .eq('id', investment.property_id)
-          .single();
-
-        if (property) {
-          await supabase
-            .from('properties')
-            .update({
-              available_shares: property.available_shares + investment.shares,
-              updated_at: new Date().toISOString(),
-            })
-            .eq('id', investment.property_id);
-        }
-      }
+      logger.error(`Cancel pending investment error: ${cancelError.message}`);
+      throw new Error('Failed to cancel investment');
+    }
 
-      // Commit transaction
-      await supabase.rpc('commit_transaction');
+    // Pending investments hold no shares, so only the payment needs releasing
+    await releasePayment(investment, 'Investment cancelled by user');
 
-      // Send cancellation confirmation (in production)
-      // await sendInvestmentCancellationEmail(req.user.id, id);
+    // Send cancellation confirmation (in production)
+    // await sendInvestmentCancellationEmail(req.user.id, id);
 
-      res.status(StatusCodes.OK).json({
-        status: 'success',
-        data: updatedInvestment,
-      });
-    } catch (error) {
-      // Rollback transaction on error
-      await supabase.rpc('rollback_transaction');
-      throw error;
-    }
+    res.status(StatusCodes.OK).json({
+      status: 'success',
+      data: investment,
+    });
   } catch (error) {
     logger.error(`Cancel investment error: ${error.message}`, { 
       stack: error.stack,
@@ -537,35 +464,101 @@ const updateInvestmentStatus = async (req, res) => {
       });
     }
 
+    // A cancelled investment whose refund did not go through can be cancelled again to retry it
+    const retryRefund = status === 'cancelled' && investment.status === 'cancelled'
+      && ['refund_pending', 'refund_failed'].includes(investment.payment_status);
+
     // Validate status transition
-    if (!isValidStatusTransition(investment.status, status)) {
+    if (!retryRefund && !isValidStatusTransition(investment.status, status)) {
       return res.status(StatusCodes.BAD_REQUEST).json({
         status: 'error',
         message: `Invalid status transition from ${investment.status} to ${status}`,
       });
     }
 
-    // Update investment status
-    const updateData = {
-      status,
-      updated_at: new Date().toISOString(),
-    };
+    // Shares are only handed out for money the platform holds: card
+    // authorizations and wallet holds are captured when the payment settles
+    if (status === 'completed' && investment.payment_intent_id && investment.payment_status !== 'succeeded') {
+      return res.status(StatusCodes.CONFLICT).json({
+        status: 'error',
+        message: 'Payment has not been captured yet; the investment completes when it settles',
+        paymentStatus: investment.payment_status,
+      });
+    }
+
+    if (status === 'cancelled') {
+      // Give the shares back and refund the payment, as for a refund webhook
+      const outcome = await refundInvestment(investment, notes || 'Cancelled by an admin', {
+        changedBy: req.user.id,
+      });
+
+      if (outcome === 'skipped' || outcome === 'manual_review') {
+        return res.status(StatusCodes.CONFLICT).json({
+          status: 'error',
+          message: outcome === 'skipped'
+            ? 'Investment changed status while it was being cancelled, please try again'
+            : 'The investor has already sold some of these shares',
+        });
+      }
+
+      const { data: cancelledInvestment } = await supabase
+        .from('investments')
+        .select('*')
+        .eq('id', id)
+        .single();
+
+      if (outcome === 'refund_failed') {
+        return res.status(StatusCodes.BAD_GATEWAY).json({
+          status: 'error',
+          message: 'Investment cancelled but the refund failed; cancel it again to retry the refund',
+          data: cancelledInvestment,
+        });
+      }
 
-    // Add completed_at timestamp if marking as completed
-    if (status === 'completed' && investment.status !== 'completed') {
-      updateData.completed_at = new Date().toISOString();
+      return res.status(StatusCodes.OK).json({
+        status: 'success',
+        data: cancelledInvestment,
+      });
     }
 
-    const { data: updatedInvestment, error: updateError } = await supabase
-      .from('investments')
-      .update(updateData)
-      .eq('id', id)
-      .select()
-      .single();
+    let updatedInvestment;
 
-    if (updateError) {
-      logger.error(`Update investment status error: ${updateError.message}`);
-      throw new Error('Failed to update investment status');
+    if (status === 'completed') {
+      // Allocate the shares and mark as completed in a single database transaction
+      const { data, error: completeError } = await supabase
+        .rpc('complete_investment', { p_investment_id: id })
+        .single();
+
+      if (completeError) {
+        const allocationError = mapAllocationError(completeError);
+        if (allocationError) {
+          return res.status(allocationError.statusCode).json(allocationError.body);
+        }
+
+        logger.error(`Complete investment error: ${completeError.message}`);
+        throw new Error('Failed to update investment status');
+      }
+
+      updatedInvestment = data;
+    } else {
+      const { data, error: updateError } = await supabase
+        .from('investments')
+        .update({
+          status,
+          updated_at: new Date().toISOString(),
+        })
+        .eq('id', id)
+        .eq('status', investment.status)
+        .select()
+        .single();
+
+      if (updateError) {
+        logger.error(`Update investment status error: ${updateError.message}`);
+        throw new Error('Failed to update investment status');
+      }
+
+      // A failed investment holds no shares; release its payment
+      updatedInvestment = status === 'failed' ? await releasePayment(data, notes || 'Investment failed') : data;
     }
 
     // Add status change to investment history
@@ -581,25 +574,6 @@ const updateInvestmentStatus = async (req, res) => {
         },
       ]);
 
-    // If marking as completed, update property shares
-    if (status === 'completed' && investment.status !== 'completed') {
-      const { data: property } = await supabase
-        .from('properties')
-        .select('available_shares')
-        .eq('id', investment.property_id)
-        .single();
-
-      if (property) {
-        await supabase
-          .from('properties')
-          .update({
-            available_shares: property.available_shares - investment.shares,
-            updated_at: new Date().toISOString(),
-          })
-          .eq('id', investment.property_id);
-      }
-    }
-
     // TODO: Notify user about status change
 
     res.status(StatusCodes.OK).json({
@@ -708,23 +682,12 @@ const requestWithdrawal = async (req, res) => {
       throw new Error('Failed to create withdrawal request');
     }
 
-    // Create transaction record
-    await createTransaction({
-      userId: req.user.id,
+    await notifyAdmins({
+      title: 'Withdrawal requested',
+      body: `A withdrawal of $${amount} from an investment is waiting for approval.`,
       type: 'withdrawal',
-      amount: -amount, // Negative because it's money going out
-      status: 'pending',
-      referenceId: withdrawalId,
-      description: `Withdrawal request from investment ${id}`,
-      metadata: {
-        investmentId: id,
-        bankAccountId,
-      },
     });
 
-    // TODO: Notify admin about withdrawal request
-    // await notifyAdminAboutWithdrawal(withdrawalId);
-
     res.status(StatusCodes.CREATED).json({
       status: 'success',
       data: withdrawal,
@@ -743,113 +706,560 @@ const requestWithdrawal = async (req, res) => {
   }
 };
 
+/**
+ * Admin: Approve or reject a pending investment withdrawal
+ *
+ * The listing pays the withdrawal out of its cash once it is approved, so the
+ * journal entry is posted on approval, not when the user asks.
+ */
+const updateWithdrawalStatus = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(StatusCodes.BAD_REQUEST).json({
+        status: 'error',
+        message: 'Validation failed',
+        errors: errors.array(),
+      });
+    }
+
+    const { withdrawalId } = req.params;
+    const { status } = req.body;
+
+    const { data: withdrawal, error: withdrawalError } = await supabase
+      .from('withdrawals')
+      .select('*, investment:investments(property_id)')
+      .eq('id', withdrawalId)
+      .not('investment_id', 'is', null)
+      .maybeSingle();
+
+    if (withdrawalError) {
+      logger.error(`Get withdrawal error: ${withdrawalError.message}`);
+      throw new Error('Failed to fetch withdrawal');
+    }
+
+    if (!withdrawal) {
+      return res.status(StatusCodes.NOT_FOUND).json({
+        status: 'error',
+        message: 'Withdrawal not found',
+      });
+    }
+
+    // Claim the pending withdrawal so it is approved (and journaled) only once
+    const { data: updatedWithdrawal, error: updateError } = await supabase
+      .from('withdrawals')
+      .update({
+        status,
+        updated_at: new Date().toISOString(),
+      })
+      .eq('id', withdrawalId)
+      .eq('status', 'pending')
+      .select()
+      .maybeSingle();
+
+    if (updateError) {
+      logger.error(`Update withdrawal status error: ${updateError.message}`);
+      throw new Error('Failed to update withdrawal status');
+    }
+
+    if (!updatedWithdrawal) {
+      return res.status(StatusCodes.CONFLICT).json({
+        status: 'error',
+        message: `Withdrawal is already ${withdrawal.status}`,
+      });
+    }
+
+    if (status === 'completed') {
+      try {
+        await postWithdrawalEntry(withdrawal);
+      } catch (error) {
+        // Put it back so the approval can be retried
+        await supabase
+          .from('withdrawals')
+          .update({ status: 'pending', updated_at: new Date().toISOString() })
+          .eq('id', withdrawalId);
+        throw error;
+      }
+    }
+
+    res.status(StatusCodes.OK).json({
+      status: 'success',
+      data: updatedWithdrawal,
+    });
+  } catch (error) {
+    logger.error(`Update withdrawal status error: ${error.message}`, {
+      stack: error.stack,
+      withdrawalId: req.params.withdrawalId,
+    });
+
+    res.status(StatusCodes.INTERNAL_SERVER_ERROR).json({
+      status: 'error',
+      message: 'Failed to update withdrawal status',
+    });
+  }
+};
+
+/**
+ * Payment provider webhook
+ *
+ * Settles pending investments once the processor confirms (or rejects) the
+ * payment, and reverses the share allocation on late refunds and chargebacks.
+ */
+const handlePaymentWebhook = async (req, res) => {
+  const payments = getPaymentProvider();
+
+  let event;
+  try {
+    event = payments.parseWebhookEvent(req.rawBody || Buffer.alloc(0), req.headers);
+  } catch (error) {
+    logger.warn(`Rejected payment webhook: ${error.message}`);
+    return res.status(StatusCodes.BAD_REQUEST).json({
+      status: 'error',
+      message: 'Invalid webhook signature',
+    });
+  }
+
+  if (!event.id) {
+    return res.status(StatusCodes.BAD_REQUEST).json({
+      status: 'error',
+      message: 'Webhook event ID is required',
+    });
+  }
+
+  try {
+    // Claim the event ID first so redeliveries are acknowledged without reprocessing
+    const { error: claimError } = await supabase
+      .from('payment_webhook_events')
+      .insert([
+        {
+          provider: payments.name,
+          event_id: event.id,
+          event_type: event.providerType,
+          payment_intent_id: event.paymentIntentId || null,
+          received_at: new Date().toISOString(),
+        },
+      ]);
+
+    if (claimError) {
+      if (claimError.code === '23505') {
+        return res.status(StatusCodes.OK).json({
+          status: 'success',
+          data: { received: true, duplicate: true },
+        });
+      }
+      throw new Error(claimError.message);
+    }
+
+    let outcome;
+    try {
+      outcome = event.type ? await settlePaymentEvent(event) : 'ignored';
+    } catch (error) {
+      // Release the event ID so the provider's retry gets processed
+      await supabase
+        .from('payment_webhook_events')
+        .delete()
+        .eq('provider', payments.name)
+        .eq('event_id', event.id);
+      throw error;
+    }
+
+    await supabase
+      .from('payment_webhook_events')
+      .update({
+        outcome,
+        processed_at: new Date().toISOString(),
+      })
+      .eq('provider', payments.name)
+      .eq('event_id', event.id);
+
+    res.status(StatusCodes.OK).json({
+      status: 'success',
+      data: { received: true, outcome },
+    });
+  } catch (error) {
+    logger.error(`Payment webhook error: ${error.message}`, {
+      stack: error.stack,
+      eventId: event.id,
+      eventType: event.providerType,
+    });
+
+    res.status(StatusCodes.INTERNAL_SERVER_ERROR).json({
+      status: 'error',
+      message: 'Failed to process payment webhook',
+    });
+  }
+};
+
 // Helper Functions
 
 /**
- * Process payment (mock implementation)
- * In production, integrate with a payment processor like Stripe
+ * Apply a normalized payment webhook event to the investment it belongs to.
+ * Returns a short outcome label that is stored with the event.
  */
-async function processPayment({ userId, amount, paymentMethodId, description, metadata }) {
-  // In a real implementation, this would call the payment processor's API
-  // For example, with Stripe:
-  /*
-  const paymentIntent = await stripe.paymentIntents.create({
-    amount: Math.round(amount * 100), // Convert to cents
-    currency: 'usd',
-    payment_method: paymentMethodId,
-    confirm: true,
-    description,
-    metadata,
-    return_url: `${process.env.FRONTEND_URL}/payment/return`,
-  });
-  
-  return paymentIntent.status === 'succeeded';
-  */
+async function settlePaymentEvent(event) {
+  const { data: investment, error } = await supabase
+    .from('investments')
+    .select('*')
+    .eq('payment_intent_id', event.paymentIntentId)
+    .maybeSingle();
 
-  // For development, simulate a successful payment
-  return new Promise((resolve) => {
-    setTimeout(() => resolve(true), 500);
-  });
+  if (error) {
+    throw new Error(`Failed to look up investment: ${error.message}`);
+  }
+
+  if (!investment) {
+    // Not an investment payment; it may be a wallet deposit
+    const depositOutcome = await settleDepositPayment(event);
+    if (depositOutcome) {
+      return depositOutcome;
+    }
+
+    logger.warn(`No investment for payment intent ${event.paymentIntentId} (event ${event.id})`);
+    return 'unmatched';
+  }
+
+  switch (event.type) {
+    case 'payment.authorized':
+    case 'payment.succeeded':
+      return settleSuccessfulPayment(investment, event);
+    case 'payment.failed':
+    case 'payment.canceled':
+      return settleFailedPayment(investment, event);
+    case 'payment.refunded':
+    case 'payment.disputed':
+      return reverseSettledPayment(investment, event);
+    default:
+      return 'ignored';
+  }
 }
 
 /**
- * Process refund (mock implementation)
+ * Allocate shares for a pending investment whose payment went through
  */
-async function processRefund({ paymentIntentId, amount, reason }) {
-  // In a real implementation, this would call the payment processor's refund API
-  // For example, with Stripe:
-  /*
-  const refund = await stripe.refunds.create({
-    payment_intent: paymentIntentId,
-    amount: Math.round(amount * 100), // Convert to cents
-    reason: 'requested_by_customer',
-    metadata: { reason },
-  });
-  
-  return refund.status === 'succeeded';
-  */
+async function settleSuccessfulPayment(investment, event) {
+  const payments = getPaymentProvider(investment.payment_provider || undefined);
+  const intentId = investment.payment_intent_id;
+
+  if (investment.status === 'completed') {
+    // Already allocated; just record that the funds have settled
+    if (event.type === 'payment.succeeded' && investment.payment_status !== 'succeeded') {
+      await updateInvestmentPaymentStatus(investment.id, 'succeeded');
+    }
+    return 'already_completed';
+  }
+
+  if (!isValidStatusTransition(investment.status, 'completed')) {
+    // The investment was cancelled or failed while the payment was in flight
+    if (event.type === 'payment.succeeded') {
+      await payments.refund(intentId, { reason: `Investment ${investment.id} is ${investment.status}` });
+      await updateInvestmentPaymentStatus(investment.id, 'refunded');
+      return 'refunded';
+    }
+    await payments.cancel(intentId);
+    await updateInvestmentPaymentStatus(investment.id, 'canceled');
+    return 'canceled';
+  }
+
+  const { error: completeError } = await supabase
+    .rpc('complete_investment', { p_investment_id: investment.id })
+    .single();
+
+  if (completeError) {
+    if (!mapAllocationError(completeError)) {
+      throw new Error(`Failed to allocate shares: ${completeError.message}`);
+    }
+
+    // The shares are gone (e.g. sold out while the payment was pending): release the funds
+    if (event.type === 'payment.succeeded') {
+      await payments.refund(intentId, { reason: 'Shares no longer available' });
+    } else {
+      await payments.cancel(intentId);
+    }
+
+    await transitionInvestment(investment, 'failed', {
+      payment_status: event.type === 'payment.succeeded' ? 'refunded' : 'canceled',
+    }, `Share allocation failed: ${completeError.message}`);
+    return 'allocation_failed';
+  }
+
+  if (event.type === 'payment.authorized') {
+    let capturedIntent;
+    try {
+      capturedIntent = await payments.capture(intentId);
+    } catch (error) {
+      logger.error(`Payment capture error: ${error.message}`, { investmentId: investment.id });
+      capturedIntent = { status: 'failed' };
+    }
+
+    if (capturedIntent.status !== 'succeeded') {
+      const { error: reverseError } = await supabase.rpc('reverse_investment_allocation', {
+        p_investment_id: investment.id,
+        p_status: 'failed',
+        p_payment_status: 'capture_failed',
+        p_transaction_type: null,
+      });
+
+      if (reverseError) {
+        throw new Error(`Failed to reverse allocation: ${reverseError.message}`);
+      }
+      return 'capture_failed';
+    }
+  }
+
+  await updateInvestmentPaymentStatus(investment.id, 'succeeded');
+  await recordStatusChange(investment.id, 'completed', `Payment confirmed (${event.providerType})`);
+  return 'completed';
+}
+
+/**
+ * Fail a pending investment whose payment was declined or abandoned
+ */
+async function settleFailedPayment(investment, event) {
+  const paymentStatus = event.type === 'payment.failed' ? 'failed' : 'canceled';
+
+  if (!isValidStatusTransition(investment.status, 'failed')) {
+    return 'ignored';
+  }
+
+  await transitionInvestment(investment, 'failed', { payment_status: paymentStatus },
+    `Payment ${paymentStatus}${event.failureCode ? ` (${event.failureCode})` : ''}`);
+  return 'failed';
+}
+
+/**
+ * Undo an investment after a late refund or a chargeback
+ */
+async function reverseSettledPayment(investment, event) {
+  const paymentStatus = event.type === 'payment.refunded' ? 'refunded' : 'disputed';
+
+  if (investment.status === 'pending') {
+    // Nothing was allocated yet
+    await transitionInvestment(investment, 'cancelled', { payment_status: paymentStatus },
+      `Payment ${paymentStatus} before settlement`);
+    return 'cancelled';
+  }
+
+  if (investment.status !== 'completed') {
+    // Already unwound (e.g. cancelled and refunded through the API)
+    if (investment.payment_status !== paymentStatus) {
+      await updateInvestmentPaymentStatus(investment.id, paymentStatus);
+    }
+    return 'already_reversed';
+  }
+
+  const investedCents = toUnits(investment.amount, USD_SCALE);
+  if (event.amountCents !== null && event.amountCents !== undefined && BigInt(event.amountCents) < investedCents) {
+    logger.error(`Partial ${paymentStatus} on investment ${investment.id} needs manual review`, {
+      amountCents: event.amountCents,
+    });
+    await updateInvestmentPaymentStatus(investment.id, `partially_${paymentStatus}`);
+    return 'manual_review';
+  }
 
-  // For development, simulate a successful refund
-  return new Promise((resolve) => {
-    setTimeout(() => resolve(true), 500);
+  const { error: reverseError } = await supabase.rpc('reverse_investment_allocation', {
+    p_investment_id: investment.id,
+    p_status: 'cancelled',
+    p_payment_status: paymentStatus,
+    p_transaction_type: event.type === 'payment.refunded' ? 'refund' : 'chargeback',
   });
+
+  if (reverseError) {
+    if (reverseError.message === 'insufficient_holding') {
+      // The investor has already sold some of these shares
+      logger.error(`Cannot reverse investment ${investment.id}: holding is ${reverseError.details} shares`);
+      await updateInvestmentPaymentStatus(investment.id, paymentStatus);
+      return 'manual_review';
+    }
+    throw new Error(`Failed to reverse allocation: ${reverseError.message}`);
+  }
+
+  await recordStatusChange(investment.id, 'cancelled', `Payment ${paymentStatus} (${event.providerType})`);
+  return 'reversed';
 }
 
 /**
- * Create transaction record
+ * Move an investment to a new status (if the transition is valid) and log it
  */
-async function createTransaction({ userId, type, amount, status, referenceId, description, metadata }) {
+async function transitionInvestment(investment, status, fields, notes) {
+  if (!isValidStatusTransition(investment.status, status)) {
+    throw new Error(`Invalid status transition from ${investment.status} to ${status}`);
+  }
+
   const { error } = await supabase
-    .from('transactions')
+    .from('investments')
+    .update({
+      ...fields,
+      status,
+      updated_at: new Date().toISOString(),
+    })
+    .eq('id', investment.id)
+    .eq('status', investment.status);
+
+  if (error) {
+    throw new Error(`Failed to update investment status: ${error.message}`);
+  }
+
+  await recordStatusChange(investment.id, status, notes);
+}
+
+/**
+ * Update only the payment status of an investment
+ */
+async function updateInvestmentPaymentStatus(investmentId, paymentStatus) {
+  const { error } = await supabase
+    .from('investments')
+    .update({
+      payment_status: paymentStatus,
+      updated_at: new Date().toISOString(),
+    })
+    .eq('id', investmentId);
+
+  if (error) {
+    throw new Error(`Failed to update payment status: ${error.message}`);
+  }
+}
+
+/**
+ * Add a system-initiated status change to the investment history
+ */
+async function recordStatusChange(investmentId, status, notes) {
+  await supabase
+    .from('investment_history')
     .insert([
       {
-        id: uuidv4(),
-        user_id: userId,
-        type,
-        amount,
+        investment_id: investmentId,
         status,
-        reference_id: referenceId,
-        description,
-        metadata: metadata || {},
+        notes: notes || null,
+        changed_by: null,
         created_at: new Date().toISOString(),
-        updated_at: new Date().toISOString(),
       },
     ]);
+}
+
+/**
+ * Release the payment of an investment that never got its shares: cancel an
+ * uncaptured authorization (e.g. a 3-D Secure challenge that was never
+ * completed) or refund funds that already settled. Returns the investment
+ * with its new payment status.
+ */
+async function releasePayment(investment, reason) {
+  if (!investment.payment_intent_id) {
+    return investment;
+  }
+
+  const payments = getPaymentProvider(investment.payment_provider || undefined);
+  let fields;
+
+  if (investment.payment_status !== 'succeeded') {
+    await payments.cancel(investment.payment_intent_id);
+    fields = { payment_status: 'canceled' };
+  } else {
+    const refund = await payments.refund(investment.payment_intent_id, {
+      amountCents: Number(toUnits(investment.amount, USD_SCALE)),
+      reason,
+      metadata: { investmentId: investment.id },
+    });
+
+    if (refund.status === 'failed') {
+      throw new Error('Failed to process refund');
+    }
+
+    // Nothing was posted to the ledger for an unallocated investment
+    fields = { payment_status: 'refunded', refund_id: refund.id };
+  }
+
+  const { error } = await supabase
+    .from('investments')
+    .update({
+      ...fields,
+      updated_at: new Date().toISOString(),
+    })
+    .eq('id', investment.id);
 
   if (error) {
-    logger.error(`Create transaction error: ${error.message}`);
-    throw new Error('Failed to create transaction record');
+    throw new Error(`Failed to update payment status: ${error.message}`);
   }
+
+  return { ...investment, ...fields };
 }
 
 /**
- * Calculate investment performance
+ * Calculate available balance for withdrawal, from the ledger: what was paid
+ * into the listing for the investment (net of refunds), less what approved
+ * withdrawals paid back out of it and the withdrawals awaiting approval
  */
-async function calculateInvestmentPerformance(investmentId) {
-  // In a real implementation, this would calculate ROI, current value, etc.
-  // based on property appreciation, dividends, etc.
+async function calculateInvestmentBalance(investmentId) {
+  const { data: withdrawals, error: withdrawalsError } = await supabase
+    .from('withdrawals')
+    .select('id, amount, status')
+    .eq('investment_id', investmentId);
+
+  if (withdrawalsError) {
+    throw new Error(`Failed to fetch withdrawals: ${withdrawalsError.message}`);
+  }
+
+  const { data: entries, error: entriesError } = await supabase
+    .from('journal_entries')
+    .select('reference_id, postings:ledger_postings(currency, amount, account:ledger_accounts(account_type))')
+    .in('reference_id', [investmentId, ...(withdrawals || []).map((withdrawal) => withdrawal.id)]);
+
+  if (entriesError) {
+    throw new Error(`Failed to fetch journal entries: ${entriesError.message}`);
+  }
+
+  // The listing's inventory account is credited on purchase and debited on refunds and payouts
+  let investedUnits = 0n;
+  let withdrawnUnits = 0n;
+  (entries || []).forEach((entry) => {
+    (entry.postings || [])
+      .filter((posting) => posting.currency === 'USD' && posting.account?.account_type === ACCOUNT_TYPES.LISTING_INVENTORY)
+      .forEach((posting) => {
+        const units = toUnits(posting.amount, USD_SCALE);
+        if (entry.reference_id === investmentId) {
+          investedUnits -= units;
+        } else {
+          withdrawnUnits += units;
+        }
+      });
+  });
+
+  const pendingUnits = (withdrawals || [])
+    .filter((withdrawal) => withdrawal.status === 'pending')
+    .reduce((sum, withdrawal) => sum + toUnits(withdrawal.amount, USD_SCALE), 0n);
+  const availableUnits = investedUnits - withdrawnUnits - pendingUnits;
+
   return {
-    currentValue: 0,
-    totalReturn: 0,
-    annualizedReturn: 0,
-    dividendsReceived: 0,
-    lastUpdated: new Date().toISOString(),
+    totalInvested: Number(fromUnits(investedUnits, USD_SCALE)),
+    withdrawn: Number(fromUnits(withdrawnUnits, USD_SCALE)),
+    pendingWithdrawals: Number(fromUnits(pendingUnits, USD_SCALE)),
+    availableBalance: Number(fromUnits(availableUnits > 0n ? availableUnits : 0n, USD_SCALE)),
   };
 }
 
 /**
- * Calculate available balance for withdrawal
+ * Pay an approved withdrawal out of the listing's cash
  */
-async function calculateInvestmentBalance(investmentId) {
-  // In a real implementation, this would calculate the available balance
-  // considering lock-up periods, previous withdrawals, etc.
-  return {
-    totalInvested: 0,
-    currentValue: 0,
-    availableBalance: 0,
-    lockedAmount: 0,
-    pendingWithdrawals: 0,
-  };
+async function postWithdrawalEntry(withdrawal) {
+  const propertyId = withdrawal.investment.property_id;
+  const amountUsd = fromUnits(toUnits(withdrawal.amount, USD_SCALE), USD_SCALE);
+
+  await postJournalEntry({
+    entryType: 'investment_withdrawal',
+    referenceId: withdrawal.id,
+    description: `Withdrawal from investment ${withdrawal.investment_id}`,
+    userId: withdrawal.user_id,
+    propertyId,
+    postings: [
+      {
+        accountId: await getLedgerAccount(ACCOUNT_TYPES.LISTING_INVENTORY, { propertyId }),
+        amount: amountUsd,
+      },
+      {
+        accountId: await getLedgerAccount(ACCOUNT_TYPES.PLATFORM_CLEARING),
+        amount: `-${amountUsd}`,
+      },
+    ],
+  });
 }
 
 /**
@@ -868,10 +1278,13 @@ function isValidStatusTransition(currentStatus, newStatus) {
 
 module.exports = {
   createInvestment,
+  sellShares,
   getInvestments,
   getInvestmentById,
   cancelInvestment,
   adminGetAllInvestments,
   updateInvestmentStatus,
   requestWithdrawal,
+  updateWithdrawalStatus,
+  handlePaymentWebhook,
 };
@@ -0,0 +1,616 @@
+const { StatusCodes } = require('http-status-codes');
+const { validationResult } = require('express-validator');
+const supabase = require('../config/supabase');
+const logger = require('../config/logger');
+const { LIVE_STATUSES, refundListing } = require('../services/listing.service');
+const {
+  SHARE_SCALE,
+  PRICE_SCALE,
+  USD_SCALE,
+  toUnits,
+  costInCents,
+  percentOf,
+} = require('../utils/money');
+
+/**
+ * Get listings, optionally filtered by status or property
+ */
+const getListings = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(StatusCodes.BAD_REQUEST).json({
+        status: 'error',
+        message: 'Validation failed',
+        errors: errors.array(),
+      });
+    }
+
+    const { status, propertyId, page = 1, limit = 20 } = req.query;
+    const offset = (page - 1) * limit;
+
+    let query = supabase
+      .from('listings')
+      .select('*', { count: 'exact' })
+      .order('created_at', { ascending: false })
+      .range(offset, offset + limit - 1);
+
+    if (status) {
+      query = query.eq('status', status);
+    }
+    // Drafts are only visible to admins
+    if (!isAdminUser(req)) {
+      query = query.neq('status', 'draft');
+    }
+    if (propertyId) {
+      query = query.eq('property_id', propertyId);
+    }
+
+    const { data: listings, count, error } = await query;
+
+    if (error) {
+      logger.error(`Fetch listings error: ${error.message}`);
+      throw new Error('Failed to fetch listings');
+    }
+
+    res.status(StatusCodes.OK).json({
+      status: 'success',
+      data: (listings || []).map(formatListing),
+      pagination: {
+        total: count || 0,
+        page: parseInt(page, 10),
+        limit: parseInt(limit, 10),
+        totalPages: Math.ceil((count || 0) / limit),
+      },
+    });
+  } catch (error) {
+    logger.error(`Get listings error: ${error.message}`, { stack: error.stack });
+    res.status(StatusCodes.INTERNAL_SERVER_ERROR).json({
+      status: 'error',
+      message: 'Failed to fetch listings',
+    });
+  }
+};
+
+/**
+ * Get a listing with its funding progress
+ */
+const getListing = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(StatusCodes.BAD_REQUEST).json({
+        status: 'error',
+        message: 'Validation failed',
+        errors: errors.array(),
+      });
+    }
+
+    const listing = await findListing(req.params.id);
+
+    if (!listing || (listing.status === 'draft' && !isAdminUser(req))) {
+      return res.status(StatusCodes.NOT_FOUND).json({
+        status: 'error',
+        message: 'Listing not found',
+      });
+    }
+
+    res.status(StatusCodes.OK).json({
+      status: 'success',
+      data: formatListing(listing),
+    });
+  } catch (error) {
+    logger.error(`Get listing error: ${error.message}`, { stack: error.stack });
+    res.status(StatusCodes.INTERNAL_SERVER_ERROR).json({
+      status: 'error',
+      message: 'Failed to fetch listing',
+    });
+  }
+};
+
+/**
+ * Admin: Draft a listing for a property. Shares are offered at the property's
+ * current price, refreshed when the listing opens.
+ */
+const createListing = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(StatusCodes.BAD_REQUEST).json({
+        status: 'error',
+        message: 'Validation failed',
+        errors: errors.array(),
+      });
+    }
+
+    const {
+      propertyId,
+      title,
+      totalSharesAvailable,
+      minInvestmentUsd,
+      maxInvestmentUsd,
+      minRaiseUsd,
+      fundingDeadline,
+    } = req.body;
+
+    const { data: property, error: propertyError } = await supabase
+      .from('properties')
+      .select('id, title, status, price_per_share, available_shares')
+      .eq('id', propertyId)
+      .single();
+
+    if (propertyError || !property) {
+      return res.status(StatusCodes.NOT_FOUND).json({
+        status: 'error',
+        message: 'Property not found',
+      });
+    }
+
+    const terms = {
+      total_shares_available: totalSharesAvailable,
+      min_investment_usd: minInvestmentUsd,
+      max_investment_usd: maxInvestmentUsd ?? null,
+      min_raise_usd: minRaiseUsd,
+      price_per_share_usd: property.price_per_share,
+    };
+
+    const termsError = checkTerms(terms, property);
+    if (termsError) {
+      return res.status(StatusCodes.BAD_REQUEST).json({ status: 'error', message: termsError });
+    }
+
+    const { data: listing, error } = await supabase
+      .from('listings')
+      .insert([
+        {
+          ...terms,
+          property_id: propertyId,
+          title: title || property.title,
+          funding_deadline: fundingDeadline || null,
+          created_by_user_id: req.user.id,
+          status: 'draft',
+        },
+      ])
+      .select()
+      .single();
+
+    if (error) {
+      logger.error(`Create listing error: ${error.message}`);
+      throw new Error('Failed to create listing');
+    }
+
+    res.status(StatusCodes.CREATED).json({
+      status: 'success',
+      data: formatListing(listing),
+    });
+  } catch (error) {
+    logger.error(`Create listing error: ${error.message}`, { stack: error.stack });
+    res.status(StatusCodes.INTERNAL_SERVER_ERROR).json({
+      status: 'error',
+      message: 'Failed to create listing',
+    });
+  }
+};
+
+/**
+ * Admin: Update a listing. Terms can only change while it is a draft; a live
+ * listing's deadline can only be extended.
+ */
+const updateListing = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(StatusCodes.BAD_REQUEST).json({
+        status: 'error',
+        message: 'Validation failed',
+        errors: errors.array(),
+      });
+    }
+
+    const listing = await findListing(req.params.id);
+    if (!listing) {
+      return res.status(StatusCodes.NOT_FOUND).json({
+        status: 'error',
+        message: 'Listing not found',
+      });
+    }
+
+    const {
+      title,
+      totalSharesAvailable,
+      minInvestmentUsd,
+      maxInvestmentUsd,
+      minRaiseUsd,
+      fundingDeadline,
+    } = req.body;
+
+    const updates = {};
+    if (title !== undefined) updates.title = title;
+    if (fundingDeadline !== undefined) updates.funding_deadline = fundingDeadline;
+
+    if (listing.status === 'draft') {
+      if (totalSharesAvailable !== undefined) updates.total_shares_available = totalSharesAvailable;
+      if (minInvestmentUsd !== undefined) updates.min_investment_usd = minInvestmentUsd;
+      if (maxInvestmentUsd !== undefined) updates.max_investment_usd = maxInvestmentUsd;
+      if (minRaiseUsd !== undefined) updates.min_raise_usd = minRaiseUsd;
+
+      const { data: property } = await supabase
+        .from('properties')
+        .select('id, available_shares')
+        .eq('id', listing.property_id)
+        .single();
+
+      const termsError = checkTerms({ ...listing, ...updates }, property);
+      if (termsError) {
+        return res.status(StatusCodes.BAD_REQUEST).json({ status: 'error', message: termsError });
+      }
+    } else if (LIVE_STATUSES.includes(listing.status)) {
+      const termsChanged = [totalSharesAvailable, minInvestmentUsd, maxInvestmentUsd, minRaiseUsd]
+        .some((value) => value !== undefined);
+      if (termsChanged) {
+        return res.status(StatusCodes.BAD_REQUEST).json({
+          status: 'error',
+          message: 'Offering terms cannot change once the listing is open',
+        });
+      }
+
+      if (fundingDeadline !== undefined && !(new Date(fundingDeadline) > new Date(listing.funding_deadline))) {
+        return res.status(StatusCodes.BAD_REQUEST).json({
+          status: 'error',
+          message: 'The funding deadline of an open listing can only be extended',
+        });
+      }
+    } else {
+      return res.status(StatusCodes.BAD_REQUEST).json({
+        status: 'error',
+        message: `Cannot update a ${listing.status} listing`,
+      });
+    }
+
+    if (Object.keys(updates).length === 0) {
+      return res.status(StatusCodes.BAD_REQUEST).json({
+        status: 'error',
+        message: 'No valid fields to update',
+      });
+    }
+
+    const updated = await transitionListing(listing, listing.status, updates);
+    if (!updated) {
+      return res.status(StatusCodes.CONFLICT).json({
+        status: 'error',
+        message: 'Listing changed, please try again',
+      });
+    }
+
+    res.status(StatusCodes.OK).json({
+      status: 'success',
+      data: formatListing(updated),
+    });
+  } catch (error) {
+    logger.error(`Update listing error: ${error.message}`, { stack: error.stack });
+    res.status(StatusCodes.INTERNAL_SERVER_ERROR).json({
+      status: 'error',
+      message: 'Failed to update listing',
+    });
+  }
+};
+
+/**
+ * Admin: Open a draft listing for investment at the property's current price
+ */
+const openListing = async (req, res) => {
+  try {
+    const listing = await findListing(req.params.id);
+    if (!listing) {
+      return res.status(StatusCodes.NOT_FOUND).json({
+        status: 'error',
+        message: 'Listing not found',
+      });
+    }
+
+    if (listing.status !== 'draft') {
+      return res.status(StatusCodes.BAD_REQUEST).json({
+        status: 'error',
+        message: `Cannot open a ${listing.status} listing`,
+      });
+    }
+
+    if (!listing.funding_deadline || new Date(listing.funding_deadline) <= new Date()) {
+      return res.status(StatusCodes.BAD_REQUEST).json({
+        status: 'error',
+        message: 'The listing needs a funding deadline in the future',
+      });
+    }
+
+    const { data: property, error: propertyError } = await supabase
+      .from('properties')
+      .select('id, status, price_per_share, available_shares')
+      .eq('id', listing.property_id)
+      .single();
+
+    if (propertyError || !property) {
+      return res.status(StatusCodes.NOT_FOUND).json({
+        status: 'error',
+        message: 'Property not found',
+      });
+    }
+
+    if (!['draft', 'active'].includes(property.status)) {
+      return res.status(StatusCodes.BAD_REQUEST).json({
+        status: 'error',
+        message: `Cannot offer a ${property.status} property`,
+      });
+    }
+
+    const terms = { ...listing, price_per_share_usd: property.price_per_share };
+    const termsError = checkTerms(terms, property);
+    if (termsError) {
+      return res.status(StatusCodes.BAD_REQUEST).json({ status: 'error', message: termsError });
+    }
+
+    let opened;
+    try {
+      opened = await transitionListing(listing, 'draft', {
+        status: 'open',
+        price_per_share_usd: property.price_per_share,
+        opened_at: new Date().toISOString(),
+      });
+    } catch (error) {
+      // At most one live listing per property
+      if (error.code === '23505') {
+        return res.status(StatusCodes.CONFLICT).json({
+          status: 'error',
+          message: 'The property already has an open listing',
+        });
+      }
+      throw error;
+    }
+
+    if (!opened) {
+      return res.status(StatusCodes.CONFLICT).json({
+        status: 'error',
+        message: 'Listing changed, please try again',
+      });
+    }
+
+    if (property.status === 'draft') {
+      const { error: activateError } = await supabase
+        .from('properties')
+        .update({ status: 'active', updated_at: new Date().toISOString() })
+        .eq('id', property.id);
+
+      if (activateError) {
+        logger.error(`Activate listed property error: ${activateError.message}`, { propertyId: property.id });
+      }
+    }
+
+    res.status(StatusCodes.OK).json({
+      status: 'success',
+      data: formatListing(opened),
+    });
+  } catch (error) {
+    logger.error(`Open listing error: ${error.message}`, { stack: error.stack });
+    res.status(StatusCodes.INTERNAL_SERVER_ERROR).json({
+      status: 'error',
+      message: 'Failed to open listing',
+    });
+  }
+};
+
+/**
+ * Admin: Close a funded listing before its deadline
+ */
+const closeListing = async (req, res) => {
+  try {
+    const listing = await findListing(req.params.id);
+    if (!listing) {
+      return res.status(StatusCodes.NOT_FOUND).json({
+        status: 'error',
+        message: 'Listing not found',
+      });
+    }
+
+    if (listing.status !== 'funded') {
+      return res.status(StatusCodes.BAD_REQUEST).json({
+        status: 'error',
+        message: listing.status === 'open'
+          ? 'The listing has not reached its minimum raise; cancel it to refund investors'
+          : `Cannot close a ${listing.status} listing`,
+      });
+    }
+
+    const closed = await transitionListing(listing, 'funded', {
+      status: 'closed',
+      closed_at: new Date().toISOString(),
+    });
+
+    if (!closed) {
+      return res.status(StatusCodes.CONFLICT).json({
+        status: 'error',
+        message: 'Listing changed, please try again',
+      });
+    }
+
+    res.status(StatusCodes.OK).json({
+      status: 'success',
+      data: formatListing(closed),
+    });
+  } catch (error) {
+    logger.error(`Close listing error: ${error.message}`, { stack: error.stack });
+    res.status(StatusCodes.INTERNAL_SERVER_ERROR).json({
+      status: 'error',
+      message: 'Failed to close listing',
+    });
+  }
+};
+
+/**
+ * Admin: Cancel a listing and refund everyone who invested in it. Refunds
+ * that don't go through now are retried by the listing deadline job.
+ */
+const cancelListing = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(StatusCodes.BAD_REQUEST).json({
+        status: 'error',
+        message: 'Validation failed',
+        errors: errors.array(),
+      });
+    }
+
+    const listing = await findListing(req.params.id);
+    if (!listing) {
+      return res.status(StatusCodes.NOT_FOUND).json({
+        status: 'error',
+        message: 'Listing not found',
+      });
+    }
+
+    if (!['draft', ...LIVE_STATUSES].includes(listing.status)) {
+      return res.status(StatusCodes.BAD_REQUEST).json({
+        status: 'error',
+        message: `Cannot cancel a ${listing.status} listing`,
+      });
+    }
+
+    const cancelled = await transitionListing(listing, listing.status, {
+      status: 'cancelled',
+      cancelled_at: new Date().toISOString(),
+      cancellation_reason: req.body.reason || 'cancelled_by_admin',
+    });
+
+    if (!cancelled) {
+      return res.status(StatusCodes.CONFLICT).json({
+        status: 'error',
+        message: 'Listing changed, please try again',
+      });
+    }
+
+    let refunds = null;
+    try {
+      refunds = await refundListing(cancelled);
+    } catch (refundError) {
+      logger.error(`Refund cancelled listing error: ${refundError.message}`, { listingId: cancelled.listing_id });
+    }
+
+    res.status(StatusCodes.OK).json({
+      status: 'success',
+      data: {
+        ...formatListing(cancelled),
+        refunds,
+      },
+    });
+  } catch (error) {
+    logger.error(`Cancel listing error: ${error.message}`, { stack: error.stack });
+    res.status(StatusCodes.INTERNAL_SERVER_ERROR).json({
+      status: 'error',
+      message: 'Failed to cancel listing',
+    });
+  }
+};
+
+// Helper Functions
+
+async function findListing(listingId) {
+  const { data: listing, error } = await supabase
+    .from('listings')
+    .select('*')
+    .eq('listing_id', listingId)
+    .maybeSingle();
+
+  if (error) {
+    throw new Error(`Failed to fetch listing: ${error.message}`);
+  }
+
+  return listing;
+}
+
+/**
+ * Apply an update only if the listing is still in the expected status.
+ * Returns the updated listing, or null when it changed in the meantime.
+ */
+async function transitionListing(listing, fromStatus, updates) {
+  const { data: updated, error } = await supabase
+    .from('listings')
+    .update({ ...updates, updated_at: new Date().toISOString() })
+    .eq('listing_id', listing.listing_id)
+    .eq('status', fromStatus)
+    .select();
+
+  if (error) {
+    const wrapped = new Error(`Failed to update listing: ${error.message}`);
+    wrapped.code = error.code;
+    throw wrapped;
+  }
+
+  return updated && updated.length > 0 ? updated[0] : null;
+}
+
+/**
+ * Validate a listing's offering terms against the property.
+ * Returns an error message, or null when the terms hold together.
+ */
+function checkTerms(terms, property) {
+  if (property && Number(terms.total_shares_available) > Number(property.available_shares)) {
+    return `Only ${property.available_shares} shares of the property are available`;
+  }
+
+  if (terms.max_investment_usd !== null && terms.max_investment_usd !== undefined
+    && toUnits(terms.max_investment_usd, USD_SCALE) < toUnits(terms.min_investment_usd, USD_SCALE)) {
+    return 'Maximum investment cannot be below the minimum investment';
+  }
+
+  const offeringCents = costInCents(
+    toUnits(terms.total_shares_available, SHARE_SCALE),
+    toUnits(terms.price_per_share_usd, PRICE_SCALE)
+  );
+  if (toUnits(terms.min_raise_usd, USD_SCALE) > offeringCents) {
+    return 'Minimum raise cannot exceed the value of the shares offered';
+  }
+
+  return null;
+}
+
+function isAdminUser(req) {
+  return req.user?.role === 'admin';
+}
+
+/**
+ * Shape a listing for API responses
+ */
+function formatListing(listing) {
+  return {
+    id: listing.listing_id,
+    propertyId: listing.property_id,
+    title: listing.title,
+    status: listing.status,
+    pricePerShareUsd: String(listing.price_per_share_usd),
+    totalSharesAvailable: String(listing.total_shares_available),
+    sharesSold: String(listing.shares_sold),
+    minInvestmentUsd: String(listing.min_investment_usd),
+    maxInvestmentUsd: listing.max_investment_usd != null ? String(listing.max_investment_usd) : null,
+    minRaiseUsd: String(listing.min_raise_usd),
+    raisedUsd: String(listing.raised_usd),
+    minRaiseProgressPercent: percentOf(toUnits(listing.raised_usd, USD_SCALE), toUnits(listing.min_raise_usd, USD_SCALE)),
+    fundingDeadline: listing.funding_deadline,
+    openedAt: listing.opened_at,
+    fundedAt: listing.funded_at,
+    closedAt: listing.closed_at,
+    cancelledAt: listing.cancelled_at,
+    cancellationReason: listing.cancellation_reason,
+    refundsCompletedAt: listing.refunds_completed_at,
+    createdAt: listing.created_at,
+    updatedAt: listing.updated_at,
+  };
+}
+
+module.exports = {
+  getListings,
+  getListing,
+  createListing,
+  updateListing,
+  openListing,
+  closeListing,
+  cancelListing,
+};
@@ -1,91 +1,87 @@
 const { StatusCodes } = require('http-status-codes');
 const { validationResult } = require('express-validator');
-const { logger } = require('../app');
-
-// Mock data for testing
-const mockPortfolio = {
-  totalInvested: 25000,
-  activeInvestments: 5,
-  totalReturns: 1250,
-  portfolioValue: 26250
-};
-
-const mockInvestments = [
-  {
-    id: 'inv_001',
-    propertyId: 'prop_123',
-    propertyName: 'Downtown Apartment Complex',
-    amount: 10000,
-    shares: 100,
-    sharePrice: 100,
-    status: 'active',
-    purchaseDate: '2023-01-15T00:00:00.000Z'
-  },
-  {
-    id: 'inv_002',
-    propertyId: 'prop_456',
-    propertyName: 'Suburban Office Building',
-    amount: 15000,
-    shares: 150,
-    sharePrice: 100,
-    status: 'active',
-    purchaseDate: '2023-02-20T00:00:00.000Z'
-  }
-];
-
-const mockTransactions = [
-  {
-    id: 'txn_001',
-    type: 'investment',
-    amount: 10000,
-    status: 'completed',
-    date: '2023-01-15T10:30:00.000Z',
-    propertyId: 'prop_123',
-    propertyName: 'Downtown Apartment Complex'
-  },
-  {
-    id: 'txn_002',
-    type: 'investment',
-    amount: 15000,
-    status: 'completed',
-    date: '2023-02-20T14:45:00.000Z',
-    propertyId: 'prop_456',
-    propertyName: 'Suburban Office Building'
-  }
-];
-
-const mockDocuments = [
-  {
-    id: 'doc_001',
-    name: 'Investment Agreement - Downtown Apartment Complex.pdf',
-    type: 'agreement',
-    date: '2023-01-15T00:00:00.000Z',
-    size: '2.4 MB'
-  },
-  {
-    id: 'doc_002',
-    name: 'Quarterly Report Q1 2023.pdf',
-    type: 'report',
-    date: '2023-04-01T00:00:00.000Z',
-    size: '1.8 MB'
-  }
-];
-
-const mockWatchlist = [
-  {
-    id: 'prop_789',
-    name: 'Beachfront Condo Development',
-    location: 'Miami, FL',
-    targetReturn: 8.5,
-    minInvestment: 5000
-  }
-];
+const supabase = require('../config/supabase');
+const logger = require('../config/logger');
+const { getWalletBalance } = require('../services/wallet.service');
+const { calculatePortfolioReturns } = require('../services/performance.service');
+const {
+  getOpenLots,
+  getDisposals,
+  formatLot,
+  formatDisposal,
+  summarizeDisposals
+} = require('../services/tax.service');
+const {
+  DOCUMENT_TYPE,
+  generateTaxStatements,
+  downloadDocument
+} = require('../services/statement.service');
+const { notifyUsers } = require('../services/notification.service');
+const { getExporter } = require('../services/export.service');
+const { analyzeDiversification } = require('../services/analytics.service');
+const {
+  getDripSettings,
+  setDripSetting,
+  clearDripOverride
+} = require('../services/drip.service');
+const {
+  SHARE_SCALE,
+  PRICE_SCALE,
+  USD_SCALE,
+  toUnits,
+  fromUnits,
+  costInCents,
+  percentOf
+} = require('../utils/money');
+
+const EXPORT_PAGE_SIZE = 1000;
+
+// Ledger entry types behind each transaction type the API filters on
+const TRANSACTION_TYPES = {
+  investment: ['purchase', 'purchase_void', 'refund', 'chargeback'],
+  reinvestment: ['dividend_reinvestment'],
+  sale: ['sale_proceeds'],
+  dividend: ['dividend'],
+  deposit: ['deposit', 'deposit_reversal'],
+  withdrawal: ['withdrawal', 'withdrawal_reversal', 'investment_withdrawal']
+};
 
 const getPortfolioSummary = async (req, res) => {
   try {
+    const userId = req.user.id;
+    const positions = await getPositions(userId);
+
+    let investedCents = 0n;
+    let valueCents = 0n;
+    for (const position of positions) {
+      investedCents += position.costBasisCents;
+      valueCents += position.currentValueCents;
+    }
+
+    const distributionsCents = await getDistributionsReceivedCents(userId);
+    const returnCents = valueCents - investedCents + distributionsCents;
+    const wallet = await getWalletBalance(userId);
+    const performance = await calculatePortfolioReturns({
+      userId,
+      holdingsValueCents: valueCents,
+      cashCents: toUnits(wallet.availableUsd, USD_SCALE) + toUnits(wallet.heldUsd, USD_SCALE),
+      costBasisCents: investedCents
+    });
+
     res.status(StatusCodes.OK).json({
       status: 'success',
-      data: mockPortfolio
+      data: {
+        totalInvested: fromUnits(investedCents, USD_SCALE),
+        portfolioValue: fromUnits(valueCents, USD_SCALE),
+        unrealizedGain: fromUnits(valueCents - investedCents, USD_SCALE),
+        distributionsReceived: fromUnits(distributionsCents, USD_SCALE),
+        totalReturns: fromUnits(returnCents, USD_SCALE),
+        roiPercent: percentOf(returnCents, investedCents),
+        activeInvestments: positions.length,
+        cashBalance: wallet.availableUsd,
+        performance,
+        holdings: positions.map(formatPosition)
+      }
     });
   } catch (error) {
     logger.error('Error getting portfolio summary:', error);
@@ -98,12 +94,51 @@ const getPortfolioSummary = async (req, res) => {
 
 const getPortfolioPerformance = async (req, res) => {
   try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(StatusCodes.BAD_REQUEST).json({
+        status: 'error',
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
     const { period = 'all' } = req.query;
-    const performanceData = {
-      labels: ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun'],
-      values: [10000, 15000, 18000, 21000, 23500, 26250]
-    };
-    res.status(StatusCodes.OK).json(performanceData);
+    const since = periodStart(period);
+
+    let query = supabase
+      .from('portfolio_snapshots')
+      .select('snapshot_date, holdings_value_usd, cash_usd, total_value_usd, net_contributions_usd, distributions_usd')
+      .eq('user_id', req.user.id);
+
+    if (since) {
+      query = query.gte('snapshot_date', since);
+    }
+
+    const { data: snapshots, error } = await query.order('snapshot_date', { ascending: true });
+
+    if (error) {
+      throw new Error(`Failed to fetch portfolio snapshots: ${error.message}`);
+    }
+
+    const rows = snapshots || [];
+    const granularity = chooseGranularity(since || rows[0]?.snapshot_date, rows[rows.length - 1]?.snapshot_date);
+    const points = downsample(rows, granularity).map(snapshot => ({
+      date: snapshot.snapshot_date,
+      totalValue: snapshot.total_value_usd,
+      holdingsValue: snapshot.holdings_value_usd,
+      cash: snapshot.cash_usd,
+      netContributions: snapshot.net_contributions_usd,
+      distributions: snapshot.distributions_usd
+    }));
+
+    res.status(StatusCodes.OK).json({
+      period,
+      granularity,
+      labels: points.map(point => point.date),
+      values: points.map(point => Number(point.totalValue)),
+      points
+    });
   } catch (error) {
     logger.error('Error getting portfolio performance:', error);
     res.status(StatusCodes.INTERNAL_SERVER_ERROR).json({
@@ -115,25 +150,58 @@ const getPortfolioPerformance = async (req, res) => {
 
 const getInvestments = async (req, res) => {
   try {
-    const { status, page = 1, limit = 10 } = req.query;
-    
-    let filteredInvestments = [...mockInvestments];
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(StatusCodes.BAD_REQUEST).json({
+        status: 'error',
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { status } = req.query;
+    const page = Number(req.query.page) || 1;
+    const limit = Number(req.query.limit) || 10;
+    const offset = (page - 1) * limit;
+
+    let query = supabase
+      .from('investments')
+      .select('id, property_id, shares, amount, status, payment_status, created_at, completed_at', { count: 'exact' })
+      .eq('user_id', req.user.id);
+
     if (status) {
-      filteredInvestments = filteredInvestments.filter(inv => inv.status === status);
+      query = query.eq('status', status);
+    }
+
+    const { data: investments, count, error } = await query
+      .order('created_at', { ascending: false })
+      .range(offset, offset + limit - 1);
+
+    if (error) {
+      throw new Error(`Failed to fetch investments: ${error.message}`);
     }
 
-    const start = (page - 1) * limit;
-    const end = start + parseInt(limit);
-    const paginatedInvestments = filteredInvestments.slice(start, end);
+    const properties = await getPropertiesById((investments || []).map(inv => inv.property_id));
 
     res.status(StatusCodes.OK).json({
       status: 'success',
-      data: paginatedInvestments,
+      data: (investments || []).map(inv => ({
+        id: inv.id,
+        propertyId: inv.property_id,
+        propertyName: properties[inv.property_id]?.title || null,
+        amount: inv.amount,
+        shares: inv.shares,
+        sharePrice: averagePrice(inv.amount, inv.shares),
+        currentSharePrice: properties[inv.property_id]?.price_per_share ?? null,
+        status: inv.status,
+        paymentStatus: inv.payment_status,
+        purchaseDate: inv.completed_at || inv.created_at
+      })),
       pagination: {
-        total: filteredInvestments.length,
-        page: Number(page),
-        limit: Number(limit),
-        totalPages: Math.ceil(filteredInvestments.length / limit)
+        total: count || 0,
+        page,
+        limit,
+        totalPages: Math.ceil((count || 0) / limit)
       }
     });
   } catch (error) {
@@ -147,25 +215,47 @@ const getInvestments = async (req, res) => {
 
 const getTransactions = async (req, res) => {
   try {
-    const { type, page = 1, limit = 10 } = req.query;
-    
-    let filteredTransactions = [...mockTransactions];
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(StatusCodes.BAD_REQUEST).json({
+        status: 'error',
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { type } = req.query;
+    const page = Number(req.query.page) || 1;
+    const limit = Number(req.query.limit) || 10;
+    const offset = (page - 1) * limit;
+
+    let query = supabase
+      .from('user_transactions')
+      .select('*', { count: 'exact' })
+      .eq('user_id', req.user.id);
+
     if (type && type !== 'all') {
-      filteredTransactions = filteredTransactions.filter(tx => tx.type === type);
+      query = query.in('entry_type', TRANSACTION_TYPES[type]);
     }
 
-    const start = (page - 1) * limit;
-    const end = start + parseInt(limit);
-    const paginatedTransactions = filteredTransactions.slice(start, end);
+    const { data: entries, count, error } = await query
+      .order('created_at', { ascending: false })
+      .range(offset, offset + limit - 1);
+
+    if (error) {
+      throw new Error(`Failed to fetch transactions: ${error.message}`);
+    }
+
+    const properties = await getPropertiesById((entries || []).map(entry => entry.property_id));
 
     res.status(StatusCodes.OK).json({
       status: 'success',
-      data: paginatedTransactions,
+      data: (entries || []).map(entry => formatTransaction(entry, properties)),
       pagination: {
-        total: filteredTransactions.length,
-        page: Number(page),
-        limit: Number(limit),
-        totalPages: Math.ceil(filteredTransactions.length / limit)
+        total: count || 0,
+        page,
+        limit,
+        totalPages: Math.ceil((count || 0) / limit)
       }
     });
   } catch (error) {
@@ -177,11 +267,259 @@ const getTransactions = async (req, res) => {
   }
 };
 
+const exportTransactions = async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(StatusCodes.BAD_REQUEST).json({
+      status: 'error',
+      message: 'Validation failed',
+      errors: errors.array()
+    });
+  }
+
+  const userId = req.user.id;
+  const { format = 'csv', from, to } = req.query;
+  const exporter = getExporter(format);
+  const now = new Date();
+
+  // A date-only `to` includes that whole day
+  const until = to && /^\d{4}-\d{2}-\d{2}$/.test(to)
+    ? new Date(Date.parse(`${to}T00:00:00Z`) + 24 * 60 * 60 * 1000)
+    : to && new Date(Date.parse(to) + 1);
+
+  const fetchPage = (offset) => {
+    let query = supabase
+      .from('user_transactions')
+      .select('*')
+      .eq('user_id', userId);
+
+    if (from) {
+      query = query.gte('created_at', new Date(from).toISOString());
+    }
+    if (until) {
+      query = query.lt('created_at', until.toISOString());
+    }
+
+    return query
+      .order('created_at', { ascending: true })
+      .order('entry_id', { ascending: true })
+      .range(offset, offset + EXPORT_PAGE_SIZE - 1);
+  };
+
+  try {
+    const [firstPage, wallet] = await Promise.all([fetchPage(0), getWalletBalance(userId)]);
+    if (firstPage.error) {
+      throw new Error(`Failed to fetch transactions: ${firstPage.error.message}`);
+    }
+
+    const fileName = `transactions-${now.toISOString().slice(0, 10)}.${exporter.extension}`;
+    res.status(StatusCodes.OK);
+    res.type(exporter.contentType);
+    res.set('Content-Disposition', `attachment; filename="${fileName}"`);
+    res.write(exporter.header({
+      userId,
+      from: from || firstPage.data[0]?.created_at || now,
+      to: until ? new Date(Math.min(until - 1, now)) : now
+    }));
+
+    const properties = {};
+    let page = firstPage.data || [];
+    let offset = 0;
+    while (page.length > 0) {
+      const missing = page.map(entry => entry.property_id).filter(id => id && !(id in properties));
+      Object.assign(properties, await getPropertiesById(missing));
+
+      res.write(page.map(entry => exporter.row(formatTransaction(entry, properties))).join(''));
+
+      if (page.length < EXPORT_PAGE_SIZE) {
+        break;
+      }
+      offset += EXPORT_PAGE_SIZE;
+      const { data, error } = await fetchPage(offset);
+      if (error) {
+        throw new Error(`Failed to fetch transactions: ${error.message}`);
+      }
+      page = data || [];
+    }
+
+    res.end(exporter.footer({ balance: wallet.availableUsd, asOf: now }));
+  } catch (error) {
+    logger.error('Error exporting transactions:', error);
+    if (res.headersSent) {
+      // Part of the file is already out; cut the download short so it isn't mistaken for a complete export
+      return res.destroy(error);
+    }
+    res.status(StatusCodes.INTERNAL_SERVER_ERROR).json({
+      status: 'error',
+      message: 'Error exporting transactions'
+    });
+  }
+};
+
+const getDiversification = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(StatusCodes.BAD_REQUEST).json({
+        status: 'error',
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const userId = req.user.id;
+    const [positions, lots] = await Promise.all([getPositions(userId), getOpenLots(userId)]);
+
+    // Lots come oldest first, so the first one per property is when the investor bought in
+    const firstAcquired = {};
+    lots.forEach(lot => {
+      firstAcquired[lot.property_id] = firstAcquired[lot.property_id] || lot.acquired_at;
+    });
+
+    const analytics = analyzeDiversification(
+      positions.map(position => ({
+        propertyId: position.propertyId,
+        property: position.property,
+        valueCents: position.currentValueCents,
+        acquiredAt: firstAcquired[position.propertyId] || null
+      })),
+      { topN: req.query.topN || 3 }
+    );
+
+    res.status(StatusCodes.OK).json({
+      status: 'success',
+      data: analytics
+    });
+  } catch (error) {
+    logger.error('Error getting portfolio diversification:', error);
+    res.status(StatusCodes.INTERNAL_SERVER_ERROR).json({
+      status: 'error',
+      message: 'Error fetching portfolio diversification'
+    });
+  }
+};
+
+const getGains = async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const now = new Date();
+    const [lots, disposals] = await Promise.all([
+      getOpenLots(userId),
+      getDisposals(userId)
+    ]);
+    const properties = await getPropertiesById(lots.map(lot => lot.property_id));
+
+    const openLots = lots.map(lot => ({
+      ...formatLot(lot, properties[lot.property_id]?.price_per_share, now),
+      propertyName: properties[lot.property_id]?.title || null
+    }));
+
+    const unrealized = { short: 0n, long: 0n };
+    let costCents = 0n;
+    let valueCents = 0n;
+    openLots.forEach(lot => {
+      const gainCents = toUnits(lot.unrealizedGain, USD_SCALE);
+      unrealized[lot.term] += gainCents;
+      costCents += toUnits(lot.costBasis, USD_SCALE);
+      valueCents += toUnits(lot.currentValue, USD_SCALE);
+    });
+
+    res.status(StatusCodes.OK).json({
+      status: 'success',
+      data: {
+        unrealized: {
+          costBasis: fromUnits(costCents, USD_SCALE),
+          currentValue: fromUnits(valueCents, USD_SCALE),
+          shortTerm: fromUnits(unrealized.short, USD_SCALE),
+          longTerm: fromUnits(unrealized.long, USD_SCALE),
+          total: fromUnits(valueCents - costCents, USD_SCALE),
+          totalPercent: percentOf(valueCents - costCents, costCents)
+        },
+        realized: summarizeDisposals(disposals),
+        lots: openLots,
+        asOf: now.toISOString()
+      }
+    });
+  } catch (error) {
+    logger.error('Error getting portfolio gains:', error);
+    res.status(StatusCodes.INTERNAL_SERVER_ERROR).json({
+      status: 'error',
+      message: 'Error fetching portfolio gains'
+    });
+  }
+};
+
+const getRealizedGains = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(StatusCodes.BAD_REQUEST).json({
+        status: 'error',
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const year = req.query.year || new Date().getUTCFullYear();
+    const { propertyId } = req.query;
+    const disposals = await getDisposals(req.user.id, { year, propertyId });
+    const properties = await getPropertiesById(disposals.map(disposal => disposal.property_id));
+
+    res.status(StatusCodes.OK).json({
+      status: 'success',
+      data: {
+        year,
+        summary: summarizeDisposals(disposals),
+        disposals: disposals.map(disposal => ({
+          ...formatDisposal(disposal),
+          propertyName: properties[disposal.property_id]?.title || null
+        }))
+      }
+    });
+  } catch (error) {
+    logger.error('Error getting realized gains:', error);
+    res.status(StatusCodes.INTERNAL_SERVER_ERROR).json({
+      status: 'error',
+      message: 'Error fetching realized gains'
+    });
+  }
+};
+
 const getDocuments = async (req, res) => {
   try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(StatusCodes.BAD_REQUEST).json({
+        status: 'error',
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { type = 'all', year } = req.query;
+    const [propertyDocuments, statements] = await Promise.all([
+      type === 'all' || type === 'property' ? getPropertyDocuments(req.user.id) : [],
+      type === 'all' || type === DOCUMENT_TYPE ? getUserDocuments(req.user.id, { year }) : []
+    ]);
+
+    const documents = [
+      ...propertyDocuments,
+      ...statements.map(doc => ({
+        id: doc.document_id,
+        name: doc.name,
+        type: doc.document_type,
+        format: doc.format,
+        taxYear: doc.tax_year,
+        url: `${req.baseUrl}/documents/${doc.document_id}/download`,
+        date: doc.generated_at,
+        propertyId: null,
+        propertyName: null
+      }))
+    ].sort((a, b) => new Date(b.date) - new Date(a.date));
+
     res.status(StatusCodes.OK).json({
       status: 'success',
-      data: mockDocuments
+      data: documents
     });
   } catch (error) {
     logger.error('Error getting documents:', error);
@@ -192,11 +530,110 @@ const getDocuments = async (req, res) => {
   }
 };
 
+const downloadUserDocument = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(StatusCodes.BAD_REQUEST).json({
+        status: 'error',
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { data: document, error } = await supabase
+      .from('user_documents')
+      .select('*')
+      .eq('document_id', req.params.documentId)
+      .eq('user_id', req.user.id)
+      .maybeSingle();
+
+    if (error) {
+      throw new Error(`Failed to fetch document: ${error.message}`);
+    }
+
+    if (!document) {
+      return res.status(StatusCodes.NOT_FOUND).json({
+        status: 'error',
+        message: 'Document not found'
+      });
+    }
+
+    const content = await downloadDocument(document);
+    const fileName = document.storage_path.split('/').pop();
+
+    res
+      .status(StatusCodes.OK)
+      .type(document.content_type)
+      .set('Content-Disposition', `attachment; filename="${fileName}"`)
+      .send(content);
+  } catch (error) {
+    logger.error('Error downloading document:', error);
+    res.status(StatusCodes.INTERNAL_SERVER_ERROR).json({
+      status: 'error',
+      message: 'Error downloading document'
+    });
+  }
+};
+
+const regenerateTaxStatements = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(StatusCodes.BAD_REQUEST).json({
+        status: 'error',
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { year } = req.params;
+    const result = await generateTaxStatements(year, { userId: req.body.userId });
+
+    if (result.failed.length > 0) {
+      logger.error(`Tax statement generation failed for ${result.failed.length} users`, { year, failed: result.failed });
+    }
+
+    await notifyUsers(result.generated, {
+      title: `Your ${year} tax statement is ready`,
+      body: `Your annual investor statement for ${year} has been updated in your documents.`,
+      type: 'tax_statement'
+    });
+
+    res.status(StatusCodes.OK).json({
+      status: 'success',
+      data: {
+        taxYear: result.taxYear,
+        generated: result.generated.length,
+        failed: result.failed
+      }
+    });
+  } catch (error) {
+    logger.error('Error regenerating tax statements:', error);
+    res.status(StatusCodes.INTERNAL_SERVER_ERROR).json({
+      status: 'error',
+      message: 'Error regenerating tax statements'
+    });
+  }
+};
+
 const getWatchlist = async (req, res) => {
   try {
+    const { data: items, error } = await supabase
+      .from('watchlist_items')
+      .select('*, alerts:watchlist_alerts(*)')
+      .eq('user_id', req.user.id)
+      .order('created_at', { ascending: false });
+
+    if (error) {
+      throw new Error(`Failed to fetch watchlist: ${error.message}`);
+    }
+
+    const properties = await getPropertiesById((items || []).map(item => item.property_id));
+
     res.status(StatusCodes.OK).json({
       status: 'success',
-      data: mockWatchlist
+      data: (items || []).map(item => formatWatchlistItem(item, properties[item.property_id]))
     });
   } catch (error) {
     logger.error('Error getting watchlist:', error);
@@ -209,11 +646,57 @@ const getWatchlist = async (req, res) => {
 
 const addToWatchlist = async (req, res) => {
   try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(StatusCodes.BAD_REQUEST).json({
+        status: 'error',
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
     const { propertyId } = req.params;
-    // In a real app, you would add the property to the user's watchlist in the database
-    res.status(StatusCodes.CREATED).json({
+    const properties = await getPropertiesById([propertyId]);
+    if (!properties[propertyId]) {
+      return res.status(StatusCodes.NOT_FOUND).json({
+        status: 'error',
+        message: 'Property not found'
+      });
+    }
+
+    const { data: existing, error: existingError } = await supabase
+      .from('watchlist_items')
+      .select('*')
+      .eq('user_id', req.user.id)
+      .eq('property_id', propertyId)
+      .maybeSingle();
+
+    if (existingError) {
+      throw new Error(`Failed to fetch watchlist item: ${existingError.message}`);
+    }
+
+    let item = existing;
+    if (!item) {
+      const { data: created, error } = await supabase
+        .from('watchlist_items')
+        .insert([{ user_id: req.user.id, property_id: propertyId }])
+        .select()
+        .single();
+
+      if (error) {
+        throw new Error(`Failed to add watchlist item: ${error.message}`);
+      }
+      item = created;
+    }
+
+    const alerts = req.body.alerts
+      ? await replaceWatchlistAlerts(item.watchlist_item_id, req.body.alerts)
+      : await getWatchlistAlerts(item.watchlist_item_id);
+
+    res.status(existing ? StatusCodes.OK : StatusCodes.CREATED).json({
       status: 'success',
-      message: 'Property added to watchlist'
+      message: existing ? 'Property is already on your watchlist' : 'Property added to watchlist',
+      data: formatWatchlistItem({ ...item, alerts }, properties[propertyId])
     });
   } catch (error) {
     logger.error('Error adding to watchlist:', error);
@@ -224,10 +707,82 @@ const addToWatchlist = async (req, res) => {
   }
 };
 
-const removeFromWatchlist = async (req, res) => {
+const updateWatchlistAlerts = async (req, res) => {
   try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(StatusCodes.BAD_REQUEST).json({
+        status: 'error',
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
     const { propertyId } = req.params;
-    // In a real app, you would remove the property from the user's watchlist in the database
+    const { data: item, error } = await supabase
+      .from('watchlist_items')
+      .select('*')
+      .eq('user_id', req.user.id)
+      .eq('property_id', propertyId)
+      .maybeSingle();
+
+    if (error) {
+      throw new Error(`Failed to fetch watchlist item: ${error.message}`);
+    }
+
+    if (!item) {
+      return res.status(StatusCodes.NOT_FOUND).json({
+        status: 'error',
+        message: 'Property is not on your watchlist'
+      });
+    }
+
+    const alerts = await replaceWatchlistAlerts(item.watchlist_item_id, req.body.alerts);
+    const properties = await getPropertiesById([propertyId]);
+
+    res.status(StatusCodes.OK).json({
+      status: 'success',
+      data: formatWatchlistItem({ ...item, alerts }, properties[propertyId])
+    });
+  } catch (error) {
+    logger.error('Error updating watchlist alerts:', error);
+    res.status(StatusCodes.INTERNAL_SERVER_ERROR).json({
+      status: 'error',
+      message: 'Error updating watchlist alerts'
+    });
+  }
+};
+
+const removeFromWatchlist = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(StatusCodes.BAD_REQUEST).json({
+        status: 'error',
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    // Alerts are removed with the item (ON DELETE CASCADE)
+    const { data: removed, error } = await supabase
+      .from('watchlist_items')
+      .delete()
+      .eq('user_id', req.user.id)
+      .eq('property_id', req.params.propertyId)
+      .select();
+
+    if (error) {
+      throw new Error(`Failed to remove watchlist item: ${error.message}`);
+    }
+
+    if (!removed || removed.length === 0) {
+      return res.status(StatusCodes.NOT_FOUND).json({
+        status: 'error',
+        message: 'Property is not on your watchlist'
+      });
+    }
+
     res.status(StatusCodes.OK).json({
       status: 'success',
       message: 'Property removed from watchlist'
@@ -241,13 +796,462 @@ const removeFromWatchlist = async (req, res) => {
   }
 };
 
+const getReinvestmentSettings = async (req, res) => {
+  try {
+    const settings = await getDripSettings(req.user.id);
+
+    const { data: holdings, error } = await supabase
+      .from('holdings')
+      .select('property_id')
+      .eq('user_id', req.user.id)
+      .gt('share_quantity', 0)
+      .not('property_id', 'is', null);
+
+    if (error) {
+      throw new Error(`Failed to fetch holdings: ${error.message}`);
+    }
+
+    // Held properties plus any with an override, e.g. set before buying in
+    const propertyIds = [...new Set([
+      ...(holdings || []).map(holding => holding.property_id),
+      ...Object.keys(settings.overrides)
+    ])];
+    const properties = await getPropertiesById(propertyIds);
+
+    res.status(StatusCodes.OK).json({
+      status: 'success',
+      data: {
+        enabled: settings.enabled,
+        holdings: propertyIds.map(propertyId => ({
+          propertyId,
+          propertyName: properties[propertyId]?.title || null,
+          setting: settings.overrides[propertyId] ?? null,
+          enabled: settings.overrides[propertyId] ?? settings.enabled
+        }))
+      }
+    });
+  } catch (error) {
+    logger.error('Error fetching reinvestment settings:', error);
+    res.status(StatusCodes.INTERNAL_SERVER_ERROR).json({
+      status: 'error',
+      message: 'Error fetching reinvestment settings'
+    });
+  }
+};
+
+const updateReinvestmentSettings = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(StatusCodes.BAD_REQUEST).json({
+        status: 'error',
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { propertyId } = req.params;
+    if (propertyId) {
+      const properties = await getPropertiesById([propertyId]);
+      if (!properties[propertyId]) {
+        return res.status(StatusCodes.NOT_FOUND).json({
+          status: 'error',
+          message: 'Property not found'
+        });
+      }
+    }
+
+    const setting = await setDripSetting(req.user.id, { propertyId, enabled: req.body.enabled });
+
+    res.status(StatusCodes.OK).json({
+      status: 'success',
+      message: `Distributions ${setting.enabled ? 'will be reinvested' : 'will be paid in cash'}${propertyId ? ' for this property' : ' by default'}`,
+      data: {
+        propertyId: setting.property_id,
+        enabled: setting.enabled,
+        updatedAt: setting.updated_at
+      }
+    });
+  } catch (error) {
+    logger.error('Error updating reinvestment settings:', error);
+    res.status(StatusCodes.INTERNAL_SERVER_ERROR).json({
+      status: 'error',
+      message: 'Error updating reinvestment settings'
+    });
+  }
+};
+
+const clearHoldingReinvestment = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(StatusCodes.BAD_REQUEST).json({
+        status: 'error',
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const removed = await clearDripOverride(req.user.id, req.params.propertyId);
+    if (!removed) {
+      return res.status(StatusCodes.NOT_FOUND).json({
+        status: 'error',
+        message: 'No reinvestment setting for this property'
+      });
+    }
+
+    res.status(StatusCodes.OK).json({
+      status: 'success',
+      message: 'Property now follows your default reinvestment setting'
+    });
+  } catch (error) {
+    logger.error('Error removing reinvestment setting:', error);
+    res.status(StatusCodes.INTERNAL_SERVER_ERROR).json({
+      status: 'error',
+      message: 'Error removing reinvestment setting'
+    });
+  }
+};
+
+// Helper Functions
+
+/**
+ * Shape a user_transactions row for API responses and exports
+ */
+function formatTransaction(entry, properties) {
+  return {
+    id: entry.entry_id,
+    type: Object.keys(TRANSACTION_TYPES).find(key => TRANSACTION_TYPES[key].includes(entry.entry_type)) || entry.entry_type,
+    entryType: entry.entry_type,
+    amount: entry.amount_usd,
+    fee: entry.fee_usd,
+    shares: Number(entry.shares) !== 0 ? entry.shares : null,
+    status: 'completed',
+    date: entry.created_at,
+    propertyId: entry.property_id,
+    propertyName: properties[entry.property_id]?.title || null,
+    description: entry.description,
+    referenceId: entry.reference_id
+  };
+}
+
+/**
+ * Get the user's open positions valued at each property's latest share price
+ */
+async function getPositions(userId) {
+  const { data: holdings, error } = await supabase
+    .from('holdings')
+    .select('property_id, share_quantity, average_cost_basis_usd, last_updated_at')
+    .eq('user_id', userId)
+    .gt('share_quantity', 0)
+    .not('property_id', 'is', null);
+
+  if (error) {
+    throw new Error(`Failed to fetch holdings: ${error.message}`);
+  }
+
+  const properties = await getPropertiesById((holdings || []).map(holding => holding.property_id));
+
+  return (holdings || []).map(holding => {
+    const property = properties[holding.property_id] || {};
+    const shareUnits = toUnits(holding.share_quantity, SHARE_SCALE);
+    const costBasisCents = costInCents(shareUnits, toUnits(holding.average_cost_basis_usd, PRICE_SCALE));
+    const currentValueCents = property.price_per_share != null
+      ? costInCents(shareUnits, toUnits(property.price_per_share, PRICE_SCALE))
+      : costBasisCents;
+
+    return {
+      propertyId: holding.property_id,
+      property,
+      shareUnits,
+      averageCost: holding.average_cost_basis_usd,
+      costBasisCents,
+      currentValueCents,
+      lastUpdatedAt: holding.last_updated_at
+    };
+  });
+}
+
+/**
+ * First snapshot date (YYYY-MM-DD) included in a performance period, null for all history
+ */
+function periodStart(period, now = new Date()) {
+  const months = { '1m': 1, '3m': 3, '6m': 6, '1y': 12 }[period];
+  if (!months) {
+    return null;
+  }
+
+  const start = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth() - months, now.getUTCDate()));
+  return start.toISOString().slice(0, 10);
+}
+
+/**
+ * Pick the chart granularity for a date range: daily up to ~3 months, weekly up to a year, monthly beyond
+ */
+function chooseGranularity(from, to) {
+  if (!from || !to) {
+    return 'daily';
+  }
+
+  const days = (Date.parse(to) - Date.parse(from)) / (24 * 60 * 60 * 1000);
+  if (days <= 92) {
+    return 'daily';
+  }
+  return days <= 366 ? 'weekly' : 'monthly';
+}
+
+/**
+ * Keep the last snapshot of each week (starting Monday) or month; snapshots must be in date order
+ */
+function downsample(snapshots, granularity) {
+  if (granularity === 'daily') {
+    return snapshots;
+  }
+
+  const bucketOf = (date) => {
+    if (granularity === 'monthly') {
+      return date.slice(0, 7);
+    }
+    const day = new Date(`${date}T00:00:00Z`);
+    day.setUTCDate(day.getUTCDate() - ((day.getUTCDay() + 6) % 7));
+    return day.toISOString().slice(0, 10);
+  };
+
+  const buckets = new Map();
+  snapshots.forEach(snapshot => buckets.set(bucketOf(snapshot.snapshot_date), snapshot));
+  return [...buckets.values()];
+}
+
+/**
+ * Shape a position for API responses
+ */
+function formatPosition(position) {
+  return {
+    propertyId: position.propertyId,
+    propertyName: position.property.title || null,
+    propertyStatus: position.property.status || null,
+    shares: fromUnits(position.shareUnits, SHARE_SCALE),
+    averageCost: String(position.averageCost),
+    currentSharePrice: position.property.price_per_share != null ? String(position.property.price_per_share) : null,
+    costBasis: fromUnits(position.costBasisCents, USD_SCALE),
+    currentValue: fromUnits(position.currentValueCents, USD_SCALE),
+    unrealizedGain: fromUnits(position.currentValueCents - position.costBasisCents, USD_SCALE),
+    roiPercent: percentOf(position.currentValueCents - position.costBasisCents, position.costBasisCents),
+    lastUpdatedAt: position.lastUpdatedAt
+  };
+}
+
+/**
+ * Price paid per share for an investment, or null without shares
+ */
+function averagePrice(amount, shares) {
+  const shareUnits = toUnits(shares, SHARE_SCALE);
+  if (shareUnits <= 0n) {
+    return null;
+  }
+
+  return fromUnits(toUnits(amount, PRICE_SCALE) * 10n ** BigInt(SHARE_SCALE) / shareUnits, PRICE_SCALE);
+}
+
+/**
+ * Total distributions paid to the user, in cents
+ */
+async function getDistributionsReceivedCents(userId) {
+  const { data: payouts, error } = await supabase
+    .from('distribution_payouts')
+    .select('amount_usd')
+    .eq('user_id', userId);
+
+  if (error) {
+    throw new Error(`Failed to fetch distributions: ${error.message}`);
+  }
+
+  return (payouts || []).reduce((sum, payout) => sum + toUnits(payout.amount_usd, USD_SCALE), 0n);
+}
+
+/**
+ * Documents for every property the user holds or has held, shaped for API responses
+ */
+async function getPropertyDocuments(userId) {
+  const { data: holdings, error: holdingsError } = await supabase
+    .from('holdings')
+    .select('property_id')
+    .eq('user_id', userId)
+    .not('property_id', 'is', null);
+
+  if (holdingsError) {
+    throw new Error(`Failed to fetch holdings: ${holdingsError.message}`);
+  }
+
+  const propertyIds = [...new Set((holdings || []).map(holding => holding.property_id))];
+  if (propertyIds.length === 0) {
+    return [];
+  }
+
+  const { data: documents, error } = await supabase
+    .from('property_documents')
+    .select('*')
+    .in('property_id', propertyIds)
+    .order('created_at', { ascending: false });
+
+  if (error) {
+    throw new Error(`Failed to fetch documents: ${error.message}`);
+  }
+
+  const properties = await getPropertiesById(propertyIds);
+
+  return (documents || []).map(doc => ({
+    id: doc.id,
+    name: doc.name,
+    type: doc.type,
+    url: doc.url,
+    date: doc.created_at,
+    propertyId: doc.property_id,
+    propertyName: properties[doc.property_id]?.title || null
+  }));
+}
+
+/**
+ * Tax statements generated for the user, optionally for one tax year
+ */
+async function getUserDocuments(userId, { year } = {}) {
+  let query = supabase
+    .from('user_documents')
+    .select('document_id, document_type, tax_year, format, name, storage_path, generated_at')
+    .eq('user_id', userId)
+    .eq('document_type', DOCUMENT_TYPE);
+
+  if (year) {
+    query = query.eq('tax_year', year);
+  }
+
+  const { data: documents, error } = await query.order('tax_year', { ascending: false });
+
+  if (error) {
+    throw new Error(`Failed to fetch statements: ${error.message}`);
+  }
+
+  return documents || [];
+}
+
+/**
+ * Alert rules of a watchlist item
+ */
+async function getWatchlistAlerts(watchlistItemId) {
+  const { data: alerts, error } = await supabase
+    .from('watchlist_alerts')
+    .select('*')
+    .eq('watchlist_item_id', watchlistItemId)
+    .order('created_at', { ascending: true });
+
+  if (error) {
+    throw new Error(`Failed to fetch watchlist alerts: ${error.message}`);
+  }
+
+  return alerts || [];
+}
+
+/**
+ * Replace the alert rules of a watchlist item
+ */
+async function replaceWatchlistAlerts(watchlistItemId, alerts) {
+  const { error: deleteError } = await supabase
+    .from('watchlist_alerts')
+    .delete()
+    .eq('watchlist_item_id', watchlistItemId);
+
+  if (deleteError) {
+    throw new Error(`Failed to clear watchlist alerts: ${deleteError.message}`);
+  }
+
+  if (alerts.length === 0) {
+    return [];
+  }
+
+  const { data: created, error } = await supabase
+    .from('watchlist_alerts')
+    .insert(alerts.map(alert => ({
+      watchlist_item_id: watchlistItemId,
+      alert_type: alert.type,
+      threshold: alert.threshold ?? null,
+      is_enabled: alert.enabled ?? true
+    })))
+    .select();
+
+  if (error) {
+    throw new Error(`Failed to save watchlist alerts: ${error.message}`);
+  }
+
+  return created || [];
+}
+
+/**
+ * Shape a watchlist item and its alerts for API responses
+ */
+function formatWatchlistItem(item, property = {}) {
+  const totalUnits = property.total_shares != null ? toUnits(property.total_shares, SHARE_SCALE) : 0n;
+  const soldUnits = totalUnits > 0n ? totalUnits - toUnits(property.available_shares ?? 0, SHARE_SCALE) : 0n;
+
+  return {
+    id: item.watchlist_item_id,
+    propertyId: item.property_id,
+    propertyName: property.title || null,
+    city: property.city || null,
+    state: property.state || null,
+    propertyType: property.property_type || null,
+    propertyStatus: property.status || null,
+    pricePerShare: property.price_per_share != null ? String(property.price_per_share) : null,
+    annualYield: property.annual_yield != null ? String(property.annual_yield) : null,
+    fundedPercent: percentOf(soldUnits, totalUnits),
+    addedAt: item.created_at,
+    alerts: (item.alerts || []).map(alert => ({
+      id: alert.alert_id,
+      type: alert.alert_type,
+      threshold: alert.threshold != null ? String(alert.threshold) : null,
+      enabled: alert.is_enabled,
+      lastTriggeredAt: alert.last_triggered_at
+    }))
+  };
+}
+
+/**
+ * Fetch properties by id in one query, keyed by id
+ */
+async function getPropertiesById(ids) {
+  const uniqueIds = [...new Set(ids.filter(Boolean))];
+  if (uniqueIds.length === 0) {
+    return {};
+  }
+
+  const { data: properties, error } = await supabase
+    .from('properties')
+    .select('id, title, city, state, country, property_type, status, price_per_share, annual_yield, hold_period_months, total_shares, available_shares')
+    .in('id', uniqueIds);
+
+  if (error) {
+    throw new Error(`Failed to fetch properties: ${error.message}`);
+  }
+
+  return Object.fromEntries((properties || []).map(property => [property.id, property]));
+}
+
 module.exports = {
   getPortfolioSummary,
   getPortfolioPerformance,
   getInvestments,
   getTransactions,
+  exportTransactions,
+  getDiversification,
+  getGains,
+  getRealizedGains,
   getDocuments,
+  downloadUserDocument,
+  regenerateTaxStatements,
   getWatchlist,
   addToWatchlist,
-  removeFromWatchlist
+  updateWatchlistAlerts,
+  removeFromWatchlist,
+  getReinvestmentSettings,
+  updateReinvestmentSettings,
+  clearHoldingReinvestment
 };
\ No newline at end of file
@@ -2,99 +2,75 @@ const { StatusCodes } = require('http-status-codes');
 const { validationResult } = require('express-validator');
 const { v4: uuidv4 } = require('uuid');
 const supabase = require('../config/supabase');
-const { logger } = require('../app');
+const logger = require('../config/logger');
+const { searchProperties, loadProperties } = require('../services/propertySearch.service');
+const { storeImage, storeDocument, removeStoredFiles } = require('../services/media.service');
+const financialsService = require('../services/financials.service');
 
 /**
- * Get all properties with pagination and filtering
+ * Search properties by keyword, location and distance, with cursor (or page)
+ * pagination, filtering and facet counts
  */
 const getAllProperties = async (req, res) => {
   try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(StatusCodes.BAD_REQUEST).json({
+        status: 'error',
+        message: 'Validation failed',
+        errors: errors.array(),
+      });
+    }
+
     const {
       page = 1,
       limit = 10,
-      status,
-      propertyType,
-      minYield,
-      maxYield,
-      minPrice,
-      maxPrice,
-      sortBy = 'createdAt',
+      after,
+      sortBy,
       order = 'desc',
+      ...filters
     } = req.query;
 
-    // Calculate pagination
-    const offset = (page - 1) * limit;
-
-    // Build query
-    let query = supabase
-      .from('properties')
-      .select('*', { count: 'exact' });
-
-    // Apply filters
-    if (status) {
-      query = query.eq('status', status);
-    }
-
-    if (propertyType) {
-      query = query.eq('property_type', propertyType);
-    }
-
-    if (minYield) {
-      query = query.gte('annual_yield', minYield);
-    }
-
-    if (maxYield) {
-      query = query.lte('annual_yield', maxYield);
-    }
-
-    if (minPrice) {
-      query = query.gte('price_per_share', minPrice);
-    }
-
-    if (maxPrice) {
-      query = query.lte('price_per_share', maxPrice);
-    }
-
-    // Apply sorting
-    if (sortBy) {
-      query = query.order(sortBy, { ascending: order === 'asc' });
+    let search;
+    try {
+      search = await searchProperties(filters, { sortBy, order, page, limit, after });
+    } catch (error) {
+      if (error.code === 'invalid_cursor') {
+        return res.status(StatusCodes.BAD_REQUEST).json({
+          status: 'error',
+          message: 'Invalid cursor for this search; start again without after=',
+        });
+      }
+      throw error;
     }
 
-    // Apply pagination
-    query = query.range(offset, offset + limit - 1);
+    // Images and funding stats for the whole page come from one batch of queries
+    const propertiesById = await loadProperties(search.matches.map((match) => match.propertyId));
 
-    // Execute query
-    const { data: properties, count, error } = await query;
-
-    if (error) {
-      logger.error(`Error fetching properties: ${error.message}`);
-      throw new Error('Failed to fetch properties');
-    }
-
-    // Get property images and other related data if needed
-    const propertiesWithImages = await Promise.all(
-      properties.map(async (property) => {
-        const { data: images } = await supabase
-          .from('property_images')
-          .select('id, url, is_primary')
-          .eq('property_id', property.id)
-          .order('is_primary', { ascending: false });
-
-        return {
-          ...property,
-          images: images || [],
-        };
-      })
-    );
+    // Keep the search order; the rows come back unordered
+    const properties = search.matches
+      .filter((match) => propertiesById.has(match.propertyId))
+      .map((match) => ({
+        ...propertiesById.get(match.propertyId),
+        ...(match.rank !== null && { relevance: match.rank }),
+        ...(match.distanceMiles !== null && { distanceMiles: match.distanceMiles }),
+      }));
 
     res.status(StatusCodes.OK).json({
       status: 'success',
-      data: propertiesWithImages,
+      data: properties,
+      facets: search.facets,
+      sortBy: search.sortBy,
       pagination: {
-        total: count || 0,
-        page: parseInt(page, 10),
+        total: search.total,
         limit: parseInt(limit, 10),
-        totalPages: Math.ceil((count || 0) / limit),
+        nextCursor: search.nextCursor,
+        hasMore: search.nextCursor !== null,
+        // Page numbers only apply to offset paging; cursor pages reuse the first page's total
+        ...(!after && {
+          page: parseInt(page, 10),
+          totalPages: Math.ceil(search.total / limit),
+        }),
       },
     });
   } catch (error) {
@@ -126,6 +102,7 @@ const getPropertyById = async (req, res) => {
         message: 'Property not found',
       });
     }
+    delete property.search_vector;
 
     // Get property images
     const { data: images } = await supabase
@@ -310,12 +287,23 @@ const updateProperty = async (req, res) => {
     }
 
     const { id } = req.params;
+
+    // Repricing goes through valuations so every price change keeps its history
+    const repricingFields = ['pricePerShare', 'totalValue', 'price_per_share', 'total_value'];
+    if (repricingFields.some((field) => req.body[field] !== undefined)) {
+      return res.status(StatusCodes.BAD_REQUEST).json({
+        status: 'error',
+        message: 'Share price and total value are set by recording a valuation (POST /api/properties/:id/valuations)',
+      });
+    }
+
     const updateData = { ...req.body, updated_at: new Date().toISOString() };
 
     // Remove read-only fields
     delete updateData.id;
     delete updateData.created_at;
     delete updateData.created_by;
+    delete updateData.search_vector;
 
     // Update property in database
     const { data: property, error } = await supabase
@@ -370,6 +358,12 @@ const deleteProperty = async (req, res) => {
       });
     }
 
+    // Note the stored files before the records go
+    const [{ data: images }, { data: documents }] = await Promise.all([
+      supabase.from('property_images').select('storage_path, variants').eq('property_id', id),
+      supabase.from('property_documents').select('storage_path').eq('property_id', id),
+    ]);
+
     // Delete property
     const { error } = await supabase
       .from('properties')
@@ -386,9 +380,14 @@ const deleteProperty = async (req, res) => {
       supabase.from('property_images').delete().eq('property_id', id),
       supabase.from('property_documents').delete().eq('property_id', id),
       supabase.from('property_financials').delete().eq('property_id', id),
+      supabase.from('property_financial_periods').delete().eq('property_id', id),
       supabase.from('property_updates').delete().eq('property_id', id),
     ]);
 
+    await removeStoredFiles([...(images || []), ...(documents || [])]).catch((removeError) => {
+      logger.error(`Remove property files error: ${removeError.message}`, { propertyId: id });
+    });
+
     res.status(StatusCodes.NO_CONTENT).send();
   } catch (error) {
     logger.error(`Delete property error: ${error.message}`, { stack: error.stack });
@@ -400,12 +399,28 @@ const deleteProperty = async (req, res) => {
 };
 
 /**
- * Upload property images (Admin only)
+ * Upload property images (Admin only). Accepts image files as multipart
+ * form data (field "images", with "primaryIndex" naming the primary one), or
+ * JSON { images: [{ url, isPrimary }] } for images hosted elsewhere.
  */
 const uploadPropertyImages = async (req, res) => {
+  const stored = [];
+
   try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(StatusCodes.BAD_REQUEST).json({
+        status: 'error',
+        message: 'Validation failed',
+        errors: errors.array(),
+      });
+    }
+
     const { id } = req.params;
-    const { images } = req.body; // Array of { url, isPrimary }
+    const uploads = req.files || [];
+    const images = uploads.length > 0
+      ? uploads.map((file, index) => ({ file, isPrimary: Number(req.body.primaryIndex) === index }))
+      : req.body.images; // Array of { url, isPrimary }
 
     if (!images || !Array.isArray(images) || images.length === 0) {
       return res.status(StatusCodes.BAD_REQUEST).json({
@@ -414,6 +429,19 @@ const uploadPropertyImages = async (req, res) => {
       });
     }
 
+    if (!(await propertyExists(id))) {
+      return res.status(StatusCodes.NOT_FOUND).json({
+        status: 'error',
+        message: 'Property not found',
+      });
+    }
+
+    // Store uploaded files (one at a time, to bound memory) with their renditions
+    for (const image of images.filter((img) => img.file)) {
+      image.stored = await storeImage(id, image.file);
+      stored.push(image.stored);
+    }
+
     // If any image is marked as primary, unset current primary
     const hasNewPrimary = images.some((img) => img.isPrimary);
     if (hasNewPrimary) {
@@ -427,8 +455,9 @@ const uploadPropertyImages = async (req, res) => {
     // Prepare image records
     const imageRecords = images.map((img) => ({
       id: uuidv4(),
-      property_id: id,
       url: img.url,
+      ...img.stored,
+      property_id: id,
       is_primary: img.isPrimary || false,
       created_at: new Date().toISOString(),
     }));
@@ -449,6 +478,15 @@ const uploadPropertyImages = async (req, res) => {
       data: insertedImages,
     });
   } catch (error) {
+    await removeStoredFiles(stored).catch((removeError) => {
+      logger.error(`Remove uploaded images error: ${removeError.message}`);
+    });
+
+    const uploadError = mapUploadError(error);
+    if (uploadError) {
+      return res.status(uploadError.statusCode).json(uploadError.body);
+    }
+
     logger.error(`Upload property images error: ${error.message}`, { stack: error.stack });
     res.status(StatusCodes.INTERNAL_SERVER_ERROR).json({
       status: 'error',
@@ -490,6 +528,11 @@ const deletePropertyImage = async (req, res) => {
       throw new Error('Failed to delete image');
     }
 
+    // Delete the stored original and renditions
+    await removeStoredFiles([image]).catch((removeError) => {
+      logger.error(`Remove image files error: ${removeError.message}`, { imageId });
+    });
+
     // If deleted image was primary, set another image as primary if available
     if (image.is_primary) {
       const { data: otherImages } = await supabase
@@ -517,29 +560,56 @@ const deletePropertyImage = async (req, res) => {
 };
 
 /**
- * Upload property document (Admin only)
+ * Upload property document (Admin only). Accepts the file as multipart form
+ * data (field "document", with "name" and "type"), or JSON { name, url, type }
+ * for documents hosted elsewhere.
  */
 const uploadPropertyDocument = async (req, res) => {
+  let stored = null;
+
   try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(StatusCodes.BAD_REQUEST).json({
+        status: 'error',
+        message: 'Validation failed',
+        errors: errors.array(),
+      });
+    }
+
     const { id } = req.params;
-    const { name, url, type = 'other' } = req.body;
+    const [file] = req.files || [];
+    const { url, type = 'other' } = req.body;
+    const name = req.body.name || (file && file.originalname);
 
-    if (!name || !url) {
+    if (!name || (!url && !file)) {
       return res.status(StatusCodes.BAD_REQUEST).json({
         status: 'error',
-        message: 'Document name and URL are required',
+        message: 'Document name and a file or URL are required',
+      });
+    }
+
+    if (!(await propertyExists(id))) {
+      return res.status(StatusCodes.NOT_FOUND).json({
+        status: 'error',
+        message: 'Property not found',
       });
     }
 
+    if (file) {
+      stored = await storeDocument(id, file);
+    }
+
     // Insert document
     const { data: document, error } = await supabase
       .from('property_documents')
       .insert([
         {
           id: uuidv4(),
+          url,
+          ...stored,
           property_id: id,
           name,
-          url,
           type,
           created_at: new Date().toISOString(),
         },
@@ -557,6 +627,17 @@ const uploadPropertyDocument = async (req, res) => {
       data: document,
     });
   } catch (error) {
+    if (stored) {
+      await removeStoredFiles([stored]).catch((removeError) => {
+        logger.error(`Remove uploaded document error: ${removeError.message}`);
+      });
+    }
+
+    const uploadError = mapUploadError(error);
+    if (uploadError) {
+      return res.status(uploadError.statusCode).json(uploadError.body);
+    }
+
     logger.error(`Upload property document error: ${error.message}`, { stack: error.stack });
     res.status(StatusCodes.INTERNAL_SERVER_ERROR).json({
       status: 'error',
@@ -598,7 +679,10 @@ const deletePropertyDocument = async (req, res) => {
       throw new Error('Failed to delete document');
     }
 
-    // TODO: Delete the actual file from storage if needed
+    // Delete the stored file
+    await removeStoredFiles([document]).catch((removeError) => {
+      logger.error(`Remove document file error: ${removeError.message}`, { documentId: docId });
+    });
 
     res.status(StatusCodes.NO_CONTENT).send();
   } catch (error) {
@@ -611,23 +695,30 @@ const deletePropertyDocument = async (req, res) => {
 };
 
 /**
- * Get property financials
+ * Get property financials: the operating statement of every period with its
+ * derived metrics (NOI, cap rate, cash-on-cash, DSCR), optionally within a
+ * date range, and trailing-twelve-month totals and metrics
  */
 const getPropertyFinancials = async (req, res) => {
   try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(StatusCodes.BAD_REQUEST).json({
+        status: 'error',
+        message: 'Validation failed',
+        errors: errors.array(),
+      });
+    }
+
     const { id } = req.params;
+    const { from, to } = req.query;
 
-    // Get financials
-    const { data: financials, error } = await supabase
-      .from('property_financials')
-      .select('*')
-      .eq('property_id', id)
-      .single();
+    const financials = await financialsService.getPropertyFinancials(id, { from, to });
 
-    if (error || !financials) {
+    if (!financials) {
       return res.status(StatusCodes.NOT_FOUND).json({
         status: 'error',
-        message: 'Financials not found for this property',
+        message: 'Property not found',
       });
     }
 
@@ -645,51 +736,51 @@ const getPropertyFinancials = async (req, res) => {
 };
 
 /**
- * Update property financials (Admin only)
+ * Record a period's operating statement (Admin only). Recording the same
+ * period again replaces its figures.
  */
 const updatePropertyFinancials = async (req, res) => {
   try {
-    const { id } = req.params;
-    const updateData = req.body;
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(StatusCodes.BAD_REQUEST).json({
+        status: 'error',
+        message: 'Validation failed',
+        errors: errors.array(),
+      });
+    }
 
-    // Check if property exists
-    const { data: property, error: propError } = await supabase
-      .from('properties')
-      .select('id')
-      .eq('id', id)
-      .single();
+    const { id } = req.params;
 
-    if (propError || !property) {
+    if (!(await propertyExists(id))) {
       return res.status(StatusCodes.NOT_FOUND).json({
         status: 'error',
         message: 'Property not found',
       });
     }
 
-    // Update or insert financials
-    const { data: financials, error } = await supabase
-      .from('property_financials')
-      .upsert(
-        {
-          ...updateData,
-          property_id: id,
-          updated_at: new Date().toISOString(),
-        },
-        { onConflict: 'property_id' }
-      )
-      .select()
-      .single();
-
-    if (error) {
-      logger.error(`Update property financials error: ${error.message}`);
-      throw new Error('Failed to update property financials');
-    }
+    const period = await financialsService.recordFinancialPeriod(id, req.body, req.user.id);
 
     res.status(StatusCodes.OK).json({
       status: 'success',
-      data: financials,
+      data: period,
     });
   } catch (error) {
+    if (error.code === 'invalid_period') {
+      return res.status(StatusCodes.BAD_REQUEST).json({
+        status: 'error',
+        message: error.details,
+      });
+    }
+
+    if (error.code === 'overlapping_period') {
+      return res.status(StatusCodes.CONFLICT).json({
+        status: 'error',
+        message: 'Period overlaps a period already on record',
+        period: error.details,
+      });
+    }
+
     logger.error(`Update property financials error: ${error.message}`, { stack: error.stack });
     res.status(StatusCodes.INTERNAL_SERVER_ERROR).json({
       status: 'error',
@@ -698,6 +789,41 @@ const updatePropertyFinancials = async (req, res) => {
   }
 };
 
+/**
+ * Delete a period's operating statement (Admin only)
+ */
+const deletePropertyFinancialPeriod = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(StatusCodes.BAD_REQUEST).json({
+        status: 'error',
+        message: 'Validation failed',
+        errors: errors.array(),
+      });
+    }
+
+    const { id, periodId } = req.params;
+
+    const deleted = await financialsService.deleteFinancialPeriod(id, periodId);
+
+    if (!deleted) {
+      return res.status(StatusCodes.NOT_FOUND).json({
+        status: 'error',
+        message: 'Financial period not found',
+      });
+    }
+
+    res.status(StatusCodes.NO_CONTENT).send();
+  } catch (error) {
+    logger.error(`Delete financial period error: ${error.message}`, { stack: error.stack });
+    res.status(StatusCodes.INTERNAL_SERVER_ERROR).json({
+      status: 'error',
+      message: 'Failed to delete financial period',
+    });
+  }
+};
+
 /**
  * Get property updates
  */
@@ -797,6 +923,271 @@ const addPropertyUpdate = async (req, res) => {
   }
 };
 
+/**
+ * Get a property's valuation history, oldest first, optionally within a date
+ * range. With asOf, also returns the share price in effect on that date.
+ */
+const getPropertyValuations = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(StatusCodes.BAD_REQUEST).json({
+        status: 'error',
+        message: 'Validation failed',
+        errors: errors.array(),
+      });
+    }
+
+    const { id } = req.params;
+    const { from, to, asOf } = req.query;
+
+    const { data: property, error: propError } = await supabase
+      .from('properties')
+      .select('id, price_per_share, total_value, total_shares')
+      .eq('id', id)
+      .single();
+
+    if (propError || !property) {
+      return res.status(StatusCodes.NOT_FOUND).json({
+        status: 'error',
+        message: 'Property not found',
+      });
+    }
+
+    let query = supabase
+      .from('property_valuations')
+      .select('*')
+      .eq('property_id', id);
+
+    if (from) {
+      query = query.gte('valuation_date', from);
+    }
+    if (to) {
+      query = query.lte('valuation_date', to);
+    }
+
+    const { data: valuations, error } = await query
+      .order('valuation_date', { ascending: true })
+      .order('created_at', { ascending: true });
+
+    if (error) {
+      logger.error(`Get property valuations error: ${error.message}`);
+      throw new Error('Failed to fetch property valuations');
+    }
+
+    let pointInTime;
+    if (asOf) {
+      const { data: price, error: priceError } = await supabase
+        .rpc('property_price_at', { p_property_id: id, p_date: asOf });
+
+      if (priceError) {
+        logger.error(`Get property price error: ${priceError.message}`);
+        throw new Error('Failed to fetch property price');
+      }
+
+      pointInTime = { date: asOf, pricePerShare: price != null ? String(price) : null };
+    }
+
+    res.status(StatusCodes.OK).json({
+      status: 'success',
+      data: {
+        propertyId: id,
+        pricePerShare: String(property.price_per_share),
+        totalValue: property.total_value != null ? String(property.total_value) : null,
+        ...(pointInTime && { asOf: pointInTime }),
+        valuations: (valuations || []).map(formatValuation),
+      },
+    });
+  } catch (error) {
+    logger.error(`Get property valuations error: ${error.message}`, { stack: error.stack });
+    res.status(StatusCodes.INTERNAL_SERVER_ERROR).json({
+      status: 'error',
+      message: 'Failed to fetch property valuations',
+    });
+  }
+};
+
+/**
+ * Record a property valuation (Admin only). The latest valuation reprices the
+ * property's shares at its NAV per share; prior prices are kept in the history.
+ */
+const recordPropertyValuation = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(StatusCodes.BAD_REQUEST).json({
+        status: 'error',
+        message: 'Validation failed',
+        errors: errors.array(),
+      });
+    }
+
+    const { id } = req.params;
+    const {
+      valuationDate,
+      valueUsd,
+      source,
+      appraiser,
+      documentId,
+      document,
+      notes,
+    } = req.body;
+
+    let supportingDocumentId = documentId || null;
+
+    if (documentId) {
+      const { data: existing, error: docError } = await supabase
+        .from('property_documents')
+        .select('id')
+        .eq('id', documentId)
+        .eq('property_id', id)
+        .maybeSingle();
+
+      if (docError || !existing) {
+        return res.status(StatusCodes.NOT_FOUND).json({
+          status: 'error',
+          message: 'Supporting document not found for this property',
+        });
+      }
+    } else if (document) {
+      // File the report with the property's documents so investors can see it
+      supportingDocumentId = uuidv4();
+      const { error: docError } = await supabase
+        .from('property_documents')
+        .insert([
+          {
+            id: supportingDocumentId,
+            property_id: id,
+            name: document.name,
+            url: document.url,
+            type: 'appraisal',
+            created_at: new Date().toISOString(),
+          },
+        ]);
+
+      if (docError) {
+        logger.error(`Create valuation document error: ${docError.message}`);
+        throw new Error('Failed to save supporting document');
+      }
+    }
+
+    const { data: valuation, error } = await supabase
+      .rpc('record_property_valuation', {
+        p_property_id: id,
+        p_valuation_date: valuationDate,
+        p_value_usd: valueUsd,
+        p_source: source,
+        p_appraiser: appraiser || null,
+        p_document_id: supportingDocumentId,
+        p_notes: notes || null,
+        p_recorded_by: req.user.id,
+      })
+      .single();
+
+    if (error) {
+      const mapped = mapValuationError(error);
+      if (mapped) {
+        return res.status(mapped.statusCode).json(mapped.body);
+      }
+
+      logger.error(`Record property valuation error: ${error.message}`);
+      throw new Error('Failed to record property valuation');
+    }
+
+    res.status(StatusCodes.CREATED).json({
+      status: 'success',
+      message: valuation.is_current
+        ? `Shares repriced at ${valuation.nav_per_share}`
+        : 'Valuation recorded in the history; a later valuation sets the current price',
+      data: formatValuation(valuation),
+    });
+  } catch (error) {
+    logger.error(`Record property valuation error: ${error.message}`, { stack: error.stack });
+    res.status(StatusCodes.INTERNAL_SERVER_ERROR).json({
+      status: 'error',
+      message: 'Failed to record property valuation',
+    });
+  }
+};
+
+// Helper Functions
+
+async function propertyExists(propertyId) {
+  const { data: property } = await supabase
+    .from('properties')
+    .select('id')
+    .eq('id', propertyId)
+    .maybeSingle();
+
+  return Boolean(property);
+}
+
+/**
+ * Map rejected uploads (see media.service) to API responses
+ */
+function mapUploadError(error) {
+  const statusCodes = {
+    unsupported_file_type: StatusCodes.UNSUPPORTED_MEDIA_TYPE,
+    invalid_image: StatusCodes.BAD_REQUEST,
+  };
+
+  const statusCode = statusCodes[error.code];
+  if (!statusCode) {
+    return null;
+  }
+
+  return {
+    statusCode,
+    body: { status: 'error', message: error.message },
+  };
+}
+
+/**
+ * Map errors raised by record_property_valuation to API responses
+ */
+function mapValuationError(error) {
+  const responses = {
+    property_not_found: [StatusCodes.NOT_FOUND, 'Property not found'],
+    invalid_valuation_date: [StatusCodes.BAD_REQUEST, 'Valuation date cannot be in the future'],
+    property_has_no_shares: [StatusCodes.BAD_REQUEST, 'Property has no shares to price'],
+    invalid_valuation: [StatusCodes.BAD_REQUEST, 'Valuation is too small to price the shares'],
+  };
+
+  const response = responses[error.message];
+  if (!response) {
+    return null;
+  }
+
+  const [statusCode, message] = response;
+  return {
+    statusCode,
+    body: { status: 'error', message },
+  };
+}
+
+/**
+ * Shape a valuation for API responses
+ */
+function formatValuation(valuation) {
+  return {
+    id: valuation.valuation_id,
+    propertyId: valuation.property_id,
+    valuationDate: valuation.valuation_date,
+    valueUsd: String(valuation.value_usd),
+    navPerShare: String(valuation.nav_per_share),
+    totalShares: String(valuation.total_shares),
+    previousPricePerShare: valuation.previous_price_per_share != null ? String(valuation.previous_price_per_share) : null,
+    previousValueUsd: valuation.previous_value_usd != null ? String(valuation.previous_value_usd) : null,
+    source: valuation.source,
+    appraiser: valuation.appraiser,
+    documentId: valuation.document_id,
+    notes: valuation.notes,
+    isCurrent: valuation.is_current,
+    recordedBy: valuation.recorded_by,
+    createdAt: valuation.created_at,
+  };
+}
+
 module.exports = {
   getAllProperties,
   getPropertyById,
@@ -809,6 +1200,9 @@ module.exports = {
   deletePropertyDocument,
   getPropertyFinancials,
   updatePropertyFinancials,
+  deletePropertyFinancialPeriod,
   getPropertyUpdates,
   addPropertyUpdate,
+  getPropertyValuations,
+  recordPropertyValuation,
 };
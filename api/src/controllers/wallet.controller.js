@@ -0,0 +1,370 @@
+const { StatusCodes } = require('http-status-codes');
+const { validationResult } = require('express-validator');
+const { v4: uuidv4 } = require('uuid');
+const supabase = require('../config/supabase');
+const logger = require('../config/logger');
+const { getPaymentProvider } = require('../services/payments');
+const { notifyUsers, notifyAdmins } = require('../services/notification.service');
+const { getWalletBalance, settleDeposit, settleWithdrawal } = require('../services/wallet.service');
+const { USD_SCALE, toUnits, fromUnits } = require('../utils/money');
+
+/**
+ * Get the user's wallet balance and most recent activity
+ */
+const getWallet = async (req, res) => {
+  try {
+    const balance = await getWalletBalance(req.user.id);
+
+    const { data: entries, error } = await supabase
+      .from('wallet_entries')
+      .select('*')
+      .eq('user_id', req.user.id)
+      .order('created_at', { ascending: false })
+      .limit(10);
+
+    if (error) {
+      logger.error(`Get wallet entries error: ${error.message}`);
+      throw new Error('Failed to fetch wallet entries');
+    }
+
+    res.status(StatusCodes.OK).json({
+      status: 'success',
+      data: {
+        ...balance,
+        recentEntries: entries || [],
+      },
+    });
+  } catch (error) {
+    logger.error(`Get wallet error: ${error.message}`, { stack: error.stack });
+    res.status(StatusCodes.INTERNAL_SERVER_ERROR).json({
+      status: 'error',
+      message: 'Failed to fetch wallet',
+    });
+  }
+};
+
+/**
+ * Get the user's wallet activity
+ */
+const getWalletEntries = async (req, res) => {
+  try {
+    const { type } = req.query;
+    const page = parseInt(req.query.page, 10) || 1;
+    const limit = parseInt(req.query.limit, 10) || 20;
+    const offset = (page - 1) * limit;
+
+    let query = supabase
+      .from('wallet_entries')
+      .select('*', { count: 'exact' })
+      .eq('user_id', req.user.id);
+
+    if (type) {
+      query = query.eq('entry_type', type);
+    }
+
+    const { data: entries, count, error } = await query
+      .order('created_at', { ascending: false })
+      .range(offset, offset + limit - 1);
+
+    if (error) {
+      logger.error(`Get wallet entries error: ${error.message}`);
+      throw new Error('Failed to fetch wallet entries');
+    }
+
+    res.status(StatusCodes.OK).json({
+      status: 'success',
+      data: entries || [],
+      pagination: {
+        total: count || 0,
+        page,
+        limit,
+        totalPages: Math.ceil((count || 0) / limit),
+      },
+    });
+  } catch (error) {
+    logger.error(`Get wallet entries error: ${error.message}`, { stack: error.stack });
+    res.status(StatusCodes.INTERNAL_SERVER_ERROR).json({
+      status: 'error',
+      message: 'Failed to fetch wallet activity',
+    });
+  }
+};
+
+/**
+ * Fund the wallet from a card
+ */
+const createDeposit = async (req, res) => {
+  try {
+    // Validate request body
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(StatusCodes.BAD_REQUEST).json({
+        status: 'error',
+        message: 'Validation failed',
+        errors: errors.array(),
+      });
+    }
+
+    const { amountUsd, paymentMethodId } = req.body;
+    const userId = req.user.id;
+    const amountCents = toUnits(amountUsd, USD_SCALE);
+    const depositId = uuidv4();
+    const payments = getPaymentProvider();
+
+    const { error: insertError } = await supabase
+      .from('wallet_deposits')
+      .insert([
+        {
+          deposit_id: depositId,
+          user_id: userId,
+          amount_usd: fromUnits(amountCents, USD_SCALE),
+          status: 'pending',
+          payment_provider: payments.name,
+          created_at: new Date().toISOString(),
+          updated_at: new Date().toISOString(),
+        },
+      ]);
+
+    if (insertError) {
+      logger.error(`Create deposit error: ${insertError.message}`);
+      throw new Error('Failed to create deposit');
+    }
+
+    const charge = {
+      amountCents: Number(amountCents),
+      paymentMethodId,
+      customerId: userId,
+      description: `Wallet deposit ${depositId}`,
+      metadata: { depositId, userId },
+      idempotencyKey: depositId,
+    };
+
+    let paymentIntent;
+    try {
+      paymentIntent = await payments.charge(charge);
+    } catch (error) {
+      if (error.code !== 'payment_timeout') {
+        throw error;
+      }
+
+      // The outcome is unknown: look the charge up by its idempotency key
+      paymentIntent = await payments
+        .findByIdempotencyKey(depositId, { ...charge, captureMethod: 'automatic' })
+        .catch((lookupError) => {
+          logger.error(`Deposit payment lookup error: ${lookupError.message}`, { depositId });
+          return null;
+        });
+
+      if (!paymentIntent) {
+        // Still unknown; the payment webhook settles the deposit (matched by its metadata)
+        return res.status(StatusCodes.GATEWAY_TIMEOUT).json({
+          status: 'error',
+          message: 'Payment provider did not respond, please check your wallet shortly',
+          depositId,
+        });
+      }
+    }
+
+    await supabase
+      .from('wallet_deposits')
+      .update({
+        payment_intent_id: paymentIntent.id,
+        updated_at: new Date().toISOString(),
+      })
+      .eq('deposit_id', depositId);
+
+    if (paymentIntent.status === 'failed') {
+      await settleDeposit(depositId, 'failed');
+      return res.status(StatusCodes.PAYMENT_REQUIRED).json({
+        status: 'error',
+        message: paymentIntent.failureMessage || 'Payment was declined',
+        declineCode: paymentIntent.failureCode,
+      });
+    }
+
+    if (paymentIntent.status !== 'succeeded') {
+      // Waiting on 3-D Secure or the processor; the payment webhook completes it
+      return res.status(StatusCodes.ACCEPTED).json({
+        status: 'success',
+        data: {
+          depositId,
+          status: 'pending',
+          amountUsd: fromUnits(amountCents, USD_SCALE),
+          nextAction: paymentIntent.nextAction,
+        },
+      });
+    }
+
+    const deposit = await settleDeposit(depositId, 'completed');
+
+    res.status(StatusCodes.CREATED).json({
+      status: 'success',
+      data: {
+        ...deposit,
+        wallet: await getWalletBalance(userId),
+      },
+    });
+  } catch (error) {
+    logger.error(`Create deposit error: ${error.message}`, { stack: error.stack, userId: req.user?.id });
+    res.status(StatusCodes.INTERNAL_SERVER_ERROR).json({
+      status: 'error',
+      message: 'Failed to process deposit',
+    });
+  }
+};
+
+/**
+ * Withdraw available cash to a linked bank account
+ */
+const createWithdrawal = async (req, res) => {
+  try {
+    // Validate request body
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(StatusCodes.BAD_REQUEST).json({
+        status: 'error',
+        message: 'Validation failed',
+        errors: errors.array(),
+      });
+    }
+
+    const { amountUsd, bankAccountId } = req.body;
+    const userId = req.user.id;
+
+    // Get bank account
+    const { data: bankAccount, error: bankError } = await supabase
+      .from('bank_accounts')
+      .select('id')
+      .eq('id', bankAccountId)
+      .eq('user_id', userId)
+      .single();
+
+    if (bankError || !bankAccount) {
+      return res.status(StatusCodes.BAD_REQUEST).json({
+        status: 'error',
+        message: 'Invalid bank account',
+      });
+    }
+
+    // Debit the wallet and create the withdrawal request in one database transaction
+    const withdrawalId = uuidv4();
+    const { error: withdrawError } = await supabase
+      .rpc('wallet_withdraw', {
+        p_withdrawal_id: withdrawalId,
+        p_user_id: userId,
+        p_amount: fromUnits(toUnits(amountUsd, USD_SCALE), USD_SCALE),
+        p_bank_account_id: bankAccountId,
+      })
+      .single();
+
+    if (withdrawError) {
+      if (withdrawError.message === 'insufficient_funds') {
+        return res.status(StatusCodes.BAD_REQUEST).json({
+          status: 'error',
+          message: 'Insufficient wallet balance for withdrawal',
+          availableUsd: withdrawError.details,
+        });
+      }
+
+      logger.error(`Wallet withdraw error: ${withdrawError.message}`);
+      throw new Error('Failed to create withdrawal request');
+    }
+
+    await notifyAdmins({
+      title: 'Withdrawal requested',
+      body: `A withdrawal of $${fromUnits(toUnits(amountUsd, USD_SCALE), USD_SCALE)} is waiting for review.`,
+      type: 'withdrawal',
+    });
+
+    res.status(StatusCodes.CREATED).json({
+      status: 'success',
+      data: {
+        id: withdrawalId,
+        amountUsd: fromUnits(toUnits(amountUsd, USD_SCALE), USD_SCALE),
+        bankAccountId,
+        status: 'pending',
+        wallet: await getWalletBalance(userId),
+      },
+    });
+  } catch (error) {
+    logger.error(`Create withdrawal error: ${error.message}`, { stack: error.stack, userId: req.user?.id });
+    res.status(StatusCodes.INTERNAL_SERVER_ERROR).json({
+      status: 'error',
+      message: 'Failed to process withdrawal request',
+    });
+  }
+};
+
+/**
+ * Admin: Mark a wallet withdrawal paid out, rejected or failed. Rejected and
+ * failed withdrawals are credited back to the wallet.
+ */
+const updateWithdrawalStatus = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(StatusCodes.BAD_REQUEST).json({
+        status: 'error',
+        message: 'Validation failed',
+        errors: errors.array(),
+      });
+    }
+
+    const { withdrawalId } = req.params;
+    const { status } = req.body;
+
+    let withdrawal;
+    try {
+      withdrawal = await settleWithdrawal(withdrawalId, status);
+    } catch (error) {
+      if (error.message === 'withdrawal_not_found') {
+        return res.status(StatusCodes.NOT_FOUND).json({
+          status: 'error',
+          message: 'Withdrawal not found',
+        });
+      }
+      if (error.message === 'invalid_withdrawal_transition') {
+        return res.status(StatusCodes.CONFLICT).json({
+          status: 'error',
+          message: `Withdrawal cannot move from ${error.details} to ${status}`,
+        });
+      }
+      throw error;
+    }
+
+    const amountUsd = fromUnits(toUnits(withdrawal.amount, USD_SCALE), USD_SCALE);
+    await notifyUsers([withdrawal.user_id], status === 'completed'
+      ? {
+        title: 'Withdrawal sent',
+        body: `Your withdrawal of $${amountUsd} has been sent to your bank account.`,
+        type: 'withdrawal',
+      }
+      : {
+        title: 'Withdrawal returned',
+        body: `Your withdrawal of $${amountUsd} could not be paid out and is back in your wallet.`,
+        type: 'withdrawal',
+      });
+
+    res.status(StatusCodes.OK).json({
+      status: 'success',
+      data: withdrawal,
+    });
+  } catch (error) {
+    logger.error(`Settle withdrawal error: ${error.message}`, {
+      stack: error.stack,
+      withdrawalId: req.params.withdrawalId,
+    });
+    res.status(StatusCodes.INTERNAL_SERVER_ERROR).json({
+      status: 'error',
+      message: 'Failed to update withdrawal status',
+    });
+  }
+};
+
+module.exports = {
+  getWallet,
+  getWalletEntries,
+  createDeposit,
+  createWithdrawal,
+  updateWithdrawalStatus,
+};
@@ -1,6 +1,7 @@
 require('dotenv').config({ path: './envfile.env' });
 const { app, logger } = require('./app');
 const { StatusCodes } = require('http-status-codes');
+const { startJobs, stopJobs } = require('./jobs');
 
 const PORT = process.env.PORT || 5000;
 
@@ -10,6 +11,9 @@ const server = app.listen(PORT, () => {
   console.log(`Server is running on port ${PORT}`);
 });
 
+// Start background jobs
+startJobs();
+
 // Handle unhandled promise rejections
 process.on('unhandledRejection', (err) => {
   logger.error(`Error: ${err.message}`, { stack: err.stack });
@@ -31,6 +35,7 @@ process.on('uncaughtException', (err) => {
 // Handle SIGTERM signal for graceful shutdown
 process.on('SIGTERM', () => {
   logger.info('SIGTERM received. Shutting down gracefully');
+  stopJobs();
   server.close(() => {
     logger.info('Process terminated');
     process.exit(0);
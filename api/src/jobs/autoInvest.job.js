@@ -0,0 +1,20 @@
+const logger = require('../config/logger');
+const { runDuePlans } = require('../services/autoInvest.service');
+
+/**
+ * Execute the auto-invest plans due today. Safe to rerun: each plan's run for
+ * a date is claimed once, so a second pass only picks up plans it missed.
+ */
+async function runAutoInvest(now = new Date()) {
+  const result = await runDuePlans(now);
+
+  if (result.errors.length > 0) {
+    logger.error(`Auto-invest failed for ${result.errors.length} plans`, { errors: result.errors });
+  }
+
+  return { plans: result.plans, ...result.runs, errors: result.errors.length };
+}
+
+module.exports = {
+  runAutoInvest,
+};
@@ -0,0 +1,44 @@
+const logger = require('../config/logger');
+const { payDueDistributions, reinvestPaidDistributions } = require('../services/distribution.service');
+
+/**
+ * Pay the declared distributions whose pay date has arrived, after finishing
+ * the reinvestment of any paid earlier whose run was cut short. Safe to
+ * rerun: the database pays a distribution only once and each DRIP payout is
+ * claimed once, so finished work is not picked up again and a failed
+ * distribution is retried the next day. Distributions nobody can be paid for
+ * are cancelled.
+ */
+async function runDistributions(now = new Date()) {
+  const reinvestment = await reinvestPaidDistributions();
+
+  if (reinvestment.failed.length > 0) {
+    logger.error(`Distribution reinvestment failed for ${reinvestment.failed.length} distributions`, {
+      failed: reinvestment.failed,
+    });
+  }
+
+  const result = await payDueDistributions(now);
+
+  if (result.cancelled.length > 0) {
+    logger.warn(`Cancelled ${result.cancelled.length} distributions with no eligible holders`, {
+      cancelled: result.cancelled,
+    });
+  }
+
+  if (result.failed.length > 0) {
+    logger.error(`Distribution payment failed for ${result.failed.length} distributions`, { failed: result.failed });
+  }
+
+  return {
+    paid: result.paid.length,
+    cancelled: result.cancelled.length,
+    failed: result.failed.length,
+    reinvested: reinvestment.reinvested.length,
+    reinvestFailed: reinvestment.failed.length,
+  };
+}
+
+module.exports = {
+  runDistributions,
+};
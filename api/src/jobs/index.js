@@ -0,0 +1,102 @@
+const logger = require('../config/logger');
+const { runPortfolioSnapshot } = require('./snapshot.job');
+const { runTaxStatements } = require('./statement.job');
+const { runAutoInvest } = require('./autoInvest.job');
+const { runListingDeadlines } = require('./listing.job');
+const { runDistributions } = require('./distribution.job');
+
+/**
+ * In-process scheduler for the API's background jobs.
+ *
+ * Each job runs once a day at a fixed UTC time. Jobs must be safe to rerun,
+ * since a restart around the scheduled time can run one twice. Set
+ * JOBS_ENABLED=false on instances that should not run them.
+ */
+
+const jobs = [
+  {
+    name: 'portfolio-snapshot',
+    // Shortly after midnight UTC, snapshotting the day that just ended
+    timeUtc: process.env.PORTFOLIO_SNAPSHOT_TIME_UTC || '00:15',
+    run: runPortfolioSnapshot,
+  },
+  {
+    name: 'listing-deadlines',
+    // Investments are refused past a deadline as soon as it passes; this settles the rounds
+    timeUtc: process.env.LISTING_DEADLINE_TIME_UTC || '00:30',
+    run: runListingDeadlines,
+  },
+  {
+    name: 'distributions',
+    // Early in the UTC day, once the record date is over and the pay date has arrived
+    timeUtc: process.env.DISTRIBUTION_TIME_UTC || '01:00',
+    run: runDistributions,
+  },
+  {
+    name: 'tax-statements',
+    // After the snapshot; issues any missing statements from the release date on
+    timeUtc: process.env.TAX_STATEMENT_TIME_UTC || '02:00',
+    run: runTaxStatements,
+  },
+  {
+    name: 'auto-invest',
+    // During US business hours, so card issues can be sorted out the same day
+    timeUtc: process.env.AUTO_INVEST_TIME_UTC || '14:00',
+    run: runAutoInvest,
+  },
+];
+
+const timers = new Map();
+
+/**
+ * Milliseconds until the next occurrence of an HH:MM UTC time
+ */
+function msUntil(timeUtc, now = new Date()) {
+  const [hours, minutes] = timeUtc.split(':').map(Number);
+  const next = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate(), hours, minutes));
+  if (next <= now) {
+    next.setUTCDate(next.getUTCDate() + 1);
+  }
+  return next - now;
+}
+
+function schedule(job) {
+  const timer = setTimeout(async () => {
+    const startedAt = Date.now();
+    try {
+      const result = await job.run();
+      logger.info(`Job ${job.name} finished in ${Date.now() - startedAt}ms`, { result });
+    } catch (error) {
+      logger.error(`Job ${job.name} failed: ${error.message}`, { stack: error.stack });
+    }
+    schedule(job);
+  }, msUntil(job.timeUtc));
+
+  timers.set(job.name, timer);
+}
+
+/**
+ * Start all scheduled jobs
+ */
+function startJobs() {
+  if (process.env.JOBS_ENABLED === 'false') {
+    logger.info('Scheduled jobs are disabled');
+    return;
+  }
+
+  jobs.forEach(schedule);
+  logger.info(`Scheduled jobs: ${jobs.map(job => `${job.name} at ${job.timeUtc} UTC`).join(', ')}`);
+}
+
+/**
+ * Stop all scheduled jobs (used on shutdown)
+ */
+function stopJobs() {
+  timers.forEach(clearTimeout);
+  timers.clear();
+}
+
+module.exports = {
+  startJobs,
+  stopJobs,
+};
@@ -0,0 +1,21 @@
+const logger = require('../config/logger');
+const { processListingDeadlines } = require('../services/listing.service');
+
+/**
+ * Close or cancel the listings whose funding deadline has passed and refund
+ * investors in cancelled listings. Safe to rerun: listings are only moved on
+ * from a live status once, and refunded investments are not picked up again.
+ */
+async function runListingDeadlines(now = new Date()) {
+  const result = await processListingDeadlines(now);
+
+  if (result.errors.length > 0) {
+    logger.error(`Listing refunds failed for ${result.errors.length} listings`, { errors: result.errors });
+  }
+
+  return { ...result, errors: result.errors.length };
+}
+
+module.exports = {
+  runListingDeadlines,
+};
@@ -0,0 +1,20 @@
+const supabase = require('../config/supabase');
+
+/**
+ * Snapshot every investor's portfolio value for a day (default: yesterday, UTC)
+ */
+async function runPortfolioSnapshot(snapshotDate) {
+  const date = snapshotDate || new Date(Date.now() - 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+
+  const { data: count, error } = await supabase.rpc('snapshot_portfolio_values', { p_snapshot_date: date });
+
+  if (error) {
+    throw new Error(`Failed to snapshot portfolios for ${date}: ${error.message}`);
+  }
+
+  return { snapshotDate: date, portfolios: count };
+}
+
+module.exports = {
+  runPortfolioSnapshot,
+};
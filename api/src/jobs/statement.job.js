@@ -0,0 +1,36 @@
+const logger = require('../config/logger');
+const { generateTaxStatements } = require('../services/statement.service');
+const { notifyUsers } = require('../services/notification.service');
+
+// Month and day (MM-DD, UTC) on which the previous year's statements are issued
+const RELEASE_DATE = process.env.TAX_STATEMENT_RELEASE_DATE || '01-31';
+
+/**
+ * Issue the previous tax year's statements to every investor with activity.
+ * Runs daily; from the release date on it issues the statements nobody has
+ * yet, so a missed run or a failed user is picked up the next day.
+ */
+async function runTaxStatements(now = new Date()) {
+  if (now.toISOString().slice(5, 10) < RELEASE_DATE) {
+    return { skipped: true };
+  }
+
+  const taxYear = now.getUTCFullYear() - 1;
+  const result = await generateTaxStatements(taxYear, { missingOnly: true });
+
+  if (result.failed.length > 0) {
+    logger.error(`Tax statement generation failed for ${result.failed.length} users`, { taxYear, failed: result.failed });
+  }
+
+  await notifyUsers(result.generated, {
+    title: `Your ${taxYear} tax statement is ready`,
+    body: `Your annual investor statement for ${taxYear} is available in your documents.`,
+    type: 'tax_statement',
+  });
+
+  return { taxYear, generated: result.generated.length, failed: result.failed.length };
+}
+
+module.exports = {
+  runTaxStatements,
+};
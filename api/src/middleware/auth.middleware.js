@@ -1,6 +1,6 @@
 const jwt = require('jsonwebtoken');
 const { StatusCodes } = require('http-status-codes');
-const { logger } = require('../app');
+const logger = require('../config/logger');
 const supabase = require('../config/supabase');
 
 const JWT_SECRET = process.env.JWT_SECRET || 'your_jwt_secret_key';
@@ -0,0 +1,197 @@
+const crypto = require('crypto');
+const { StatusCodes } = require('http-status-codes');
+const logger = require('../config/logger');
+const supabase = require('../config/supabase');
+
+const IDEMPOTENCY_HEADER = 'Idempotency-Key';
+const IDEMPOTENCY_KEY_TTL_HOURS = parseInt(process.env.IDEMPOTENCY_KEY_TTL_HOURS, 10) || 24;
+const MAX_KEY_LENGTH = 255;
+// A claim still processing after this long was abandoned (e.g. the instance died mid-request)
+const PROCESSING_TIMEOUT_MINUTES = parseInt(process.env.IDEMPOTENCY_PROCESSING_TIMEOUT_MINUTES, 10) || 5;
+
+/**
+ * Serialize a value with object keys sorted so equivalent bodies hash the same
+ */
+const canonicalize = (value) => {
+  if (Array.isArray(value)) {
+    return `[${value.map(canonicalize).join(',')}]`;
+  }
+
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value)
+      .sort()
+      .map((key) => `${JSON.stringify(key)}:${canonicalize(value[key])}`)
+      .join(',')}}`;
+  }
+
+  return JSON.stringify(value);
+};
+
+/**
+ * Fingerprint of the parts of a request that must match on replay
+ */
+const fingerprintRequest = (req) => crypto
+  .createHash('sha256')
+  .update(`${req.method} ${req.baseUrl}${req.path}\n${canonicalize(req.body || {})}`)
+  .digest('hex');
+
+/**
+ * Middleware that makes money-moving endpoints safe to retry.
+ *
+ * When the client sends an Idempotency-Key header, the first request with
+ * that key is processed normally and its response stored. Retries with the
+ * same key and body replay the stored response instead of running the
+ * handler again; reusing the key with a different body is rejected.
+ * Server errors (5xx) are not stored so the client can retry them.
+ * Must run after authenticateJWT, as keys are scoped per user.
+ */
+const idempotency = async (req, res, next) => {
+  const key = req.get(IDEMPOTENCY_HEADER);
+
+  if (key === undefined) {
+    return next();
+  }
+
+  if (!key || key.length > MAX_KEY_LENGTH) {
+    return res.status(StatusCodes.BAD_REQUEST).json({
+      status: 'error',
+      message: `${IDEMPOTENCY_HEADER} must be between 1 and ${MAX_KEY_LENGTH} characters`,
+    });
+  }
+
+  const userId = req.user.id;
+  const fingerprint = fingerprintRequest(req);
+
+  try {
+    // Clear out an expired record, or an abandoned claim, for this key so it can be reused
+    await supabase
+      .from('idempotency_keys')
+      .delete()
+      .eq('user_id', userId)
+      .eq('idempotency_key', key)
+      .or([
+        `expires_at.lt.${new Date().toISOString()}`,
+        `and(status.eq.processing,created_at.lt.${new Date(Date.now() - PROCESSING_TIMEOUT_MINUTES * 60 * 1000).toISOString()})`,
+      ].join(','));
+
+    // Claim the key; the unique (user_id, idempotency_key) index makes this atomic
+    const { error: claimError } = await supabase
+      .from('idempotency_keys')
+      .insert([
+        {
+          user_id: userId,
+          idempotency_key: key,
+          request_fingerprint: fingerprint,
+          status: 'processing',
+          expires_at: new Date(Date.now() + IDEMPOTENCY_KEY_TTL_HOURS * 60 * 60 * 1000).toISOString(),
+          created_at: new Date().toISOString(),
+        },
+      ]);
+
+    if (claimError) {
+      if (claimError.code !== '23505') {
+        throw new Error(claimError.message);
+      }
+
+      const { data: existing, error: fetchError } = await supabase
+        .from('idempotency_keys')
+        .select('*')
+        .eq('user_id', userId)
+        .eq('idempotency_key', key)
+        .single();
+
+      if (fetchError || !existing) {
+        throw new Error(fetchError?.message || 'Idempotency key disappeared');
+      }
+
+      if (existing.request_fingerprint !== fingerprint) {
+        return res.status(StatusCodes.UNPROCESSABLE_ENTITY).json({
+          status: 'error',
+          message: `${IDEMPOTENCY_HEADER} was already used with a different request`,
+        });
+      }
+
+      if (existing.status !== 'completed') {
+        return res.status(StatusCodes.CONFLICT).json({
+          status: 'error',
+          message: `A request with this ${IDEMPOTENCY_HEADER} is still being processed`,
+        });
+      }
+
+      res.set('Idempotent-Replayed', 'true');
+      return res.status(existing.response_status).json(existing.response_body);
+    }
+  } catch (error) {
+    logger.error(`Idempotency key error: ${error.message}`, { stack: error.stack, userId });
+    return res.status(StatusCodes.INTERNAL_SERVER_ERROR).json({
+      status: 'error',
+      message: 'Failed to process idempotency key',
+    });
+  }
+
+  // Capture the handler's response so retries can replay it. The response is
+  // only sent once it has been stored, so a retry after it arrives always replays.
+  let captured = false;
+  const originalJson = res.json.bind(res);
+  res.json = (body) => {
+    captured = true;
+
+    const settle = res.statusCode >= 500
+      ? releaseKey(userId, key)
+      : settleKey(userId, key, () => supabase
+        .from('idempotency_keys')
+        .update({
+          status: 'completed',
+          response_status: res.statusCode,
+          response_body: body,
+        })
+        .eq('user_id', userId)
+        .eq('idempotency_key', key));
+
+    settle.finally(() => originalJson(body));
+
+    return res;
+  };
+
+  // A response sent some other way (res.send, a stream) can't be replayed, so
+  // release the claim rather than leave the key processing
+  res.on('finish', () => {
+    if (!captured) {
+      releaseKey(userId, key);
+    }
+  });
+
+  return next();
+};
+
+// Helper Functions
+
+/**
+ * Run a write to a claimed key. Never rejects: the response goes out either
+ * way, so failures are only logged.
+ */
+async function settleKey(userId, key, write) {
+  try {
+    const { error } = await write();
+    if (error) {
+      logger.error(`Failed to store idempotent response: ${error.message}`, { userId, key });
+    }
+  } catch (error) {
+    logger.error(`Failed to store idempotent response: ${error.message}`, { userId, key });
+  }
+}
+
+/**
+ * Drop a claim so the request can be retried with the same key
+ */
+function releaseKey(userId, key) {
+  return settleKey(userId, key, () => supabase
+    .from('idempotency_keys')
+    .delete()
+    .eq('user_id', userId)
+    .eq('idempotency_key', key));
+}
+
+module.exports = {
+  idempotency,
+};
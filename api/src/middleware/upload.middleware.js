@@ -0,0 +1,40 @@
+const multer = require('multer');
+const { StatusCodes } = require('http-status-codes');
+
+const MB = 1024 * 1024;
+
+/**
+ * Middleware that parses multipart/form-data uploads of a field into
+ * req.files, held in memory. Requests that aren't multipart pass through
+ * untouched. Files over maxBytes are rejected with 413 before they are read
+ * in full; the content type is checked later by sniffing the bytes.
+ */
+const uploadFiles = (field, { maxCount = 1, maxBytes }) => {
+  const upload = multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: maxBytes, files: maxCount },
+  }).array(field, maxCount);
+
+  return (req, res, next) => upload(req, res, (error) => {
+    if (!error) {
+      return next();
+    }
+
+    if (error instanceof multer.MulterError) {
+      const tooLarge = error.code === 'LIMIT_FILE_SIZE';
+      return res.status(tooLarge ? StatusCodes.REQUEST_TOO_LONG : StatusCodes.BAD_REQUEST).json({
+        status: 'error',
+        message: tooLarge
+          ? `Files must be at most ${Math.floor(maxBytes / MB)} MB`
+          : `Upload at most ${maxCount} file${maxCount === 1 ? '' : 's'} in the "${field}" field`,
+      });
+    }
+
+    return next(error);
+  });
+};
+
+module.exports = {
+  MB,
+  uploadFiles,
+};
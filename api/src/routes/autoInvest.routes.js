@@ -0,0 +1,58 @@
+const express = require('express');
+const router = express.Router();
+const { body, param, query } = require('express-validator');
+const autoInvestController = require('../controllers/autoInvest.controller');
+const { authenticateJWT } = require('../middleware/auth.middleware');
+
+// Input validation
+const validatePlan = (required) => {
+  const field = (name) => (required ? body(name) : body(name).optional());
+
+  return [
+    body('name').optional({ nullable: true }).isString().isLength({ max: 100 }),
+    field('amountUsd')
+      .isDecimal({ decimal_digits: '0,2' }).withMessage('Amount must be a USD value with at most 2 decimals')
+      .isFloat({ min: 1 }).withMessage('Must invest at least $1 per run'),
+    field('cadence').isIn(['weekly', 'biweekly', 'monthly']).withMessage('Cadence must be weekly, biweekly or monthly'),
+    field('allocations').isArray({ min: 1, max: 20 }).withMessage('Between 1 and 20 property allocations are required'),
+    body('allocations.*.propertyId').isUUID().withMessage('Valid property ID is required'),
+    body('allocations.*.weightPercent')
+      .isDecimal({ decimal_digits: '0,2' }).withMessage('Weight must be a percentage with at most 2 decimals')
+      .isFloat({ gt: 0, max: 100 }).withMessage('Weight must be between 0 and 100'),
+    body('paymentSource').optional().isIn(['card', 'wallet']).withMessage('Payment source must be card or wallet'),
+    body('paymentMethodId')
+      .if(body('paymentSource').equals('card'))
+      .isString().withMessage('Payment method ID is required'),
+    body('startDate').optional().isISO8601({ strict: true }).withMessage('Start date must be a date'),
+    body('endDate').optional({ nullable: true }).isISO8601({ strict: true }).withMessage('End date must be a date'),
+    ...(required ? [] : [
+      body('status').optional().isIn(['active', 'paused']).withMessage('Status must be active or paused'),
+    ]),
+  ];
+};
+
+// Protected routes (require authentication)
+router.use(authenticateJWT);
+
+router.get('/plans', [
+  query('status').optional().isIn(['active', 'paused', 'cancelled', 'completed']),
+], autoInvestController.getPlans);
+router.post('/plans', validatePlan(true), autoInvestController.createPlan);
+router.get('/plans/:id', [
+  param('id').isUUID(),
+], autoInvestController.getPlan);
+router.patch('/plans/:id', [
+  param('id').isUUID(),
+  ...validatePlan(false),
+], autoInvestController.updatePlan);
+router.delete('/plans/:id', [
+  param('id').isUUID(),
+], autoInvestController.cancelPlan);
+router.get('/plans/:id/runs', [
+  param('id').isUUID(),
+  query('status').optional().isIn(['running', 'succeeded', 'partial', 'skipped', 'failed']),
+  query('page').optional().isInt({ min: 1 }).toInt(),
+  query('limit').optional().isInt({ min: 1, max: 100 }).toInt(),
+], autoInvestController.getPlanRuns);
+
+module.exports = router;
@@ -3,19 +3,67 @@ const router = express.Router();
 const { body, query } = require('express-validator');
 const investmentController = require('../controllers/investment.controller');
 const { authenticateJWT, isAdmin } = require('../middleware/auth.middleware');
+const { idempotency } = require('../middleware/idempotency.middleware');
 
 // Input validation
+const requireAmountOrShares = body().custom((value) => {
+  const hasAmount = value.amountUsd !== undefined;
+  const hasShares = value.shares !== undefined;
+  if (hasAmount === hasShares) {
+    throw new Error('Provide either amountUsd or shares, but not both');
+  }
+  return true;
+});
+
 const validateCreateInvestment = [
   body('propertyId').isUUID().withMessage('Valid property ID is required'),
-  body('shares').isInt({ min: 1 }).withMessage('Must invest in at least 1 share'),
-  body('paymentMethodId').isString().withMessage('Payment method ID is required'),
+  body('amountUsd')
+    .optional()
+    .isDecimal({ decimal_digits: '0,2' }).withMessage('Amount must be a USD value with at most 2 decimals')
+    .isFloat({ min: 1 }).withMessage('Must invest at least $1'),
+  body('shares')
+    .optional()
+    .isDecimal({ decimal_digits: '0,8' }).withMessage('Shares must have at most 8 decimals')
+    .isFloat({ gt: 0 }).withMessage('Shares must be a positive number'),
+  requireAmountOrShares,
+  body('paymentSource').optional().isIn(['card', 'wallet']).withMessage('Payment source must be card or wallet'),
+  body('paymentMethodId')
+    .if(body('paymentSource').not().equals('wallet'))
+    .isString().withMessage('Payment method ID is required'),
+];
+
+const validateSellShares = [
+  body('propertyId').isUUID().withMessage('Valid property ID is required'),
+  body('amountUsd')
+    .optional()
+    .isDecimal({ decimal_digits: '0,2' }).withMessage('Amount must be a USD value with at most 2 decimals')
+    .isFloat({ gt: 0 }).withMessage('Amount must be a positive number'),
+  body('shares')
+    .optional()
+    .isDecimal({ decimal_digits: '0,8' }).withMessage('Shares must have at most 8 decimals')
+    .isFloat({ gt: 0 }).withMessage('Shares must be a positive number'),
+  requireAmountOrShares,
+  body('lotMethod')
+    .optional()
+    .isIn(['fifo', 'lifo', 'hifo', 'specific']).withMessage('Lot method must be fifo, lifo, hifo or specific'),
+  body('lots')
+    .if(body('lotMethod').equals('specific'))
+    .isArray({ min: 1 }).withMessage('Specific lot relief requires the lots to sell from'),
+  body('lots.*.lotId')
+    .if(body('lotMethod').equals('specific'))
+    .isUUID().withMessage('Valid lot ID is required'),
+  body('lots.*.shares')
+    .if(body('lotMethod').equals('specific'))
+    .isDecimal({ decimal_digits: '0,8' }).withMessage('Lot shares must have at most 8 decimals')
+    .isFloat({ gt: 0 }).withMessage('Lot shares must be a positive number'),
 ];
 
 // Protected routes (require authentication)
 router.use(authenticateJWT);
 
 // Investment routes
-router.post('/', validateCreateInvestment, investmentController.createInvestment);
+router.post('/', idempotency, validateCreateInvestment, investmentController.createInvestment);
+router.post('/sell', idempotency, validateSellShares, investmentController.sellShares);
 router.get('/', [
   query('status').optional().isIn(['pending', 'completed', 'failed', 'cancelled']),
   query('propertyId').optional().isUUID(),
@@ -24,7 +72,7 @@ router.get('/', [
 ], investmentController.getInvestments);
 
 router.get('/:id', investmentController.getInvestmentById);
-router.post('/:id/cancel', investmentController.cancelInvestment);
+router.post('/:id/cancel', idempotency, investmentController.cancelInvestment);
 
 // Admin-only routes
 router.get('/admin/all', isAdmin, [
@@ -41,9 +89,13 @@ router.put('/:id/status', isAdmin, [
 ], investmentController.updateInvestmentStatus);
 
 // Investment withdrawal
-router.post('/:id/withdraw', [
+router.post('/:id/withdraw', idempotency, [
   body('amount').isFloat({ min: 1 }).withMessage('Valid withdrawal amount is required'),
   body('bankAccountId').isString().withMessage('Bank account ID is required'),
 ], investmentController.requestWithdrawal);
 
+router.put('/withdrawals/:withdrawalId/status', isAdmin, [
+  body('status').isIn(['completed', 'rejected']).withMessage('Invalid status'),
+], investmentController.updateWithdrawalStatus);
+
 module.exports = router;
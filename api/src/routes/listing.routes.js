@@ -0,0 +1,62 @@
+const express = require('express');
+const router = express.Router();
+const { body, param, query } = require('express-validator');
+const listingController = require('../controllers/listing.controller');
+const { authenticateJWT, isAdmin } = require('../middleware/auth.middleware');
+
+// Input validation
+const validateListing = (required) => {
+  const field = (name) => (required ? body(name) : body(name).optional());
+  const usd = (name, message) => field(name)
+    .isDecimal({ decimal_digits: '0,2' }).withMessage(`${message} must be a USD value with at most 2 decimals`);
+
+  return [
+    ...(required ? [body('propertyId').isUUID().withMessage('Valid property ID is required')] : []),
+    body('title').optional().trim().notEmpty().isLength({ max: 200 }),
+    field('totalSharesAvailable').isInt({ min: 1 }).withMessage('Shares offered must be a positive integer').toInt(),
+    usd('minInvestmentUsd', 'Minimum investment')
+      .isFloat({ min: 1 }).withMessage('Minimum investment must be at least $1'),
+    body('maxInvestmentUsd').optional({ nullable: true })
+      .isDecimal({ decimal_digits: '0,2' }).withMessage('Maximum investment must be a USD value with at most 2 decimals'),
+    usd('minRaiseUsd', 'Minimum raise'),
+    body('fundingDeadline').optional({ nullable: !required })
+      .isISO8601().withMessage('Funding deadline must be a date and time'),
+  ];
+};
+
+// Public routes
+router.get('/', [
+  query('status').optional().isIn(['open', 'funded', 'closed', 'cancelled']),
+  query('propertyId').optional().isUUID(),
+  query('page').optional().isInt({ min: 1 }).toInt(),
+  query('limit').optional().isInt({ min: 1, max: 100 }).toInt(),
+], listingController.getListings);
+
+// Admin-only routes (drafts included)
+router.get('/admin', authenticateJWT, isAdmin, [
+  query('status').optional().isIn(['draft', 'open', 'funded', 'closed', 'cancelled']),
+  query('propertyId').optional().isUUID(),
+  query('page').optional().isInt({ min: 1 }).toInt(),
+  query('limit').optional().isInt({ min: 1, max: 100 }).toInt(),
+], listingController.getListings);
+
+router.get('/:id', [
+  param('id').isUUID(),
+], listingController.getListing);
+
+// Protected routes (require authentication)
+router.use(authenticateJWT);
+
+router.post('/', isAdmin, validateListing(true), listingController.createListing);
+router.patch('/:id', isAdmin, [
+  param('id').isUUID(),
+  ...validateListing(false),
+], listingController.updateListing);
+router.post('/:id/open', isAdmin, listingController.openListing);
+router.post('/:id/close', isAdmin, listingController.closeListing);
+router.post('/:id/cancel', isAdmin, [
+  param('id').isUUID(),
+  body('reason').optional().trim().isLength({ max: 200 }),
+], listingController.cancelListing);
+
+module.exports = router;
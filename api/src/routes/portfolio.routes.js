@@ -1,11 +1,37 @@
 const express = require('express');
 const router = express.Router();
-const { query } = require('express-validator');
+const { body, param, query } = require('express-validator');
 const portfolioController = require('../controllers/portfolio.controller');
-const { authenticateJWT } = require('../middleware/auth.middleware');
+const distributionController = require('../controllers/distribution.controller');
+const { authenticateJWT, isAdmin } = require('../middleware/auth.middleware');
+
+// Input validation
+const validateWatchlistAlerts = (required) => [
+  (required ? body('alerts') : body('alerts').optional())
+    .isArray({ max: 10 }).withMessage('Alerts must be a list of at most 10 rules'),
+  body('alerts.*.type')
+    .isIn(['price_cross', 'funding_reached', 'status_active', 'yield_change'])
+    .withMessage('Alert type must be price_cross, funding_reached, status_active or yield_change'),
+  body('alerts.*.threshold')
+    .optional({ values: 'null' })
+    .isFloat({ min: 0 }).withMessage('Threshold must be a non-negative number'),
+  body('alerts.*.enabled').optional().isBoolean().toBoolean(),
+  body('alerts.*').custom((alert) => {
+    if (['price_cross', 'funding_reached'].includes(alert.type) && alert.threshold == null) {
+      throw new Error(`A threshold is required for ${alert.type} alerts`);
+    }
+    if (alert.type === 'price_cross' && Number(alert.threshold) <= 0) {
+      throw new Error('Price threshold must be positive');
+    }
+    if (alert.type === 'funding_reached' && Number(alert.threshold) > 100) {
+      throw new Error('Funding threshold is a percentage between 0 and 100');
+    }
+    return true;
+  }),
+];
 
 // Protected routes (require authentication)
-// router.use(authenticateJWT); // Temporarily disabled for testing
+router.use(authenticateJWT);
 
 // Portfolio summary and performance
 router.get('/summary', portfolioController.getPortfolioSummary);
@@ -13,26 +39,82 @@ router.get('/performance', [
   query('period').optional().isIn(['1m', '3m', '6m', '1y', 'all']),
 ], portfolioController.getPortfolioPerformance);
 
+// Diversification and concentration analytics
+router.get('/analytics/diversification', [
+  query('topN').optional().isInt({ min: 1, max: 10 }).toInt(),
+], portfolioController.getDiversification);
+
 // Portfolio investments
 router.get('/investments', [
-  query('status').optional().isIn(['active', 'completed', 'pending', 'cancelled']),
+  query('status').optional().isIn(['pending', 'completed', 'failed', 'cancelled']),
   query('page').optional().isInt({ min: 1 }).toInt(),
   query('limit').optional().isInt({ min: 1, max: 100 }).toInt(),
 ], portfolioController.getInvestments);
 
 // Portfolio transactions
 router.get('/transactions', [
-  query('type').optional().isIn(['investment', 'withdrawal', 'dividend', 'all']),
+  query('type').optional().isIn(['investment', 'reinvestment', 'sale', 'dividend', 'deposit', 'withdrawal', 'all']),
   query('page').optional().isInt({ min: 1 }).toInt(),
   query('limit').optional().isInt({ min: 1, max: 100 }).toInt(),
 ], portfolioController.getTransactions);
+router.get('/transactions/export', [
+  query('format').optional().isIn(['csv', 'ofx', 'qif']),
+  query('from').optional().isISO8601(),
+  query('to').optional().isISO8601(),
+], portfolioController.exportTransactions);
 
-// Portfolio documents
-router.get('/documents', portfolioController.getDocuments);
+// Tax lots with unrealized gains, and realized gains by tax year
+router.get('/gains', portfolioController.getGains);
+router.get('/gains/realized', [
+  query('year').optional().isInt({ min: 2000, max: 9999 }).toInt(),
+  query('propertyId').optional().isUUID(),
+], portfolioController.getRealizedGains);
+
+// Distributions paid to the user
+router.get('/distributions', [
+  query('propertyId').optional().isUUID(),
+  query('page').optional().isInt({ min: 1 }).toInt(),
+  query('limit').optional().isInt({ min: 1, max: 100 }).toInt(),
+], distributionController.getMyDistributions);
+
+// Portfolio documents and year-end tax statements
+router.get('/documents', [
+  query('type').optional().isIn(['property', 'tax_statement', 'all']),
+  query('year').optional().isInt({ min: 2000, max: 9999 }).toInt(),
+], portfolioController.getDocuments);
+router.get('/documents/:documentId/download', [
+  param('documentId').isUUID(),
+], portfolioController.downloadUserDocument);
+router.post('/documents/statements/:year/regenerate', isAdmin, [
+  param('year').isInt({ min: 2000, max: 9999 }).toInt(),
+  body('userId').optional().isUUID(),
+], portfolioController.regenerateTaxStatements);
 
 // Watchlist routes
 router.get('/watchlist', portfolioController.getWatchlist);
-router.post('/watchlist/:propertyId', portfolioController.addToWatchlist);
-router.delete('/watchlist/:propertyId', portfolioController.removeFromWatchlist);
+router.post('/watchlist/:propertyId', [
+  param('propertyId').isUUID(),
+  ...validateWatchlistAlerts(false),
+], portfolioController.addToWatchlist);
+router.put('/watchlist/:propertyId/alerts', [
+  param('propertyId').isUUID(),
+  ...validateWatchlistAlerts(true),
+], portfolioController.updateWatchlistAlerts);
+router.delete('/watchlist/:propertyId', [
+  param('propertyId').isUUID(),
+], portfolioController.removeFromWatchlist);
+
+// Dividend reinvestment (DRIP): account-wide default and per-holding overrides
+router.get('/reinvestment', portfolioController.getReinvestmentSettings);
+router.put('/reinvestment', [
+  body('enabled').isBoolean().withMessage('Enabled must be true or false').toBoolean(),
+], portfolioController.updateReinvestmentSettings);
+router.put('/reinvestment/:propertyId', [
+  param('propertyId').isUUID(),
+  body('enabled').isBoolean().withMessage('Enabled must be true or false').toBoolean(),
+], portfolioController.updateReinvestmentSettings);
+router.delete('/reinvestment/:propertyId', [
+  param('propertyId').isUUID(),
+], portfolioController.clearHoldingReinvestment);
 
 module.exports = router;
\ No newline at end of file
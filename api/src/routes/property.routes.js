@@ -1,10 +1,25 @@
 const express = require('express');
 const router = express.Router();
-const { body, query } = require('express-validator');
+const { body, param, query } = require('express-validator');
 const propertyController = require('../controllers/property.controller');
+const distributionController = require('../controllers/distribution.controller');
 const { authenticateJWT, isAdmin } = require('../middleware/auth.middleware');
+const { idempotency } = require('../middleware/idempotency.middleware');
+const { uploadFiles, MB } = require('../middleware/upload.middleware');
+const { SORT_FIELDS } = require('../services/propertySearch.service');
+const { MAX_IMAGE_MB, MAX_DOCUMENT_MB } = require('../services/media.service');
+const { PERIOD_TYPES, EXPENSE_CATEGORIES, periodBounds } = require('../services/financials.service');
 
 // Input validation
+// Stored as numbers so distance searches can use them
+const validateCoordinates = [
+  body('coordinates').optional({ nullable: true }).isObject(),
+  body('coordinates.latitude').if(body('coordinates').exists({ checkNull: true }))
+    .isFloat({ min: -90, max: 90 }).withMessage('Latitude must be between -90 and 90').toFloat(),
+  body('coordinates.longitude').if(body('coordinates').exists({ checkNull: true }))
+    .isFloat({ min: -180, max: 180 }).withMessage('Longitude must be between -180 and 180').toFloat(),
+];
+
 const validateCreateProperty = [
   body('title').trim().notEmpty().withMessage('Title is required'),
   body('description').trim().notEmpty().withMessage('Description is required'),
@@ -20,32 +35,113 @@ const validateCreateProperty = [
   body('annualYield').isFloat({ min: 0 }).withMessage('Annual yield must be a non-negative number'),
   body('holdPeriod').isInt({ min: 1 }).withMessage('Hold period must be a positive integer'),
   body('status').isIn(['draft', 'active', 'sold', 'archived']).withMessage('Invalid status'),
+  ...validateCoordinates,
 ];
 
 const validateUpdateProperty = [
   body('title').optional().trim().notEmpty().withMessage('Title cannot be empty'),
   body('description').optional().trim().notEmpty().withMessage('Description cannot be empty'),
   body('status').optional().isIn(['draft', 'active', 'sold', 'archived']).withMessage('Invalid status'),
-  body('pricePerShare').optional().isFloat({ min: 1 }).withMessage('Price per share must be a positive number'),
-  body('totalValue').optional().isFloat({ min: 1 }).withMessage('Total value must be a positive number'),
   body('annualYield').optional().isFloat({ min: 0 }).withMessage('Annual yield must be a non-negative number'),
+  ...validateCoordinates,
+];
+
+const validateRecordValuation = [
+  param('id').isUUID(),
+  body('valuationDate').isISO8601({ strict: true }).withMessage('Valuation date must be a valid date'),
+  body('valueUsd')
+    .isDecimal({ decimal_digits: '0,2' }).withMessage('Value must be a USD value with at most 2 decimals')
+    .isFloat({ min: 1 }).withMessage('Value must be positive'),
+  body('source')
+    .isIn(['appraisal', 'broker_opinion', 'purchase', 'sale_offer', 'internal'])
+    .withMessage('Source must be appraisal, broker_opinion, purchase, sale_offer or internal'),
+  body('appraiser').optional().trim().isLength({ max: 200 }),
+  body('documentId').optional().isUUID().withMessage('Valid document ID is required'),
+  body('document').optional().isObject(),
+  body('document.name').if(body('document').exists()).trim().notEmpty().withMessage('Document name is required'),
+  body('document.url').if(body('document').exists()).isURL().withMessage('Document URL must be a valid URL'),
+  body('notes').optional().trim(),
+];
+
+const usdAmount = (chain, field) => chain
+  .isDecimal({ decimal_digits: '0,2' }).withMessage(`${field} must be a USD value with at most 2 decimals`)
+  .isFloat({ min: 0 }).withMessage(`${field} cannot be negative`);
+
+const validateFinancialPeriod = [
+  param('id').isUUID(),
+  body('periodType').isIn(Object.keys(PERIOD_TYPES)).withMessage('Period type must be month, quarter or year'),
+  body('periodStart')
+    .isISO8601({ strict: true }).withMessage('Period start must be a valid date')
+    .custom((periodStart, { req }) => {
+      try {
+        periodBounds(req.body.periodType, periodStart);
+        return true;
+      } catch (error) {
+        throw new Error(error.details);
+      }
+    }),
+  ...['grossRent', 'vacancyLoss', 'otherIncome', 'debtService', 'capexReserve', 'loanBalance']
+    .map((field) => usdAmount(field === 'grossRent' ? body(field) : body(field).optional(), field)),
+  body('operatingExpenses').optional().isObject(),
+  ...Object.keys(EXPENSE_CATEGORIES)
+    .map((category) => usdAmount(body(`operatingExpenses.${category}`).optional(), category)),
+  body('notes').optional().trim(),
+];
+
+const validateDeclareDistribution = [
+  body('grossAmountUsd')
+    .isDecimal({ decimal_digits: '0,2' }).withMessage('Gross amount must be a USD value with at most 2 decimals')
+    .isFloat({ min: 0.01 }).withMessage('Gross amount must be positive'),
+  body('recordDate').isISO8601({ strict: true }).withMessage('Record date must be a valid date'),
+  body('payDate')
+    .isISO8601({ strict: true }).withMessage('Pay date must be a valid date')
+    .custom((payDate, { req }) => new Date(payDate) >= new Date(req.body.recordDate))
+    .withMessage('Pay date cannot be before the record date'),
+  body('description').optional().trim(),
 ];
 
 // Public routes
 router.get('/', [
   query('page').optional().isInt({ min: 1 }).toInt(),
   query('limit').optional().isInt({ min: 1, max: 100 }).toInt(),
+  // Opaque cursor from pagination.nextCursor; takes precedence over page
+  query('after').optional().isString().isLength({ min: 1, max: 500 }),
+  query('q').optional().trim().isLength({ min: 1, max: 200 }).withMessage('Search query must be 1-200 characters'),
   query('status').optional().isIn(['draft', 'active', 'sold', 'archived']),
+  // One type, or several (propertyType=residential&propertyType=land)
   query('propertyType').optional().isIn(['residential', 'commercial', 'industrial', 'land']),
+  query('city').optional().trim().notEmpty(),
+  query('state').optional().trim().notEmpty(),
+  query('country').optional().trim().notEmpty(),
   query('minYield').optional().isFloat({ min: 0 }).toFloat(),
   query('maxYield').optional().isFloat({ min: 0 }).toFloat(),
   query('minPrice').optional().isFloat({ min: 0 }).toFloat(),
   query('maxPrice').optional().isFloat({ min: 0 }).toFloat(),
-  query('sortBy').optional().isIn(['pricePerShare', 'annualYield', 'createdAt']),
+  query('latitude')
+    .if((value, { req }) => req.query.radiusMiles !== undefined || req.query.longitude !== undefined)
+    .isFloat({ min: -90, max: 90 }).withMessage('Latitude must be between -90 and 90').toFloat(),
+  query('longitude')
+    .if((value, { req }) => req.query.radiusMiles !== undefined || req.query.latitude !== undefined)
+    .isFloat({ min: -180, max: 180 }).withMessage('Longitude must be between -180 and 180').toFloat(),
+  query('radiusMiles').optional()
+    .isFloat({ gt: 0, max: 1000 }).withMessage('Radius must be between 0 and 1000 miles').toFloat(),
+  query('sortBy').optional().isIn(SORT_FIELDS),
+  query('sortBy')
+    .if(query('sortBy').equals('relevance')).custom((value, { req }) => req.query.q !== undefined)
+    .withMessage('Sorting by relevance needs a search query'),
+  query('sortBy')
+    .if(query('sortBy').equals('distance')).custom((value, { req }) => req.query.latitude !== undefined)
+    .withMessage('Sorting by distance needs a latitude and longitude'),
   query('order').optional().isIn(['asc', 'desc']),
 ], propertyController.getAllProperties);
 
 router.get('/:id', propertyController.getPropertyById);
+router.get('/:id/valuations', [
+  param('id').isUUID(),
+  query('from').optional().isISO8601({ strict: true }),
+  query('to').optional().isISO8601({ strict: true }),
+  query('asOf').optional().isISO8601({ strict: true }),
+], propertyController.getPropertyValuations);
 
 // Protected routes (require authentication)
 router.use(authenticateJWT);
@@ -56,19 +152,45 @@ router.put('/:id', isAdmin, validateUpdateProperty, propertyController.updatePro
 router.delete('/:id', isAdmin, propertyController.deleteProperty);
 
 // Property images management
-router.post('/:id/images', isAdmin, propertyController.uploadPropertyImages);
+router.post('/:id/images', isAdmin, [
+  param('id').isUUID(),
+  uploadFiles('images', { maxCount: 10, maxBytes: MAX_IMAGE_MB * MB }),
+  body('primaryIndex').optional().isInt({ min: 0 }).withMessage('Primary index must be a non-negative integer'),
+], propertyController.uploadPropertyImages);
 router.delete('/:id/images/:imageId', isAdmin, propertyController.deletePropertyImage);
 
 // Property documents
-router.post('/:id/documents', isAdmin, propertyController.uploadPropertyDocument);
+router.post('/:id/documents', isAdmin, [
+  param('id').isUUID(),
+  uploadFiles('document', { maxCount: 1, maxBytes: MAX_DOCUMENT_MB * MB }),
+], propertyController.uploadPropertyDocument);
 router.delete('/:id/documents/:docId', isAdmin, propertyController.deletePropertyDocument);
 
 // Property financials
-router.get('/:id/financials', propertyController.getPropertyFinancials);
-router.put('/:id/financials', isAdmin, propertyController.updatePropertyFinancials);
+router.get('/:id/financials', [
+  param('id').isUUID(),
+  query('from').optional().isISO8601({ strict: true }),
+  query('to').optional().isISO8601({ strict: true }),
+], propertyController.getPropertyFinancials);
+router.put('/:id/financials', isAdmin, validateFinancialPeriod, propertyController.updatePropertyFinancials);
+router.delete('/:id/financials/periods/:periodId', isAdmin, [
+  param('periodId').isUUID(),
+], propertyController.deletePropertyFinancialPeriod);
+
+// Property valuations (reprice the shares)
+router.post('/:id/valuations', isAdmin, validateRecordValuation, propertyController.recordPropertyValuation);
 
 // Property timeline/updates
 router.get('/:id/updates', propertyController.getPropertyUpdates);
 router.post('/:id/updates', isAdmin, propertyController.addPropertyUpdate);
 
+// Rental income distributions
+router.get('/:id/distributions', [
+  query('status').optional().isIn(['declared', 'paid', 'cancelled']),
+], distributionController.getPropertyDistributions);
+router.post('/:id/distributions', isAdmin, validateDeclareDistribution, distributionController.declareDistribution);
+router.get('/:id/distributions/:distributionId', distributionController.getDistributionById);
+router.post('/:id/distributions/:distributionId/pay', isAdmin, idempotency, distributionController.payDistribution);
+router.post('/:id/distributions/:distributionId/cancel', isAdmin, distributionController.cancelDistribution);
+
 module.exports = router;
@@ -0,0 +1,45 @@
+const express = require('express');
+const router = express.Router();
+const { body, param, query } = require('express-validator');
+const walletController = require('../controllers/wallet.controller');
+const { authenticateJWT, isAdmin } = require('../middleware/auth.middleware');
+const { idempotency } = require('../middleware/idempotency.middleware');
+
+// Input validation
+const validateDeposit = [
+  body('amountUsd')
+    .isDecimal({ decimal_digits: '0,2' }).withMessage('Amount must be a USD value with at most 2 decimals')
+    .isFloat({ min: 1 }).withMessage('Minimum deposit is $1'),
+  body('paymentMethodId').isString().withMessage('Payment method ID is required'),
+];
+
+const validateWithdrawal = [
+  body('amountUsd')
+    .isDecimal({ decimal_digits: '0,2' }).withMessage('Amount must be a USD value with at most 2 decimals')
+    .isFloat({ min: 1 }).withMessage('Valid withdrawal amount is required'),
+  body('bankAccountId').isString().withMessage('Bank account ID is required'),
+];
+
+// Protected routes (require authentication)
+router.use(authenticateJWT);
+
+router.get('/', walletController.getWallet);
+router.get('/entries', [
+  query('type').optional().isIn([
+    'deposit', 'deposit_reversal', 'withdrawal', 'withdrawal_reversal', 'hold', 'release', 'hold_capture', 'refund_to_wallet',
+    'sale_proceeds', 'dividend',
+  ]),
+  query('page').optional().isInt({ min: 1 }).toInt(),
+  query('limit').optional().isInt({ min: 1, max: 100 }).toInt(),
+], walletController.getWalletEntries);
+
+router.post('/deposits', idempotency, validateDeposit, walletController.createDeposit);
+router.post('/withdrawals', idempotency, validateWithdrawal, walletController.createWithdrawal);
+
+// Admin-only routes
+router.put('/withdrawals/:withdrawalId/status', isAdmin, [
+  param('withdrawalId').isUUID(),
+  body('status').isIn(['completed', 'rejected', 'failed']).withMessage('Invalid status'),
+], walletController.updateWithdrawalStatus);
+
+module.exports = router;
@@ -0,0 +1,8 @@
+const express = require('express');
+const router = express.Router();
+const investmentController = require('../controllers/investment.controller');
+
+// Public routes (authenticated by the provider's signature, not a JWT)
+router.post('/payments', investmentController.handlePaymentWebhook);
+
+module.exports = router;
@@ -0,0 +1,205 @@
+const { USD_SCALE, fromUnits, percentOf } = require('../utils/money');
+
+/**
+ * Portfolio diversification and concentration analytics.
+ *
+ * Holdings are weighted by current value. Each breakdown groups them along
+ * one dimension (property type, location, yield band, time to maturity) and
+ * concentration is measured with the top-N weight and the Herfindahl index
+ * (sum of squared weights: 1 when everything is in one bucket, 1/n when
+ * spread evenly over n). Weights above the configured limits are flagged.
+ */
+
+const parseLimit = (value, fallback) => {
+  const parsed = parseFloat(value);
+  return Number.isFinite(parsed) && parsed > 0 ? parsed : fallback;
+};
+
+// Limits as percentages of portfolio value, and the index limit as a fraction
+const CONCENTRATION_THRESHOLDS = {
+  property: parseLimit(process.env.CONCENTRATION_MAX_PROPERTY_PERCENT, 25),
+  propertyType: parseLimit(process.env.CONCENTRATION_MAX_PROPERTY_TYPE_PERCENT, 50),
+  state: parseLimit(process.env.CONCENTRATION_MAX_STATE_PERCENT, 50),
+  country: parseLimit(process.env.CONCENTRATION_MAX_COUNTRY_PERCENT, 100),
+  herfindahlIndex: parseLimit(process.env.CONCENTRATION_MAX_HERFINDAHL_INDEX, 0.25),
+};
+
+const YIELD_BANDS = [
+  { key: 'under_4', label: 'Under 4%', max: 4 },
+  { key: '4_to_6', label: '4% - 6%', max: 6 },
+  { key: '6_to_8', label: '6% - 8%', max: 8 },
+  { key: '8_to_10', label: '8% - 10%', max: 10 },
+  { key: '10_plus', label: '10% and over', max: Infinity },
+];
+
+const MATURITY_BANDS = [
+  { key: 'matured', label: 'Hold period complete', maxMonths: 0 },
+  { key: 'within_1y', label: 'Within 1 year', maxMonths: 12 },
+  { key: '1_to_3y', label: '1 - 3 years', maxMonths: 36 },
+  { key: '3_to_5y', label: '3 - 5 years', maxMonths: 60 },
+  { key: 'over_5y', label: 'Over 5 years', maxMonths: Infinity },
+];
+
+const UNKNOWN = { key: 'unknown', label: 'Unknown' };
+
+const DIMENSION_LABELS = {
+  property: 'property',
+  propertyType: 'property type',
+  state: 'state',
+  country: 'country',
+};
+
+function yieldBand(annualYield) {
+  if (annualYield == null) {
+    return UNKNOWN;
+  }
+  return YIELD_BANDS.find((band) => Number(annualYield) < band.max);
+}
+
+/**
+ * Band for the months left until the hold period ends, counted from when
+ * the investor first bought into the property
+ */
+function maturityBand(holdPeriodMonths, acquiredAt, now) {
+  if (holdPeriodMonths == null || !acquiredAt) {
+    return UNKNOWN;
+  }
+
+  const acquired = new Date(acquiredAt);
+  const maturesAt = new Date(acquired);
+  maturesAt.setUTCMonth(acquired.getUTCMonth() + Number(holdPeriodMonths));
+  const monthsLeft = (maturesAt - now) / (30.4375 * 24 * 60 * 60 * 1000);
+
+  return MATURITY_BANDS.find((band) => monthsLeft <= band.maxMonths);
+}
+
+/**
+ * Group holdings by a key and weight each group by value
+ */
+function breakdown(holdings, totalCents, keyOf) {
+  const groups = new Map();
+  holdings.forEach((holding) => {
+    const { key, label } = keyOf(holding);
+    const group = groups.get(key) || { key, label, valueCents: 0n, holdings: 0 };
+    group.valueCents += holding.valueCents;
+    group.holdings += 1;
+    groups.set(key, group);
+  });
+
+  return [...groups.values()]
+    .sort((a, b) => (b.valueCents > a.valueCents ? 1 : b.valueCents < a.valueCents ? -1 : 0))
+    .map((group) => ({
+      key: group.key,
+      label: group.label,
+      value: fromUnits(group.valueCents, USD_SCALE),
+      weightPercent: percentOf(group.valueCents, totalCents),
+      holdings: group.holdings,
+      valueCents: group.valueCents,
+    }));
+}
+
+/**
+ * Herfindahl index of a breakdown, 0-1 with 4 decimals
+ */
+function herfindahlIndex(groups, totalCents) {
+  if (totalCents <= 0n) {
+    return null;
+  }
+  const index = groups.reduce((sum, group) => {
+    const weight = Number(group.valueCents) / Number(totalCents);
+    return sum + weight * weight;
+  }, 0);
+  return Number(index.toFixed(4));
+}
+
+/**
+ * Diversification breakdowns, concentration metrics and over-concentration flags.
+ *
+ * holdings: [{ propertyId, property, valueCents, acquiredAt }] where property
+ * carries title, property_type, city, state, country, annual_yield and
+ * hold_period_months.
+ */
+function analyzeDiversification(holdings, { topN = 3, thresholds = CONCENTRATION_THRESHOLDS, now = new Date() } = {}) {
+  const totalCents = holdings.reduce((sum, holding) => sum + holding.valueCents, 0n);
+  const orUnknown = (value, label = value) => (value ? { key: value, label } : UNKNOWN);
+
+  const groups = {
+    property: breakdown(holdings, totalCents, (holding) => ({
+      key: holding.propertyId,
+      label: holding.property.title || holding.propertyId,
+    })),
+    propertyType: breakdown(holdings, totalCents, (holding) => orUnknown(holding.property.property_type)),
+    city: breakdown(holdings, totalCents, ({ property }) => orUnknown(
+      property.city && [property.city, property.state, property.country].filter(Boolean).join(', ')
+    )),
+    state: breakdown(holdings, totalCents, ({ property }) => orUnknown(
+      property.state && [property.state, property.country].filter(Boolean).join(', ')
+    )),
+    country: breakdown(holdings, totalCents, (holding) => orUnknown(holding.property.country)),
+    yieldBand: breakdown(holdings, totalCents, (holding) => yieldBand(holding.property.annual_yield)),
+    maturity: breakdown(holdings, totalCents, (holding) => maturityBand(
+      holding.property.hold_period_months, holding.acquiredAt, now
+    )),
+  };
+
+  const top = groups.property.slice(0, topN);
+  const topCents = top.reduce((sum, group) => sum + group.valueCents, 0n);
+  const propertyIndex = herfindahlIndex(groups.property, totalCents);
+
+  const flags = [];
+  // Weight flags carry percentages, the index flag a 0-1 fraction
+  Object.keys(DIMENSION_LABELS).forEach((dimension) => {
+    groups[dimension]
+      .filter((group) => group.key !== UNKNOWN.key && Number(group.weightPercent) > thresholds[dimension])
+      .forEach((group) => flags.push({
+        dimension,
+        key: group.key,
+        label: group.label,
+        value: group.weightPercent,
+        threshold: String(thresholds[dimension]),
+        message: `${group.label} is ${group.weightPercent}% of your portfolio, above the ${thresholds[dimension]}% limit per ${DIMENSION_LABELS[dimension]}`,
+      }));
+  });
+
+  if (propertyIndex !== null && propertyIndex > thresholds.herfindahlIndex) {
+    flags.push({
+      dimension: 'herfindahlIndex',
+      key: null,
+      label: 'Herfindahl index',
+      value: String(propertyIndex),
+      threshold: String(thresholds.herfindahlIndex),
+      message: `Your portfolio is concentrated in few properties (Herfindahl index ${propertyIndex}, limit ${thresholds.herfindahlIndex})`,
+    });
+  }
+
+  const stripCents = (list) => list.map(({ valueCents, ...group }) => group);
+
+  return {
+    totalValue: fromUnits(totalCents, USD_SCALE),
+    holdings: holdings.length,
+    breakdowns: Object.fromEntries(Object.entries(groups).map(([dimension, list]) => [dimension, stripCents(list)])),
+    concentration: {
+      topN: {
+        n: topN,
+        weightPercent: percentOf(topCents, totalCents),
+        properties: stripCents(top),
+      },
+      herfindahlIndex: propertyIndex,
+      effectiveHoldings: propertyIndex ? Number((1 / propertyIndex).toFixed(2)) : null,
+      byDimension: Object.fromEntries(Object.entries(groups)
+        .filter(([dimension]) => dimension !== 'property')
+        .map(([dimension, list]) => [dimension, {
+          herfindahlIndex: herfindahlIndex(list, totalCents),
+          largest: list[0] ? { key: list[0].key, label: list[0].label, weightPercent: list[0].weightPercent } : null,
+        }])),
+    },
+    flags,
+    thresholds,
+  };
+}
+
+module.exports = {
+  CONCENTRATION_THRESHOLDS,
+  YIELD_BANDS,
+  analyzeDiversification,
+};
@@ -0,0 +1,311 @@
+const { StatusCodes } = require('http-status-codes');
+const supabase = require('../config/supabase');
+const logger = require('../config/logger');
+const { placeInvestment } = require('./investment.service');
+const { notifyUsers } = require('./notification.service');
+const { USD_SCALE, toUnits, fromUnits } = require('../utils/money');
+
+/**
+ * Recurring auto-invest plans.
+ *
+ * A plan invests a fixed amount on a cadence, split across its properties by
+ * weight. Each due date is one run: the run row is claimed first, so a rerun
+ * of the job for the same date does nothing, then every leg is placed through
+ * the normal investment path. Legs whose property is sold out, paused or gone
+ * are skipped rather than failed, and the plan moves on to its next date
+ * either way.
+ */
+
+const CADENCES = ['weekly', 'biweekly', 'monthly'];
+const CADENCE_DAYS = { weekly: 7, biweekly: 14 };
+
+// Investment outcomes that mean the property can't take money right now
+const SKIP_REASONS = ['property_not_found', 'property_not_active', 'listing_not_open', 'insufficient_shares'];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const toDate = (value) => new Date(`${String(value).slice(0, 10)}T00:00:00Z`);
+const formatDate = (date) => date.toISOString().slice(0, 10);
+
+/**
+ * Today's date (YYYY-MM-DD, UTC)
+ */
+const today = (now = new Date()) => formatDate(now);
+
+/**
+ * The plan's day-of-month date in a given month, clamped to the month's last day
+ */
+function monthlyDate(startDate, monthOffset) {
+  const start = toDate(startDate);
+  const year = start.getUTCFullYear();
+  const month = start.getUTCMonth() + monthOffset;
+  const lastDay = new Date(Date.UTC(year, month + 1, 0)).getUTCDate();
+  return new Date(Date.UTC(year, month, Math.min(start.getUTCDate(), lastDay)));
+}
+
+/**
+ * First scheduled date of a plan strictly after a date (or on the start date
+ * when that is later), or null once the plan's end date has passed
+ */
+function nextRunDate({ cadence, start_date: startDate, end_date: endDate }, after) {
+  const start = toDate(startDate);
+  const afterDate = toDate(after);
+  let next;
+
+  if (afterDate < start) {
+    next = start;
+  } else if (cadence === 'monthly') {
+    const months = (afterDate.getUTCFullYear() - start.getUTCFullYear()) * 12
+      + afterDate.getUTCMonth() - start.getUTCMonth();
+    next = monthlyDate(startDate, months);
+    if (next <= afterDate) {
+      next = monthlyDate(startDate, months + 1);
+    }
+  } else {
+    const step = CADENCE_DAYS[cadence];
+    const elapsed = Math.round((afterDate - start) / DAY_MS);
+    next = new Date(start.getTime() + (Math.floor(elapsed / step) + 1) * step * DAY_MS);
+  }
+
+  if (endDate && next > toDate(endDate)) {
+    return null;
+  }
+
+  return formatDate(next);
+}
+
+/**
+ * Split an amount across allocations by weight, in cents. The last leg takes
+ * the rounding remainder so the legs always add up to the amount.
+ */
+function splitAmount(amountUsd, allocations) {
+  const totalCents = toUnits(amountUsd, USD_SCALE);
+  let allocatedCents = 0n;
+
+  return allocations.map((allocation, index) => {
+    const cents = index === allocations.length - 1
+      ? totalCents - allocatedCents
+      : (totalCents * toUnits(allocation.weight_percent, USD_SCALE)) / 10000n;
+    allocatedCents += cents;
+
+    return {
+      propertyId: allocation.property_id,
+      amountUsd: fromUnits(cents, USD_SCALE),
+    };
+  });
+}
+
+/**
+ * Get a plan's allocations
+ */
+async function getAllocations(planId) {
+  const { data: allocations, error } = await supabase
+    .from('auto_invest_allocations')
+    .select('property_id, weight_percent')
+    .eq('plan_id', planId)
+    .order('weight_percent', { ascending: false });
+
+  if (error) {
+    throw new Error(`Failed to fetch plan allocations: ${error.message}`);
+  }
+
+  return allocations || [];
+}
+
+/**
+ * Place one leg of a run and classify the outcome
+ */
+async function runLeg(plan, leg) {
+  try {
+    const { statusCode, body, reason } = await placeInvestment({
+      userId: plan.user_id,
+      propertyId: leg.propertyId,
+      amountUsd: leg.amountUsd,
+      paymentSource: plan.payment_source,
+      paymentMethodId: plan.payment_method_id,
+      notes: `Auto-invest plan ${plan.plan_id}`,
+    });
+
+    // Created is invested; Accepted is waiting on the payment to settle
+    if (statusCode === StatusCodes.CREATED || statusCode === StatusCodes.ACCEPTED) {
+      const invested = statusCode === StatusCodes.CREATED;
+      return {
+        ...leg,
+        status: invested ? 'invested' : 'pending',
+        investmentId: body.data.id,
+        investedUsd: invested ? body.data.amount : null,
+        reason: null,
+        message: null,
+      };
+    }
+
+    return {
+      ...leg,
+      status: SKIP_REASONS.includes(reason) ? 'skipped' : 'failed',
+      investmentId: null,
+      investedUsd: null,
+      reason,
+      message: body.message,
+    };
+  } catch (error) {
+    logger.error(`Auto-invest leg error: ${error.message}`, { planId: plan.plan_id, propertyId: leg.propertyId });
+    return {
+      ...leg,
+      status: 'failed',
+      investmentId: null,
+      investedUsd: null,
+      reason: 'error',
+      message: error.message,
+    };
+  }
+}
+
+/**
+ * Overall run status from its legs
+ */
+function runStatus(legs) {
+  const placed = legs.filter((leg) => leg.status === 'invested' || leg.status === 'pending').length;
+  if (placed === legs.length) {
+    return 'succeeded';
+  }
+  if (placed > 0) {
+    return 'partial';
+  }
+  return legs.every((leg) => leg.status === 'skipped') ? 'skipped' : 'failed';
+}
+
+/**
+ * Move a plan past a run date to its next date, or complete it after its end date.
+ * Dates the job missed are skipped rather than caught up all at once.
+ */
+async function advancePlan(plan, scheduledDate, now = new Date()) {
+  const next = nextRunDate(plan, scheduledDate > today(now) ? scheduledDate : today(now));
+  const { error } = await supabase
+    .from('auto_invest_plans')
+    .update({
+      next_run_date: next,
+      status: next ? plan.status : 'completed',
+      updated_at: new Date().toISOString(),
+    })
+    .eq('plan_id', plan.plan_id);
+
+  if (error) {
+    logger.error(`Advance auto-invest plan error: ${error.message}`, { planId: plan.plan_id });
+  }
+}
+
+/**
+ * Execute a plan's run for a scheduled date and move the plan to its next date.
+ * Returns the run, or null when the run for that date was already claimed.
+ */
+async function executePlan(plan, scheduledDate, now = new Date()) {
+  const { data: run, error: claimError } = await supabase
+    .from('auto_invest_runs')
+    .insert([
+      {
+        plan_id: plan.plan_id,
+        user_id: plan.user_id,
+        scheduled_date: scheduledDate,
+        status: 'running',
+        amount_usd: plan.amount_usd,
+      },
+    ])
+    .select()
+    .single();
+
+  if (claimError) {
+    // Already run for this date (e.g. the job ran twice): just make sure the plan moved on
+    if (claimError.code === '23505') {
+      await advancePlan(plan, scheduledDate, now);
+      return null;
+    }
+    throw new Error(`Failed to start auto-invest run: ${claimError.message}`);
+  }
+
+  const allocations = await getAllocations(plan.plan_id);
+  const legs = [];
+  for (const leg of splitAmount(plan.amount_usd, allocations)) {
+    legs.push(await runLeg(plan, leg));
+  }
+
+  const investedCents = legs
+    .filter((leg) => leg.investedUsd)
+    .reduce((sum, leg) => sum + toUnits(leg.investedUsd, USD_SCALE), 0n);
+  const status = legs.length ? runStatus(legs) : 'skipped';
+
+  const { data: completedRun, error: runError } = await supabase
+    .from('auto_invest_runs')
+    .update({
+      status,
+      invested_usd: fromUnits(investedCents, USD_SCALE),
+      legs: legs.map(({ investedUsd, ...leg }) => leg),
+      completed_at: new Date().toISOString(),
+    })
+    .eq('run_id', run.run_id)
+    .select()
+    .single();
+
+  if (runError) {
+    logger.error(`Complete auto-invest run error: ${runError.message}`, { runId: run.run_id });
+  }
+
+  await advancePlan(plan, scheduledDate, now);
+
+  if (status !== 'succeeded') {
+    const missed = legs.filter((leg) => leg.status === 'skipped' || leg.status === 'failed');
+    await notifyUsers([plan.user_id], {
+      title: status === 'skipped' ? 'Auto-invest run skipped' : 'Auto-invest run incomplete',
+      body: `Your auto-invest plan${plan.name ? ` "${plan.name}"` : ''} could not invest `
+        + `$${fromUnits(missed.reduce((sum, leg) => sum + toUnits(leg.amountUsd, USD_SCALE), 0n), USD_SCALE)} `
+        + `on ${scheduledDate}: ${missed.map((leg) => leg.message).filter(Boolean).join('; ') || 'no active allocations'}.`,
+      type: 'auto_invest',
+    });
+  }
+
+  return completedRun || { ...run, status, legs };
+}
+
+/**
+ * Run every active plan that is due on or before a date (default: today, UTC).
+ * One plan's failure doesn't stop the others; failures are returned.
+ */
+async function runDuePlans(now = new Date()) {
+  const { data: plans, error } = await supabase
+    .from('auto_invest_plans')
+    .select('*')
+    .eq('status', 'active')
+    .lte('next_run_date', today(now))
+    .order('next_run_date', { ascending: true });
+
+  if (error) {
+    throw new Error(`Failed to fetch due auto-invest plans: ${error.message}`);
+  }
+
+  const runs = { succeeded: 0, partial: 0, skipped: 0, failed: 0, alreadyRun: 0 };
+  const errors = [];
+
+  for (const plan of plans || []) {
+    try {
+      const run = await executePlan(plan, plan.next_run_date, now);
+      if (run) {
+        runs[run.status] += 1;
+      } else {
+        runs.alreadyRun += 1;
+      }
+    } catch (runError) {
+      errors.push({ planId: plan.plan_id, error: runError.message });
+    }
+  }
+
+  return { plans: (plans || []).length, runs, errors };
+}
+
+module.exports = {
+  CADENCES,
+  today,
+  nextRunDate,
+  splitAmount,
+  getAllocations,
+  executePlan,
+  runDuePlans,
+};
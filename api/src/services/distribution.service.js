@@ -0,0 +1,169 @@
+const supabase = require('../config/supabase');
+const logger = require('../config/logger');
+const { notifyUsers } = require('./notification.service');
+const { reinvestDistribution } = require('./drip.service');
+
+/**
+ * Distribution payouts.
+ *
+ * A declared distribution is paid once its pay date arrives, either by an
+ * admin or by the daily job. Entitlements, wallet credits and the ledger are
+ * handled by the database (execute_distribution), which refuses to pay a
+ * distribution twice or before its dates, and cancels one nobody held
+ * shares for on the record date. Payouts to DRIP investors are reinvested
+ * right after; the daily job retries the reinvestment of paid distributions
+ * whose run did not finish.
+ */
+
+/**
+ * Pay a declared distribution: credit investors' wallets, reinvest the
+ * payouts of DRIP investors and notify the others. Returns the payouts and
+ * reinvestments. Database refusals (distribution_not_found,
+ * invalid_distribution_transition, distribution_not_payable) are thrown with
+ * that code as the message, as is no_eligible_holders once the distribution
+ * has been cancelled for having nobody to pay.
+ */
+async function executeDistribution(distribution) {
+  const { data: payouts, error } = await supabase
+    .rpc('execute_distribution', { p_distribution_id: distribution.distribution_id });
+
+  if (error) {
+    throw Object.assign(new Error(error.message), { code: error.message, details: error.details });
+  }
+
+  if (!payouts || payouts.length === 0) {
+    throw Object.assign(new Error('no_eligible_holders'), { code: 'no_eligible_holders' });
+  }
+
+  // Payouts to DRIP investors are spent on new shares; the distribution is
+  // already paid, so a failure here leaves their payouts in the wallet until
+  // the daily job retries
+  let reinvestments = [];
+  try {
+    reinvestments = await reinvestPayouts(distribution, payouts);
+  } catch (reinvestError) {
+    logger.error(`Reinvest distribution error: ${reinvestError.message}`, {
+      distributionId: distribution.distribution_id,
+    });
+  }
+
+  const reinvestedUserIds = new Set(reinvestments.map((reinvestment) => reinvestment.userId));
+  await notifyUsers(
+    payouts
+      .filter((payout) => Number(payout.amount_usd) > 0 && !reinvestedUserIds.has(payout.user_id))
+      .map((payout) => payout.user_id),
+    {
+      title: 'Distribution paid',
+      body: `A rental income distribution with a record date of ${distribution.record_date} has been paid to your wallet.`,
+      type: 'distribution',
+    }
+  );
+
+  return { payouts, reinvestments };
+}
+
+/**
+ * Pay every declared distribution whose pay date has arrived (UTC). One
+ * distribution's failure doesn't stop the others; failures are returned.
+ */
+async function payDueDistributions(now = new Date()) {
+  const today = now.toISOString().slice(0, 10);
+
+  const { data: due, error } = await supabase
+    .from('distributions')
+    .select('*')
+    .eq('status', 'declared')
+    .lte('pay_date', today)
+    .lt('record_date', today)
+    .order('pay_date', { ascending: true });
+
+  if (error) {
+    throw new Error(`Failed to fetch due distributions: ${error.message}`);
+  }
+
+  const paid = [];
+  const cancelled = [];
+  const failed = [];
+
+  for (const distribution of due || []) {
+    try {
+      const { payouts } = await executeDistribution(distribution);
+      paid.push({ distributionId: distribution.distribution_id, investorCount: payouts.length });
+    } catch (payError) {
+      if (payError.code === 'no_eligible_holders') {
+        cancelled.push({ distributionId: distribution.distribution_id, reason: payError.code });
+      } else {
+        failed.push({ distributionId: distribution.distribution_id, error: payError.message });
+      }
+    }
+  }
+
+  return { paid, cancelled, failed };
+}
+
+/**
+ * Reinvest the DRIP payouts of paid distributions whose reinvestment did not
+ * finish (the process stopped or it failed after the payouts). Payouts
+ * already claimed are skipped. Failures are returned.
+ */
+async function reinvestPaidDistributions() {
+  const { data: pending, error } = await supabase
+    .from('distributions')
+    .select('*')
+    .eq('status', 'paid')
+    .is('reinvested_at', null)
+    .order('paid_at', { ascending: true });
+
+  if (error) {
+    throw new Error(`Failed to fetch paid distributions: ${error.message}`);
+  }
+
+  const reinvested = [];
+  const failed = [];
+
+  for (const distribution of pending || []) {
+    try {
+      const { data: payouts, error: payoutsError } = await supabase
+        .from('distribution_payouts')
+        .select('*')
+        .eq('distribution_id', distribution.distribution_id);
+
+      if (payoutsError) {
+        throw new Error(`Failed to fetch payouts: ${payoutsError.message}`);
+      }
+
+      const reinvestments = await reinvestPayouts(distribution, payouts || []);
+      reinvested.push({ distributionId: distribution.distribution_id, reinvestmentCount: reinvestments.length });
+    } catch (reinvestError) {
+      failed.push({ distributionId: distribution.distribution_id, error: reinvestError.message });
+    }
+  }
+
+  return { reinvested, failed };
+}
+
+// Helper Functions
+
+/**
+ * Reinvest a paid distribution's DRIP payouts and record that it is done
+ */
+async function reinvestPayouts(distribution, payouts) {
+  const reinvestments = await reinvestDistribution(distribution, payouts);
+
+  const { error } = await supabase
+    .from('distributions')
+    .update({ reinvested_at: new Date().toISOString() })
+    .eq('distribution_id', distribution.distribution_id);
+
+  if (error) {
+    throw new Error(`Failed to record reinvestment: ${error.message}`);
+  }
+
+  return reinvestments;
+}
+
+module.exports = {
+  executeDistribution,
+  payDueDistributions,
+  reinvestPaidDistributions,
+};
@@ -0,0 +1,254 @@
+const { StatusCodes } = require('http-status-codes');
+const supabase = require('../config/supabase');
+const logger = require('../config/logger');
+const { placeInvestment } = require('./investment.service');
+const { notifyUsers } = require('./notification.service');
+const { USD_SCALE, toUnits, fromUnits } = require('../utils/money');
+
+/**
+ * Dividend reinvestment (DRIP).
+ *
+ * Distributions are always paid into investors' wallets first. Payouts to
+ * investors who elected DRIP for the property are then spent on new shares
+ * of the same property at the prevailing price, through the normal
+ * investment path paid from the wallet and journaled as
+ * dividend_reinvestment. When the purchase can't be made (listing closed or
+ * sold out, payout below the minimum investment) the payout stays in the
+ * wallet as cash.
+ */
+
+/**
+ * Get a user's DRIP settings: the account-wide default and per-holding overrides
+ */
+async function getDripSettings(userId) {
+  const { data: settings, error } = await supabase
+    .from('drip_settings')
+    .select('property_id, enabled, updated_at')
+    .eq('user_id', userId);
+
+  if (error) {
+    throw new Error(`Failed to fetch DRIP settings: ${error.message}`);
+  }
+
+  const accountSetting = (settings || []).find((setting) => setting.property_id === null);
+  return {
+    enabled: accountSetting ? accountSetting.enabled : false,
+    overrides: Object.fromEntries((settings || [])
+      .filter((setting) => setting.property_id !== null)
+      .map((setting) => [setting.property_id, setting.enabled])),
+  };
+}
+
+/**
+ * Set the account-wide DRIP default (propertyId null) or a holding's override
+ */
+async function setDripSetting(userId, { propertyId = null, enabled }) {
+  let query = supabase
+    .from('drip_settings')
+    .update({ enabled, updated_at: new Date().toISOString() })
+    .eq('user_id', userId);
+
+  query = propertyId ? query.eq('property_id', propertyId) : query.is('property_id', null);
+
+  const { data: updated, error } = await query.select();
+
+  if (error) {
+    throw new Error(`Failed to update DRIP setting: ${error.message}`);
+  }
+
+  if (updated && updated.length > 0) {
+    return updated[0];
+  }
+
+  const { data: created, error: insertError } = await supabase
+    .from('drip_settings')
+    .insert([{ user_id: userId, property_id: propertyId, enabled }])
+    .select()
+    .single();
+
+  if (insertError) {
+    throw new Error(`Failed to save DRIP setting: ${insertError.message}`);
+  }
+
+  return created;
+}
+
+/**
+ * Remove a holding's override so it follows the account-wide default.
+ * Returns whether there was an override.
+ */
+async function clearDripOverride(userId, propertyId) {
+  const { data: deleted, error } = await supabase
+    .from('drip_settings')
+    .delete()
+    .eq('user_id', userId)
+    .eq('property_id', propertyId)
+    .select();
+
+  if (error) {
+    throw new Error(`Failed to remove DRIP setting: ${error.message}`);
+  }
+
+  return (deleted || []).length > 0;
+}
+
+/**
+ * The users, among a set, who reinvest distributions from a property: a
+ * holding override wins over the account-wide default
+ */
+async function getDripParticipants(userIds, propertyId) {
+  if (!userIds.length) {
+    return new Set();
+  }
+
+  const { data: settings, error } = await supabase
+    .from('drip_settings')
+    .select('user_id, property_id, enabled')
+    .in('user_id', userIds)
+    .or(`property_id.is.null,property_id.eq.${propertyId}`);
+
+  if (error) {
+    throw new Error(`Failed to fetch DRIP settings: ${error.message}`);
+  }
+
+  const elections = new Map();
+  const accountSettings = (settings || []).filter((setting) => setting.property_id === null);
+  const holdingSettings = (settings || []).filter((setting) => setting.property_id !== null);
+  [...accountSettings, ...holdingSettings].forEach((setting) => elections.set(setting.user_id, setting.enabled));
+
+  return new Set([...elections].filter(([, enabled]) => enabled).map(([userId]) => userId));
+}
+
+/**
+ * Reinvest a paid distribution's payouts for the investors enrolled in DRIP.
+ * Each payout is claimed before buying, so rerunning only picks up payouts
+ * that were not handled yet. Returns the reinvestment outcomes.
+ */
+async function reinvestDistribution(distribution, payouts) {
+  const eligible = payouts.filter((payout) => toUnits(payout.amount_usd, USD_SCALE) > 0n);
+  const participants = await getDripParticipants(
+    eligible.map((payout) => payout.user_id),
+    distribution.property_id
+  );
+
+  const outcomes = [];
+  for (const payout of eligible.filter((candidate) => participants.has(candidate.user_id))) {
+    const amountUsd = fromUnits(toUnits(payout.amount_usd, USD_SCALE), USD_SCALE);
+    const { error: claimError } = await supabase
+      .from('distribution_reinvestments')
+      .insert([
+        {
+          distribution_id: distribution.distribution_id,
+          user_id: payout.user_id,
+          property_id: distribution.property_id,
+          amount_usd: amountUsd,
+          status: 'pending',
+        },
+      ]);
+
+    if (claimError) {
+      if (claimError.code === '23505') {
+        continue;
+      }
+      throw new Error(`Failed to record reinvestment: ${claimError.message}`);
+    }
+
+    // The claim is settled whatever happens, so a payout never stays pending
+    // (later runs skip claimed payouts) and is paid in cash unless reinvested
+    let outcome = { status: 'cash', investmentId: null, shares: null, pricePerShare: null, reason: 'error' };
+    try {
+      outcome = await reinvestPayout(distribution, payout.user_id, amountUsd);
+    } finally {
+      await settleReinvestment(distribution, payout.user_id, outcome);
+    }
+
+    outcomes.push({ userId: payout.user_id, amountUsd, ...outcome });
+  }
+
+  const reinvested = outcomes.filter((outcome) => outcome.status === 'reinvested');
+  const cash = outcomes.filter((outcome) => outcome.status === 'cash');
+
+  await notifyUsers(reinvested.map((outcome) => outcome.userId), {
+    title: 'Distribution reinvested',
+    body: `Your distribution with a record date of ${distribution.record_date} was reinvested in additional shares of the property.`,
+    type: 'distribution',
+  });
+  await notifyUsers(cash.map((outcome) => outcome.userId), {
+    title: 'Distribution paid in cash',
+    body: `Your distribution with a record date of ${distribution.record_date} could not be reinvested and was paid to your wallet.`,
+    type: 'distribution',
+  });
+
+  return outcomes;
+}
+
+/**
+ * Buy shares with one payout from the investor's wallet
+ */
+async function reinvestPayout(distribution, userId, amountUsd) {
+  try {
+    const { statusCode, body, reason } = await placeInvestment({
+      userId,
+      propertyId: distribution.property_id,
+      amountUsd,
+      paymentSource: 'wallet',
+      notes: `Reinvested distribution ${distribution.distribution_id}`,
+      entryType: 'dividend_reinvestment',
+    });
+
+    if (statusCode === StatusCodes.CREATED) {
+      return {
+        status: 'reinvested',
+        investmentId: body.data.id,
+        shares: body.data.execution.shares,
+        pricePerShare: body.data.execution.pricePerShare,
+        reason: null,
+      };
+    }
+
+    return { status: 'cash', investmentId: null, shares: null, pricePerShare: null, reason: reason || body.message };
+  } catch (error) {
+    logger.error(`Reinvest distribution error: ${error.message}`, {
+      distributionId: distribution.distribution_id,
+      userId,
+    });
+    return { status: 'cash', investmentId: null, shares: null, pricePerShare: null, reason: 'error' };
+  }
+}
+
+/**
+ * Record the outcome of a claimed reinvestment. Failures are logged.
+ */
+async function settleReinvestment(distribution, userId, outcome) {
+  try {
+    const { error } = await supabase
+      .from('distribution_reinvestments')
+      .update({
+        status: outcome.status,
+        investment_id: outcome.investmentId,
+        shares: outcome.shares,
+        price_per_share: outcome.pricePerShare,
+        reason: outcome.reason,
+        updated_at: new Date().toISOString(),
+      })
+      .eq('distribution_id', distribution.distribution_id)
+      .eq('user_id', userId);
+
+    if (error) {
+      throw new Error(error.message);
+    }
+  } catch (error) {
+    logger.error(`Update reinvestment error: ${error.message}`, {
+      distributionId: distribution.distribution_id,
+      userId,
+    });
+  }
+}
+
+module.exports = {
+  getDripSettings,
+  setDripSetting,
+  clearDripOverride,
+  getDripParticipants,
+  reinvestDistribution,
+};
@@ -0,0 +1,176 @@
+const { toCsv, escapeCsvValue } = require('../utils/csv');
+
+/**
+ * Transaction history export formats.
+ *
+ * Each format renders the same normalized transactions:
+ * { id, date, type, entryType, description, propertyId, propertyName,
+ *   shares, amount, fee, referenceId }
+ * with amount signed from the investor's side (positive is money in).
+ * The id is the ledger journal entry id, which never changes, so finance
+ * tools can use it to skip transactions they already imported.
+ *
+ * An exporter renders a header, one chunk per transaction and a footer so
+ * the history can be streamed page by page.
+ */
+
+const INSTITUTION = 'Hakerch';
+
+const CSV_COLUMNS = [
+  { header: 'transaction_id', value: (tx) => tx.id },
+  { header: 'date', value: (tx) => tx.date },
+  { header: 'type', value: (tx) => tx.type },
+  { header: 'entry_type', value: (tx) => tx.entryType },
+  { header: 'description', value: (tx) => tx.description },
+  { header: 'property_id', value: (tx) => tx.propertyId },
+  { header: 'property_name', value: (tx) => tx.propertyName },
+  { header: 'shares', value: (tx) => tx.shares },
+  { header: 'amount_usd', value: (tx) => tx.amount },
+  { header: 'fee_usd', value: (tx) => tx.fee },
+  { header: 'reference_id', value: (tx) => tx.referenceId },
+];
+
+// OFX and QIF have no share columns, so trades carry their share count in the memo
+const memoOf = (tx) => [
+  tx.description,
+  tx.shares ? `${tx.shares} shares` : null,
+  Number(tx.fee) ? `fee ${tx.fee}` : null,
+].filter(Boolean).join('; ');
+
+const payeeOf = (tx) => tx.propertyName || INSTITUTION;
+
+/**
+ * OFX date-time (YYYYMMDDHHMMSS, UTC)
+ */
+const ofxDate = (value) => new Date(value).toISOString().replace(/[-:T]/g, '').slice(0, 14);
+
+const ofxText = (value, maxLength) => String(value ?? '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/[\r\n]+/g, ' ')
+  .slice(0, maxLength);
+
+const OFX_TRANSACTION_TYPES = {
+  dividend: 'DIV',
+  deposit: 'DEP',
+};
+
+/**
+ * QIF date (MM/DD/YYYY, UTC)
+ */
+const qifDate = (value) => {
+  const date = new Date(value);
+  const pad = (number) => String(number).padStart(2, '0');
+  return `${pad(date.getUTCMonth() + 1)}/${pad(date.getUTCDate())}/${date.getUTCFullYear()}`;
+};
+
+const qifText = (value) => String(value ?? '').replace(/[\r\n]+/g, ' ');
+
+const QIF_CATEGORIES = {
+  investment: 'Investments:Purchases',
+  reinvestment: 'Investments:Reinvested Distributions',
+  sale: 'Investments:Sales',
+  dividend: 'Income:Distributions',
+  deposit: 'Transfers:Deposits',
+  withdrawal: 'Transfers:Withdrawals',
+};
+
+const exporters = {
+  csv: {
+    contentType: 'text/csv',
+    extension: 'csv',
+    header: () => toCsv(CSV_COLUMNS, []),
+    row: (tx) => `${CSV_COLUMNS.map((column) => escapeCsvValue(column.value(tx))).join(',')}\r\n`,
+    footer: () => '',
+  },
+
+  // OFX 1.0.2 (SGML) bank statement, the dialect most finance tools import
+  ofx: {
+    contentType: 'application/x-ofx',
+    extension: 'ofx',
+    header: ({ userId, from, to }) => [
+      'OFXHEADER:100',
+      'DATA:OFXSGML',
+      'VERSION:102',
+      'SECURITY:NONE',
+      'ENCODING:USASCII',
+      'CHARSET:1252',
+      'COMPRESSION:NONE',
+      'OLDFILEUID:NONE',
+      'NEWFILEUID:NONE',
+      '',
+      '<OFX>',
+      '<SIGNONMSGSRSV1><SONRS>',
+      '<STATUS><CODE>0<SEVERITY>INFO</STATUS>',
+      `<DTSERVER>${ofxDate(new Date())}`,
+      '<LANGUAGE>ENG',
+      `<FI><ORG>${INSTITUTION}</FI>`,
+      '</SONRS></SIGNONMSGSRSV1>',
+      '<BANKMSGSRSV1><STMTTRNRS>',
+      '<TRNUID>0',
+      '<STATUS><CODE>0<SEVERITY>INFO</STATUS>',
+      '<STMTRS>',
+      '<CURDEF>USD',
+      `<BANKACCTFROM><BANKID>${INSTITUTION.toUpperCase()}<ACCTID>${userId}<ACCTTYPE>CHECKING</BANKACCTFROM>`,
+      '<BANKTRANLIST>',
+      `<DTSTART>${ofxDate(from)}`,
+      `<DTEND>${ofxDate(to)}`,
+      '',
+    ].join('\r\n'),
+    row: (tx) => [
+      '<STMTTRN>',
+      `<TRNTYPE>${OFX_TRANSACTION_TYPES[tx.type] || (Number(tx.amount) < 0 ? 'DEBIT' : 'CREDIT')}`,
+      `<DTPOSTED>${ofxDate(tx.date)}`,
+      `<TRNAMT>${tx.amount}`,
+      `<FITID>${tx.id}`,
+      `<NAME>${ofxText(payeeOf(tx), 32)}`,
+      `<MEMO>${ofxText(memoOf(tx), 255)}`,
+      '</STMTTRN>',
+      '',
+    ].join('\r\n'),
+    footer: ({ balance, asOf }) => [
+      '</BANKTRANLIST>',
+      `<LEDGERBAL><BALAMT>${balance}<DTASOF>${ofxDate(asOf)}</LEDGERBAL>`,
+      '</STMTRS>',
+      '</STMTTRNRS></BANKMSGSRSV1>',
+      '</OFX>',
+      '',
+    ].join('\r\n'),
+  },
+
+  qif: {
+    contentType: 'application/qif',
+    extension: 'qif',
+    header: () => '!Type:Bank\r\n',
+    row: (tx) => [
+      `D${qifDate(tx.date)}`,
+      `T${tx.amount}`,
+      `N${tx.id}`,
+      `P${qifText(payeeOf(tx))}`,
+      `M${qifText(memoOf(tx))}`,
+      `L${QIF_CATEGORIES[tx.type] || 'Investments'}`,
+      '^',
+      '',
+    ].join('\r\n'),
+    footer: () => '',
+  },
+};
+
+const EXPORT_FORMATS = Object.keys(exporters);
+
+/**
+ * Get the exporter for a format (csv, ofx or qif)
+ */
+function getExporter(format) {
+  const exporter = exporters[format];
+  if (!exporter) {
+    throw new Error(`Unsupported export format: ${format}`);
+  }
+  return exporter;
+}
+
+module.exports = {
+  EXPORT_FORMATS,
+  getExporter,
+};
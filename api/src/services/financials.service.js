@@ -0,0 +1,436 @@
+const supabase = require('../config/supabase');
+const {
+  USD_SCALE,
+  toUnits,
+  fromUnits,
+  divRoundHalfUp,
+  percentOf,
+} = require('../utils/money');
+
+/**
+ * Property operating financials.
+ *
+ * Admins record an operating statement per month, quarter or year: gross
+ * rent, vacancy loss, other income, operating expenses by category, debt
+ * service and capex reserves. Everything else is derived here, in cents:
+ *
+ *   effective gross income = gross rent - vacancy loss + other income
+ *   net operating income   = effective gross income - operating expenses
+ *   cash flow              = NOI - debt service - capex reserves
+ *   cap rate               = annualized NOI / property value at period end
+ *   cash-on-cash           = annualized cash flow / equity at period end
+ *   DSCR                   = NOI / debt service
+ *
+ * The property value comes from the valuation history (as of the period's
+ * last day); equity is that value less the loan balance recorded with the
+ * period. Trailing-twelve-month figures add up the periods in the twelve
+ * months ending with the latest one, as of the latest one's end.
+ */
+
+// Months in each period type
+const PERIOD_TYPES = {
+  month: 1,
+  quarter: 3,
+  year: 12,
+};
+
+// API field -> column of each operating expense category
+const EXPENSE_CATEGORIES = {
+  propertyTaxes: 'property_taxes',
+  insurance: 'insurance',
+  managementFees: 'management_fees',
+  repairsMaintenance: 'repairs_maintenance',
+  utilities: 'utilities',
+  other: 'other_expenses',
+};
+
+const financialsError = (code, details) => Object.assign(new Error(code), { code, details });
+
+const cents = (value) => toUnits(value ?? 0, USD_SCALE);
+const usd = (units) => fromUnits(units, USD_SCALE);
+
+/**
+ * First day of the month n months after a YYYY-MM-DD date's month
+ */
+function addMonths(date, n) {
+  const [year, month] = date.split('-').map(Number);
+  return new Date(Date.UTC(year, month - 1 + n, 1)).toISOString().slice(0, 10);
+}
+
+/**
+ * Start and (inclusive) end dates of a period. Months start on the 1st,
+ * quarters in January, April, July or October and years in January; other
+ * start dates throw an error with code invalid_period.
+ */
+function periodBounds(periodType, periodStart) {
+  const months = PERIOD_TYPES[periodType];
+  const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(periodStart || '');
+
+  if (!months || !match || match[3] !== '01' || (Number(match[2]) - 1) % months !== 0) {
+    throw financialsError('invalid_period', {
+      month: 'Monthly periods start on the first day of a month',
+      quarter: 'Quarterly periods start on January 1, April 1, July 1 or October 1',
+      year: 'Yearly periods start on January 1',
+    }[periodType] || 'Unknown period type');
+  }
+
+  const nextStart = new Date(`${addMonths(periodStart, months)}T00:00:00Z`);
+  return {
+    periodStart,
+    periodEnd: new Date(nextStart.getTime() - 24 * 60 * 60 * 1000).toISOString().slice(0, 10),
+    months,
+  };
+}
+
+/**
+ * Add up the statements of one or more periods, in cents
+ */
+function sumPeriods(rows) {
+  const total = (column) => rows.reduce((sum, row) => sum + cents(row[column]), 0n);
+
+  const expenses = Object.fromEntries(Object.entries(EXPENSE_CATEGORIES)
+    .map(([category, column]) => [category, total(column)]));
+  const totalExpenses = Object.values(expenses).reduce((sum, amount) => sum + amount, 0n);
+
+  const grossRent = total('gross_rent');
+  const vacancyLoss = total('vacancy_loss');
+  const otherIncome = total('other_income');
+  const effectiveGrossIncome = grossRent - vacancyLoss + otherIncome;
+  const netOperatingIncome = effectiveGrossIncome - totalExpenses;
+  const debtService = total('debt_service');
+  const capexReserve = total('capex_reserve');
+
+  return {
+    grossRent,
+    vacancyLoss,
+    otherIncome,
+    effectiveGrossIncome,
+    expenses,
+    totalExpenses,
+    netOperatingIncome,
+    debtService,
+    capexReserve,
+    cashFlow: netOperatingIncome - debtService - capexReserve,
+  };
+}
+
+/**
+ * Derive the return metrics of totals covering a number of months. Rates are
+ * annualized percentages; each is null when its denominator is missing or not
+ * positive (cash-on-cash when the loan is at or above the property value).
+ */
+function deriveMetrics(totals, months, { valueCents, equityCents }) {
+  const annualized = (amount, base) => (base > 0n ? percentOf(amount * 12n, base * BigInt(months)) : null);
+
+  return {
+    capRate: annualized(totals.netOperatingIncome, valueCents),
+    cashOnCash: annualized(totals.cashFlow, equityCents),
+    // A ratio to two decimals: NOI / debt service = percentOf(NOI, debt service x 100)
+    dscr: totals.debtService > 0n ? percentOf(totals.netOperatingIncome, totals.debtService * 100n) : null,
+    vacancyRate: totals.grossRent > 0n ? percentOf(totals.vacancyLoss, totals.grossRent) : null,
+    expenseRatio: totals.effectiveGrossIncome > 0n ? percentOf(totals.totalExpenses, totals.effectiveGrossIncome) : null,
+  };
+}
+
+function formatTotals(totals) {
+  return {
+    income: {
+      grossRent: usd(totals.grossRent),
+      vacancyLoss: usd(totals.vacancyLoss),
+      otherIncome: usd(totals.otherIncome),
+      effectiveGrossIncome: usd(totals.effectiveGrossIncome),
+    },
+    operatingExpenses: {
+      ...Object.fromEntries(Object.entries(totals.expenses).map(([category, amount]) => [category, usd(amount)])),
+      total: usd(totals.totalExpenses),
+    },
+    netOperatingIncome: usd(totals.netOperatingIncome),
+    debtService: usd(totals.debtService),
+    capexReserve: usd(totals.capexReserve),
+    cashFlow: usd(totals.cashFlow),
+  };
+}
+
+/**
+ * Property value in effect on a date: the latest valuation on or before it,
+ * else the value before the first valuation, else the current value (the
+ * same fallbacks as property_price_at)
+ */
+function valueAt(valuations, property, date) {
+  const latest = valuations.filter((valuation) => valuation.valuation_date <= date).pop();
+  const value = latest
+    ? latest.value_usd
+    : (valuations[0]?.previous_value_usd ?? property.total_value);
+
+  return value != null ? cents(value) : null;
+}
+
+/**
+ * Get a property's financials: every period (optionally within a date range)
+ * with its derived metrics, oldest first, and the trailing twelve months.
+ * Returns null when the property does not exist.
+ */
+async function getPropertyFinancials(propertyId, { from, to } = {}) {
+  const financials = await loadFinancials(propertyId);
+  if (!financials) {
+    return null;
+  }
+
+  const { property, periods, basis } = financials;
+  const ttm = trailingTwelveMonths(periods);
+
+  return {
+    propertyId,
+    valueUsd: property.total_value != null ? String(property.total_value) : null,
+    periods: periods
+      .filter((period) => (!from || period.period_end >= from) && (!to || period.period_start <= to))
+      .map((period) => formatPeriod(period, basis(period))),
+    trailingTwelveMonths: ttm && {
+      periodStart: ttm.periodStart,
+      periodEnd: ttm.periodEnd,
+      months: ttm.months,
+      // Fewer than twelve months on record: rates are annualized from what there is
+      complete: ttm.months === 12,
+      periodCount: ttm.rows.length,
+      ...formatTotals(ttm.totals),
+      metrics: formatMetrics(ttm.totals, ttm.months, basis(ttm.latest)),
+    },
+  };
+}
+
+/**
+ * Record (or correct) a period's statement and refresh the property's
+ * financial summary. Returns the period with its metrics. Throws
+ * invalid_period for a misaligned start date and overlapping_period when it
+ * overlaps a period of another type.
+ */
+async function recordFinancialPeriod(propertyId, input, recordedBy) {
+  const { periodStart, periodEnd } = periodBounds(input.periodType, input.periodStart);
+
+  const { data: overlapping, error: overlapError } = await supabase
+    .from('property_financial_periods')
+    .select('period_type, period_start, period_end')
+    .eq('property_id', propertyId)
+    .lte('period_start', periodEnd)
+    .gte('period_end', periodStart);
+
+  if (overlapError) {
+    throw new Error(`Failed to check financial periods: ${overlapError.message}`);
+  }
+
+  const conflict = (overlapping || []).find((period) => period.period_type !== input.periodType
+    || period.period_start !== periodStart);
+  if (conflict) {
+    throw financialsError('overlapping_period', {
+      periodType: conflict.period_type,
+      periodStart: conflict.period_start,
+      periodEnd: conflict.period_end,
+    });
+  }
+
+  const expenses = input.operatingExpenses || {};
+  const { data: period, error } = await supabase
+    .from('property_financial_periods')
+    .upsert(
+      {
+        property_id: propertyId,
+        period_type: input.periodType,
+        period_start: periodStart,
+        period_end: periodEnd,
+        gross_rent: input.grossRent,
+        vacancy_loss: input.vacancyLoss || 0,
+        other_income: input.otherIncome || 0,
+        ...Object.fromEntries(Object.entries(EXPENSE_CATEGORIES)
+          .map(([category, column]) => [column, expenses[category] || 0])),
+        debt_service: input.debtService || 0,
+        capex_reserve: input.capexReserve || 0,
+        loan_balance: input.loanBalance || 0,
+        notes: input.notes || null,
+        recorded_by: recordedBy,
+        updated_at: new Date().toISOString(),
+      },
+      { onConflict: 'property_id,period_type,period_start' }
+    )
+    .select()
+    .single();
+
+  if (error) {
+    throw new Error(`Failed to record financial period: ${error.message}`);
+  }
+
+  const financials = await loadFinancials(propertyId);
+  await refreshFinancialSummary(financials);
+
+  return formatPeriod(period, financials.basis(period));
+}
+
+/**
+ * Delete a period's statement and refresh the property's financial summary.
+ * Returns false when the property has no such period.
+ */
+async function deleteFinancialPeriod(propertyId, periodId) {
+  const { data: deleted, error } = await supabase
+    .from('property_financial_periods')
+    .delete()
+    .eq('period_id', periodId)
+    .eq('property_id', propertyId)
+    .select('period_id');
+
+  if (error) {
+    throw new Error(`Failed to delete financial period: ${error.message}`);
+  }
+  if (!deleted || deleted.length === 0) {
+    return false;
+  }
+
+  await refreshFinancialSummary(await loadFinancials(propertyId));
+  return true;
+}
+
+// Helper Functions
+
+/**
+ * Load a property with its periods (oldest first) and the basis a period's
+ * rates are measured against: the value at its end and that value less its
+ * loan balance. Null when the property does not exist.
+ */
+async function loadFinancials(propertyId) {
+  const [{ data: property, error: propertyError }, periodsResult, valuationsResult] = await Promise.all([
+    supabase.from('properties').select('id, total_value').eq('id', propertyId).maybeSingle(),
+    supabase
+      .from('property_financial_periods')
+      .select('*')
+      .eq('property_id', propertyId)
+      .order('period_start', { ascending: true }),
+    supabase
+      .from('property_valuations')
+      .select('valuation_date, value_usd, previous_value_usd')
+      .eq('property_id', propertyId)
+      .order('valuation_date', { ascending: true })
+      .order('created_at', { ascending: true }),
+  ]);
+
+  if (propertyError) {
+    throw new Error(`Failed to fetch property: ${propertyError.message}`);
+  }
+  if (!property) {
+    return null;
+  }
+  if (periodsResult.error) {
+    throw new Error(`Failed to fetch financial periods: ${periodsResult.error.message}`);
+  }
+  if (valuationsResult.error) {
+    throw new Error(`Failed to fetch property valuations: ${valuationsResult.error.message}`);
+  }
+
+  const valuations = valuationsResult.data || [];
+
+  return {
+    property,
+    periods: periodsResult.data || [],
+    basis: (period) => {
+      const valueCents = valueAt(valuations, property, period.period_end);
+      return {
+        valueCents,
+        equityCents: valueCents != null ? valueCents - cents(period.loan_balance) : null,
+      };
+    },
+  };
+}
+
+function formatMetrics(totals, months, basis) {
+  return {
+    valueUsd: basis.valueCents != null ? usd(basis.valueCents) : null,
+    equityUsd: basis.equityCents != null ? usd(basis.equityCents) : null,
+    ...deriveMetrics(totals, months, basis),
+  };
+}
+
+/**
+ * Amount over a number of months scaled to a year, rounded half away from zero
+ */
+function annualize(amount, months) {
+  const scaled = divRoundHalfUp((amount < 0n ? -amount : amount) * 12n, BigInt(months));
+  return amount < 0n ? -scaled : scaled;
+}
+
+/**
+ * The periods in the twelve months ending with the latest period, and their
+ * totals. Null when there are none.
+ */
+function trailingTwelveMonths(periods) {
+  if (periods.length === 0) {
+    return null;
+  }
+
+  const latest = periods.reduce((last, period) => (period.period_end > last.period_end ? period : last));
+  const periodEnd = latest.period_end;
+  const periodStart = addMonths(periodEnd, -11);
+  const rows = periods.filter((period) => period.period_start >= periodStart && period.period_end <= periodEnd);
+
+  return {
+    periodStart,
+    periodEnd,
+    latest,
+    months: rows.reduce((sum, period) => sum + PERIOD_TYPES[period.period_type], 0),
+    rows,
+    totals: sumPeriods(rows),
+  };
+}
+
+function formatPeriod(period, basis) {
+  const totals = sumPeriods([period]);
+  const months = PERIOD_TYPES[period.period_type];
+
+  return {
+    id: period.period_id,
+    periodType: period.period_type,
+    periodStart: period.period_start,
+    periodEnd: period.period_end,
+    months,
+    ...formatTotals(totals),
+    loanBalance: usd(cents(period.loan_balance)),
+    metrics: formatMetrics(totals, months, basis),
+    notes: period.notes,
+    recordedBy: period.recorded_by,
+    createdAt: period.created_at,
+    updatedAt: period.updated_at,
+  };
+}
+
+/**
+ * Keep the property_financials summary (shown with the property) at the
+ * annualized trailing-twelve-month figures
+ */
+async function refreshFinancialSummary({ property, periods, basis }) {
+  const ttm = trailingTwelveMonths(periods);
+  const annual = (amount) => usd(ttm ? annualize(amount, ttm.months) : 0n);
+
+  const { error } = await supabase
+    .from('property_financials')
+    .upsert(
+      {
+        property_id: property.id,
+        current_value: property.total_value,
+        annual_income: annual(ttm?.totals.effectiveGrossIncome),
+        annual_expenses: annual(ttm?.totals.totalExpenses),
+        net_operating_income: annual(ttm?.totals.netOperatingIncome),
+        cap_rate: ttm ? deriveMetrics(ttm.totals, ttm.months, basis(ttm.latest)).capRate : null,
+        updated_at: new Date().toISOString(),
+      },
+      { onConflict: 'property_id' }
+    );
+
+  if (error) {
+    throw new Error(`Failed to update property financials: ${error.message}`);
+  }
+}
+
+module.exports = {
+  PERIOD_TYPES,
+  EXPENSE_CATEGORIES,
+  periodBounds,
+  getPropertyFinancials,
+  recordFinancialPeriod,
+  deleteFinancialPeriod,
+};
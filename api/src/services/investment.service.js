@@ -0,0 +1,351 @@
+const { StatusCodes } = require('http-status-codes');
+const { v4: uuidv4 } = require('uuid');
+const supabase = require('../config/supabase');
+const logger = require('../config/logger');
+const { getPaymentProvider } = require('./payments');
+const { getPropertyListing, checkListingOrder } = require('./listing.service');
+const {
+  SHARE_SCALE,
+  USD_SCALE,
+  MIN_INVESTMENT_USD,
+  toUnits,
+  quoteByAmount,
+  quoteByShares,
+} = require('../utils/money');
+
+// reason is a machine-readable cause for declined orders, e.g. for auto-invest run history
+const result = (statusCode, body, reason = null) => ({ statusCode, body, reason });
+
+/**
+ * Buy shares in a property: quote the order at the current price, authorize
+ * the payment, allocate the shares and capture the funds.
+ *
+ * This is the one investment path, used by the API and by auto-invest plans.
+ * The outcome is returned as the API response ({ statusCode, body }) rather
+ * than sent; unexpected errors are thrown.
+ *
+ * order: { userId, propertyId, amountUsd or shares, paymentSource ('card' or
+ * 'wallet'), paymentMethodId (cards only), notes, transactionId, entryType
+ * ('purchase', or 'dividend_reinvestment' for reinvested distributions) }
+ */
+async function placeInvestment({
+  userId,
+  propertyId,
+  amountUsd,
+  shares: requestedShares,
+  paymentSource = 'card',
+  paymentMethodId: cardPaymentMethodId,
+  notes,
+  transactionId = uuidv4(),
+  entryType = 'purchase',
+}) {
+  const paymentMethodId = paymentSource === 'wallet' ? null : cardPaymentMethodId;
+
+  // 1. Check if property exists and is active
+  const { data: property, error: propertyFetchError } = await supabase
+    .from('properties')
+    .select('id, status, available_shares, price_per_share')
+    .eq('id', propertyId)
+    .single();
+
+  if (propertyFetchError || !property) {
+    return result(StatusCodes.NOT_FOUND, {
+      status: 'error',
+      message: 'Property not found',
+    }, 'property_not_found');
+  }
+
+  if (property.status !== 'active') {
+    return result(StatusCodes.BAD_REQUEST, {
+      status: 'error',
+      message: 'Property is not available for investment',
+    }, 'property_not_active');
+  }
+
+  // 2. Convert the order into exact shares and a charge at the current price
+  const quote = amountUsd !== undefined
+    ? quoteByAmount(amountUsd, property.price_per_share)
+    : quoteByShares(requestedShares, property.price_per_share);
+
+  if (quote.shareUnits <= 0n) {
+    return result(StatusCodes.BAD_REQUEST, {
+      status: 'error',
+      message: 'Amount is too small to buy any shares at the current price',
+      pricePerShare: quote.pricePerShare,
+    }, 'amount_too_small');
+  }
+
+  if (quote.chargedCents < toUnits(MIN_INVESTMENT_USD, USD_SCALE)) {
+    return result(StatusCodes.BAD_REQUEST, {
+      status: 'error',
+      message: `Minimum investment is $${MIN_INVESTMENT_USD}`,
+      amountUsd: quote.amountUsd,
+    }, 'amount_too_small');
+  }
+
+  // 3. Check if there are enough available shares
+  // (fails fast before charging; the authoritative check happens under a row lock in step 5)
+  if (quote.shareUnits > toUnits(property.available_shares, SHARE_SCALE)) {
+    return result(StatusCodes.BAD_REQUEST, {
+      status: 'error',
+      message: 'Not enough shares available',
+      availableShares: property.available_shares,
+    }, 'insufficient_shares');
+  }
+
+  // The property's funding round must be open and the order within its
+  // per-investor limits (also enforced under a lock in step 6)
+  const offering = await getPropertyListing(propertyId);
+  const listingError = mapAllocationError(await checkListingOrder(offering, {
+    userId,
+    amountCents: quote.chargedCents,
+    shareUnits: quote.shareUnits,
+  }));
+
+  if (listingError) {
+    return result(listingError.statusCode, listingError.body, listingError.reason);
+  }
+
+  const { shares, amountUsd: amount } = quote;
+  const investmentId = uuidv4();
+  const execution = {
+    shares: quote.shares,
+    pricePerShare: quote.pricePerShare,
+    amountUsd: quote.amountUsd,
+    requestedAmountUsd: quote.requestedAmountUsd,
+    remainderUsd: quote.remainderUsd,
+  };
+
+  // 4. Authorize the payment (a card authorization or a hold on the wallet
+  // balance); funds are only captured once the shares are allocated
+  const payments = getPaymentProvider(paymentSource === 'wallet' ? 'wallet' : undefined);
+  const authorization = {
+    amountCents: Number(quote.chargedCents),
+    paymentMethodId,
+    customerId: userId,
+    description: `Investment in property ${propertyId} for ${shares} shares`,
+    metadata: {
+      investmentId,
+      propertyId,
+      userId,
+      shares,
+    },
+    idempotencyKey: investmentId,
+  };
+
+  let paymentIntent;
+  try {
+    paymentIntent = await payments.authorize(authorization);
+  } catch (error) {
+    if (error.code === 'payment_timeout') {
+      logger.error(`Payment authorization timed out for investment ${investmentId}`);
+      // The authorization may still have gone through; there is no investment
+      // to attach it to, so void it
+      await voidTimedOutAuthorization(payments, authorization);
+      return result(StatusCodes.GATEWAY_TIMEOUT, {
+        status: 'error',
+        message: 'Payment provider did not respond, please try again',
+        transactionId,
+      }, 'payment_timeout');
+    }
+    throw error;
+  }
+
+  if (paymentIntent.status === 'failed') {
+    return result(StatusCodes.PAYMENT_REQUIRED, {
+      status: 'error',
+      message: paymentIntent.failureMessage || 'Payment was declined',
+      declineCode: paymentIntent.failureCode,
+    }, 'payment_failed');
+  }
+
+  // 5. Payment needs customer action (e.g. 3-D Secure) or is still processing:
+  // keep the investment pending, without allocating shares, until the payment
+  // webhook confirms it
+  if (paymentIntent.status === 'requires_action' || paymentIntent.status === 'processing') {
+    const { data: pendingInvestment, error: pendingError } = await supabase
+      .from('investments')
+      .insert([
+        {
+          id: investmentId,
+          user_id: userId,
+          property_id: propertyId,
+          listing_id: offering.listing ? offering.listing.listing_id : null,
+          shares,
+          amount,
+          status: 'pending',
+          payment_status: paymentIntent.status,
+          payment_provider: payments.name,
+          payment_intent_id: paymentIntent.id,
+          payment_method_id: paymentMethodId,
+          transaction_id: transactionId,
+          notes: notes || null,
+          created_at: new Date().toISOString(),
+          updated_at: new Date().toISOString(),
+        },
+      ])
+      .select()
+      .single();
+
+    if (pendingError) {
+      logger.error(`Create pending investment error: ${pendingError.message}`);
+      await payments.cancel(paymentIntent.id);
+      throw new Error('Failed to create investment');
+    }
+
+    return result(StatusCodes.ACCEPTED, {
+      status: 'success',
+      data: {
+        ...pendingInvestment,
+        nextAction: paymentIntent.nextAction,
+        execution,
+      },
+    });
+  }
+
+  // 6. Reserve shares, record the investment, update the holding and log the
+  // transaction in a single database transaction
+  const { data: investment, error: purchaseError } = await supabase
+    .rpc('execute_investment_purchase', {
+      p_investment_id: investmentId,
+      p_user_id: userId,
+      p_property_id: propertyId,
+      p_shares: shares,
+      p_amount: amount,
+      p_price_per_share: quote.pricePerShare,
+      p_payment_provider: payments.name,
+      p_payment_intent_id: paymentIntent.id,
+      p_payment_method_id: paymentMethodId,
+      p_transaction_id: transactionId,
+      p_notes: notes || null,
+      p_entry_type: entryType,
+    })
+    .single();
+
+  if (purchaseError) {
+    // Nothing was allocated, so release the authorization
+    await payments.cancel(paymentIntent.id);
+
+    const allocationError = mapAllocationError(purchaseError);
+    if (allocationError) {
+      return result(allocationError.statusCode, allocationError.body, allocationError.reason);
+    }
+
+    logger.error(`Execute investment purchase error: ${purchaseError.message}`);
+    throw new Error('Failed to create investment');
+  }
+
+  // 7. Capture the authorized funds, undoing the allocation if that fails
+  let capturedIntent;
+  try {
+    capturedIntent = await payments.capture(paymentIntent.id);
+  } catch (error) {
+    logger.error(`Payment capture error: ${error.message}`, { investmentId });
+    capturedIntent = { status: 'failed' };
+  }
+
+  if (capturedIntent.status !== 'succeeded') {
+    const { error: reverseError } = await supabase.rpc('reverse_investment_allocation', {
+      p_investment_id: investmentId,
+      p_status: 'failed',
+      p_payment_status: 'capture_failed',
+      p_transaction_type: null,
+    });
+
+    if (reverseError) {
+      logger.error(`Reverse investment allocation error: ${reverseError.message}`, { investmentId });
+    }
+
+    return result(StatusCodes.PAYMENT_REQUIRED, {
+      status: 'error',
+      message: 'Payment could not be captured',
+      transactionId,
+    }, 'capture_failed');
+  }
+
+  const { data: capturedInvestment, error: captureUpdateError } = await supabase
+    .from('investments')
+    .update({
+      payment_status: 'succeeded',
+      updated_at: new Date().toISOString(),
+    })
+    .eq('id', investmentId)
+    .select()
+    .single();
+
+  if (captureUpdateError) {
+    logger.error(`Update payment status error: ${captureUpdateError.message}`, { investmentId });
+  }
+
+  // 8. Send confirmation email (in production)
+  // await sendInvestmentConfirmationEmail(userId, investmentId);
+
+  return result(StatusCodes.CREATED, {
+    status: 'success',
+    data: {
+      ...(capturedInvestment || investment),
+      execution,
+    },
+  });
+}
+
+/**
+ * Void whatever a timed-out authorization created, found by its idempotency
+ * key. Failures are logged with the key for manual reconciliation.
+ */
+async function voidTimedOutAuthorization(payments, authorization) {
+  const { idempotencyKey } = authorization;
+
+  try {
+    const intent = await payments.findByIdempotencyKey(idempotencyKey, authorization);
+    if (intent && ['requires_capture', 'requires_action', 'processing'].includes(intent.status)) {
+      await payments.cancel(intent.id);
+    }
+  } catch (error) {
+    logger.error(`Failed to void timed-out payment authorization: ${error.message}`, {
+      provider: payments.name,
+      idempotencyKey,
+    });
+  }
+}
+
+/**
+ * Map errors raised by the share allocation database functions to API responses
+ */
+function mapAllocationError(error) {
+  const responses = {
+    property_not_found: [StatusCodes.NOT_FOUND, 'Property not found'],
+    property_not_active: [StatusCodes.BAD_REQUEST, 'Property is not available for investment'],
+    price_changed: [StatusCodes.CONFLICT, 'Share price changed, please review the new price', 'pricePerShare'],
+    insufficient_shares: [StatusCodes.BAD_REQUEST, 'Not enough shares available', 'availableShares'],
+    insufficient_holding: [StatusCodes.BAD_REQUEST, 'Cannot sell more shares than you own', 'availableShares'],
+    investment_not_found: [StatusCodes.NOT_FOUND, 'Investment not found'],
+    invalid_status_transition: [StatusCodes.BAD_REQUEST, 'Investment is not pending', 'currentStatus'],
+    invalid_lot_method: [StatusCodes.BAD_REQUEST, 'Invalid lot relief method', 'lotMethod'],
+    invalid_lot_selection: [StatusCodes.BAD_REQUEST, 'Invalid tax lot selection', 'reason'],
+    listing_not_open: [StatusCodes.BAD_REQUEST, 'This offering is not open for investment', 'fundingDeadline'],
+    below_listing_minimum: [StatusCodes.BAD_REQUEST, 'Amount is below the minimum investment for this offering', 'minimumUsd'],
+    above_listing_maximum: [StatusCodes.BAD_REQUEST, 'Amount is above the maximum investment for this offering', 'remainingUsd'],
+  };
+
+  const match = responses[error?.message];
+  if (!match) {
+    return null;
+  }
+
+  const [statusCode, message, detailField] = match;
+  return {
+    statusCode,
+    reason: error.message,
+    body: {
+      status: 'error',
+      message,
+      ...(detailField && { [detailField]: error.details }),
+    },
+  };
+}
+
+module.exports = {
+  placeInvestment,
+  mapAllocationError,
+};
@@ -0,0 +1,87 @@
+const supabase = require('../config/supabase');
+
+/**
+ * Double-entry ledger access.
+ *
+ * Postings are signed (debits positive, credits negative) and every journal
+ * entry must sum to zero per currency ('USD' or 'SHARES'); the database
+ * rejects unbalanced entries. Most entries are posted by the database
+ * functions that move money or shares, this module covers the rest.
+ */
+
+const ACCOUNT_TYPES = {
+  USER_CASH: 'user_cash',
+  USER_CASH_HELD: 'user_cash_held',
+  USER_SHARES: 'user_shares',
+  LISTING_INVENTORY: 'listing_inventory',
+  PLATFORM_CLEARING: 'platform_clearing',
+  PLATFORM_FEES: 'platform_fees',
+};
+
+/**
+ * Get the id of a ledger account, creating it on first use
+ */
+async function getLedgerAccount(accountType, { userId = null, propertyId = null } = {}) {
+  const { data: accountId, error } = await supabase.rpc('ledger_account', {
+    p_account_type: accountType,
+    p_user_id: userId,
+    p_property_id: propertyId,
+  });
+
+  if (error) {
+    throw new Error(`Failed to resolve ledger account: ${error.message}`);
+  }
+
+  return accountId;
+}
+
+/**
+ * Post a balanced journal entry.
+ * postings: [{ accountId, currency, amount }] with amounts as decimal strings
+ */
+async function postJournalEntry({ entryType, referenceId, description, userId, propertyId, postings }) {
+  const { data: entryId, error } = await supabase.rpc('post_journal_entry', {
+    p_entry_type: entryType,
+    p_reference_id: referenceId ? String(referenceId) : null,
+    p_description: description,
+    p_user_id: userId || null,
+    p_property_id: propertyId || null,
+    p_postings: postings.map(({ accountId, currency = 'USD', amount }) => ({
+      account_id: accountId,
+      currency,
+      amount,
+    })),
+  });
+
+  if (error) {
+    const ledgerError = new Error(error.message);
+    ledgerError.details = error.details;
+    throw ledgerError;
+  }
+
+  return entryId;
+}
+
+/**
+ * Get the journal entries (with postings) recorded against a reference
+ */
+async function getJournalEntries(referenceId) {
+  const { data: entries, error } = await supabase
+    .from('journal_entries')
+    .select('*, postings:ledger_postings(currency, amount, account:ledger_accounts(account_type, user_id, property_id))')
+    .eq('reference_id', String(referenceId))
+    .order('created_at', { ascending: false });
+
+  if (error) {
+    throw new Error(`Failed to fetch journal entries: ${error.message}`);
+  }
+
+  return entries || [];
+}
+
+module.exports = {
+  ACCOUNT_TYPES,
+  getLedgerAccount,
+  postJournalEntry,
+  getJournalEntries,
+};
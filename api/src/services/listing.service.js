@@ -0,0 +1,333 @@
+const supabase = require('../config/supabase');
+const logger = require('../config/logger');
+const { getPaymentProvider } = require('./payments');
+const { notifyUsers } = require('./notification.service');
+const { SHARE_SCALE, USD_SCALE, toUnits, fromUnits } = require('../utils/money');
+
+/**
+ * Listings: the funding rounds a property is offered through.
+ *
+ * A listing is drafted, then opened with a funding deadline and a minimum
+ * raise. It becomes funded once it reaches the minimum and keeps taking
+ * investments until it sells out (closed) or its deadline passes. A round
+ * still open at its deadline missed its minimum: it is cancelled and every
+ * investor in it refunded. Purchases are counted against the round by the
+ * database (listing_record_purchase); the checks here only fail orders fast,
+ * before a payment is authorized.
+ */
+
+const LISTING_STATUSES = ['draft', 'open', 'funded', 'closed', 'cancelled'];
+const LIVE_STATUSES = ['open', 'funded'];
+
+/**
+ * Get a property's live (open or funded) listing, and whether the property
+ * has ever been offered through a listing. Properties that never were keep
+ * taking investments without one.
+ */
+async function getPropertyListing(propertyId) {
+  const { data: listings, error } = await supabase
+    .from('listings')
+    .select('*')
+    .eq('property_id', propertyId);
+
+  if (error) {
+    throw new Error(`Failed to fetch listings: ${error.message}`);
+  }
+
+  return {
+    listing: (listings || []).find((listing) => LIVE_STATUSES.includes(listing.status)) || null,
+    listed: (listings || []).length > 0,
+  };
+}
+
+/**
+ * Total an investor has in a listing, counting investments still waiting on payment
+ */
+async function getInvestedInListing(listingId, userId) {
+  const { data: investments, error } = await supabase
+    .from('investments')
+    .select('amount')
+    .eq('listing_id', listingId)
+    .eq('user_id', userId)
+    .in('status', ['pending', 'completed']);
+
+  if (error) {
+    throw new Error(`Failed to fetch listing investments: ${error.message}`);
+  }
+
+  return (investments || []).reduce((sum, investment) => sum + toUnits(investment.amount, USD_SCALE), 0n);
+}
+
+/**
+ * Check an order against a property's listing: the round must be open, the
+ * amount within the per-investor limits and the shares still unsold.
+ * Returns null when the order can go ahead, or an error shaped like the ones
+ * the database raises (message is the code, details the limit) so both map to
+ * the same responses.
+ */
+async function checkListingOrder({ listing, listed }, { userId, amountCents, shareUnits, now = new Date() }) {
+  if (!listing) {
+    return listed ? { message: 'listing_not_open', details: null } : null;
+  }
+
+  if (listing.funding_deadline && new Date(listing.funding_deadline) <= now) {
+    return { message: 'listing_not_open', details: listing.funding_deadline };
+  }
+
+  if (amountCents < toUnits(listing.min_investment_usd, USD_SCALE)) {
+    return { message: 'below_listing_minimum', details: listing.min_investment_usd };
+  }
+
+  if (listing.max_investment_usd !== null) {
+    const remainingCents = toUnits(listing.max_investment_usd, USD_SCALE)
+      - await getInvestedInListing(listing.listing_id, userId);
+    if (amountCents > remainingCents) {
+      return {
+        message: 'above_listing_maximum',
+        details: fromUnits(remainingCents > 0n ? remainingCents : 0n, USD_SCALE),
+      };
+    }
+  }
+
+  const unsoldUnits = toUnits(listing.total_shares_available, SHARE_SCALE) - toUnits(listing.shares_sold, SHARE_SCALE);
+  if (shareUnits > unsoldUnits) {
+    return { message: 'insufficient_shares', details: fromUnits(unsoldUnits, SHARE_SCALE) };
+  }
+
+  return null;
+}
+
+/**
+ * Cancel and refund one investment, e.g. in a cancelled listing. Completed
+ * investments give their shares back before the money is returned; pending
+ * ones hold no shares and only need their payment released. Cancelled ones
+ * whose refund is still outstanding are refunded again. Returns the outcome.
+ */
+async function refundInvestment(investment, reason, { changedBy = null } = {}) {
+  const payments = getPaymentProvider(investment.payment_provider || undefined);
+
+  if (investment.status === 'pending') {
+    const { error: cancelError } = await supabase
+      .rpc('cancel_pending_investment', {
+        p_investment_id: investment.id,
+        p_user_id: investment.user_id,
+      })
+      .single();
+
+    if (cancelError) {
+      // Settled in the meantime; the next pass picks it up with its new status
+      if (cancelError.message === 'invalid_status_transition') {
+        return 'skipped';
+      }
+      throw new Error(`Failed to cancel investment: ${cancelError.message}`);
+    }
+
+    await recordStatusChange(investment.id, 'cancelled', reason, changedBy);
+
+    // Release an uncaptured authorization; funds that already settled are refunded below
+    if (investment.payment_status !== 'succeeded') {
+      if (investment.payment_intent_id) {
+        await payments.cancel(investment.payment_intent_id);
+      }
+      await setPaymentStatus(investment.id, { payment_status: 'canceled' });
+      return 'cancelled';
+    }
+    await setPaymentStatus(investment.id, { payment_status: 'refund_pending' });
+  }
+
+  if (investment.status === 'completed') {
+    const { error: reverseError } = await supabase.rpc('reverse_investment_allocation', {
+      p_investment_id: investment.id,
+      p_status: 'cancelled',
+      p_payment_status: 'refund_pending',
+      p_transaction_type: 'refund',
+    });
+
+    if (reverseError) {
+      if (reverseError.message === 'invalid_status_transition') {
+        return 'skipped';
+      }
+      if (reverseError.message === 'insufficient_holding') {
+        // The investor has already sold some of these shares
+        logger.error(`Cannot reverse investment ${investment.id}: holding is ${reverseError.details} shares`);
+        return 'manual_review';
+      }
+      throw new Error(`Failed to reverse allocation: ${reverseError.message}`);
+    }
+
+    await recordStatusChange(investment.id, 'cancelled', reason, changedBy);
+  }
+
+  // Settled investments just cancelled, and earlier passes whose refund failed
+  const refund = await payments.refund(investment.payment_intent_id, {
+    amountCents: Number(toUnits(investment.amount, USD_SCALE)),
+    reason,
+    metadata: { investmentId: investment.id, listingId: investment.listing_id },
+  });
+
+  if (refund.status === 'failed') {
+    await setPaymentStatus(investment.id, { payment_status: 'refund_failed' });
+    return 'refund_failed';
+  }
+
+  await setPaymentStatus(investment.id, { payment_status: 'refunded', refund_id: refund.id });
+  return 'refunded';
+}
+
+/**
+ * Refund everyone in a cancelled listing. Safe to rerun: investments already
+ * refunded are not picked up again, and the listing is only marked done once
+ * every refund went through.
+ */
+async function refundListing(listing) {
+  const { data: investments, error } = await supabase
+    .from('investments')
+    .select('*')
+    .eq('listing_id', listing.listing_id)
+    .or('status.in.(pending,completed),payment_status.in.(refund_pending,refund_failed)');
+
+  if (error) {
+    throw new Error(`Failed to fetch listing investments: ${error.message}`);
+  }
+
+  const reason = listing.cancellation_reason === 'minimum_raise_not_met'
+    ? `Listing ${listing.listing_id} did not reach its minimum raise`
+    : `Listing ${listing.listing_id} was cancelled`;
+
+  const outcomes = { refunded: 0, cancelled: 0, skipped: 0, refund_failed: 0, manual_review: 0 };
+  const refundedUsers = new Set();
+
+  for (const investment of investments || []) {
+    try {
+      const outcome = await refundInvestment(investment, reason);
+      outcomes[outcome] += 1;
+      if (outcome === 'refunded' || outcome === 'cancelled') {
+        refundedUsers.add(investment.user_id);
+      }
+    } catch (refundError) {
+      logger.error(`Listing refund error: ${refundError.message}`, {
+        listingId: listing.listing_id,
+        investmentId: investment.id,
+      });
+      outcomes.refund_failed += 1;
+    }
+  }
+
+  if (outcomes.refund_failed === 0 && outcomes.manual_review === 0 && outcomes.skipped === 0) {
+    const { error: updateError } = await supabase
+      .from('listings')
+      .update({ refunds_completed_at: new Date().toISOString() })
+      .eq('listing_id', listing.listing_id);
+
+    if (updateError) {
+      logger.error(`Update listing refunds error: ${updateError.message}`, { listingId: listing.listing_id });
+    }
+  }
+
+  await notifyUsers([...refundedUsers], {
+    title: 'Investment refunded',
+    body: listing.cancellation_reason === 'minimum_raise_not_met'
+      ? `The offering${listing.title ? ` "${listing.title}"` : ''} did not reach its minimum raise by its deadline. Your investment has been refunded.`
+      : `The offering${listing.title ? ` "${listing.title}"` : ''} was cancelled. Your investment has been refunded.`,
+    type: 'listing',
+  });
+
+  return outcomes;
+}
+
+/**
+ * Settle the listings whose funding deadline has passed (funded rounds close,
+ * the others are cancelled) and refund every cancelled listing not fully
+ * refunded yet, including ones an admin cancelled. One listing's failure
+ * doesn't stop the others; failures are returned.
+ */
+async function processListingDeadlines(now = new Date()) {
+  const { data: expired, error: expireError } = await supabase
+    .rpc('expire_listings', { p_now: now.toISOString() });
+
+  if (expireError) {
+    throw new Error(`Failed to expire listings: ${expireError.message}`);
+  }
+
+  const closed = (expired || []).filter((listing) => listing.status === 'closed');
+  if (closed.length > 0) {
+    const { data: investors } = await supabase
+      .from('investments')
+      .select('user_id')
+      .in('listing_id', closed.map((listing) => listing.listing_id))
+      .eq('status', 'completed');
+
+    await notifyUsers([...new Set((investors || []).map((investor) => investor.user_id))], {
+      title: 'Offering closed',
+      body: 'An offering you invested in reached its funding deadline and has closed.',
+      type: 'listing',
+    });
+  }
+
+  const { data: cancelled, error: cancelledError } = await supabase
+    .from('listings')
+    .select('*')
+    .eq('status', 'cancelled')
+    .is('refunds_completed_at', null);
+
+  if (cancelledError) {
+    throw new Error(`Failed to fetch cancelled listings: ${cancelledError.message}`);
+  }
+
+  const errors = [];
+  const refunds = { refunded: 0, cancelled: 0, skipped: 0, refund_failed: 0, manual_review: 0 };
+
+  for (const listing of cancelled || []) {
+    try {
+      const outcomes = await refundListing(listing);
+      Object.keys(refunds).forEach((key) => { refunds[key] += outcomes[key]; });
+    } catch (refundError) {
+      errors.push({ listingId: listing.listing_id, error: refundError.message });
+    }
+  }
+
+  return {
+    closed: closed.length,
+    cancelled: (expired || []).length - closed.length,
+    refundedListings: (cancelled || []).length - errors.length,
+    refunds,
+    errors,
+  };
+}
+
+// Helper Functions
+
+async function setPaymentStatus(investmentId, fields) {
+  const { error } = await supabase
+    .from('investments')
+    .update({ ...fields, updated_at: new Date().toISOString() })
+    .eq('id', investmentId);
+
+  if (error) {
+    throw new Error(`Failed to update payment status: ${error.message}`);
+  }
+}
+
+async function recordStatusChange(investmentId, status, notes, changedBy = null) {
+  await supabase
+    .from('investment_history')
+    .insert([
+      {
+        investment_id: investmentId,
+        status,
+        notes: notes || null,
+        changed_by: changedBy,
+        created_at: new Date().toISOString(),
+      },
+    ]);
+}
+
+module.exports = {
+  LISTING_STATUSES,
+  LIVE_STATUSES,
+  getPropertyListing,
+  checkListingOrder,
+  refundInvestment,
+  refundListing,
+  processListingDeadlines,
+};
@@ -0,0 +1,189 @@
+const crypto = require('crypto');
+const path = require('path');
+const sharp = require('sharp');
+const { v4: uuidv4 } = require('uuid');
+const { sniffFileType } = require('../utils/fileType');
+const { MEDIA_BUCKET, getStorage } = require('./storage');
+
+/**
+ * Property images and documents uploaded to storage.
+ *
+ * Uploads are identified by sniffing their bytes, not by the filename or the
+ * client's Content-Type, and stored with a SHA-256 checksum. Images are also
+ * resized into WebP renditions (a square thumbnail and responsive widths,
+ * never upscaled) next to the original. Files go to the public media bucket
+ * under properties/<propertyId>/, and every stored path is kept on the
+ * record so deleting the record can delete the files.
+ */
+
+const parseMb = (value, fallback) => {
+  const parsed = parseInt(value, 10);
+  return Number.isFinite(parsed) && parsed > 0 ? parsed : fallback;
+};
+
+const MAX_IMAGE_MB = parseMb(process.env.MAX_IMAGE_UPLOAD_MB, 15);
+const MAX_DOCUMENT_MB = parseMb(process.env.MAX_DOCUMENT_UPLOAD_MB, 25);
+
+const IMAGE_TYPES = ['image/jpeg', 'image/png', 'image/webp'];
+const DOCUMENT_TYPES = [
+  'application/pdf',
+  'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+  'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+  'image/jpeg',
+  'image/png',
+];
+
+// Renditions generated for every image
+const IMAGE_VARIANTS = {
+  thumbnail: { width: 320, height: 320, fit: 'cover' },
+  small: { width: 640 },
+  medium: { width: 1280 },
+  large: { width: 1920 },
+};
+
+// Images with more pixels than this are refused rather than decoded
+const MAX_IMAGE_PIXELS = 100 * 1000 * 1000;
+
+const uploadError = (code, message) => Object.assign(new Error(message), { code });
+
+/**
+ * Identify an upload and check it is one of the allowed types
+ */
+function identify(file, allowedTypes) {
+  const type = sniffFileType(file.buffer);
+  if (!type || !allowedTypes.includes(type.mime)) {
+    throw uploadError(
+      'unsupported_file_type',
+      `${file.originalname || 'File'} is not a supported file type`
+    );
+  }
+  return type;
+}
+
+const checksum = (buffer) => crypto.createHash('sha256').update(buffer).digest('hex');
+
+/**
+ * Store files, deleting the ones already stored if one fails
+ */
+async function putAll(objects) {
+  const storage = getStorage();
+  const stored = [];
+
+  try {
+    for (const object of objects) {
+      await storage.put(MEDIA_BUCKET, object.path, object.content, { contentType: object.contentType });
+      stored.push(object.path);
+    }
+  } catch (error) {
+    await storage.remove(MEDIA_BUCKET, stored).catch(() => {});
+    throw error;
+  }
+}
+
+/**
+ * Store an uploaded image and its renditions. Returns the image record fields.
+ */
+async function storeImage(propertyId, file) {
+  const type = identify(file, IMAGE_TYPES);
+  const storage = getStorage();
+
+  const imageId = uuidv4();
+  const folder = `properties/${propertyId}/images/${imageId}`;
+  const originalPath = `${folder}/original.${type.ext}`;
+
+  let metadata;
+  let renditions;
+  try {
+    const image = sharp(file.buffer, { limitInputPixels: MAX_IMAGE_PIXELS });
+    metadata = await image.metadata();
+
+    // Apply the EXIF orientation so renditions come out upright
+    renditions = await Promise.all(Object.entries(IMAGE_VARIANTS).map(async ([size, options]) => {
+      const { data, info } = await image
+        .clone()
+        .rotate()
+        .resize({ ...options, withoutEnlargement: true })
+        .webp({ quality: 82 })
+        .toBuffer({ resolveWithObject: true });
+
+      return { size, path: `${folder}/${size}.webp`, content: data, width: info.width, height: info.height };
+    }));
+  } catch (error) {
+    throw uploadError('invalid_image', `${file.originalname || 'Image'} could not be read as an image`);
+  }
+
+  await putAll([
+    { path: originalPath, content: file.buffer, contentType: type.mime },
+    ...renditions.map((rendition) => ({ ...rendition, contentType: 'image/webp' })),
+  ]);
+
+  // EXIF orientations 5-8 swap the stored width and height
+  const rotated = metadata.orientation >= 5;
+
+  return {
+    id: imageId,
+    url: storage.publicUrl(MEDIA_BUCKET, originalPath),
+    storage_path: originalPath,
+    variants: Object.fromEntries(renditions.map((rendition) => [rendition.size, {
+      path: rendition.path,
+      url: storage.publicUrl(MEDIA_BUCKET, rendition.path),
+      width: rendition.width,
+      height: rendition.height,
+    }])),
+    width: rotated ? metadata.height : metadata.width,
+    height: rotated ? metadata.width : metadata.height,
+    content_type: type.mime,
+    size_bytes: file.size,
+    checksum_sha256: checksum(file.buffer),
+    original_name: file.originalname || null,
+  };
+}
+
+/**
+ * Store an uploaded document. Returns the document record fields.
+ */
+async function storeDocument(propertyId, file) {
+  const type = identify(file, DOCUMENT_TYPES);
+  const storage = getStorage();
+
+  const documentId = uuidv4();
+  const baseName = path.parse(file.originalname || '').name
+    .replace(/[^A-Za-z0-9._-]+/g, '-')
+    .replace(/^-+|-+$/g, '')
+    .slice(0, 80) || 'document';
+  const storagePath = `properties/${propertyId}/documents/${documentId}/${baseName}.${type.ext}`;
+
+  await putAll([{ path: storagePath, content: file.buffer, contentType: type.mime }]);
+
+  return {
+    id: documentId,
+    url: storage.publicUrl(MEDIA_BUCKET, storagePath),
+    storage_path: storagePath,
+    content_type: type.mime,
+    size_bytes: file.size,
+    checksum_sha256: checksum(file.buffer),
+    original_name: file.originalname || null,
+  };
+}
+
+/**
+ * Delete the stored files of image or document records. Records that only
+ * point at an external URL have nothing stored.
+ */
+async function removeStoredFiles(records) {
+  const paths = records.flatMap((record) => [
+    record.storage_path,
+    ...Object.values(record.variants || {}).map((variant) => variant.path),
+  ]).filter(Boolean);
+
+  await getStorage().remove(MEDIA_BUCKET, paths);
+}
+
+module.exports = {
+  MAX_IMAGE_MB,
+  MAX_DOCUMENT_MB,
+  IMAGE_VARIANTS,
+  storeImage,
+  storeDocument,
+  removeStoredFiles,
+};
@@ -0,0 +1,57 @@
+const supabase = require('../config/supabase');
+const logger = require('../config/logger');
+
+/**
+ * Create in-app notifications for a set of users.
+ *
+ * Notifications are a side effect of the operation that triggers them
+ * (often after money has moved), so this never throws: failures are logged.
+ */
+async function notifyUsers(userIds, { title, body, type }) {
+  if (!userIds.length) {
+    return;
+  }
+
+  try {
+    const { error } = await supabase
+      .from('notifications')
+      .insert(userIds.map((userId) => ({
+        user_id: userId,
+        title,
+        body,
+        notification_type: type,
+        created_at: new Date().toISOString(),
+      })));
+
+    if (error) {
+      logger.error(`Create notifications error: ${error.message}`, { type, count: userIds.length });
+    }
+  } catch (error) {
+    logger.error(`Create notifications error: ${error.message}`, { type, count: userIds.length });
+  }
+}
+
+/**
+ * Notify every admin, e.g. of a request waiting on their review. Never throws.
+ */
+async function notifyAdmins(notification) {
+  try {
+    const { data: admins, error } = await supabase
+      .from('users')
+      .select('id')
+      .eq('role', 'admin');
+
+    if (error) {
+      throw new Error(error.message);
+    }
+
+    await notifyUsers((admins || []).map((admin) => admin.id), notification);
+  } catch (error) {
+    logger.error(`Notify admins error: ${error.message}`, { type: notification.type });
+  }
+}
+
+module.exports = {
+  notifyUsers,
+  notifyAdmins,
+};
@@ -0,0 +1,201 @@
+const crypto = require('crypto');
+const { v4: uuidv4 } = require('uuid');
+
+const SIGNATURE_HEADER = 'x-payment-signature';
+const SIGNATURE_TOLERANCE_SECONDS = 300;
+
+/**
+ * Magic payment method IDs understood by the fake provider, modelled on
+ * Stripe's test cards. Any other payment method succeeds.
+ */
+const TEST_PAYMENT_METHODS = {
+  DECLINED: 'pm_card_chargeDeclined',
+  INSUFFICIENT_FUNDS: 'pm_card_chargeDeclinedInsufficientFunds',
+  THREE_DS_REQUIRED: 'pm_card_threeDSecureRequired',
+  TIMEOUT: 'pm_card_timeout',
+};
+
+/**
+ * Sign a webhook payload the way the fake provider expects.
+ * Returns the value for the x-payment-signature header ("t=<unix>,v1=<hex hmac>").
+ */
+const signWebhookPayload = (payload, secret, timestamp = Math.floor(Date.now() / 1000)) => {
+  const signature = crypto
+    .createHmac('sha256', secret)
+    .update(`${timestamp}.${payload}`)
+    .digest('hex');
+
+  return `t=${timestamp},v1=${signature}`;
+};
+
+/**
+ * Check an x-payment-signature header against the raw payload
+ */
+const verifyWebhookSignature = (payload, header, secret) => {
+  const parts = Object.fromEntries(
+    String(header || '')
+      .split(',')
+      .map((part) => part.split('='))
+      .filter((pair) => pair.length === 2)
+  );
+  const timestamp = parseInt(parts.t, 10);
+
+  if (!timestamp || !parts.v1) {
+    return false;
+  }
+
+  if (Math.abs(Math.floor(Date.now() / 1000) - timestamp) > SIGNATURE_TOLERANCE_SECONDS) {
+    return false;
+  }
+
+  const expected = Buffer.from(signWebhookPayload(payload, secret, timestamp).split('v1=')[1], 'hex');
+  const received = Buffer.from(parts.v1, 'hex');
+
+  return expected.length === received.length && crypto.timingSafeEqual(expected, received);
+};
+
+/**
+ * In-memory payment provider for development and tests.
+ *
+ * Simulates declines, 3-D Secure challenges and provider timeouts based on
+ * the payment method ID, without any network calls.
+ */
+const createFakeProvider = ({ returnUrl, webhookSecret } = {}) => {
+  const intents = new Map();
+  const refunds = new Map();
+  const idempotencyKeys = new Map();
+
+  const save = (intent, idempotencyKey) => {
+    intents.set(intent.id, intent);
+    if (idempotencyKey) {
+      idempotencyKeys.set(idempotencyKey, intent.id);
+    }
+    return { ...intent };
+  };
+
+  const find = (intentId) => {
+    const intent = intents.get(intentId);
+    if (!intent) {
+      throw new Error(`No such payment intent: ${intentId}`);
+    }
+    return intent;
+  };
+
+  // A request that never answers; the provider wrapper turns it into a timeout
+  const hang = () => new Promise(() => {});
+
+  const createIntent = async ({ captureMethod, amountCents, paymentMethodId, metadata, idempotencyKey }) => {
+    if (paymentMethodId === TEST_PAYMENT_METHODS.TIMEOUT) {
+      return hang();
+    }
+
+    if (idempotencyKey && idempotencyKeys.has(idempotencyKey)) {
+      return { ...find(idempotencyKeys.get(idempotencyKey)) };
+    }
+
+    const intent = {
+      id: `pi_fake_${uuidv4().replace(/-/g, '')}`,
+      provider: 'fake',
+      status: captureMethod === 'manual' ? 'requires_capture' : 'succeeded',
+      amountCents,
+      currency: 'usd',
+      nextAction: null,
+      failureCode: null,
+      failureMessage: null,
+      metadata: metadata || {},
+    };
+
+    if (paymentMethodId === TEST_PAYMENT_METHODS.DECLINED) {
+      return save({ ...intent, status: 'failed', failureCode: 'card_declined', failureMessage: 'Your card was declined.' }, idempotencyKey);
+    }
+
+    if (paymentMethodId === TEST_PAYMENT_METHODS.INSUFFICIENT_FUNDS) {
+      return save({ ...intent, status: 'failed', failureCode: 'insufficient_funds', failureMessage: 'Your card has insufficient funds.' }, idempotencyKey);
+    }
+
+    if (paymentMethodId === TEST_PAYMENT_METHODS.THREE_DS_REQUIRED) {
+      return save({
+        ...intent,
+        status: 'requires_action',
+        nextAction: { type: 'redirect_to_url', url: `${returnUrl}?payment_intent=${intent.id}` },
+      }, idempotencyKey);
+    }
+
+    return save(intent, idempotencyKey);
+  };
+
+  return {
+    name: 'fake',
+
+    // Events are posted as JSON already in the provider-neutral shape:
+    // { id, type, paymentIntentId, amountCents, failureCode, metadata }
+    parseWebhookEvent: (rawBody, headers) => {
+      if (!webhookSecret || !verifyWebhookSignature(rawBody, headers[SIGNATURE_HEADER], webhookSecret)) {
+        const signatureError = new Error('Invalid webhook signature');
+        signatureError.code = 'invalid_signature';
+        throw signatureError;
+      }
+
+      const event = JSON.parse(rawBody.toString('utf8'));
+      return {
+        id: event.id,
+        provider: 'fake',
+        type: event.type,
+        providerType: event.type,
+        paymentIntentId: event.paymentIntentId,
+        amountCents: event.amountCents ?? null,
+        failureCode: event.failureCode || null,
+        metadata: event.metadata || {},
+        createdAt: event.createdAt || new Date().toISOString(),
+      };
+    },
+
+    authorize: (params) => createIntent({ ...params, captureMethod: 'manual' }),
+
+    charge: (params) => createIntent({ ...params, captureMethod: 'automatic' }),
+
+    // Timed-out requests never created anything
+    findByIdempotencyKey: async (idempotencyKey) => {
+      const intentId = idempotencyKeys.get(idempotencyKey);
+      return intentId ? { ...find(intentId) } : null;
+    },
+
+    capture: async (intentId, { amountCents } = {}) => {
+      const intent = find(intentId);
+      if (intent.status !== 'requires_capture') {
+        throw new Error(`Payment intent ${intentId} cannot be captured in status ${intent.status}`);
+      }
+      return save({ ...intent, status: 'succeeded', amountCents: amountCents ?? intent.amountCents });
+    },
+
+    cancel: async (intentId) => {
+      const intent = find(intentId);
+      if (intent.status === 'succeeded') {
+        throw new Error(`Payment intent ${intentId} has already been captured`);
+      }
+      return save({ ...intent, status: 'canceled' });
+    },
+
+    refund: async (intentId, { amountCents } = {}) => {
+      const intent = find(intentId);
+      if (intent.status !== 'succeeded') {
+        throw new Error(`Payment intent ${intentId} has not been captured`);
+      }
+
+      const refund = {
+        id: `re_fake_${uuidv4().replace(/-/g, '')}`,
+        paymentIntentId: intentId,
+        status: 'succeeded',
+        amountCents: amountCents ?? intent.amountCents,
+      };
+      refunds.set(refund.id, refund);
+      return { ...refund };
+    },
+  };
+};
+
+module.exports = {
+  TEST_PAYMENT_METHODS,
+  signWebhookPayload,
+  createFakeProvider,
+};
@@ -0,0 +1,95 @@
+const { createStripeProvider } = require('./stripe.provider');
+const { createFakeProvider } = require('./fake.provider');
+const { createWalletProvider } = require('./wallet.provider');
+
+const PAYMENT_PROVIDER_TIMEOUT_MS = parseInt(process.env.PAYMENT_PROVIDER_TIMEOUT_MS, 10) || 15000;
+const PAYMENT_RETURN_URL = `${process.env.FRONTEND_URL || process.env.CLIENT_URL || 'http://localhost:3000'}/payment/return`;
+
+/**
+ * Payment gateway interface.
+ *
+ * Every provider exposes the same lifecycle, with amounts in integer cents:
+ *   authorize(params)            -> intent in 'requires_capture' (or 'requires_action' / 'failed')
+ *   capture(intentId, options)   -> intent in 'succeeded'
+ *   charge(params)               -> authorize and capture in one step
+ *   cancel(intentId)             -> voids an uncaptured authorization
+ *   refund(intentId, options)    -> { id, paymentIntentId, status, amountCents }
+ *   findByIdempotencyKey(idempotencyKey, params)
+ *                                -> the intent an authorize or charge with that key
+ *                                   created (null if none), e.g. after it timed out
+ *   parseWebhookEvent(rawBody, headers)
+ *                                -> { id, type, paymentIntentId, amountCents, failureCode, metadata, ... }
+ *
+ * where params is { amountCents, paymentMethodId, customerId, description, metadata, idempotencyKey }
+ * and customerId is the platform user id.
+ * Declines are returned as intents with status 'failed'; calls that exceed the
+ * provider timeout reject with an error whose code is 'payment_timeout'.
+ * Webhook event types are normalized to payment.authorized, payment.succeeded,
+ * payment.failed, payment.canceled, payment.refunded and payment.disputed
+ * (null for events we do not handle), and carry the metadata the payment was
+ * created with; a bad signature throws with code 'invalid_signature'.
+ */
+const providerFactories = {
+  stripe: () => createStripeProvider({
+    secretKey: process.env.STRIPE_SECRET_KEY,
+    webhookSecret: process.env.STRIPE_WEBHOOK_SECRET,
+    timeoutMs: PAYMENT_PROVIDER_TIMEOUT_MS,
+    returnUrl: PAYMENT_RETURN_URL,
+  }),
+  fake: () => createFakeProvider({
+    returnUrl: PAYMENT_RETURN_URL,
+    webhookSecret: process.env.PAYMENT_WEBHOOK_SECRET,
+  }),
+  wallet: () => createWalletProvider(),
+};
+
+const withTimeout = (promise, method) => {
+  let timer;
+  const timeout = new Promise((resolve, reject) => {
+    timer = setTimeout(() => {
+      const error = new Error(`Payment provider timed out during ${method}`);
+      error.code = 'payment_timeout';
+      reject(error);
+    }, PAYMENT_PROVIDER_TIMEOUT_MS);
+  });
+
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+};
+
+const providers = {};
+
+/**
+ * Get a payment provider by name, or the configured card provider
+ * (PAYMENT_PROVIDER=stripe|fake) when no name is given. The card provider
+ * defaults to the fake provider outside production. 'wallet' pays from the
+ * investor's platform cash balance.
+ */
+const getPaymentProvider = (requestedName) => {
+  const name = requestedName
+    || process.env.PAYMENT_PROVIDER
+    || (process.env.NODE_ENV === 'production' ? 'stripe' : 'fake');
+
+  if (!providers[name]) {
+    const createProvider = providerFactories[name];
+
+    if (!createProvider) {
+      throw new Error(`Unknown payment provider: ${name}`);
+    }
+
+    const impl = createProvider();
+    const provider = {
+      name: impl.name,
+      parseWebhookEvent: impl.parseWebhookEvent,
+    };
+    ['authorize', 'capture', 'charge', 'cancel', 'refund', 'findByIdempotencyKey'].forEach((method) => {
+      provider[method] = (...args) => withTimeout(impl[method](...args), method);
+    });
+    providers[name] = provider;
+  }
+
+  return providers[name];
+};
+
+module.exports = {
+  getPaymentProvider,
+};
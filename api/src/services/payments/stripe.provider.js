@@ -0,0 +1,189 @@
+const Stripe = require('stripe');
+
+/**
+ * Map a Stripe PaymentIntent onto the provider-neutral intent shape
+ */
+const toIntent = (paymentIntent) => {
+  const statuses = {
+    requires_capture: 'requires_capture',
+    succeeded: 'succeeded',
+    requires_action: 'requires_action',
+    requires_confirmation: 'requires_action',
+    requires_payment_method: 'failed',
+    processing: 'processing',
+    canceled: 'canceled',
+  };
+
+  const lastError = paymentIntent.last_payment_error;
+
+  return {
+    id: paymentIntent.id,
+    provider: 'stripe',
+    status: statuses[paymentIntent.status] || 'failed',
+    amountCents: paymentIntent.amount,
+    currency: paymentIntent.currency,
+    nextAction: paymentIntent.next_action?.redirect_to_url
+      ? { type: 'redirect_to_url', url: paymentIntent.next_action.redirect_to_url.url }
+      : null,
+    failureCode: lastError?.decline_code || lastError?.code || null,
+    failureMessage: lastError?.message || null,
+  };
+};
+
+/**
+ * Card errors come back as exceptions from Stripe; surface them as failed intents
+ */
+const toFailedIntent = (error, amountCents) => ({
+  id: error.payment_intent?.id || null,
+  provider: 'stripe',
+  status: 'failed',
+  amountCents,
+  currency: 'usd',
+  nextAction: null,
+  failureCode: error.decline_code || error.code || 'card_error',
+  failureMessage: error.message,
+});
+
+/**
+ * Connection problems and timeouts are reported with a stable error code
+ */
+const translateError = (error) => {
+  if (error.type === 'StripeConnectionError') {
+    const timeoutError = new Error('Payment provider timed out');
+    timeoutError.code = 'payment_timeout';
+    return timeoutError;
+  }
+  return error;
+};
+
+/**
+ * Map a verified Stripe event onto the provider-neutral webhook event shape
+ */
+const toWebhookEvent = (event) => {
+  const object = event.data.object;
+  const types = {
+    'payment_intent.amount_capturable_updated': 'payment.authorized',
+    'payment_intent.succeeded': 'payment.succeeded',
+    'payment_intent.payment_failed': 'payment.failed',
+    'payment_intent.canceled': 'payment.canceled',
+    'charge.refunded': 'payment.refunded',
+    'charge.dispute.created': 'payment.disputed',
+  };
+
+  return {
+    id: event.id,
+    provider: 'stripe',
+    type: types[event.type] || null,
+    providerType: event.type,
+    paymentIntentId: object.object === 'payment_intent' ? object.id : object.payment_intent,
+    amountCents: object.amount_refunded ?? object.amount,
+    failureCode: object.last_payment_error?.decline_code || object.last_payment_error?.code || null,
+    metadata: object.metadata || {},
+    createdAt: new Date(event.created * 1000).toISOString(),
+  };
+};
+
+/**
+ * Payment provider backed by Stripe PaymentIntents
+ */
+const createStripeProvider = ({ secretKey, webhookSecret, timeoutMs, returnUrl }) => {
+  if (!secretKey) {
+    throw new Error('Missing STRIPE_SECRET_KEY for the stripe payment provider');
+  }
+
+  const stripe = Stripe(secretKey, { timeout: timeoutMs, maxNetworkRetries: 2 });
+
+  const createIntent = async ({ captureMethod, amountCents, paymentMethodId, customerId, description, metadata, idempotencyKey }) => {
+    try {
+      const paymentIntent = await stripe.paymentIntents.create(
+        {
+          amount: amountCents,
+          currency: 'usd',
+          payment_method: paymentMethodId,
+          capture_method: captureMethod,
+          confirm: true,
+          description,
+          // customerId is our user id, not a Stripe customer, so it only goes in the metadata
+          metadata: { ...metadata, userId: customerId },
+          return_url: returnUrl,
+        },
+        { idempotencyKey }
+      );
+      return toIntent(paymentIntent);
+    } catch (error) {
+      if (error.type === 'StripeCardError') {
+        return toFailedIntent(error, amountCents);
+      }
+      throw translateError(error);
+    }
+  };
+
+  return {
+    name: 'stripe',
+
+    parseWebhookEvent: (rawBody, headers) => {
+      try {
+        return toWebhookEvent(stripe.webhooks.constructEvent(rawBody, headers['stripe-signature'], webhookSecret));
+      } catch (error) {
+        const signatureError = new Error(`Invalid webhook signature: ${error.message}`);
+        signatureError.code = 'invalid_signature';
+        throw signatureError;
+      }
+    },
+
+    authorize: (params) => createIntent({ ...params, captureMethod: 'manual' }),
+
+    charge: (params) => createIntent({ ...params, captureMethod: 'automatic' }),
+
+    // Replaying the create request under the same idempotency key returns the
+    // original intent; if the first request never reached Stripe, this makes it
+    findByIdempotencyKey: (idempotencyKey, { captureMethod = 'manual', ...params }) => createIntent({
+      ...params,
+      idempotencyKey,
+      captureMethod,
+    }),
+
+    capture: async (intentId, { amountCents } = {}) => {
+      try {
+        const paymentIntent = await stripe.paymentIntents.capture(intentId, {
+          ...(amountCents !== undefined && { amount_to_capture: amountCents }),
+        });
+        return toIntent(paymentIntent);
+      } catch (error) {
+        throw translateError(error);
+      }
+    },
+
+    cancel: async (intentId) => {
+      try {
+        return toIntent(await stripe.paymentIntents.cancel(intentId));
+      } catch (error) {
+        throw translateError(error);
+      }
+    },
+
+    refund: async (intentId, { amountCents, reason, metadata } = {}) => {
+      try {
+        const refund = await stripe.refunds.create({
+          payment_intent: intentId,
+          ...(amountCents !== undefined && { amount: amountCents }),
+          reason: 'requested_by_customer',
+          metadata: { ...metadata, reason },
+        });
+
+        return {
+          id: refund.id,
+          paymentIntentId: intentId,
+          status: refund.status === 'succeeded' || refund.status === 'pending' ? refund.status : 'failed',
+          amountCents: refund.amount,
+        };
+      } catch (error) {
+        throw translateError(error);
+      }
+    },
+  };
+};
+
+module.exports = {
+  createStripeProvider,
+};
@@ -0,0 +1,143 @@
+const crypto = require('crypto');
+const { v4: uuidv4 } = require('uuid');
+const supabase = require('../../config/supabase');
+const { USD_SCALE, toUnits, fromUnits } = require('../../utils/money');
+
+const toUsd = (amountCents) => fromUnits(BigInt(amountCents), USD_SCALE);
+const toCents = (amountUsd) => Number(toUnits(amountUsd, USD_SCALE));
+
+// Holds placed with an idempotency key get an id derived from it, so they can be found again
+const holdIdFor = (idempotencyKey) => (idempotencyKey
+  ? `wh_${crypto.createHash('sha256').update(idempotencyKey).digest('hex').slice(0, 32)}`
+  : `wh_${uuidv4().replace(/-/g, '')}`);
+
+/**
+ * Map a wallet hold onto the provider-neutral intent shape
+ */
+const toIntent = (hold, amountCents) => {
+  const statuses = {
+    held: 'requires_capture',
+    captured: 'succeeded',
+    released: 'canceled',
+    refunded: 'succeeded',
+  };
+
+  return {
+    id: hold.hold_id,
+    provider: 'wallet',
+    status: statuses[hold.status] || 'failed',
+    amountCents,
+    currency: 'usd',
+    nextAction: null,
+    failureCode: null,
+    failureMessage: null,
+  };
+};
+
+/**
+ * Payment provider that pays from the investor's platform cash wallet.
+ *
+ * An authorization places a hold on the available balance, capture spends the
+ * held funds, cancel releases them and refund credits the full amount back.
+ */
+const createWalletProvider = () => {
+  const settleHold = async (holdId, status) => {
+    const { data: hold, error } = await supabase
+      .rpc('wallet_settle_hold', { p_hold_id: holdId, p_status: status })
+      .single();
+
+    if (error) {
+      throw new Error(`Failed to mark wallet hold ${holdId} as ${status}: ${error.message}`);
+    }
+    return hold;
+  };
+
+  const authorize = async ({ amountCents, customerId, description, metadata, idempotencyKey }) => {
+    const holdId = holdIdFor(idempotencyKey);
+    const { data: hold, error } = await supabase
+      .rpc('wallet_place_hold', {
+        p_hold_id: holdId,
+        p_user_id: customerId,
+        p_amount: toUsd(amountCents),
+        p_reference_id: metadata?.investmentId || null,
+        p_description: description,
+      })
+      .single();
+
+    if (error) {
+      if (error.message === 'insufficient_funds') {
+        return {
+          id: holdId,
+          provider: 'wallet',
+          status: 'failed',
+          amountCents,
+          currency: 'usd',
+          nextAction: null,
+          failureCode: 'insufficient_funds',
+          failureMessage: `Insufficient wallet balance ($${error.details} available)`,
+        };
+      }
+      throw new Error(`Failed to place wallet hold: ${error.message}`);
+    }
+
+    return toIntent(hold, amountCents);
+  };
+
+  return {
+    name: 'wallet',
+
+    authorize,
+
+    charge: async (params) => {
+      const intent = await authorize(params);
+      if (intent.status !== 'requires_capture') {
+        return intent;
+      }
+      return toIntent(await settleHold(intent.id, 'captured'), params.amountCents);
+    },
+
+    findByIdempotencyKey: async (idempotencyKey) => {
+      const { data: hold, error } = await supabase
+        .from('wallet_holds')
+        .select('*')
+        .eq('hold_id', holdIdFor(idempotencyKey))
+        .maybeSingle();
+
+      if (error) {
+        throw new Error(`Failed to fetch wallet hold: ${error.message}`);
+      }
+      return hold ? toIntent(hold, toCents(hold.amount_usd)) : null;
+    },
+
+    capture: async (intentId) => {
+      const hold = await settleHold(intentId, 'captured');
+      return toIntent(hold, toCents(hold.amount_usd));
+    },
+
+    cancel: async (intentId) => {
+      const hold = await settleHold(intentId, 'released');
+      return toIntent(hold, toCents(hold.amount_usd));
+    },
+
+    refund: async (intentId) => {
+      const hold = await settleHold(intentId, 'refunded');
+      return {
+        id: intentId,
+        paymentIntentId: intentId,
+        status: 'succeeded',
+        amountCents: toCents(hold.amount_usd),
+      };
+    },
+
+    // Wallet payments settle synchronously and never produce webhooks
+    parseWebhookEvent: () => {
+      const error = new Error('The wallet provider does not send webhooks');
+      error.code = 'invalid_signature';
+      throw error;
+    },
+  };
+};
+
+module.exports = {
+  createWalletProvider,
+};
@@ -0,0 +1,340 @@
+const supabase = require('../config/supabase');
+const {
+  SHARE_SCALE,
+  PRICE_SCALE,
+  USD_SCALE,
+  toUnits,
+  fromUnits,
+  costInCents,
+  divRoundHalfUp,
+  percentOf,
+} = require('../utils/money');
+const { xirr, timeWeightedReturn, annualize, toPercent } = require('../utils/returns');
+const { getDisposals } = require('./tax.service');
+
+/**
+ * Investment and portfolio return metrics.
+ *
+ * Everything is computed from the dated cash flows in the ledger, so the
+ * amounts reconcile with the investor's transaction history and statements.
+ * Money is handled in cents; only the rates use floating point.
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const PURCHASE_TYPES = ['purchase', 'dividend_reinvestment'];
+const REVERSAL_TYPES = ['purchase_void', 'refund', 'chargeback'];
+
+const centsToNumber = (cents) => Number(fromUnits(cents, USD_SCALE));
+
+/**
+ * Split an amount across weights, rounding each part half-up and giving the
+ * rounding difference to the last part so the parts always add up
+ */
+function allocateCents(totalCents, weights, totalWeight) {
+  let allocated = 0n;
+  return weights.map((weight, index) => {
+    const part = index === weights.length - 1 && totalWeight === weights.reduce((sum, w) => sum + w, 0n)
+      ? totalCents - allocated
+      : divRoundHalfUp(totalCents * weight, totalWeight);
+    allocated += part;
+    return part;
+  });
+}
+
+/**
+ * Rebuild purchase lots from a user's ledger activity in one property.
+ *
+ * Each completed purchase is a lot. Sales relieve the lots recorded in their
+ * tax lot disposals; sales without recorded disposals (or relieving lots that
+ * predate lot tracking) consume lots first-in first-out, with proceeds split
+ * by shares taken from each lot. Distributions
+ * are attributed to the lots held at the end of the record date. Reversed
+ * purchases (voids, refunds, chargebacks) are dropped.
+ */
+function buildLots(entries, payouts, disposals = []) {
+  const events = [
+    ...entries.map((entry) => ({ at: new Date(entry.created_at), entry })),
+    ...payouts.map((payout) => ({
+      at: new Date(Date.parse(`${payout.distribution.record_date}T00:00:00Z`) + DAY_MS),
+      payout,
+    })),
+  ];
+  // A distribution counts positions strictly before its cutoff, so it sorts first on a tie
+  events.sort((a, b) => a.at - b.at || (a.payout ? -1 : 0) - (b.payout ? -1 : 0));
+
+  const lots = [];
+  const openLots = () => lots.filter((lot) => !lot.reversed && lot.remainingUnits > 0n);
+
+  events.forEach(({ entry, payout }) => {
+    if (payout) {
+      const holders = openLots();
+      const payoutCents = toUnits(payout.amount_usd, USD_SCALE);
+      const parts = allocateCents(
+        payoutCents,
+        holders.map((lot) => lot.remainingUnits),
+        toUnits(payout.shares, SHARE_SCALE)
+      );
+      holders.forEach((lot, index) => {
+        lot.dividends.push({ date: payout.distribution.paid_at, cents: parts[index] });
+      });
+      return;
+    }
+
+    if (PURCHASE_TYPES.includes(entry.entry_type)) {
+      const shareUnits = toUnits(entry.shares, SHARE_SCALE);
+      lots.push({
+        investmentId: entry.reference_id,
+        date: entry.created_at,
+        shareUnits,
+        remainingUnits: shareUnits,
+        costCents: -toUnits(entry.amount_usd, USD_SCALE),
+        disposals: [],
+        dividends: [],
+        reversed: false,
+      });
+    } else if (REVERSAL_TYPES.includes(entry.entry_type)) {
+      const lot = lots.find((candidate) => candidate.investmentId === entry.reference_id && !candidate.reversed);
+      if (lot) {
+        lot.reversed = true;
+      }
+    } else if (entry.entry_type === 'sale_proceeds') {
+      const recorded = disposals.filter((disposal) => disposal.sale_id === entry.reference_id);
+      const recordedLots = recorded.map((disposal) => lots.find(
+        (lot) => !lot.reversed && lot.investmentId === disposal.lot?.investment_id
+      ));
+      if (recorded.length > 0 && recordedLots.every(Boolean)) {
+        recorded.forEach((disposal, index) => {
+          const units = toUnits(disposal.shares, SHARE_SCALE);
+          recordedLots[index].disposals.push({
+            date: entry.created_at,
+            shareUnits: units,
+            proceedsCents: toUnits(disposal.proceeds_usd, USD_SCALE),
+            costCents: toUnits(disposal.cost_basis_usd, USD_SCALE),
+          });
+          recordedLots[index].remainingUnits -= units;
+        });
+        return;
+      }
+
+      const saleUnits = -toUnits(entry.shares, SHARE_SCALE);
+      const proceedsCents = toUnits(entry.amount_usd, USD_SCALE);
+
+      let remaining = saleUnits;
+      const taken = [];
+      for (const lot of openLots()) {
+        if (remaining <= 0n) {
+          break;
+        }
+        const units = lot.remainingUnits < remaining ? lot.remainingUnits : remaining;
+        taken.push({ lot, units });
+        remaining -= units;
+      }
+
+      const parts = allocateCents(proceedsCents, taken.map(({ units }) => units), saleUnits);
+      taken.forEach(({ lot, units }, index) => {
+        lot.disposals.push({
+          date: entry.created_at,
+          shareUnits: units,
+          proceedsCents: parts[index],
+          costCents: divRoundHalfUp(lot.costCents * units, lot.shareUnits),
+        });
+        lot.remainingUnits -= units;
+      });
+    }
+  });
+
+  return lots.filter((lot) => !lot.reversed);
+}
+
+/**
+ * Load a user's lots in a property
+ */
+async function getPropertyLots(userId, propertyId) {
+  const [entriesResult, payoutsResult, disposals] = await Promise.all([
+    supabase
+      .from('user_transactions')
+      .select('entry_type, reference_id, shares, amount_usd, created_at')
+      .eq('user_id', userId)
+      .eq('property_id', propertyId)
+      .order('created_at', { ascending: true }),
+    supabase
+      .from('distribution_payouts')
+      .select('shares, amount_usd, distribution:distributions!inner(property_id, record_date, paid_at)')
+      .eq('user_id', userId)
+      .eq('distribution.property_id', propertyId),
+    getDisposals(userId, { propertyId }),
+  ]);
+
+  if (entriesResult.error) {
+    throw new Error(`Failed to fetch ledger activity: ${entriesResult.error.message}`);
+  }
+  if (payoutsResult.error) {
+    throw new Error(`Failed to fetch distributions: ${payoutsResult.error.message}`);
+  }
+
+  return buildLots(entriesResult.data || [], payoutsResult.data || [], disposals);
+}
+
+/**
+ * Return metrics for one lot valued at the given share price
+ */
+function lotMetrics(lot, pricePerShare, now = new Date()) {
+  const valueCents = costInCents(lot.remainingUnits, toUnits(pricePerShare, PRICE_SCALE));
+  const proceedsCents = lot.disposals.reduce((sum, disposal) => sum + disposal.proceedsCents, 0n);
+  const soldCostCents = lot.disposals.reduce((sum, disposal) => sum + disposal.costCents, 0n);
+  const dividendCents = lot.dividends.reduce((sum, dividend) => sum + dividend.cents, 0n);
+  const yearAgo = new Date(now.getTime() - 365 * DAY_MS);
+  const trailingDividendCents = lot.dividends
+    .filter((dividend) => new Date(dividend.date) >= yearAgo)
+    .reduce((sum, dividend) => sum + dividend.cents, 0n);
+  const totalReturnCents = valueCents + proceedsCents + dividendCents - lot.costCents;
+
+  const cashFlows = [
+    { date: lot.date, amount: -centsToNumber(lot.costCents) },
+    ...lot.disposals.map((disposal) => ({ date: disposal.date, amount: centsToNumber(disposal.proceedsCents) })),
+    ...lot.dividends.map((dividend) => ({ date: dividend.date, amount: centsToNumber(dividend.cents) })),
+    { date: now.toISOString(), amount: centsToNumber(valueCents) },
+  ];
+
+  // With a single contribution the time-weighted return is the holding period return
+  const holdingReturn = lot.costCents > 0n ? Number(totalReturnCents) / Number(lot.costCents) : null;
+  const years = (now - new Date(lot.date)) / DAY_MS / 365;
+
+  return {
+    remainingShares: fromUnits(lot.remainingUnits, SHARE_SCALE),
+    costBasis: fromUnits(lot.costCents - soldCostCents, USD_SCALE),
+    currentValue: fromUnits(valueCents, USD_SCALE),
+    realizedProceeds: fromUnits(proceedsCents, USD_SCALE),
+    dividendsReceived: fromUnits(dividendCents, USD_SCALE),
+    totalReturn: fromUnits(totalReturnCents, USD_SCALE),
+    totalReturnPercent: percentOf(totalReturnCents, lot.costCents),
+    moneyWeightedReturn: toPercent(xirr(cashFlows)),
+    timeWeightedReturn: toPercent(holdingReturn),
+    annualizedReturn: toPercent(annualize(holdingReturn, years)),
+    yieldOnCost: percentOf(trailingDividendCents, lot.costCents),
+    lastUpdated: now.toISOString(),
+  };
+}
+
+/**
+ * Return metrics for one investment (a purchase lot).
+ * investment must include its property's current price_per_share.
+ */
+async function calculateInvestmentPerformance(investment) {
+  const pricePerShare = investment.property?.price_per_share;
+
+  if (investment.status !== 'completed' || pricePerShare == null) {
+    return {
+      remainingShares: fromUnits(0n, SHARE_SCALE),
+      costBasis: fromUnits(0n, USD_SCALE),
+      currentValue: fromUnits(0n, USD_SCALE),
+      realizedProceeds: fromUnits(0n, USD_SCALE),
+      dividendsReceived: fromUnits(0n, USD_SCALE),
+      totalReturn: fromUnits(0n, USD_SCALE),
+      totalReturnPercent: null,
+      moneyWeightedReturn: null,
+      timeWeightedReturn: null,
+      annualizedReturn: null,
+      yieldOnCost: null,
+      lastUpdated: new Date().toISOString(),
+    };
+  }
+
+  const lots = await getPropertyLots(investment.user_id, investment.property_id);
+
+  // Investments completed before the ledger existed have no purchase entry
+  const lot = lots.find((candidate) => candidate.investmentId === investment.id) || {
+    investmentId: investment.id,
+    date: investment.completed_at || investment.created_at,
+    shareUnits: toUnits(investment.shares, SHARE_SCALE),
+    remainingUnits: toUnits(investment.shares, SHARE_SCALE),
+    costCents: toUnits(investment.amount, USD_SCALE),
+    disposals: [],
+    dividends: [],
+  };
+
+  return lotMetrics(lot, pricePerShare);
+}
+
+/**
+ * Portfolio-level return metrics.
+ *
+ * The money-weighted return (XIRR) uses the investor's external cash flows
+ * with today's total value (holdings plus wallet cash) as the final flow.
+ * The time-weighted return chains the daily snapshots, neutralizing those
+ * flows, up to today's value.
+ */
+async function calculatePortfolioReturns({ userId, holdingsValueCents, cashCents, costBasisCents }, now = new Date()) {
+  const [flowsResult, snapshotsResult, payoutsResult] = await Promise.all([
+    supabase
+      .from('user_external_flows')
+      .select('amount_usd, created_at')
+      .eq('user_id', userId)
+      .order('created_at', { ascending: true }),
+    supabase
+      .from('portfolio_snapshots')
+      .select('snapshot_date, total_value_usd, net_contributions_usd')
+      .eq('user_id', userId)
+      .order('snapshot_date', { ascending: true }),
+    supabase
+      .from('distribution_payouts')
+      .select('amount_usd, created_at')
+      .eq('user_id', userId),
+  ]);
+
+  [flowsResult, snapshotsResult, payoutsResult].forEach(({ error }) => {
+    if (error) {
+      throw new Error(`Failed to fetch return history: ${error.message}`);
+    }
+  });
+
+  const flows = flowsResult.data || [];
+  const totalValueCents = holdingsValueCents + cashCents;
+  const contributionsCents = -flows.reduce((sum, flow) => sum + toUnits(flow.amount_usd, USD_SCALE), 0n);
+
+  const moneyWeighted = xirr([
+    ...flows.map((flow) => ({ date: flow.created_at, amount: Number(flow.amount_usd) })),
+    { date: now.toISOString(), amount: centsToNumber(totalValueCents) },
+  ]);
+
+  const snapshots = snapshotsResult.data || [];
+  const points = [
+    ...snapshots.map((snapshot) => ({
+      date: snapshot.snapshot_date,
+      value: Number(snapshot.total_value_usd),
+      contributions: Number(snapshot.net_contributions_usd),
+    })),
+    { date: now.toISOString().slice(0, 10), value: centsToNumber(totalValueCents), contributions: centsToNumber(contributionsCents) },
+  ].map((point, index, all) => ({
+    ...point,
+    flow: index === 0 ? 0 : point.contributions - all[index - 1].contributions,
+  }));
+  const timeWeighted = timeWeightedReturn(points);
+
+  const payouts = payoutsResult.data || [];
+  const yearAgo = new Date(now.getTime() - 365 * DAY_MS);
+  const dividendCents = payouts.reduce((sum, payout) => sum + toUnits(payout.amount_usd, USD_SCALE), 0n);
+  const trailingDividendCents = payouts
+    .filter((payout) => new Date(payout.created_at) >= yearAgo)
+    .reduce((sum, payout) => sum + toUnits(payout.amount_usd, USD_SCALE), 0n);
+
+  return {
+    totalValue: fromUnits(totalValueCents, USD_SCALE),
+    netContributions: fromUnits(contributionsCents, USD_SCALE),
+    totalGain: fromUnits(totalValueCents - contributionsCents, USD_SCALE),
+    moneyWeightedReturn: toPercent(moneyWeighted),
+    timeWeightedReturn: toPercent(timeWeighted?.cumulative ?? null),
+    annualizedTimeWeightedReturn: toPercent(timeWeighted ? annualize(timeWeighted.cumulative, timeWeighted.years) : null),
+    dividendsReceived: fromUnits(dividendCents, USD_SCALE),
+    dividendsTrailing12Months: fromUnits(trailingDividendCents, USD_SCALE),
+    yieldOnCost: percentOf(trailingDividendCents, costBasisCents),
+    asOf: now.toISOString(),
+  };
+}
+
+module.exports = {
+  buildLots,
+  getPropertyLots,
+  calculateInvestmentPerformance,
+  calculatePortfolioReturns,
+};
@@ -0,0 +1,267 @@
+const crypto = require('crypto');
+const supabase = require('../config/supabase');
+const { YIELD_BANDS } = require('./analytics.service');
+const {
+  SHARE_SCALE,
+  toUnits,
+  fromUnits,
+  percentOf,
+} = require('../utils/money');
+
+/**
+ * Property search.
+ *
+ * Keywords are matched with Postgres full-text search over the title,
+ * address and description (websearch syntax: quoted phrases, "or", -term).
+ * Location filters match city, state and country case-insensitively, and a
+ * point with a radius limits results to properties whose stored coordinates
+ * are within that many miles. Facet counts (property type, state, yield band)
+ * are computed on the same filters minus the facet's own, so each option
+ * shows how many results selecting it would give.
+ *
+ * Pages are fetched with an opaque cursor (after=) pointing at the last
+ * result of the previous page: the search orders on a single sort key with
+ * the property id as tie-breaker, so paging is stable across inserts and
+ * edits. Page numbers still work for clients that need to jump around.
+ */
+
+const SORT_FIELDS = ['relevance', 'distance', 'pricePerShare', 'annualYield', 'createdAt'];
+
+// Upper bounds of every yield band but the last, in the same bands as the diversification breakdown
+const YIELD_BOUNDS = YIELD_BANDS.slice(0, -1).map((band) => band.max);
+
+/**
+ * Build the filters the search functions take, leaving out unset ones
+ */
+function buildFilters({
+  q,
+  status,
+  propertyType,
+  city,
+  state,
+  country,
+  minYield,
+  maxYield,
+  minPrice,
+  maxPrice,
+  latitude,
+  longitude,
+  radiusMiles,
+}) {
+  const filters = {
+    query: q,
+    status,
+    propertyTypes: propertyType !== undefined ? [].concat(propertyType) : undefined,
+    city,
+    state,
+    country,
+    minYield,
+    maxYield,
+    minPrice,
+    maxPrice,
+    latitude,
+    longitude,
+    radiusMiles,
+  };
+
+  return Object.fromEntries(Object.entries(filters).filter(([, value]) => value !== undefined && value !== ''));
+}
+
+/**
+ * Search properties. Returns a page of matches in order ({ propertyId, rank,
+ * distanceMiles }), the cursor of the next page (null on the last one), and
+ * on the first page the total number of matches and the facet counts (null
+ * when continuing from a cursor).
+ *
+ * sortBy defaults to relevance for keyword searches, distance for radius
+ * searches and the listing date otherwise. A cursor only continues the search
+ * it came from; any other throws an error with code invalid_cursor.
+ */
+async function searchProperties(params, { sortBy, order = 'desc', page = 1, limit = 10, after } = {}) {
+  const filters = buildFilters(params);
+  const sort = sortBy
+    || (filters.query ? 'relevance' : null)
+    || (filters.latitude !== undefined ? 'distance' : null)
+    || 'createdAt';
+  const fingerprint = searchFingerprint(filters, sort, order);
+  const cursor = after ? decodeCursor(after, fingerprint) : null;
+
+  const [results, facetCounts] = await Promise.all([
+    supabase.rpc('search_properties', {
+      p_filters: filters,
+      p_sort: sort,
+      p_ascending: order === 'asc',
+      // One extra row tells whether there is a next page
+      p_limit: limit + 1,
+      p_offset: (page - 1) * limit,
+      p_after_key: cursor ? cursor.key : null,
+      p_after_id: cursor ? cursor.id : null,
+    }),
+    // Facets and the total don't change from page to page, so later pages skip them
+    cursor ? { data: null, error: null } : supabase.rpc('property_search_facets', {
+      p_filters: filters,
+      p_yield_bounds: YIELD_BOUNDS,
+    }),
+  ]);
+
+  if (results.error) {
+    throw new Error(`Failed to search properties: ${results.error.message}`);
+  }
+  if (facetCounts.error) {
+    throw new Error(`Failed to count search facets: ${facetCounts.error.message}`);
+  }
+
+  const { total, facets } = cursor ? { total: null, facets: null } : formatFacets(facetCounts.data || []);
+  const rows = (results.data || []).slice(0, limit);
+  const last = rows[rows.length - 1];
+
+  return {
+    matches: rows.map((match) => ({
+      propertyId: match.property_id,
+      rank: match.rank,
+      distanceMiles: match.distance_miles !== null ? Number(match.distance_miles.toFixed(2)) : null,
+    })),
+    nextCursor: (results.data || []).length > limit
+      ? encodeCursor({ key: last.sort_key, id: last.property_id }, fingerprint)
+      : null,
+    total,
+    facets,
+    sortBy: sort,
+  };
+}
+
+/**
+ * Load properties with their images, primary image and funding stats, in one
+ * batch of queries however many there are. Returns them by id.
+ */
+async function loadProperties(propertyIds) {
+  if (propertyIds.length === 0) {
+    return new Map();
+  }
+
+  const [properties, images, investors] = await Promise.all([
+    supabase.from('properties').select('*').in('id', propertyIds),
+    supabase
+      .from('property_images')
+      .select('id, property_id, url, variants, is_primary')
+      .in('property_id', propertyIds)
+      .order('is_primary', { ascending: false }),
+    supabase.rpc('property_investor_counts', { p_property_ids: propertyIds }),
+  ]);
+
+  if (properties.error) {
+    throw new Error(`Failed to fetch properties: ${properties.error.message}`);
+  }
+  if (images.error) {
+    throw new Error(`Failed to fetch property images: ${images.error.message}`);
+  }
+  if (investors.error) {
+    throw new Error(`Failed to count property investors: ${investors.error.message}`);
+  }
+
+  const imagesByProperty = new Map();
+  (images.data || []).forEach(({ property_id: propertyId, ...image }) => {
+    imagesByProperty.set(propertyId, [...(imagesByProperty.get(propertyId) || []), image]);
+  });
+  const investorCounts = new Map((investors.data || [])
+    .map((row) => [row.property_id, Number(row.investor_count)]));
+
+  return new Map((properties.data || []).map((row) => {
+    const property = { ...row };
+    delete property.search_vector;
+
+    const propertyImages = imagesByProperty.get(property.id) || [];
+    const totalUnits = toUnits(property.total_shares, SHARE_SCALE);
+    const soldUnits = totalUnits - toUnits(property.available_shares, SHARE_SCALE);
+
+    return [property.id, {
+      ...property,
+      images: propertyImages,
+      primaryImage: propertyImages.find((image) => image.is_primary) || propertyImages[0] || null,
+      fundingStats: {
+        investorCount: investorCounts.get(property.id) || 0,
+        totalShares: String(property.total_shares),
+        sharesSold: fromUnits(soldUnits, SHARE_SCALE),
+        availableShares: String(property.available_shares),
+        percentFunded: percentOf(soldUnits, totalUnits),
+      },
+    }];
+  }));
+}
+
+/**
+ * Shape facet rows into per-facet lists of { key, label, count }, largest first
+ * (yield bands in band order)
+ */
+function formatFacets(rows) {
+  const byFacet = (facet) => rows.filter((row) => row.facet === facet);
+  const sortByCount = (list) => list.sort((a, b) => b.count - a.count);
+  const totalRow = rows.find((row) => row.facet === 'total');
+
+  return {
+    total: totalRow ? Number(totalRow.match_count) : 0,
+    facets: {
+      propertyType: sortByCount(byFacet('propertyType').map((row) => ({
+        key: row.facet_key,
+        label: row.facet_key || 'Unknown',
+        count: Number(row.match_count),
+      }))),
+      state: sortByCount(byFacet('state').map((row) => ({
+        key: row.facet_key,
+        label: row.facet_key || 'Unknown',
+        count: Number(row.match_count),
+      }))),
+      yieldBand: YIELD_BANDS.map((band, index) => {
+        const row = byFacet('yieldBand').find((candidate) => candidate.facet_key === String(index));
+        return {
+          key: band.key,
+          label: band.label,
+          minYield: index > 0 ? YIELD_BANDS[index - 1].max : null,
+          maxYield: Number.isFinite(band.max) ? band.max : null,
+          count: row ? Number(row.match_count) : 0,
+        };
+      }),
+    },
+  };
+}
+
+/**
+ * Short hash of a search's filters and order; cursors carry it so they are
+ * not reused on a different search
+ */
+function searchFingerprint(filters, sort, order) {
+  const normalized = Object.keys(filters).sort().map((key) => [key, filters[key]]);
+  return crypto
+    .createHash('sha256')
+    .update(JSON.stringify([normalized, sort, order]))
+    .digest('base64url')
+    .slice(0, 16);
+}
+
+function encodeCursor({ key, id }, fingerprint) {
+  return Buffer.from(JSON.stringify({ k: key, i: id, f: fingerprint })).toString('base64url');
+}
+
+function decodeCursor(cursor, fingerprint) {
+  let decoded;
+  try {
+    decoded = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+  } catch (error) {
+    decoded = null;
+  }
+
+  if (!decoded || decoded.f !== fingerprint || !/^-?\d+(\.\d+)?(e[+-]?\d+)?$/i.test(String(decoded.k))
+    || !/^[0-9a-f-]{36}$/i.test(String(decoded.i))) {
+    const error = new Error('Invalid cursor');
+    error.code = 'invalid_cursor';
+    throw error;
+  }
+
+  return { key: decoded.k, id: decoded.i };
+}
+
+module.exports = {
+  SORT_FIELDS,
+  searchProperties,
+  loadProperties,
+};
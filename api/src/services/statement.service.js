@@ -0,0 +1,398 @@
+const PDFDocument = require('pdfkit');
+const supabase = require('../config/supabase');
+const { USD_SCALE, toUnits, fromUnits } = require('../utils/money');
+const { toCsv } = require('../utils/csv');
+const { getDisposals, formatDisposal } = require('./tax.service');
+const { DOCUMENTS_BUCKET, getStorage } = require('./storage');
+
+/**
+ * Year-end investor tax statements.
+ *
+ * A statement summarizes, per property, the distributions paid in the tax
+ * year (1099-DIV style) and the gross proceeds, cost basis and realized
+ * gain or loss of the shares sold (1099-B style), with the lot-level sales.
+ * Each statement is stored as a PDF for people and JSON and CSV for
+ * software, in the documents bucket, and listed in user_documents.
+ */
+
+const DOCUMENT_TYPE = 'tax_statement';
+
+const FORMATS = {
+  pdf: 'application/pdf',
+  json: 'application/json',
+  csv: 'text/csv',
+};
+
+const RECIPIENT_PAGE_SIZE = 1000;
+
+const SUMMARY_FIELDS = [
+  'distributions',
+  'grossProceeds',
+  'costBasis',
+  'shortTermGain',
+  'longTermGain',
+  'realizedGain',
+];
+
+/**
+ * Gather a user's tax statement data for a year
+ */
+async function buildTaxStatement(userId, taxYear) {
+  const [userResult, summaryResult, disposals] = await Promise.all([
+    supabase
+      .from('users')
+      .select('id, email, first_name, last_name')
+      .eq('id', userId)
+      .single(),
+    supabase
+      .from('tax_year_property_summary')
+      .select('*')
+      .eq('user_id', userId)
+      .eq('tax_year', taxYear),
+    getDisposals(userId, { year: taxYear }),
+  ]);
+
+  if (userResult.error || !userResult.data) {
+    throw new Error(`Failed to fetch user ${userId}: ${userResult.error?.message || 'not found'}`);
+  }
+  if (summaryResult.error) {
+    throw new Error(`Failed to fetch tax year summary: ${summaryResult.error.message}`);
+  }
+
+  const rows = summaryResult.data || [];
+  const propertyIds = [...new Set(rows.map((row) => row.property_id))];
+  const { data: properties, error: propertiesError } = propertyIds.length
+    ? await supabase.from('properties').select('id, title').in('id', propertyIds)
+    : { data: [] };
+
+  if (propertiesError) {
+    throw new Error(`Failed to fetch properties: ${propertiesError.message}`);
+  }
+
+  const titles = Object.fromEntries((properties || []).map((property) => [property.id, property.title]));
+  const totals = Object.fromEntries(SUMMARY_FIELDS.map((field) => [field, 0n]));
+
+  const propertySummaries = rows
+    .map((row) => {
+      const cents = {
+        distributions: toUnits(row.distributions_usd, USD_SCALE),
+        grossProceeds: toUnits(row.gross_proceeds_usd, USD_SCALE),
+        costBasis: toUnits(row.cost_basis_usd, USD_SCALE),
+        shortTermGain: toUnits(row.short_term_gain_usd, USD_SCALE),
+        longTermGain: toUnits(row.long_term_gain_usd, USD_SCALE),
+        realizedGain: toUnits(row.realized_gain_usd, USD_SCALE),
+      };
+      SUMMARY_FIELDS.forEach((field) => {
+        totals[field] += cents[field];
+      });
+
+      return {
+        propertyId: row.property_id,
+        propertyName: titles[row.property_id] || null,
+        ...Object.fromEntries(SUMMARY_FIELDS.map((field) => [field, fromUnits(cents[field], USD_SCALE)])),
+      };
+    })
+    .sort((a, b) => (a.propertyName || '').localeCompare(b.propertyName || ''));
+
+  const user = userResult.data;
+  return {
+    taxYear: Number(taxYear),
+    investor: {
+      id: user.id,
+      name: [user.first_name, user.last_name].filter(Boolean).join(' ') || null,
+      email: user.email,
+    },
+    totals: Object.fromEntries(SUMMARY_FIELDS.map((field) => [field, fromUnits(totals[field], USD_SCALE)])),
+    properties: propertySummaries,
+    sales: disposals.map((disposal) => ({
+      ...formatDisposal(disposal),
+      propertyName: titles[disposal.property_id] || null,
+    })),
+    generatedAt: new Date().toISOString(),
+  };
+}
+
+/**
+ * Render a statement as CSV, one row per property plus a total row
+ */
+function renderStatementCsv(statement) {
+  const columns = [
+    { header: 'tax_year', value: () => statement.taxYear },
+    { header: 'property_id', value: (row) => row.propertyId },
+    { header: 'property_name', value: (row) => row.propertyName },
+    { header: 'distributions_usd', value: (row) => row.distributions },
+    { header: 'gross_proceeds_usd', value: (row) => row.grossProceeds },
+    { header: 'cost_basis_usd', value: (row) => row.costBasis },
+    { header: 'short_term_gain_usd', value: (row) => row.shortTermGain },
+    { header: 'long_term_gain_usd', value: (row) => row.longTermGain },
+    { header: 'realized_gain_usd', value: (row) => row.realizedGain },
+  ];
+
+  return toCsv(columns, [
+    ...statement.properties,
+    { propertyId: 'TOTAL', propertyName: null, ...statement.totals },
+  ]);
+}
+
+/**
+ * Render a statement as a PDF
+ */
+function renderStatementPdf(statement) {
+  return new Promise((resolve, reject) => {
+    const doc = new PDFDocument({ size: 'LETTER', margin: 50 });
+    const chunks = [];
+    doc.on('data', (chunk) => chunks.push(chunk));
+    doc.on('end', () => resolve(Buffer.concat(chunks)));
+    doc.on('error', reject);
+
+    const usd = (value) => `$${value}`;
+    const table = (headers, rows, widths) => {
+      const startX = doc.page.margins.left;
+      const drawRow = (cells, bold) => {
+        if (doc.y > doc.page.height - doc.page.margins.bottom - 20) {
+          doc.addPage();
+        }
+        const y = doc.y;
+        let x = startX;
+        doc.font(bold ? 'Helvetica-Bold' : 'Helvetica').fontSize(8);
+        cells.forEach((cell, index) => {
+          doc.text(String(cell ?? ''), x, y, { width: widths[index] - 4, align: index === 0 ? 'left' : 'right' });
+          x += widths[index];
+        });
+        doc.x = startX;
+        doc.moveDown(0.4);
+      };
+
+      drawRow(headers, true);
+      rows.forEach((row) => drawRow(row, row.bold));
+      doc.moveDown();
+    };
+
+    doc.font('Helvetica-Bold').fontSize(16).text(`Annual Investor Statement - Tax Year ${statement.taxYear}`);
+    doc.moveDown(0.5);
+    doc.font('Helvetica').fontSize(10)
+      .text(`Investor: ${statement.investor.name || statement.investor.email}`)
+      .text(`Email: ${statement.investor.email}`)
+      .text(`Generated: ${statement.generatedAt.slice(0, 10)}`);
+    doc.moveDown();
+
+    doc.font('Helvetica-Bold').fontSize(12).text('Summary');
+    doc.moveDown(0.5);
+    table(
+      ['', 'Amount'],
+      [
+        ['Distributions received (ordinary income)', usd(statement.totals.distributions)],
+        ['Gross proceeds from sales', usd(statement.totals.grossProceeds)],
+        ['Cost basis of shares sold', usd(statement.totals.costBasis)],
+        ['Short-term realized gain/loss', usd(statement.totals.shortTermGain)],
+        ['Long-term realized gain/loss', usd(statement.totals.longTermGain)],
+        Object.assign(['Total realized gain/loss', usd(statement.totals.realizedGain)], { bold: true }),
+      ],
+      [360, 150]
+    );
+
+    doc.font('Helvetica-Bold').fontSize(12).text('By property');
+    doc.moveDown(0.5);
+    table(
+      ['Property', 'Distributions', 'Proceeds', 'Cost basis', 'Short-term', 'Long-term', 'Realized'],
+      [
+        ...statement.properties.map((row) => [
+          row.propertyName || row.propertyId,
+          usd(row.distributions),
+          usd(row.grossProceeds),
+          usd(row.costBasis),
+          usd(row.shortTermGain),
+          usd(row.longTermGain),
+          usd(row.realizedGain),
+        ]),
+        Object.assign([
+          'Total',
+          usd(statement.totals.distributions),
+          usd(statement.totals.grossProceeds),
+          usd(statement.totals.costBasis),
+          usd(statement.totals.shortTermGain),
+          usd(statement.totals.longTermGain),
+          usd(statement.totals.realizedGain),
+        ], { bold: true }),
+      ],
+      [142, 62, 62, 62, 62, 62, 60]
+    );
+
+    if (statement.sales.length > 0) {
+      doc.font('Helvetica-Bold').fontSize(12).text('Sales detail');
+      doc.moveDown(0.5);
+      table(
+        ['Property', 'Acquired', 'Sold', 'Shares', 'Proceeds', 'Cost basis', 'Gain/loss', 'Term'],
+        statement.sales.map((sale) => [
+          sale.propertyName || sale.propertyId,
+          String(sale.acquiredAt).slice(0, 10),
+          String(sale.disposedAt).slice(0, 10),
+          sale.shares,
+          usd(sale.proceeds),
+          usd(sale.costBasis),
+          usd(sale.realizedGain),
+          sale.term === 'long' ? 'Long' : 'Short',
+        ]),
+        [112, 56, 56, 64, 56, 56, 56, 56]
+      );
+    }
+
+    doc.font('Helvetica').fontSize(7).fillColor('#555555').text(
+      'This statement summarizes activity recorded on the platform and is provided for information. '
+      + 'Consult a tax advisor on how to report it.',
+      doc.page.margins.left
+    );
+
+    doc.end();
+  });
+}
+
+/**
+ * Generate and store a user's statement for a tax year in every format.
+ * Rerunning replaces the stored files and document rows.
+ */
+async function generateTaxStatement(userId, taxYear) {
+  const statement = await buildTaxStatement(userId, taxYear);
+  const files = {
+    pdf: await renderStatementPdf(statement),
+    json: Buffer.from(JSON.stringify(statement, null, 2)),
+    csv: Buffer.from(renderStatementCsv(statement)),
+  };
+
+  const rows = [];
+  for (const [format, content] of Object.entries(files)) {
+    const storagePath = `${userId}/tax-statements/${taxYear}/tax-statement-${taxYear}.${format}`;
+    await getStorage().put(DOCUMENTS_BUCKET, storagePath, content, { contentType: FORMATS[format] });
+
+    rows.push({
+      user_id: userId,
+      document_type: DOCUMENT_TYPE,
+      tax_year: Number(taxYear),
+      format,
+      name: `Tax Statement ${taxYear} (${format.toUpperCase()})`,
+      storage_path: storagePath,
+      content_type: FORMATS[format],
+      size_bytes: content.length,
+      generated_at: statement.generatedAt,
+    });
+  }
+
+  const { data: documents, error } = await supabase
+    .from('user_documents')
+    .upsert(rows, { onConflict: 'user_id,document_type,tax_year,format' })
+    .select();
+
+  if (error) {
+    throw new Error(`Failed to record statement documents: ${error.message}`);
+  }
+
+  return documents;
+}
+
+/**
+ * Read every row of a query, a page at a time: PostgREST returns at most
+ * 1000 rows per request. The query must have a stable order.
+ */
+async function fetchAllRows(buildQuery) {
+  const rows = [];
+
+  for (let offset = 0; ; offset += RECIPIENT_PAGE_SIZE) {
+    const { data: page, error } = await buildQuery().range(offset, offset + RECIPIENT_PAGE_SIZE - 1);
+    if (error) {
+      return { data: null, error };
+    }
+
+    rows.push(...(page || []));
+    if (!page || page.length < RECIPIENT_PAGE_SIZE) {
+      return { data: rows, error: null };
+    }
+  }
+}
+
+/**
+ * Users with distributions or sales in a tax year
+ */
+async function getStatementRecipients(taxYear) {
+  const { data: rows, error } = await fetchAllRows(() => supabase
+    .from('tax_year_property_summary')
+    .select('user_id')
+    .eq('tax_year', taxYear)
+    .order('user_id', { ascending: true })
+    .order('property_id', { ascending: true }));
+
+  if (error) {
+    throw new Error(`Failed to fetch statement recipients: ${error.message}`);
+  }
+
+  return [...new Set((rows || []).map((row) => row.user_id))];
+}
+
+/**
+ * Users who have every format of their statement for a tax year
+ */
+async function getIssuedStatementUsers(taxYear) {
+  const { data: rows, error } = await fetchAllRows(() => supabase
+    .from('user_documents')
+    .select('user_id, format')
+    .eq('document_type', DOCUMENT_TYPE)
+    .eq('tax_year', Number(taxYear))
+    .order('user_id', { ascending: true })
+    .order('format', { ascending: true }));
+
+  if (error) {
+    throw new Error(`Failed to fetch issued statements: ${error.message}`);
+  }
+
+  const formats = new Map();
+  (rows || []).forEach((row) => {
+    formats.set(row.user_id, (formats.get(row.user_id) || new Set()).add(row.format));
+  });
+
+  const formatCount = Object.keys(FORMATS).length;
+  return new Set([...formats].filter(([, issued]) => issued.size === formatCount).map(([id]) => id));
+}
+
+/**
+ * Generate statements for a tax year, for one user or everyone with activity
+ * (with missingOnly, only those who don't have theirs yet).
+ * One user's failure doesn't stop the others; failures are returned.
+ */
+async function generateTaxStatements(taxYear, { userId, missingOnly = false } = {}) {
+  let userIds = userId ? [userId] : await getStatementRecipients(taxYear);
+
+  if (missingOnly) {
+    const issued = await getIssuedStatementUsers(taxYear);
+    userIds = userIds.filter((id) => !issued.has(id));
+  }
+
+  const generated = [];
+  const failed = [];
+
+  for (const id of userIds) {
+    try {
+      await generateTaxStatement(id, taxYear);
+      generated.push(id);
+    } catch (error) {
+      failed.push({ userId: id, error: error.message });
+    }
+  }
+
+  return { taxYear: Number(taxYear), generated, failed };
+}
+
+/**
+ * Download a stored document's content
+ */
+async function downloadDocument(document) {
+  return getStorage().get(DOCUMENTS_BUCKET, document.storage_path);
+}
+
+module.exports = {
+  DOCUMENT_TYPE,
+  buildTaxStatement,
+  renderStatementCsv,
+  renderStatementPdf,
+  generateTaxStatement,
+  generateTaxStatements,
+  downloadDocument,
+};
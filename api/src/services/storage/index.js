@@ -0,0 +1,60 @@
+const path = require('path');
+const { createSupabaseStorage } = require('./supabase.storage');
+const { createLocalStorage } = require('./local.storage');
+
+// Public bucket for property images and documents; private bucket for user documents
+const MEDIA_BUCKET = process.env.MEDIA_BUCKET || 'property-media';
+const DOCUMENTS_BUCKET = process.env.DOCUMENTS_BUCKET || 'documents';
+
+const LOCAL_STORAGE_DIR = process.env.LOCAL_STORAGE_DIR || path.resolve('uploads');
+const LOCAL_STORAGE_URL = process.env.LOCAL_STORAGE_URL || `http://localhost:${process.env.PORT || 5000}/uploads`;
+
+// STORAGE_DRIVER=supabase|local; Supabase Storage in production, local disk otherwise
+const STORAGE_DRIVER = process.env.STORAGE_DRIVER
+  || (process.env.NODE_ENV === 'production' ? 'supabase' : 'local');
+
+/**
+ * File storage interface.
+ *
+ * Every driver stores objects by bucket and path:
+ *   put(bucket, path, content, { contentType })  -> stores (or replaces) a Buffer
+ *   get(bucket, path)                             -> Buffer
+ *   remove(bucket, paths)                         -> deletes, ignoring missing objects
+ *   publicUrl(bucket, path)                       -> URL of an object in a public bucket
+ *
+ * The local driver keeps files under LOCAL_STORAGE_DIR for development; the
+ * app serves its media bucket at /uploads.
+ */
+const storageFactories = {
+  supabase: () => createSupabaseStorage(),
+  local: () => createLocalStorage({ root: LOCAL_STORAGE_DIR, baseUrl: LOCAL_STORAGE_URL }),
+};
+
+const drivers = {};
+
+/**
+ * Get a storage driver by name, or the configured one when no name is given
+ */
+const getStorage = (requestedName) => {
+  const name = requestedName || STORAGE_DRIVER;
+
+  if (!drivers[name]) {
+    const createDriver = storageFactories[name];
+
+    if (!createDriver) {
+      throw new Error(`Unknown storage driver: ${name}`);
+    }
+
+    drivers[name] = createDriver();
+  }
+
+  return drivers[name];
+};
+
+module.exports = {
+  STORAGE_DRIVER,
+  MEDIA_BUCKET,
+  DOCUMENTS_BUCKET,
+  LOCAL_STORAGE_DIR,
+  getStorage,
+};
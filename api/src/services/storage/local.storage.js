@@ -0,0 +1,48 @@
+const fs = require('fs/promises');
+const path = require('path');
+
+/**
+ * Local disk driver for development: each bucket is a directory under root,
+ * and public URLs point at baseUrl/<bucket>/<path>.
+ */
+function createLocalStorage({ root, baseUrl }) {
+  // Keep object paths inside their bucket directory
+  const resolve = (bucket, objectPath) => {
+    const bucketDir = path.resolve(root, bucket);
+    const filePath = path.resolve(bucketDir, objectPath);
+    if (!filePath.startsWith(`${bucketDir}${path.sep}`)) {
+      throw new Error(`Invalid storage path: ${objectPath}`);
+    }
+    return filePath;
+  };
+
+  return {
+    name: 'local',
+
+    async put(bucket, objectPath, content) {
+      const filePath = resolve(bucket, objectPath);
+      await fs.mkdir(path.dirname(filePath), { recursive: true });
+      await fs.writeFile(filePath, content);
+    },
+
+    async get(bucket, objectPath) {
+      try {
+        return await fs.readFile(resolve(bucket, objectPath));
+      } catch (error) {
+        throw new Error(`Failed to download ${objectPath}: ${error.message}`);
+      }
+    },
+
+    async remove(bucket, objectPaths) {
+      await Promise.all(objectPaths.map((objectPath) => fs.rm(resolve(bucket, objectPath), { force: true })));
+    },
+
+    publicUrl(bucket, objectPath) {
+      return `${baseUrl}/${bucket}/${objectPath.split('/').map(encodeURIComponent).join('/')}`;
+    },
+  };
+}
+
+module.exports = {
+  createLocalStorage,
+};
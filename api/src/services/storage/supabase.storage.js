@@ -0,0 +1,54 @@
+const supabase = require('../../config/supabase');
+
+/**
+ * Supabase Storage driver. Buckets must exist; the media bucket should be public.
+ */
+function createSupabaseStorage() {
+  return {
+    name: 'supabase',
+
+    async put(bucket, path, content, { contentType } = {}) {
+      const { error } = await supabase.storage
+        .from(bucket)
+        .upload(path, content, { contentType, upsert: true });
+
+      if (error) {
+        throw new Error(`Failed to store ${path}: ${error.message}`);
+      }
+    },
+
+    async get(bucket, path) {
+      const { data, error } = await supabase.storage
+        .from(bucket)
+        .download(path);
+
+      if (error) {
+        throw new Error(`Failed to download ${path}: ${error.message}`);
+      }
+
+      return Buffer.from(await data.arrayBuffer());
+    },
+
+    async remove(bucket, paths) {
+      if (paths.length === 0) {
+        return;
+      }
+
+      const { error } = await supabase.storage
+        .from(bucket)
+        .remove(paths);
+
+      if (error) {
+        throw new Error(`Failed to delete files: ${error.message}`);
+      }
+    },
+
+    publicUrl(bucket, path) {
+      return supabase.storage.from(bucket).getPublicUrl(path).data.publicUrl;
+    },
+  };
+}
+
+module.exports = {
+  createSupabaseStorage,
+};
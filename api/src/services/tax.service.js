@@ -0,0 +1,175 @@
+const supabase = require('../config/supabase');
+const {
+  SHARE_SCALE,
+  PRICE_SCALE,
+  USD_SCALE,
+  toUnits,
+  fromUnits,
+  costInCents,
+  divRoundHalfUp,
+  percentOf,
+} = require('../utils/money');
+
+/**
+ * Tax lot and capital gains reporting.
+ *
+ * Every completed purchase opens a lot in tax_lots. Sales relieve lots in
+ * the database using the method the seller picked, recording one
+ * tax_lot_disposals row per lot touched with its proceeds, cost basis and
+ * realized gain. A gain is long term when the lot was held more than a year.
+ */
+
+const LOT_METHODS = ['fifo', 'lifo', 'hifo', 'specific'];
+
+/**
+ * Whether a lot acquired at acquiredAt would be held long term if disposed of at `at`
+ */
+function isLongTerm(acquiredAt, at = new Date()) {
+  const acquired = new Date(acquiredAt);
+  const oneYearLater = new Date(acquired);
+  oneYearLater.setUTCFullYear(acquired.getUTCFullYear() + 1);
+  return new Date(at) > oneYearLater;
+}
+
+/**
+ * Get a user's open lots, oldest first
+ */
+async function getOpenLots(userId, { propertyId } = {}) {
+  let query = supabase
+    .from('tax_lots')
+    .select('*')
+    .eq('user_id', userId)
+    .eq('status', 'open');
+
+  if (propertyId) {
+    query = query.eq('property_id', propertyId);
+  }
+
+  const { data: lots, error } = await query.order('acquired_at', { ascending: true });
+
+  if (error) {
+    throw new Error(`Failed to fetch tax lots: ${error.message}`);
+  }
+
+  return lots || [];
+}
+
+/**
+ * Get a user's lot disposals, optionally for one calendar year (UTC) or property
+ */
+async function getDisposals(userId, { year, propertyId } = {}) {
+  let query = supabase
+    .from('tax_lot_disposals')
+    .select('*, lot:tax_lots(investment_id)')
+    .eq('user_id', userId);
+
+  if (year) {
+    query = query
+      .gte('disposed_at', `${year}-01-01T00:00:00Z`)
+      .lt('disposed_at', `${Number(year) + 1}-01-01T00:00:00Z`);
+  }
+
+  if (propertyId) {
+    query = query.eq('property_id', propertyId);
+  }
+
+  const { data: disposals, error } = await query.order('disposed_at', { ascending: true });
+
+  if (error) {
+    throw new Error(`Failed to fetch realized gains: ${error.message}`);
+  }
+
+  return disposals || [];
+}
+
+/**
+ * Shape an open lot for API responses, valued at the given share price
+ * (cost basis when the price is unknown)
+ */
+function formatLot(lot, pricePerShare, now = new Date()) {
+  const shareUnits = toUnits(lot.remaining_shares, SHARE_SCALE);
+  const costCents = toUnits(lot.remaining_cost_usd, USD_SCALE);
+  const valueCents = pricePerShare != null
+    ? costInCents(shareUnits, toUnits(pricePerShare, PRICE_SCALE))
+    : costCents;
+
+  return {
+    lotId: lot.lot_id,
+    investmentId: lot.investment_id,
+    propertyId: lot.property_id,
+    acquiredAt: lot.acquired_at,
+    shares: fromUnits(toUnits(lot.shares, SHARE_SCALE), SHARE_SCALE),
+    remainingShares: fromUnits(shareUnits, SHARE_SCALE),
+    costPerShare: shareUnits > 0n
+      ? fromUnits(divRoundHalfUp(costCents * 10n ** BigInt(SHARE_SCALE + PRICE_SCALE - USD_SCALE), shareUnits), PRICE_SCALE)
+      : null,
+    costBasis: fromUnits(costCents, USD_SCALE),
+    currentValue: fromUnits(valueCents, USD_SCALE),
+    unrealizedGain: fromUnits(valueCents - costCents, USD_SCALE),
+    unrealizedGainPercent: percentOf(valueCents - costCents, costCents),
+    term: isLongTerm(lot.acquired_at, now) ? 'long' : 'short',
+  };
+}
+
+/**
+ * Shape a lot disposal for API responses
+ */
+function formatDisposal(disposal) {
+  return {
+    disposalId: disposal.disposal_id,
+    saleId: disposal.sale_id,
+    lotId: disposal.lot_id,
+    propertyId: disposal.property_id,
+    shares: fromUnits(toUnits(disposal.shares, SHARE_SCALE), SHARE_SCALE),
+    proceeds: fromUnits(toUnits(disposal.proceeds_usd, USD_SCALE), USD_SCALE),
+    costBasis: fromUnits(toUnits(disposal.cost_basis_usd, USD_SCALE), USD_SCALE),
+    realizedGain: fromUnits(toUnits(disposal.realized_gain_usd, USD_SCALE), USD_SCALE),
+    acquiredAt: disposal.acquired_at,
+    disposedAt: disposal.disposed_at,
+    term: disposal.term,
+    lotMethod: disposal.lot_method,
+  };
+}
+
+/**
+ * Proceeds, cost basis and gain totals of disposals, split by term
+ */
+function summarizeDisposals(disposals) {
+  const totals = {
+    short: { proceeds: 0n, costBasis: 0n, gain: 0n },
+    long: { proceeds: 0n, costBasis: 0n, gain: 0n },
+  };
+
+  disposals.forEach((disposal) => {
+    const bucket = totals[disposal.term];
+    bucket.proceeds += toUnits(disposal.proceeds_usd, USD_SCALE);
+    bucket.costBasis += toUnits(disposal.cost_basis_usd, USD_SCALE);
+    bucket.gain += toUnits(disposal.realized_gain_usd, USD_SCALE);
+  });
+
+  const format = ({ proceeds, costBasis, gain }) => ({
+    proceeds: fromUnits(proceeds, USD_SCALE),
+    costBasis: fromUnits(costBasis, USD_SCALE),
+    realizedGain: fromUnits(gain, USD_SCALE),
+  });
+
+  return {
+    shortTerm: format(totals.short),
+    longTerm: format(totals.long),
+    total: format({
+      proceeds: totals.short.proceeds + totals.long.proceeds,
+      costBasis: totals.short.costBasis + totals.long.costBasis,
+      gain: totals.short.gain + totals.long.gain,
+    }),
+  };
+}
+
+module.exports = {
+  LOT_METHODS,
+  isLongTerm,
+  getOpenLots,
+  getDisposals,
+  formatLot,
+  formatDisposal,
+  summarizeDisposals,
+};
@@ -0,0 +1,171 @@
+const supabase = require('../config/supabase');
+const logger = require('../config/logger');
+
+/**
+ * Get a user's wallet balances (zero if they have never funded it)
+ */
+async function getWalletBalance(userId) {
+  const { data: wallet, error } = await supabase
+    .from('wallet_balances')
+    .select('available_usd, held_usd, updated_at')
+    .eq('user_id', userId)
+    .maybeSingle();
+
+  if (error) {
+    throw new Error(`Failed to fetch wallet: ${error.message}`);
+  }
+
+  return {
+    availableUsd: wallet ? String(wallet.available_usd) : '0.00',
+    heldUsd: wallet ? String(wallet.held_usd) : '0.00',
+    updatedAt: wallet?.updated_at || null,
+  };
+}
+
+/**
+ * Credit (or, with a negative amount, debit) a user's available balance,
+ * balanced against the given ledger account
+ */
+async function creditWallet({ userId, amountUsd, entryType, referenceId, description, counterAccountId }) {
+  const { data: wallet, error } = await supabase
+    .rpc('wallet_apply', {
+      p_user_id: userId,
+      p_amount: amountUsd,
+      p_held_amount: 0,
+      p_entry_type: entryType,
+      p_reference_id: referenceId,
+      p_description: description,
+      p_counter_account_id: counterAccountId,
+    })
+    .single();
+
+  if (error) {
+    const walletError = new Error(error.message);
+    walletError.details = error.details;
+    throw walletError;
+  }
+
+  return wallet;
+}
+
+/**
+ * Move a wallet deposit to a new status, crediting or debiting the wallet
+ */
+async function settleDeposit(depositId, status) {
+  const { data: deposit, error } = await supabase
+    .rpc('wallet_settle_deposit', { p_deposit_id: depositId, p_status: status })
+    .single();
+
+  if (error) {
+    const depositError = new Error(error.message);
+    depositError.details = error.details;
+    throw depositError;
+  }
+
+  return deposit;
+}
+
+/**
+ * Move a wallet withdrawal to a new status, crediting the wallet back when it
+ * is rejected or the payout fails
+ */
+async function settleWithdrawal(withdrawalId, status) {
+  const { data: withdrawal, error } = await supabase
+    .rpc('wallet_settle_withdrawal', { p_withdrawal_id: withdrawalId, p_status: status })
+    .single();
+
+  if (error) {
+    const withdrawalError = new Error(error.message);
+    withdrawalError.details = error.details;
+    throw withdrawalError;
+  }
+
+  return withdrawal;
+}
+
+/**
+ * Apply a payment webhook event to the wallet deposit it belongs to.
+ * Returns null when the payment is not a deposit.
+ */
+async function settleDepositPayment(event) {
+  const deposit = await findDepositForPayment(event);
+
+  if (!deposit) {
+    return null;
+  }
+
+  const transitions = {
+    'payment.succeeded': ['pending', 'completed'],
+    'payment.failed': ['pending', 'failed'],
+    'payment.canceled': ['pending', 'failed'],
+    'payment.refunded': ['completed', 'reversed'],
+    'payment.disputed': ['completed', 'reversed'],
+  };
+
+  const [fromStatus, toStatus] = transitions[event.type] || [];
+  if (!toStatus || deposit.status !== fromStatus) {
+    return 'deposit_ignored';
+  }
+
+  try {
+    await settleDeposit(deposit.deposit_id, toStatus);
+  } catch (settleError) {
+    if (settleError.message === 'insufficient_funds') {
+      // The investor already spent the deposit
+      logger.error(`Cannot reverse deposit ${deposit.deposit_id}: wallet has $${settleError.details} available`);
+      return 'deposit_manual_review';
+    }
+    throw settleError;
+  }
+
+  return `deposit_${toStatus}`;
+}
+
+// Helper Functions
+
+/**
+ * Find the deposit a payment belongs to: by payment intent, or by the deposit
+ * id in its metadata for a deposit whose charge timed out before the intent
+ * was recorded (the intent is recorded now)
+ */
+async function findDepositForPayment(event) {
+  const { data: deposit, error } = await supabase
+    .from('wallet_deposits')
+    .select('*')
+    .eq('payment_intent_id', event.paymentIntentId)
+    .maybeSingle();
+
+  if (error) {
+    throw new Error(`Failed to look up deposit: ${error.message}`);
+  }
+
+  const depositId = event.metadata?.depositId;
+  if (deposit || !depositId) {
+    return deposit;
+  }
+
+  const { data: unmatched, error: unmatchedError } = await supabase
+    .from('wallet_deposits')
+    .update({
+      payment_intent_id: event.paymentIntentId,
+      updated_at: new Date().toISOString(),
+    })
+    .eq('deposit_id', depositId)
+    .is('payment_intent_id', null)
+    .select()
+    .maybeSingle();
+
+  if (unmatchedError) {
+    throw new Error(`Failed to look up deposit: ${unmatchedError.message}`);
+  }
+
+  return unmatched;
+}
+
+module.exports = {
+  getWalletBalance,
+  creditWallet,
+  settleDeposit,
+  settleWithdrawal,
+  settleDepositPayment,
+};
@@ -0,0 +1,32 @@
+/**
+ * Minimal RFC 4180 CSV writer
+ */
+
+/**
+ * Quote a value when it contains a delimiter, quote or line break
+ */
+function escapeCsvValue(value) {
+  if (value === null || value === undefined) {
+    return '';
+  }
+
+  const str = String(value);
+  return /[",\r\n]/.test(str) ? `"${str.replace(/"/g, '""')}"` : str;
+}
+
+/**
+ * Render rows as CSV. columns: [{ header, value: (row) => any }]
+ */
+function toCsv(columns, rows) {
+  const lines = [
+    columns.map((column) => escapeCsvValue(column.header)).join(','),
+    ...rows.map((row) => columns.map((column) => escapeCsvValue(column.value(row))).join(',')),
+  ];
+
+  return `${lines.join('\r\n')}\r\n`;
+}
+
+module.exports = {
+  escapeCsvValue,
+  toCsv,
+};
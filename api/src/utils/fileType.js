@@ -0,0 +1,66 @@
+/**
+ * Detect a file's type from its content (magic numbers) rather than trusting
+ * the client's filename or Content-Type. Covers the types we accept for
+ * uploads; anything else is reported as unknown (null).
+ */
+
+const startsWith = (buffer, bytes, offset = 0) => buffer.length >= offset + bytes.length
+  && bytes.every((byte, index) => buffer[offset + index] === byte);
+
+const ascii = (text) => [...text].map((char) => char.charCodeAt(0));
+
+const OOXML_TYPES = [
+  {
+    marker: 'word/',
+    mime: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+    ext: 'docx',
+  },
+  {
+    marker: 'xl/',
+    mime: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+    ext: 'xlsx',
+  },
+];
+
+/**
+ * Returns { mime, ext } for a recognized file, or null
+ */
+function sniffFileType(buffer) {
+  if (!buffer || buffer.length < 4) {
+    return null;
+  }
+
+  if (startsWith(buffer, [0xff, 0xd8, 0xff])) {
+    return { mime: 'image/jpeg', ext: 'jpg' };
+  }
+  if (startsWith(buffer, [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a])) {
+    return { mime: 'image/png', ext: 'png' };
+  }
+  if (startsWith(buffer, ascii('RIFF')) && startsWith(buffer, ascii('WEBP'), 8)) {
+    return { mime: 'image/webp', ext: 'webp' };
+  }
+  if (startsWith(buffer, ascii('GIF87a')) || startsWith(buffer, ascii('GIF89a'))) {
+    return { mime: 'image/gif', ext: 'gif' };
+  }
+  if (startsWith(buffer, ascii('%PDF-'))) {
+    return { mime: 'application/pdf', ext: 'pdf' };
+  }
+
+  // Office documents are zip archives; the part names tell Word from Excel
+  if (startsWith(buffer, [0x50, 0x4b, 0x03, 0x04])) {
+    const content = buffer.toString('latin1');
+    if (content.includes('[Content_Types].xml')) {
+      const match = OOXML_TYPES.find((type) => content.includes(type.marker));
+      if (match) {
+        return { mime: match.mime, ext: match.ext };
+      }
+    }
+    return { mime: 'application/zip', ext: 'zip' };
+  }
+
+  return null;
+}
+
+module.exports = {
+  sniffFileType,
+};
@@ -0,0 +1,155 @@
+/**
+ * Fixed-point helpers for USD amounts and fractional share quantities.
+ *
+ * Values are carried as BigInt "units" so conversions never pick up
+ * floating point drift. Scales match the database columns:
+ * share quantities and per-share prices are numeric(.., 8), USD amounts
+ * are settled in cents.
+ */
+
+const SHARE_SCALE = 8;
+const PRICE_SCALE = 8;
+const USD_SCALE = 2;
+
+const MIN_INVESTMENT_USD = '1.00';
+
+const pow10 = (exp) => 10n ** BigInt(exp);
+
+/**
+ * Parse a decimal number or string into scaled BigInt units.
+ * Digits beyond the scale are truncated.
+ */
+function toUnits(value, scale) {
+  if (value === null || value === undefined || value === '') {
+    throw new Error('Missing numeric value');
+  }
+
+  const str = typeof value === 'number' ? value.toFixed(scale + 2) : String(value).trim();
+  const match = /^(-)?(\d*)(?:\.(\d*))?$/.exec(str);
+  if (!match || (match[2] === '' && !match[3])) {
+    throw new Error(`Invalid numeric value: ${value}`);
+  }
+
+  const [, sign, whole, fraction = ''] = match;
+  const units = BigInt(whole || '0') * pow10(scale)
+    + BigInt((fraction + '0'.repeat(scale)).slice(0, scale) || '0');
+
+  return sign ? -units : units;
+}
+
+/**
+ * Format scaled BigInt units as a fixed-point decimal string
+ */
+function fromUnits(units, scale) {
+  const negative = units < 0n;
+  const abs = negative ? -units : units;
+  const whole = abs / pow10(scale);
+  const fraction = (abs % pow10(scale)).toString().padStart(scale, '0');
+
+  return `${negative ? '-' : ''}${whole}${scale > 0 ? `.${fraction}` : ''}`;
+}
+
+/**
+ * Integer division rounding half away from zero
+ */
+function divRoundHalfUp(numerator, denominator) {
+  const quotient = numerator / denominator;
+  const remainder = numerator % denominator;
+  if (remainder * 2n >= denominator) {
+    return quotient + 1n;
+  }
+  return quotient;
+}
+
+/**
+ * Cost in cents of a share quantity at a price, rounded half-up to the cent
+ */
+function costInCents(shareUnits, priceUnits) {
+  return divRoundHalfUp(shareUnits * priceUnits, pow10(SHARE_SCALE + PRICE_SCALE - USD_SCALE));
+}
+
+/**
+ * Convert a USD amount into shares at the given price.
+ *
+ * Shares are rounded DOWN to 8 decimals so the investor is never charged
+ * more than they asked to invest. The charged amount is the cost of those
+ * shares rounded half-up to the cent, which can therefore never exceed the
+ * requested amount; the difference is returned as the remainder.
+ */
+function quoteByAmount(amountUsd, pricePerShare) {
+  const amountCents = toUnits(amountUsd, USD_SCALE);
+  const priceUnits = toUnits(pricePerShare, PRICE_SCALE);
+
+  if (priceUnits <= 0n) {
+    throw new Error('Price per share must be positive');
+  }
+
+  const shareUnits = (amountCents * pow10(SHARE_SCALE + PRICE_SCALE - USD_SCALE)) / priceUnits;
+  const chargedCents = costInCents(shareUnits, priceUnits);
+
+  return {
+    shareUnits,
+    chargedCents,
+    shares: fromUnits(shareUnits, SHARE_SCALE),
+    pricePerShare: fromUnits(priceUnits, PRICE_SCALE),
+    requestedAmountUsd: fromUnits(amountCents, USD_SCALE),
+    amountUsd: fromUnits(chargedCents, USD_SCALE),
+    remainderUsd: fromUnits(amountCents - chargedCents, USD_SCALE),
+  };
+}
+
+/**
+ * Price a (possibly fractional) share quantity.
+ *
+ * The quantity is truncated to 8 decimals and the cost rounded half-up
+ * to the cent.
+ */
+function quoteByShares(shares, pricePerShare) {
+  const shareUnits = toUnits(shares, SHARE_SCALE);
+  const priceUnits = toUnits(pricePerShare, PRICE_SCALE);
+
+  if (priceUnits <= 0n) {
+    throw new Error('Price per share must be positive');
+  }
+
+  const chargedCents = costInCents(shareUnits, priceUnits);
+
+  return {
+    shareUnits,
+    chargedCents,
+    shares: fromUnits(shareUnits, SHARE_SCALE),
+    pricePerShare: fromUnits(priceUnits, PRICE_SCALE),
+    requestedAmountUsd: null,
+    amountUsd: fromUnits(chargedCents, USD_SCALE),
+    remainderUsd: fromUnits(0n, USD_SCALE),
+  };
+}
+
+/**
+ * part / whole as a percentage string with 2 decimals, rounded half away from zero.
+ * Returns null when whole is zero.
+ */
+function percentOf(part, whole) {
+  if (whole === 0n) {
+    return null;
+  }
+
+  const negative = (part < 0n) !== (whole < 0n);
+  const hundredths = divRoundHalfUp((part < 0n ? -part : part) * 10000n, whole < 0n ? -whole : whole);
+
+  return fromUnits(negative ? -hundredths : hundredths, 2);
+}
+
+module.exports = {
+  SHARE_SCALE,
+  PRICE_SCALE,
+  USD_SCALE,
+  MIN_INVESTMENT_USD,
+  toUnits,
+  fromUnits,
+  divRoundHalfUp,
+  costInCents,
+  quoteByAmount,
+  quoteByShares,
+  percentOf,
+};
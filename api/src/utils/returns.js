@@ -0,0 +1,175 @@
+/**
+ * Investment return calculations.
+ *
+ * Cash flows are { date, amount } with amounts in USD from the investor's
+ * point of view: money put in is negative, money taken out (and the value
+ * still held, as a final flow) is positive. Rates are decimal fractions
+ * (0.05 = 5%); these are ratios, so plain floating point is fine here.
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DAYS_PER_YEAR = 365;
+
+const yearsBetween = (from, to) => (new Date(to) - new Date(from)) / DAY_MS / DAYS_PER_YEAR;
+
+/**
+ * Net present value of dated cash flows at an annual rate
+ */
+function xnpv(rate, cashFlows) {
+  const start = cashFlows[0].date;
+  return cashFlows.reduce(
+    (sum, flow) => sum + Number(flow.amount) / (1 + rate) ** yearsBetween(start, flow.date),
+    0
+  );
+}
+
+/**
+ * Money-weighted annual return (XIRR) of dated cash flows.
+ *
+ * Flows spanning less than a year are not annualized (see annualize): the
+ * result is then the money-weighted return over the span. Uses Newton's
+ * method and falls back to bisection when it does not converge. Returns -1
+ * for a total loss (money went in and nothing came back), 0 when the flows
+ * offset each other at a single moment, and null when there is no solution,
+ * e.g. no money went in.
+ */
+function xirr(cashFlows, { tolerance = 1e-7, maxIterations = 100 } = {}) {
+  const sorted = cashFlows
+    .filter((flow) => Number(flow.amount) !== 0)
+    .sort((a, b) => new Date(a.date) - new Date(b.date));
+
+  if (!sorted.some((flow) => Number(flow.amount) < 0)) {
+    return null;
+  }
+  if (!sorted.some((flow) => Number(flow.amount) > 0)) {
+    return -1;
+  }
+
+  const start = sorted[0].date;
+  const span = yearsBetween(start, sorted[sorted.length - 1].date);
+
+  if (span === 0) {
+    // The NPV is the same at every rate: zero if the flows cancel out, else never
+    const net = sorted.reduce((sum, flow) => sum + Number(flow.amount), 0);
+    return Math.abs(net) < tolerance ? 0 : null;
+  }
+
+  // Time in years, or in fractions of the span when it is shorter than a year
+  const unit = Math.min(span, 1);
+  const flows = sorted.map((flow) => ({ t: yearsBetween(start, flow.date) / unit, amount: Number(flow.amount) }));
+
+  const npv = (rate) => flows.reduce((sum, flow) => sum + flow.amount / (1 + rate) ** flow.t, 0);
+  const derivative = (rate) => flows.reduce((sum, flow) => sum - (flow.t * flow.amount) / (1 + rate) ** (flow.t + 1), 0);
+
+  let rate = 0.1;
+  for (let i = 0; i < maxIterations; i += 1) {
+    const value = npv(rate);
+    const slope = derivative(rate);
+    if (!Number.isFinite(value) || !Number.isFinite(slope) || slope === 0) {
+      break;
+    }
+
+    const next = rate - value / slope;
+    if (next <= -1 || !Number.isFinite(next)) {
+      break;
+    }
+    if (Math.abs(next - rate) < tolerance) {
+      return next;
+    }
+    rate = next;
+  }
+
+  // Bisection over a bracket where the NPV changes sign. Severe losses put
+  // the rate just above -1, so the low end closes in on -1 as the high end
+  // grows; a rate closer to -1 than a double can tell apart is a total loss.
+  let low = -0.9;
+  let high = 1;
+  while (npv(low) * npv(high) > 0) {
+    const lower = -1 + (1 + low) / 10;
+    const canLower = 1 + lower > 1e-15 && Number.isFinite(npv(lower));
+    if (high >= 1e6 && !canLower) {
+      return npv(low) < 0 ? -1 : null;
+    }
+    if (high < 1e6) {
+      high *= 2;
+    }
+    if (canLower) {
+      low = lower;
+    }
+  }
+
+  for (let i = 0; i < 200; i += 1) {
+    const mid = (low + high) / 2;
+    const value = npv(mid);
+    if (Math.abs(value) < tolerance || (high - low) / 2 < tolerance) {
+      return mid;
+    }
+    if (value * npv(low) < 0) {
+      high = mid;
+    } else {
+      low = mid;
+    }
+  }
+
+  return (low + high) / 2;
+}
+
+/**
+ * Time-weighted return from a series of period-end valuations.
+ *
+ * points: [{ date, value, flow }] in date order, where flow is the net
+ * contribution made during the period (assumed to arrive at its end).
+ * Periods that start from a zero value are skipped, since they have no
+ * return. Returns the cumulative return and the years it covers.
+ */
+function timeWeightedReturn(points) {
+  let growth = 1;
+  let startDate = null;
+  let endDate = null;
+
+  for (let i = 1; i < points.length; i += 1) {
+    const previous = Number(points[i - 1].value);
+    if (previous <= 0) {
+      continue;
+    }
+
+    growth *= (Number(points[i].value) - Number(points[i].flow || 0)) / previous;
+    startDate = startDate || points[i - 1].date;
+    endDate = points[i].date;
+  }
+
+  if (!startDate) {
+    return null;
+  }
+
+  return {
+    cumulative: growth - 1,
+    years: yearsBetween(startDate, endDate),
+  };
+}
+
+/**
+ * Annualize a cumulative return. Periods shorter than a year are not
+ * annualized (null), as that would extrapolate a short-term result.
+ */
+function annualize(cumulative, years) {
+  if (cumulative === null || cumulative === undefined || years < 1) {
+    return null;
+  }
+  return (1 + cumulative) ** (1 / years) - 1;
+}
+
+/**
+ * Format a decimal rate as a percentage string with 2 decimals
+ */
+function toPercent(rate) {
+  return rate === null || rate === undefined ? null : (rate * 100).toFixed(2);
+}
+
+module.exports = {
+  xnpv,
+  xirr,
+  timeWeightedReturn,
+  annualize,
+  toPercent,
+};
@@ -0,0 +1,264 @@
+jest.mock('../../src/config/supabase', () => ({ from: jest.fn(), rpc: jest.fn() }));
+jest.mock('../../src/config/logger', () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn() }));
+jest.mock('../../src/services/payments', () => ({ getPaymentProvider: jest.fn() }));
+jest.mock('../../src/services/notification.service', () => ({ notifyUsers: jest.fn(), notifyAdmins: jest.fn() }));
+
+const supabase = require('../../src/config/supabase');
+const { getPaymentProvider } = require('../../src/services/payments');
+const { createFakeProvider, signWebhookPayload } = require('../../src/services/payments/fake.provider');
+const {
+  updateInvestmentStatus,
+  requestWithdrawal,
+  handlePaymentWebhook,
+} = require('../../src/controllers/investment.controller');
+
+/**
+ * Minimal stand-in for a Supabase query: every filter returns the query, and
+ * awaiting it resolves to { data, error }
+ */
+const query = (result = { data: null, error: null }) => {
+  const builder = {};
+  ['select', 'eq', 'or', 'in', 'is', 'update', 'insert', 'delete', 'single', 'maybeSingle'].forEach((method) => {
+    builder[method] = jest.fn(() => builder);
+  });
+  builder.then = (resolve, reject) => Promise.resolve(result).then(resolve, reject);
+  return builder;
+};
+
+const response = () => {
+  const res = {};
+  res.status = jest.fn(() => res);
+  res.json = jest.fn(() => res);
+  return res;
+};
+
+const request = (status) => ({
+  params: { id: 'inv-1' },
+  body: { status },
+  user: { id: 'admin-1', role: 'admin' },
+});
+
+describe('updateInvestmentStatus', () => {
+  let payments;
+  let investment;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+
+    payments = {
+      cancel: jest.fn(async (intentId) => ({ id: intentId, status: 'canceled' })),
+      refund: jest.fn(async (intentId) => ({ id: `re_${intentId}`, status: 'succeeded' })),
+    };
+    getPaymentProvider.mockReturnValue(payments);
+
+    supabase.from.mockImplementation((table) => (table === 'investments'
+      ? query({ data: investment, error: null })
+      : query()));
+    supabase.rpc.mockImplementation(() => query({ data: investment, error: null }));
+  });
+
+  const withInvestment = (fields) => {
+    investment = {
+      id: 'inv-1',
+      user_id: 'user-1',
+      property_id: 'property-1',
+      amount: '500.00',
+      shares: '5',
+      payment_provider: 'fake',
+      payment_intent_id: 'pi_1',
+      ...fields,
+    };
+  };
+
+  it('refuses to complete an investment whose payment has not been captured', async () => {
+    withInvestment({ status: 'pending', payment_status: 'requires_capture' });
+    const res = response();
+
+    await updateInvestmentStatus(request('completed'), res);
+
+    expect(res.status).toHaveBeenCalledWith(409);
+    expect(supabase.rpc).not.toHaveBeenCalledWith('complete_investment', expect.anything());
+  });
+
+  it('completes a pending investment whose payment already settled', async () => {
+    withInvestment({ status: 'pending', payment_status: 'succeeded' });
+    const res = response();
+
+    await updateInvestmentStatus(request('completed'), res);
+
+    expect(supabase.rpc).toHaveBeenCalledWith('complete_investment', { p_investment_id: 'inv-1' });
+    expect(res.status).toHaveBeenCalledWith(200);
+  });
+
+  it('hands the shares back and refunds when a completed investment is cancelled', async () => {
+    withInvestment({ status: 'completed', payment_status: 'succeeded' });
+    const res = response();
+
+    await updateInvestmentStatus(request('cancelled'), res);
+
+    expect(supabase.rpc).toHaveBeenCalledWith('reverse_investment_allocation', {
+      p_investment_id: 'inv-1',
+      p_status: 'cancelled',
+      p_payment_status: 'refund_pending',
+      p_transaction_type: 'refund',
+    });
+    expect(payments.refund).toHaveBeenCalledWith('pi_1', expect.objectContaining({ amountCents: 50000 }));
+    expect(res.status).toHaveBeenCalledWith(200);
+  });
+
+  it('does not refund when the investor has already sold the shares', async () => {
+    withInvestment({ status: 'completed', payment_status: 'succeeded' });
+    supabase.rpc.mockImplementation(() => query({
+      data: null,
+      error: { message: 'insufficient_holding', details: '2' },
+    }));
+    const res = response();
+
+    await updateInvestmentStatus(request('cancelled'), res);
+
+    expect(payments.refund).not.toHaveBeenCalled();
+    expect(res.status).toHaveBeenCalledWith(409);
+  });
+
+  it('releases the authorization of a pending investment marked failed', async () => {
+    withInvestment({ status: 'pending', payment_status: 'requires_capture' });
+    const res = response();
+
+    await updateInvestmentStatus(request('failed'), res);
+
+    expect(payments.cancel).toHaveBeenCalledWith('pi_1');
+    expect(payments.refund).not.toHaveBeenCalled();
+    expect(res.status).toHaveBeenCalledWith(200);
+  });
+});
+
+describe('requestWithdrawal', () => {
+  let tables;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+
+    // Each table answers its queries in order
+    tables = {
+      investments: [query({
+        data: { id: 'inv-1', user_id: 'user-1', status: 'completed', property: { withdrawal_policy: 'allowed' } },
+        error: null,
+      })],
+      bank_accounts: [query({ data: { id: 'ba-1', user_id: 'user-1' }, error: null })],
+    };
+    supabase.from.mockImplementation((table) => tables[table].shift());
+  });
+
+  const listingPosting = (amount) => ({ currency: 'USD', amount, account: { account_type: 'listing_inventory' } });
+
+  // $1000 invested, $200 refunded, $300 paid out, $100 waiting for approval
+  const withLedger = () => {
+    tables.withdrawals = [
+      query({
+        data: [
+          { id: 'wd-1', amount: '300.00', status: 'completed' },
+          { id: 'wd-2', amount: '100.00', status: 'pending' },
+          { id: 'wd-3', amount: '50.00', status: 'rejected' },
+        ],
+        error: null,
+      }),
+      query({ data: { id: 'wd-4', status: 'pending' }, error: null }),
+    ];
+    tables.journal_entries = [query({
+      data: [
+        { reference_id: 'inv-1', postings: [{ currency: 'USD', amount: '1000.00', account: { account_type: 'user_cash' } }, listingPosting('-1000.00')] },
+        { reference_id: 'inv-1', postings: [listingPosting('200.00')] },
+        { reference_id: 'wd-1', postings: [listingPosting('300.00')] },
+      ],
+      error: null,
+    })];
+  };
+
+  const withdrawalRequest = (amount) => ({
+    params: { id: 'inv-1' },
+    body: { amount, bankAccountId: 'ba-1' },
+    user: { id: 'user-1' },
+  });
+
+  it('allows withdrawing what the ledger says is left in the investment', async () => {
+    withLedger();
+    const res = response();
+
+    await requestWithdrawal(withdrawalRequest(400), res);
+
+    expect(res.status).toHaveBeenCalledWith(201);
+  });
+
+  it('refuses more than is left after earlier and pending withdrawals', async () => {
+    withLedger();
+    const res = response();
+
+    await requestWithdrawal(withdrawalRequest(400.01), res);
+
+    expect(res.status).toHaveBeenCalledWith(400);
+    expect(res.json).toHaveBeenCalledWith(expect.objectContaining({ availableBalance: 400 }));
+  });
+});
+
+describe('handlePaymentWebhook', () => {
+  const SECRET = 'whsec_test';
+  let events;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+
+    getPaymentProvider.mockReturnValue(createFakeProvider({ webhookSecret: SECRET }));
+    events = { insert: query(), delete: query(), update: query() };
+    supabase.from.mockImplementation((table) => {
+      // Processing past the event log fails, as if the database went away
+      if (table !== 'payment_webhook_events') {
+        return query({ data: null, error: { message: 'connection reset' } });
+      }
+      const builder = query();
+      ['insert', 'delete', 'update'].forEach((method) => {
+        builder[method] = jest.fn(() => events[method]);
+      });
+      return builder;
+    });
+  });
+
+  const delivery = (event, secret = SECRET) => {
+    const payload = JSON.stringify(event);
+    return {
+      rawBody: Buffer.from(payload),
+      headers: { 'x-payment-signature': signWebhookPayload(payload, secret) },
+    };
+  };
+
+  const event = { id: 'evt_1', type: 'payment.succeeded', paymentIntentId: 'pi_1' };
+
+  it('rejects a badly signed event before touching the database', async () => {
+    const res = response();
+
+    await handlePaymentWebhook(delivery(event, 'whsec_other'), res);
+
+    expect(res.status).toHaveBeenCalledWith(400);
+    expect(supabase.from).not.toHaveBeenCalled();
+  });
+
+  it('acknowledges a redelivered event without processing it again', async () => {
+    events.insert = query({ data: null, error: { code: '23505', message: 'duplicate key value' } });
+    const res = response();
+
+    await handlePaymentWebhook(delivery(event), res);
+
+    expect(res.status).toHaveBeenCalledWith(200);
+    expect(res.json).toHaveBeenCalledWith({ status: 'success', data: { received: true, duplicate: true } });
+    expect(supabase.from).not.toHaveBeenCalledWith('investments');
+  });
+
+  it('releases the event when processing fails so the redelivery is processed', async () => {
+    const res = response();
+
+    await handlePaymentWebhook(delivery(event), res);
+
+    expect(supabase.from).toHaveBeenCalledWith('investments');
+    expect(events.delete.eq).toHaveBeenCalledWith('event_id', 'evt_1');
+    expect(res.status).toHaveBeenCalledWith(500);
+  });
+});
@@ -0,0 +1,27 @@
+jest.mock('../../src/config/supabase', () => ({ from: jest.fn(), rpc: jest.fn() }));
+jest.mock('../../src/config/logger', () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn() }));
+
+const { query } = require('express-validator');
+const supabase = require('../../src/config/supabase');
+const { getPortfolioPerformance } = require('../../src/controllers/portfolio.controller');
+
+const response = () => {
+  const res = {};
+  res.status = jest.fn(() => res);
+  res.json = jest.fn(() => res);
+  return res;
+};
+
+describe('getPortfolioPerformance', () => {
+  it('rejects an unknown period instead of charting everything', async () => {
+    const req = { query: { period: '5y' }, user: { id: 'user-1' } };
+    // The route's validation
+    await query('period').optional().isIn(['1m', '3m', '6m', '1y', 'all']).run(req);
+    const res = response();
+
+    await getPortfolioPerformance(req, res);
+
+    expect(res.status).toHaveBeenCalledWith(400);
+    expect(supabase.from).not.toHaveBeenCalled();
+  });
+});
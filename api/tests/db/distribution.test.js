@@ -0,0 +1,48 @@
+const { Pool } = require('pg');
+
+/**
+ * execute_distribution pays a declared distribution once; one nobody held
+ * shares for on the record date can never be paid, so it is cancelled.
+ */
+describe('execute_distribution', () => {
+  let pool;
+
+  beforeAll(() => {
+    pool = new Pool({ connectionString: process.env.TEST_DATABASE_URL });
+  });
+
+  afterAll(() => pool.end());
+
+  const declare = async () => {
+    const { rows: [property] } = await pool.query(
+      `INSERT INTO properties (title, total_shares, available_shares, price_per_share, total_value, status)
+       VALUES ('Distribution test', 100, 100, 10, 1000, 'active')
+       RETURNING id`
+    );
+    const { rows: [distribution] } = await pool.query(
+      `INSERT INTO distributions (property_id, gross_amount_usd, record_date, pay_date)
+       VALUES ($1, 500, current_date - 2, current_date - 1)
+       RETURNING distribution_id`,
+      [property.id]
+    );
+    return distribution.distribution_id;
+  };
+
+  it('cancels a distribution with no holders on the record date instead of leaving it declared', async () => {
+    const distributionId = await declare();
+
+    const { rows: payouts } = await pool.query('SELECT * FROM execute_distribution($1)', [distributionId]);
+
+    expect(payouts).toEqual([]);
+    const { rows: [distribution] } = await pool.query(
+      'SELECT status, cancellation_reason, cancelled_at FROM distributions WHERE distribution_id = $1',
+      [distributionId]
+    );
+    expect(distribution.status).toBe('cancelled');
+    expect(distribution.cancellation_reason).toBe('no_eligible_holders');
+    expect(distribution.cancelled_at).not.toBeNull();
+
+    await expect(pool.query('SELECT * FROM execute_distribution($1)', [distributionId]))
+      .rejects.toThrow('invalid_distribution_transition');
+  });
+});
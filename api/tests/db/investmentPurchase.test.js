@@ -0,0 +1,102 @@
+const crypto = require('crypto');
+const { Pool } = require('pg');
+
+/**
+ * execute_investment_purchase locks the property row, so concurrent orders
+ * for the same shares are serialized and can never oversell.
+ */
+describe('execute_investment_purchase', () => {
+  const BUYERS = 20;
+  let pool;
+
+  beforeAll(() => {
+    pool = new Pool({ connectionString: process.env.TEST_DATABASE_URL, max: BUYERS });
+  });
+
+  afterAll(() => pool.end());
+
+  const createProperty = async ({ totalShares, pricePerShare }) => {
+    const { rows: [property] } = await pool.query(
+      `INSERT INTO properties (title, total_shares, available_shares, price_per_share, total_value, status)
+       VALUES ('Concurrency test', $1, $1, $2, $1::numeric * $2::numeric, 'active')
+       RETURNING id`,
+      [totalShares, pricePerShare]
+    );
+    return property.id;
+  };
+
+  const createInvestor = async () => {
+    const userId = crypto.randomUUID();
+    await pool.query(
+      'INSERT INTO profiles (id, auth_id, email) VALUES ($1, $1, $2)',
+      [userId, `${userId}@example.test`]
+    );
+    return userId;
+  };
+
+  const purchase = (userId, propertyId, { shares, amount, pricePerShare }) => pool.query(
+    'SELECT * FROM execute_investment_purchase($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)',
+    [crypto.randomUUID(), userId, propertyId, shares, amount, pricePerShare, 'fake', null, null, crypto.randomUUID(), null]
+  );
+
+  it('never sells more shares than the property has when orders race', async () => {
+    // 20 buyers each want 10 shares of a 100-share property
+    const propertyId = await createProperty({ totalShares: '100', pricePerShare: '10' });
+    const investors = await Promise.all(Array.from({ length: BUYERS }, createInvestor));
+
+    const results = await Promise.allSettled(investors.map((userId) => purchase(userId, propertyId, {
+      shares: '10',
+      amount: '100.00',
+      pricePerShare: '10',
+    })));
+
+    const filled = results.filter((result) => result.status === 'fulfilled');
+    const rejected = results.filter((result) => result.status === 'rejected');
+
+    expect(filled).toHaveLength(10);
+    expect(rejected).toHaveLength(BUYERS - 10);
+    rejected.forEach((result) => expect(result.reason.message).toBe('insufficient_shares'));
+
+    const { rows: [property] } = await pool.query(
+      'SELECT total_shares, available_shares FROM properties WHERE id = $1',
+      [propertyId]
+    );
+    const { rows: [sold] } = await pool.query(
+      `SELECT COALESCE(sum(shares), 0) AS shares, count(*) AS orders
+         FROM investments WHERE property_id = $1 AND status = 'completed'`,
+      [propertyId]
+    );
+    const { rows: [held] } = await pool.query(
+      'SELECT COALESCE(sum(share_quantity), 0) AS shares FROM holdings WHERE property_id = $1',
+      [propertyId]
+    );
+
+    expect(Number(property.available_shares)).toBe(0);
+    expect(Number(sold.orders)).toBe(10);
+    expect(Number(sold.shares)).toBeLessThanOrEqual(Number(property.total_shares));
+    expect(Number(sold.shares)).toBe(100);
+    expect(Number(held.shares)).toBe(100);
+  });
+
+  it('fills fractional orders up to the last share and no further', async () => {
+    // 20 buyers each want 0.75 of a 10-share property: 13 fit, with 0.25 left over
+    const propertyId = await createProperty({ totalShares: '10', pricePerShare: '100' });
+    const investors = await Promise.all(Array.from({ length: BUYERS }, createInvestor));
+
+    const results = await Promise.allSettled(investors.map((userId) => purchase(userId, propertyId, {
+      shares: '0.75',
+      amount: '75.00',
+      pricePerShare: '100',
+    })));
+
+    const rejected = results.filter((result) => result.status === 'rejected');
+    expect(results.length - rejected.length).toBe(13);
+    rejected.forEach((result) => expect(result.reason.message).toBe('insufficient_shares'));
+
+    const { rows: [property] } = await pool.query(
+      'SELECT available_shares FROM properties WHERE id = $1',
+      [propertyId]
+    );
+    expect(property.available_shares).toBe('0.25000000');
+  });
+});
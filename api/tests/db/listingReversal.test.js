@@ -0,0 +1,115 @@
+const crypto = require('crypto');
+const { Pool } = require('pg');
+
+/**
+ * Refunds and chargebacks hand shares back to the funding round they were
+ * bought in; the round's status follows what it holds afterwards.
+ */
+describe('reverse_investment_allocation on a listed property', () => {
+  let pool;
+
+  beforeAll(() => {
+    pool = new Pool({ connectionString: process.env.TEST_DATABASE_URL });
+  });
+
+  afterAll(() => pool.end());
+
+  const createListing = async ({ totalShares, minRaiseUsd }) => {
+    const { rows: [property] } = await pool.query(
+      `INSERT INTO properties (title, total_shares, available_shares, price_per_share, total_value, status)
+       VALUES ('Listing test', $1, $1, 10, $1::numeric * 10, 'active')
+       RETURNING id`,
+      [totalShares]
+    );
+    const { rows: [listing] } = await pool.query(
+      `INSERT INTO listings (property_id, status, price_per_share_usd, min_investment_usd,
+                             total_shares_available, min_raise_usd, funding_deadline, opened_at)
+       VALUES ($1, 'open', 10, 0, $2, $3, now() + interval '30 days', now())
+       RETURNING listing_id`,
+      [property.id, totalShares, minRaiseUsd]
+    );
+    return { propertyId: property.id, listingId: listing.listing_id };
+  };
+
+  const purchase = async (propertyId, shares) => {
+    const investmentId = crypto.randomUUID();
+    const userId = crypto.randomUUID();
+    await pool.query(
+      'INSERT INTO profiles (id, auth_id, email) VALUES ($1, $1, $2)',
+      [userId, `${userId}@example.test`]
+    );
+    await pool.query(
+      'SELECT * FROM execute_investment_purchase($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)',
+      [investmentId, userId, propertyId, shares, shares * 10, '10', 'fake', null, null, crypto.randomUUID(), null]
+    );
+    return investmentId;
+  };
+
+  const refund = (investmentId) => pool.query(
+    'SELECT * FROM reverse_investment_allocation($1, $2, $3, $4)',
+    [investmentId, 'cancelled', 'refunded', 'refund']
+  );
+
+  const listing = async (listingId) => {
+    const { rows: [row] } = await pool.query(
+      'SELECT status, shares_sold, raised_usd, funded_at, closed_at FROM listings WHERE listing_id = $1',
+      [listingId]
+    );
+    return row;
+  };
+
+  const expire = async (listingId) => {
+    await pool.query(
+      `UPDATE listings SET funding_deadline = now() - interval '1 minute' WHERE listing_id = $1`,
+      [listingId]
+    );
+    await pool.query('SELECT * FROM expire_listings()');
+  };
+
+  it('reopens a funded round that a refund takes back under its minimum raise', async () => {
+    const { propertyId, listingId } = await createListing({ totalShares: 100, minRaiseUsd: '500.00' });
+    await purchase(propertyId, 30);
+    const refunded = await purchase(propertyId, 30);
+    expect((await listing(listingId)).status).toBe('funded');
+
+    await refund(refunded);
+
+    const reopened = await listing(listingId);
+    expect(reopened.status).toBe('open');
+    expect(reopened.raised_usd).toBe('300.00');
+    expect(reopened.funded_at).toBeNull();
+  });
+
+  it('cancels a round that is under its minimum at the deadline', async () => {
+    const { propertyId, listingId } = await createListing({ totalShares: 100, minRaiseUsd: '500.00' });
+    await purchase(propertyId, 30);
+    const refunded = await purchase(propertyId, 30);
+    await refund(refunded);
+
+    await expire(listingId);
+
+    const { rows: [expired] } = await pool.query(
+      'SELECT status, cancellation_reason FROM listings WHERE listing_id = $1',
+      [listingId]
+    );
+    expect(expired).toEqual({ status: 'cancelled', cancellation_reason: 'minimum_raise_not_met' });
+  });
+
+  it('reopens a sold-out round once shares are handed back', async () => {
+    const { propertyId, listingId } = await createListing({ totalShares: 100, minRaiseUsd: '500.00' });
+    await purchase(propertyId, 60);
+    const refunded = await purchase(propertyId, 40);
+    expect((await listing(listingId)).status).toBe('closed');
+
+    await refund(refunded);
+
+    const reopened = await listing(listingId);
+    expect(reopened.status).toBe('funded');
+    expect(reopened.shares_sold).toBe('60.00000000');
+    expect(reopened.closed_at).toBeNull();
+
+    // The returned shares can be bought again
+    await purchase(propertyId, 40);
+    expect((await listing(listingId)).status).toBe('closed');
+  });
+});
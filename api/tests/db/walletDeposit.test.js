@@ -0,0 +1,70 @@
+const crypto = require('crypto');
+const { Pool } = require('pg');
+
+/**
+ * A card deposit is settled by both the payment webhook and the charge
+ * response, in whichever order they arrive; the wallet is credited once.
+ */
+describe('wallet_settle_deposit', () => {
+  let pool;
+
+  beforeAll(() => {
+    pool = new Pool({ connectionString: process.env.TEST_DATABASE_URL });
+  });
+
+  afterAll(() => pool.end());
+
+  const createDeposit = async (amountUsd) => {
+    const userId = crypto.randomUUID();
+    const depositId = crypto.randomUUID();
+    await pool.query(
+      `INSERT INTO wallet_deposits (deposit_id, user_id, amount_usd, status, payment_provider)
+       VALUES ($1, $2, $3, 'pending', 'fake')`,
+      [depositId, userId, amountUsd]
+    );
+    return { userId, depositId };
+  };
+
+  const settle = (depositId, status) => pool.query(
+    'SELECT * FROM wallet_settle_deposit($1, $2)',
+    [depositId, status]
+  );
+
+  const availableUsd = async (userId) => {
+    const { rows: [wallet] } = await pool.query(
+      'SELECT available_usd FROM wallet_balances WHERE user_id = $1',
+      [userId]
+    );
+    return wallet?.available_usd;
+  };
+
+  it('treats the charge response settling a deposit the webhook already completed as success', async () => {
+    const { userId, depositId } = await createDeposit('25.00');
+
+    // The webhook lands first...
+    const { rows: [byWebhook] } = await settle(depositId, 'completed');
+    expect(byWebhook.status).toBe('completed');
+
+    // ...then the charge call returns and settles it again
+    const { rows: [byCharge] } = await settle(depositId, 'completed');
+    expect(byCharge.status).toBe('completed');
+
+    expect(await availableUsd(userId)).toBe('25.00');
+  });
+
+  it('credits the wallet once when both settle at the same time', async () => {
+    const { userId, depositId } = await createDeposit('40.00');
+
+    const results = await Promise.allSettled([settle(depositId, 'completed'), settle(depositId, 'completed')]);
+
+    results.forEach((result) => expect(result.status).toBe('fulfilled'));
+    expect(await availableUsd(userId)).toBe('40.00');
+  });
+
+  it('still refuses transitions a deposit cannot make', async () => {
+    const { depositId } = await createDeposit('10.00');
+    await settle(depositId, 'failed');
+
+    await expect(settle(depositId, 'completed')).rejects.toThrow('invalid_deposit_transition');
+  });
+});
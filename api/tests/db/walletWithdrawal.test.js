@@ -0,0 +1,96 @@
+const crypto = require('crypto');
+const { Pool } = require('pg');
+
+/**
+ * wallet_withdraw debits the wallet up front; wallet_settle_withdrawal pays it
+ * out or, when it is rejected or bounces, credits it back.
+ */
+describe('wallet_settle_withdrawal', () => {
+  let pool;
+
+  beforeAll(() => {
+    pool = new Pool({ connectionString: process.env.TEST_DATABASE_URL });
+  });
+
+  afterAll(() => pool.end());
+
+  const fundedWallet = async (amountUsd) => {
+    const userId = crypto.randomUUID();
+    const depositId = crypto.randomUUID();
+    await pool.query(
+      `INSERT INTO wallet_deposits (deposit_id, user_id, amount_usd, status, payment_provider)
+       VALUES ($1, $2, $3, 'pending', 'fake')`,
+      [depositId, userId, amountUsd]
+    );
+    await pool.query('SELECT * FROM wallet_settle_deposit($1, $2)', [depositId, 'completed']);
+    return userId;
+  };
+
+  const withdraw = async (userId, amountUsd) => {
+    const withdrawalId = crypto.randomUUID();
+    await pool.query('SELECT * FROM wallet_withdraw($1, $2, $3, $4)', [withdrawalId, userId, amountUsd, 'ba_test']);
+    return withdrawalId;
+  };
+
+  const settle = (withdrawalId, status) => pool.query(
+    'SELECT * FROM wallet_settle_withdrawal($1, $2)',
+    [withdrawalId, status]
+  );
+
+  const availableUsd = async (userId) => {
+    const { rows: [wallet] } = await pool.query(
+      'SELECT available_usd FROM wallet_balances WHERE user_id = $1',
+      [userId]
+    );
+    return wallet.available_usd;
+  };
+
+  it('keeps the wallet debited once the withdrawal is paid out', async () => {
+    const userId = await fundedWallet('100.00');
+    const withdrawalId = await withdraw(userId, '60.00');
+
+    const { rows: [withdrawal] } = await settle(withdrawalId, 'completed');
+
+    expect(withdrawal.status).toBe('completed');
+    expect(await availableUsd(userId)).toBe('40.00');
+  });
+
+  it('credits a rejected withdrawal back to the wallet', async () => {
+    const userId = await fundedWallet('100.00');
+    const withdrawalId = await withdraw(userId, '60.00');
+    expect(await availableUsd(userId)).toBe('40.00');
+
+    await settle(withdrawalId, 'rejected');
+    // Settling again changes nothing
+    await settle(withdrawalId, 'rejected');
+
+    expect(await availableUsd(userId)).toBe('100.00');
+    const { rows: entries } = await pool.query(
+      `SELECT entry_type, amount_usd FROM wallet_entries WHERE reference_id = $1 ORDER BY created_at`,
+      [withdrawalId]
+    );
+    expect(entries).toEqual([
+      { entry_type: 'withdrawal', amount_usd: '-60.00' },
+      { entry_type: 'withdrawal_reversal', amount_usd: '60.00' },
+    ]);
+  });
+
+  it('credits a payout that bounced after it was sent', async () => {
+    const userId = await fundedWallet('100.00');
+    const withdrawalId = await withdraw(userId, '25.00');
+
+    await settle(withdrawalId, 'completed');
+    await settle(withdrawalId, 'failed');
+
+    expect(await availableUsd(userId)).toBe('100.00');
+  });
+
+  it('refuses to reject a withdrawal that was already paid out', async () => {
+    const userId = await fundedWallet('100.00');
+    const withdrawalId = await withdraw(userId, '25.00');
+    await settle(withdrawalId, 'completed');
+
+    await expect(settle(withdrawalId, 'rejected')).rejects.toThrow('invalid_withdrawal_transition');
+    await expect(settle(crypto.randomUUID(), 'completed')).rejects.toThrow('withdrawal_not_found');
+  });
+});
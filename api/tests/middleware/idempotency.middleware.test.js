@@ -0,0 +1,163 @@
+jest.mock('../../src/config/supabase', () => ({ from: jest.fn() }));
+jest.mock('../../src/config/logger', () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn() }));
+
+const supabase = require('../../src/config/supabase');
+const { idempotency } = require('../../src/middleware/idempotency.middleware');
+
+/**
+ * In-memory idempotency_keys table, keyed by idempotency_key, answering the
+ * queries the middleware makes. Nothing expires here.
+ */
+const keysTable = (rows) => () => {
+  let operation = 'select';
+  let payload;
+  let expiredOnly = false;
+  const filters = {};
+
+  const run = () => {
+    const existing = rows.get(filters.idempotency_key);
+    switch (operation) {
+      case 'insert':
+        if (rows.has(payload.idempotency_key)) {
+          return { data: null, error: { code: '23505', message: 'duplicate key value' } };
+        }
+        rows.set(payload.idempotency_key, { ...payload });
+        return { data: null, error: null };
+      case 'update':
+        rows.set(filters.idempotency_key, { ...existing, ...payload });
+        return { data: null, error: null };
+      case 'delete':
+        if (!expiredOnly) {
+          rows.delete(filters.idempotency_key);
+        }
+        return { data: null, error: null };
+      default:
+        return { data: existing || null, error: existing ? null : { message: 'not found' } };
+    }
+  };
+
+  const builder = {
+    insert: (values) => { operation = 'insert'; [payload] = values; return builder; },
+    update: (fields) => { operation = 'update'; payload = fields; return builder; },
+    delete: () => { operation = 'delete'; return builder; },
+    select: () => builder,
+    single: () => builder,
+    eq: (column, value) => { filters[column] = value; return builder; },
+    or: () => { expiredOnly = true; return builder; },
+    then: (resolve, reject) => Promise.resolve().then(run).then(resolve, reject),
+  };
+  return builder;
+};
+
+const request = (key, body) => ({
+  method: 'POST',
+  baseUrl: '/api/investments',
+  path: '/',
+  body,
+  user: { id: 'user-1' },
+  get: (header) => (header === 'Idempotency-Key' ? key : undefined),
+});
+
+const response = () => {
+  const res = { statusCode: 200, headers: {} };
+  res.status = jest.fn((code) => {
+    res.statusCode = code;
+    return res;
+  });
+  // The middleware wraps json; body is what actually went out
+  res.json = jest.fn((body) => {
+    res.body = body;
+    return res;
+  });
+  res.set = jest.fn((name, value) => {
+    res.headers[name] = value;
+    return res;
+  });
+  res.on = jest.fn();
+  return res;
+};
+
+// Let the stored response go out
+const flush = () => new Promise((resolve) => setImmediate(resolve));
+
+describe('idempotency middleware', () => {
+  let rows;
+  let handler;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    rows = new Map();
+    supabase.from.mockImplementation(keysTable(rows));
+    handler = jest.fn((res, status, body) => res.status(status).json(body));
+  });
+
+  const send = async (req, { status = 201, body = { status: 'success', data: { id: 'inv-1' } } } = {}) => {
+    const res = response();
+    await idempotency(req, res, () => handler(res, status, body));
+    await flush();
+    return res;
+  };
+
+  it('runs the handler once and replays its response for a retry', async () => {
+    const body = { propertyId: 'property-1', amountUsd: '100.00' };
+
+    const first = await send(request('key-1', body));
+    // The same body with its keys in another order is the same request
+    const retry = await send(request('key-1', { amountUsd: '100.00', propertyId: 'property-1' }));
+
+    expect(handler).toHaveBeenCalledTimes(1);
+    expect(first.body).toEqual({ status: 'success', data: { id: 'inv-1' } });
+    expect(retry.status).toHaveBeenCalledWith(201);
+    expect(retry.body).toEqual({ status: 'success', data: { id: 'inv-1' } });
+    expect(retry.headers['Idempotent-Replayed']).toBe('true');
+  });
+
+  it('rejects a key reused with a different request', async () => {
+    await send(request('key-1', { amountUsd: '100.00' }));
+
+    const res = await send(request('key-1', { amountUsd: '250.00' }));
+
+    expect(handler).toHaveBeenCalledTimes(1);
+    expect(res.status).toHaveBeenCalledWith(422);
+  });
+
+  it('reports a conflict while the first request is still processing', async () => {
+    const res = response();
+    // The first request's handler has not answered yet
+    await idempotency(request('key-1', { amountUsd: '100.00' }), res, () => {});
+
+    const retry = await send(request('key-1', { amountUsd: '100.00' }));
+
+    expect(retry.status).toHaveBeenCalledWith(409);
+    expect(handler).not.toHaveBeenCalled();
+  });
+
+  it('releases the key after a server error so the request can be retried', async () => {
+    await send(request('key-1', { amountUsd: '100.00' }), { status: 500, body: { status: 'error' } });
+    expect(rows.has('key-1')).toBe(false);
+
+    const retry = await send(request('key-1', { amountUsd: '100.00' }));
+
+    expect(handler).toHaveBeenCalledTimes(2);
+    expect(retry.status).toHaveBeenCalledWith(201);
+    expect(rows.get('key-1')).toEqual(expect.objectContaining({ status: 'completed', response_status: 201 }));
+  });
+
+  it('stores client errors so they replay too', async () => {
+    await send(request('key-1', { amountUsd: '0' }), { status: 400, body: { status: 'error' } });
+
+    const retry = await send(request('key-1', { amountUsd: '0' }));
+
+    expect(handler).toHaveBeenCalledTimes(1);
+    expect(retry.status).toHaveBeenCalledWith(400);
+  });
+
+  it('passes requests without a key straight through and refuses an empty one', async () => {
+    await send(request(undefined, {}));
+    expect(handler).toHaveBeenCalledTimes(1);
+    expect(supabase.from).not.toHaveBeenCalled();
+
+    const res = await send(request('', {}));
+    expect(res.status).toHaveBeenCalledWith(400);
+  });
+});
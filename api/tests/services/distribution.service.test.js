@@ -0,0 +1,102 @@
+jest.mock('../../src/config/supabase', () => ({ from: jest.fn(), rpc: jest.fn() }));
+jest.mock('../../src/config/logger', () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn() }));
+jest.mock('../../src/services/notification.service', () => ({ notifyUsers: jest.fn() }));
+jest.mock('../../src/services/drip.service', () => ({ reinvestDistribution: jest.fn() }));
+
+const supabase = require('../../src/config/supabase');
+const { reinvestDistribution } = require('../../src/services/drip.service');
+const {
+  executeDistribution,
+  payDueDistributions,
+  reinvestPaidDistributions,
+} = require('../../src/services/distribution.service');
+
+/**
+ * Minimal stand-in for a Supabase query: every filter returns the query, and
+ * awaiting it resolves to { data, error }
+ */
+const query = (result = { data: null, error: null }) => {
+  const builder = {};
+  ['select', 'eq', 'is', 'lt', 'lte', 'order', 'update'].forEach((method) => {
+    builder[method] = jest.fn(() => builder);
+  });
+  builder.then = (resolve, reject) => Promise.resolve(result).then(resolve, reject);
+  return builder;
+};
+
+const distribution = {
+  distribution_id: 'dist-1',
+  property_id: 'property-1',
+  record_date: '2024-06-30',
+  status: 'declared',
+};
+
+const payouts = [
+  { distribution_id: 'dist-1', user_id: 'user-1', shares: '10', amount_usd: '50.00' },
+  { distribution_id: 'dist-1', user_id: 'user-2', shares: '30', amount_usd: '150.00' },
+];
+
+describe('distribution service', () => {
+  let distributionUpdates;
+  let tables;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+
+    distributionUpdates = [];
+    tables = {};
+    supabase.from.mockImplementation((table) => {
+      const builder = query(tables[table]);
+      builder.update.mockImplementation((fields) => {
+        distributionUpdates.push(fields);
+        return builder;
+      });
+      return builder;
+    });
+    reinvestDistribution.mockResolvedValue([]);
+  });
+
+  it('records the reinvestment once the DRIP payouts have been handled', async () => {
+    supabase.rpc.mockReturnValue(query({ data: payouts, error: null }));
+
+    await executeDistribution(distribution);
+
+    expect(reinvestDistribution).toHaveBeenCalledWith(distribution, payouts);
+    expect(distributionUpdates).toEqual([{ reinvested_at: expect.any(String) }]);
+  });
+
+  it('leaves the reinvestment for the daily job when it fails after the payouts', async () => {
+    supabase.rpc.mockReturnValue(query({ data: payouts, error: null }));
+    reinvestDistribution.mockRejectedValue(new Error('connection reset'));
+
+    const result = await executeDistribution(distribution);
+
+    expect(result.payouts).toEqual(payouts);
+    expect(distributionUpdates).toEqual([]);
+  });
+
+  it('reports a distribution nobody could be paid for as cancelled, not failed', async () => {
+    tables.distributions = { data: [distribution], error: null };
+    supabase.rpc.mockReturnValue(query({ data: [], error: null }));
+
+    const result = await payDueDistributions(new Date('2024-07-15T01:00:00Z'));
+
+    expect(result).toEqual({
+      paid: [],
+      cancelled: [{ distributionId: 'dist-1', reason: 'no_eligible_holders' }],
+      failed: [],
+    });
+  });
+
+  it('retries the reinvestment of paid distributions that did not finish', async () => {
+    tables.distributions = { data: [{ ...distribution, status: 'paid' }], error: null };
+    tables.distribution_payouts = { data: payouts, error: null };
+    reinvestDistribution.mockResolvedValue([{ userId: 'user-2', status: 'reinvested' }]);
+
+    const result = await reinvestPaidDistributions();
+
+    expect(reinvestDistribution).toHaveBeenCalledWith(expect.objectContaining({ distribution_id: 'dist-1' }), payouts);
+    expect(distributionUpdates).toEqual([{ reinvested_at: expect.any(String) }]);
+    expect(result).toEqual({ reinvested: [{ distributionId: 'dist-1', reinvestmentCount: 1 }], failed: [] });
+  });
+});
@@ -0,0 +1,125 @@
+const { EXPORT_FORMATS, getExporter } = require('../../src/services/export.service');
+
+const purchase = {
+  id: 'entry-1',
+  date: '2024-03-05T14:30:00.000Z',
+  type: 'investment',
+  entryType: 'purchase',
+  description: 'Purchase of shares, "Maple Court"',
+  propertyId: 'property-1',
+  propertyName: 'Maple Court & Annex',
+  shares: '2.50000000',
+  amount: '-250.00',
+  fee: '1.25',
+  referenceId: 'inv-1',
+};
+
+const dividend = {
+  id: 'entry-2',
+  date: '2024-04-01T00:00:00.000Z',
+  type: 'dividend',
+  entryType: 'dividend',
+  description: 'Distribution\nQ1',
+  propertyId: 'property-1',
+  propertyName: null,
+  shares: null,
+  amount: '12.34',
+  fee: '0.00',
+  referenceId: 'dist-1',
+};
+
+const render = (format, transactions, context = {}) => {
+  const exporter = getExporter(format);
+  const options = {
+    userId: 'user-1',
+    from: '2024-01-01T00:00:00.000Z',
+    to: '2024-12-31T23:59:59.000Z',
+    balance: '512.34',
+    asOf: '2024-12-31T23:59:59.000Z',
+    ...context,
+  };
+  return exporter.header(options) + transactions.map(exporter.row).join('') + exporter.footer(options);
+};
+
+describe('transaction exports', () => {
+  it('offers CSV, OFX and QIF and nothing else', () => {
+    expect(EXPORT_FORMATS).toEqual(['csv', 'ofx', 'qif']);
+    expect(() => getExporter('xlsx')).toThrow('Unsupported export format: xlsx');
+  });
+
+  describe('csv', () => {
+    it('writes a header and one quoted-as-needed row per transaction', () => {
+      const lines = render('csv', [purchase, dividend]).split('\r\n');
+
+      expect(lines[0]).toBe(
+        'transaction_id,date,type,entry_type,description,property_id,property_name,shares,amount_usd,fee_usd,reference_id'
+      );
+      expect(lines[1]).toBe(
+        'entry-1,2024-03-05T14:30:00.000Z,investment,purchase,"Purchase of shares, ""Maple Court""",'
+        + 'property-1,Maple Court & Annex,2.50000000,-250.00,1.25,inv-1'
+      );
+      // A line break inside a value stays inside its quotes
+      expect(lines[2]).toBe('entry-2,2024-04-01T00:00:00.000Z,dividend,dividend,"Distribution\nQ1",property-1,,,12.34,0.00,dist-1');
+      expect(lines.slice(3)).toEqual(['']);
+    });
+  });
+
+  describe('ofx', () => {
+    const ofx = render('ofx', [purchase, dividend]);
+
+    it('wraps the transactions in an OFX 1.0.2 statement for the period', () => {
+      expect(ofx.startsWith('OFXHEADER:100\r\nDATA:OFXSGML\r\nVERSION:102\r\n')).toBe(true);
+      expect(ofx).toContain('<ACCTID>user-1<ACCTTYPE>CHECKING');
+      expect(ofx).toContain('<DTSTART>20240101000000\r\n<DTEND>20241231235959');
+      expect(ofx).toContain('<LEDGERBAL><BALAMT>512.34<DTASOF>20241231235959</LEDGERBAL>');
+      expect(ofx.trimEnd().endsWith('</OFX>')).toBe(true);
+    });
+
+    it('keys each transaction by its ledger entry and escapes text', () => {
+      expect(ofx).toContain([
+        '<STMTTRN>',
+        '<TRNTYPE>DEBIT',
+        '<DTPOSTED>20240305143000',
+        '<TRNAMT>-250.00',
+        '<FITID>entry-1',
+        '<NAME>Maple Court &amp; Annex',
+        '<MEMO>Purchase of shares, "Maple Court"; 2.50000000 shares; fee 1.25',
+        '</STMTTRN>',
+      ].join('\r\n'));
+    });
+
+    it('types distributions as dividends paid by the platform', () => {
+      expect(ofx).toContain([
+        '<TRNTYPE>DIV',
+        '<DTPOSTED>20240401000000',
+        '<TRNAMT>12.34',
+        '<FITID>entry-2',
+        '<NAME>Hakerch',
+        '<MEMO>Distribution Q1',
+      ].join('\r\n'));
+    });
+  });
+
+  describe('qif', () => {
+    it('writes a bank register with one record per transaction', () => {
+      expect(render('qif', [purchase, dividend])).toBe([
+        '!Type:Bank',
+        'D03/05/2024',
+        'T-250.00',
+        'Nentry-1',
+        'PMaple Court & Annex',
+        'MPurchase of shares, "Maple Court"; 2.50000000 shares; fee 1.25',
+        'LInvestments:Purchases',
+        '^',
+        'D04/01/2024',
+        'T12.34',
+        'Nentry-2',
+        'PHakerch',
+        'MDistribution Q1',
+        'LIncome:Distributions',
+        '^',
+        '',
+      ].join('\r\n'));
+    });
+  });
+});
@@ -0,0 +1,111 @@
+jest.mock('../../src/config/supabase', () => ({ from: jest.fn(), rpc: jest.fn() }));
+jest.mock('../../src/config/logger', () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn() }));
+jest.mock('../../src/services/payments', () => ({ getPaymentProvider: jest.fn() }));
+jest.mock('../../src/services/notification.service', () => ({ notifyUsers: jest.fn() }));
+
+const supabase = require('../../src/config/supabase');
+const { getPaymentProvider } = require('../../src/services/payments');
+const { notifyUsers } = require('../../src/services/notification.service');
+const { refundListing } = require('../../src/services/listing.service');
+
+/**
+ * Minimal stand-in for a Supabase query: every filter returns the query, and
+ * awaiting it resolves to { data, error }
+ */
+const query = (result = { data: null, error: null }) => {
+  const builder = {};
+  ['select', 'eq', 'or', 'in', 'is', 'update', 'insert', 'single'].forEach((method) => {
+    builder[method] = jest.fn(() => builder);
+  });
+  builder.then = (resolve, reject) => Promise.resolve(result).then(resolve, reject);
+  return builder;
+};
+
+const listing = {
+  listing_id: 'listing-1',
+  title: 'Maple Court',
+  status: 'cancelled',
+  cancellation_reason: 'minimum_raise_not_met',
+};
+
+const investment = (id, userId) => ({
+  id,
+  user_id: userId,
+  listing_id: listing.listing_id,
+  status: 'completed',
+  payment_status: 'succeeded',
+  payment_provider: 'fake',
+  payment_intent_id: `pi_${id}`,
+  amount: '250.00',
+});
+
+describe('refundListing', () => {
+  let payments;
+  let listingUpdate;
+  let investmentsQuery;
+
+  const withInvestments = (investments) => {
+    investmentsQuery = query({ data: investments, error: null });
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+
+    payments = {
+      cancel: jest.fn(),
+      refund: jest.fn(async (intentId) => ({ id: `re_${intentId}`, status: 'succeeded' })),
+    };
+    getPaymentProvider.mockReturnValue(payments);
+
+    listingUpdate = query();
+    supabase.from.mockImplementation((table) => {
+      if (table === 'investments') {
+        return investmentsQuery;
+      }
+      if (table === 'listings') {
+        return listingUpdate;
+      }
+      return query();
+    });
+  });
+
+  it('keeps refunding the other investors when one refund fails', async () => {
+    withInvestments([
+      investment('inv-1', 'user-1'),
+      investment('inv-2', 'user-2'),
+      investment('inv-3', 'user-3'),
+    ]);
+    supabase.rpc.mockImplementation((name, params) => query({
+      data: null,
+      error: params.p_investment_id === 'inv-1'
+        ? { message: 'insufficient_holding', details: '1.5' }
+        : null,
+    }));
+    payments.refund.mockImplementation(async (intentId) => {
+      if (intentId === 'pi_inv-2') {
+        throw new Error('Payment provider timed out');
+      }
+      return { id: `re_${intentId}`, status: 'succeeded' };
+    });
+
+    const outcomes = await refundListing(listing);
+
+    expect(outcomes).toEqual({ refunded: 1, cancelled: 0, skipped: 0, refund_failed: 1, manual_review: 1 });
+    expect(payments.refund).toHaveBeenCalledWith('pi_inv-3', expect.objectContaining({ amountCents: 25000 }));
+    expect(notifyUsers).toHaveBeenCalledWith(['user-3'], expect.objectContaining({ type: 'listing' }));
+    // Not marked done, so the next run retries the failed ones
+    expect(listingUpdate.update).not.toHaveBeenCalled();
+  });
+
+  it('marks the listing refunded once every investor is', async () => {
+    withInvestments([investment('inv-1', 'user-1'), investment('inv-2', 'user-2')]);
+    supabase.rpc.mockImplementation(() => query());
+
+    const outcomes = await refundListing(listing);
+
+    expect(outcomes.refunded).toBe(2);
+    expect(payments.refund).toHaveBeenCalledTimes(2);
+    expect(listingUpdate.update).toHaveBeenCalledWith({ refunds_completed_at: expect.any(String) });
+    expect(notifyUsers).toHaveBeenCalledWith(['user-1', 'user-2'], expect.any(Object));
+  });
+});
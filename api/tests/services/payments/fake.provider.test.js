@@ -0,0 +1,63 @@
+const { createFakeProvider, signWebhookPayload } = require('../../../src/services/payments/fake.provider');
+
+const SECRET = 'whsec_test';
+
+const event = {
+  id: 'evt_1',
+  type: 'payment.succeeded',
+  paymentIntentId: 'pi_1',
+  amountCents: 50000,
+  metadata: { userId: 'user-1' },
+};
+
+const delivery = (payload, signature) => [
+  Buffer.from(payload),
+  { 'x-payment-signature': signature },
+];
+
+describe('fake provider webhook signatures', () => {
+  const payments = createFakeProvider({ webhookSecret: SECRET });
+  const payload = JSON.stringify(event);
+
+  it('parses a correctly signed event into the provider-neutral shape', () => {
+    const parsed = payments.parseWebhookEvent(...delivery(payload, signWebhookPayload(payload, SECRET)));
+
+    expect(parsed).toEqual(expect.objectContaining({
+      id: 'evt_1',
+      provider: 'fake',
+      type: 'payment.succeeded',
+      paymentIntentId: 'pi_1',
+      amountCents: 50000,
+      metadata: { userId: 'user-1' },
+    }));
+  });
+
+  it('rejects a payload changed after signing', () => {
+    const signature = signWebhookPayload(payload, SECRET);
+    const tampered = JSON.stringify({ ...event, amountCents: 5000000 });
+
+    expect(() => payments.parseWebhookEvent(...delivery(tampered, signature)))
+      .toThrow(expect.objectContaining({ code: 'invalid_signature' }));
+  });
+
+  it('rejects a signature made with another secret, or none at all', () => {
+    expect(() => payments.parseWebhookEvent(...delivery(payload, signWebhookPayload(payload, 'whsec_other'))))
+      .toThrow('Invalid webhook signature');
+    expect(() => payments.parseWebhookEvent(...delivery(payload, undefined)))
+      .toThrow('Invalid webhook signature');
+  });
+
+  it('rejects a replay of an old delivery', () => {
+    const tenMinutesAgo = Math.floor(Date.now() / 1000) - 600;
+
+    expect(() => payments.parseWebhookEvent(...delivery(payload, signWebhookPayload(payload, SECRET, tenMinutesAgo))))
+      .toThrow('Invalid webhook signature');
+  });
+
+  it('accepts nothing without a configured secret', () => {
+    const unconfigured = createFakeProvider();
+
+    expect(() => unconfigured.parseWebhookEvent(...delivery(payload, signWebhookPayload(payload, SECRET))))
+      .toThrow('Invalid webhook signature');
+  });
+});
@@ -0,0 +1,66 @@
+jest.mock('../../src/config/supabase', () => ({ from: jest.fn(), rpc: jest.fn() }));
+jest.mock('../../src/services/storage', () => ({ DOCUMENTS_BUCKET: 'documents', getStorage: jest.fn() }));
+
+const supabase = require('../../src/config/supabase');
+const { generateTaxStatements } = require('../../src/services/statement.service');
+
+/**
+ * Stand-in for a Supabase query over a table: filters return the query, and
+ * awaiting it resolves to the requested range of rows (all of them without
+ * one, capped at 1000 like PostgREST)
+ */
+const table = (rows) => () => {
+  const builder = {};
+  let from = 0;
+  let to = 999;
+  ['select', 'eq', 'in', 'order', 'single', 'maybeSingle'].forEach((method) => {
+    builder[method] = jest.fn(() => builder);
+  });
+  builder.range = jest.fn((start, end) => {
+    from = start;
+    to = Math.min(end, start + 999);
+    return builder;
+  });
+  builder.then = (resolve, reject) => Promise
+    .resolve({ data: rows.slice(from, to + 1), error: null })
+    .then(resolve, reject);
+  return builder;
+};
+
+const userIds = (count) => Array.from({ length: count }, (_, i) => `user-${String(i).padStart(5, '0')}`);
+
+describe('generateTaxStatements', () => {
+  const tables = {};
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    // Whether each statement is generated doesn't matter here, only who is attempted
+    supabase.from.mockImplementation((name) => (tables[name] || table([]))());
+  });
+
+  it('reaches every user with activity, past the 1000-row response cap', async () => {
+    // Two properties each for 1200 users
+    tables.tax_year_property_summary = table(userIds(1200).flatMap((user_id) => [{ user_id }, { user_id }]));
+
+    const result = await generateTaxStatements(2024);
+
+    expect(result.generated.length + result.failed.length).toBe(1200);
+  });
+
+  it('skips only the users who already have every format', async () => {
+    const users = userIds(1500);
+    tables.tax_year_property_summary = table(users.map((user_id) => ({ user_id })));
+    // 1100 users have all three formats, one more is missing its PDF
+    tables.user_documents = table([
+      ...users.slice(0, 1100).flatMap((user_id) => ['csv', 'json', 'pdf'].map((format) => ({ user_id, format }))),
+      { user_id: users[1100], format: 'csv' },
+      { user_id: users[1100], format: 'json' },
+    ]);
+
+    const result = await generateTaxStatements(2024, { missingOnly: true });
+    const attempted = [...result.generated, ...result.failed.map((failure) => failure.userId)];
+
+    expect(attempted).toHaveLength(400);
+    expect(attempted[0]).toBe(users[1100]);
+  });
+});
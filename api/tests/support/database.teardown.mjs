@@ -0,0 +1,8 @@
+/**
+ * Jest global teardown: stop the Postgres started by database.setup.mjs
+ */
+export default async function teardown() {
+  if (globalThis.__TEST_POSTGRES__) {
+    await globalThis.__TEST_POSTGRES__.stop();
+  }
+}
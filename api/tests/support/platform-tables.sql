@@ -0,0 +1,62 @@
+-- Tables the API uses that Supabase already has, so sqlscript.sql can be
+-- loaded into a blank test database. Only the columns the database functions
+-- and the legacy DDL in sqlscript.sql touch are here.
+CREATE EXTENSION IF NOT EXISTS pgcrypto;
+
+CREATE TABLE IF NOT EXISTS properties (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  -- The legacy DDL keys properties by property_id and indexes name
+  property_id uuid GENERATED ALWAYS AS (id) STORED UNIQUE,
+  name text,
+  location text,
+  title text,
+  description text,
+  address text,
+  city text,
+  state text,
+  zip_code text,
+  country text,
+  property_type text,
+  total_shares numeric(30,8),
+  available_shares numeric(30,8),
+  price_per_share numeric(20,8),
+  total_value numeric(20,2),
+  annual_yield numeric,
+  hold_period_months integer,
+  status text DEFAULT 'draft',
+  features jsonb,
+  coordinates jsonb,
+  created_by uuid,
+  created_at timestamptz DEFAULT now(),
+  updated_at timestamptz DEFAULT now()
+);
+
+CREATE TABLE IF NOT EXISTS investments (
+  id uuid PRIMARY KEY,
+  user_id uuid NOT NULL,
+  property_id uuid NOT NULL,
+  shares numeric(30,8),
+  amount numeric(20,2),
+  status text,
+  payment_status text,
+  payment_provider text,
+  payment_intent_id text,
+  payment_method_id text,
+  transaction_id uuid,
+  refund_id text,
+  notes text,
+  completed_at timestamptz,
+  created_at timestamptz DEFAULT now(),
+  updated_at timestamptz DEFAULT now()
+);
+
+CREATE TABLE IF NOT EXISTS withdrawals (
+  id uuid PRIMARY KEY,
+  user_id uuid NOT NULL,
+  investment_id uuid,
+  amount numeric(20,2) NOT NULL,
+  bank_account_id text,
+  status text NOT NULL DEFAULT 'pending',
+  created_at timestamptz DEFAULT now(),
+  updated_at timestamptz DEFAULT now()
+);
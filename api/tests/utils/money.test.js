@@ -0,0 +1,95 @@
+const {
+  toUnits,
+  fromUnits,
+  divRoundHalfUp,
+  quoteByAmount,
+  quoteByShares,
+  percentOf,
+} = require('../../src/utils/money');
+
+describe('toUnits / fromUnits', () => {
+  it('scales decimals exactly, truncating digits past the scale', () => {
+    expect(toUnits('19.99', 2)).toBe(1999n);
+    expect(toUnits('0.123456789', 8)).toBe(12345678n);
+    expect(toUnits('-5.5', 2)).toBe(-550n);
+    expect(toUnits('.5', 2)).toBe(50n);
+    expect(toUnits(0.1 + 0.2, 2)).toBe(30n);
+  });
+
+  it('refuses anything that is not a plain decimal', () => {
+    expect(() => toUnits('', 2)).toThrow('Missing numeric value');
+    expect(() => toUnits(null, 2)).toThrow('Missing numeric value');
+    expect(() => toUnits('1e3', 2)).toThrow('Invalid numeric value');
+    expect(() => toUnits('.', 2)).toThrow('Invalid numeric value');
+  });
+
+  it('formats units back with the scale\'s decimals', () => {
+    expect(fromUnits(1999n, 2)).toBe('19.99');
+    expect(fromUnits(-5n, 2)).toBe('-0.05');
+    expect(fromUnits(12345678n, 8)).toBe('0.12345678');
+    expect(fromUnits(42n, 0)).toBe('42');
+  });
+});
+
+describe('divRoundHalfUp', () => {
+  it('rounds halves up and everything else to the nearest', () => {
+    expect(divRoundHalfUp(5n, 2n)).toBe(3n);
+    expect(divRoundHalfUp(7n, 3n)).toBe(2n);
+    expect(divRoundHalfUp(8n, 3n)).toBe(3n);
+    expect(divRoundHalfUp(6n, 3n)).toBe(2n);
+  });
+});
+
+describe('quoteByAmount', () => {
+  it('rounds shares down so the charge never exceeds the amount asked for', () => {
+    // $100 at $3 a share is 33.33333333 shares, costing $99.99999999
+    const quote = quoteByAmount('100', '3');
+
+    expect(quote.shares).toBe('33.33333333');
+    expect(quote.amountUsd).toBe('100.00');
+    expect(quote.remainderUsd).toBe('0.00');
+  });
+
+  it('returns the cents that could not buy a whole share unit', () => {
+    // $10 at $0.30000007 a share: the cost of the shares rounds to $10.00 or less
+    const quote = quoteByAmount('10.00', '0.30000007');
+
+    expect(quote.chargedCents).toBeLessThanOrEqual(1000n);
+    expect(quote.requestedAmountUsd).toBe('10.00');
+    expect(toUnits(quote.amountUsd, 2) + toUnits(quote.remainderUsd, 2)).toBe(1000n);
+  });
+
+  it('refuses a zero price', () => {
+    expect(() => quoteByAmount('100', '0')).toThrow('Price per share must be positive');
+  });
+});
+
+describe('quoteByShares', () => {
+  it('rounds the cost half-up to the cent', () => {
+    // 0.5 shares at $10.01 is $5.005
+    expect(quoteByShares('0.5', '10.01').amountUsd).toBe('5.01');
+    // 0.3 shares at $10.01 is $3.003
+    expect(quoteByShares('0.3', '10.01').amountUsd).toBe('3.00');
+  });
+
+  it('truncates the quantity to 8 decimals', () => {
+    expect(quoteByShares('1.123456789', '100').shares).toBe('1.12345678');
+  });
+});
+
+describe('percentOf', () => {
+  it('rounds to hundredths of a percent, half away from zero', () => {
+    expect(percentOf(1n, 3n)).toBe('33.33');
+    expect(percentOf(2n, 3n)).toBe('66.67');
+    expect(percentOf(-1n, 8n)).toBe('-12.50');
+    // 0.005% rounds away from zero either way
+    expect(percentOf(1n, 20000n)).toBe('0.01');
+    expect(percentOf(-1n, 20000n)).toBe('-0.01');
+    // and a result that rounds to zero is never negative
+    expect(percentOf(1n, -40000n)).toBe('0.00');
+  });
+
+  it('has no percentage of nothing', () => {
+    expect(percentOf(5n, 0n)).toBeNull();
+  });
+});
@@ -0,0 +1,106 @@
+const { xnpv, xirr, timeWeightedReturn, annualize, toPercent } = require('../../src/utils/returns');
+
+const flow = (date, amount) => ({ date, amount });
+
+describe('xirr', () => {
+  it('finds the annual rate of a one-year investment', () => {
+    expect(xirr([flow('2023-01-01', -1000), flow('2024-01-01', 1100)])).toBeCloseTo(0.1, 6);
+  });
+
+  it('annualizes over several years', () => {
+    // 1000 doubling in exactly 3 x 365 days
+    expect(xirr([flow('2021-01-01', -1000), flow('2024-01-01', 2000)])).toBeCloseTo(2 ** (1 / 3) - 1, 6);
+  });
+
+  it('accounts for flows in between', () => {
+    const flows = [
+      flow('2022-01-01', -1000),
+      flow('2022-07-01', 50),
+      flow('2023-01-01', -500),
+      flow('2024-01-01', 1700),
+    ];
+    const rate = xirr(flows);
+
+    expect(rate).toBeGreaterThan(0);
+    expect(xnpv(rate, flows)).toBeCloseTo(0, 4);
+  });
+
+  it('does not annualize a holding shorter than a year', () => {
+    expect(xirr([flow('2024-03-01T00:00:00Z', -100), flow('2024-03-02T00:00:00Z', 105)])).toBeCloseTo(0.05, 6);
+    expect(xirr([flow('2024-03-01T00:00:00Z', -100), flow('2024-03-02T00:00:00Z', 95)])).toBeCloseTo(-0.05, 6);
+  });
+
+  it('returns zero when the flows offset each other at the same moment', () => {
+    expect(xirr([flow('2024-03-01T12:00:00Z', -250), flow('2024-03-01T12:00:00Z', 250)])).toBe(0);
+  });
+
+  it('has no rate when flows at the same moment do not offset', () => {
+    expect(xirr([flow('2024-03-01T12:00:00Z', -250), flow('2024-03-01T12:00:00Z', 100)])).toBeNull();
+  });
+
+  it('solves severe losses close to -100%', () => {
+    expect(xirr([flow('2020-01-01', -1000), flow('2025-01-01', 0.01)])).toBeCloseTo(-0.9, 3);
+    expect(xirr([flow('2020-01-01', -1000), flow('2021-01-01', 1)])).toBeCloseTo(-0.999, 3);
+  });
+
+  it('reports a total loss as -100%', () => {
+    expect(xirr([flow('2023-01-01', -1000), flow('2024-01-01', 0)])).toBe(-1);
+  });
+
+  it('has no rate without money going in', () => {
+    expect(xirr([flow('2023-01-01', 1000)])).toBeNull();
+    expect(xirr([])).toBeNull();
+  });
+
+  it('ignores the order the flows are given in', () => {
+    expect(xirr([flow('2024-01-01', 1100), flow('2023-01-01', -1000)])).toBeCloseTo(0.1, 6);
+  });
+});
+
+describe('timeWeightedReturn', () => {
+  it('chains the period returns, neutralizing contributions', () => {
+    const result = timeWeightedReturn([
+      { date: '2023-01-01', value: 1000, flow: 0 },
+      // +10%, then 500 added at the period end
+      { date: '2023-07-01', value: 1600, flow: 500 },
+      // +5%
+      { date: '2024-01-01', value: 1680, flow: 0 },
+    ]);
+
+    expect(result.cumulative).toBeCloseTo(1.1 * 1.05 - 1, 10);
+    expect(result.years).toBeCloseTo(1, 2);
+  });
+
+  it('skips periods that start from nothing', () => {
+    const result = timeWeightedReturn([
+      { date: '2023-01-01', value: 0, flow: 0 },
+      { date: '2023-02-01', value: 1000, flow: 1000 },
+      { date: '2023-03-01', value: 900, flow: 0 },
+    ]);
+
+    expect(result.cumulative).toBeCloseTo(-0.1, 10);
+  });
+
+  it('has no return without a period to measure', () => {
+    expect(timeWeightedReturn([{ date: '2023-01-01', value: 1000, flow: 0 }])).toBeNull();
+  });
+});
+
+describe('annualize', () => {
+  it('annualizes returns over a year or more', () => {
+    expect(annualize(0.21, 2)).toBeCloseTo(0.1, 10);
+  });
+
+  it('does not annualize shorter periods', () => {
+    expect(annualize(0.05, 0.5)).toBeNull();
+    expect(annualize(null, 2)).toBeNull();
+  });
+});
+
+describe('toPercent', () => {
+  it('formats a rate with two decimals', () => {
+    expect(toPercent(0.12345)).toBe('12.35');
+    expect(toPercent(-1)).toBe('-100.00');
+    expect(toPercent(null)).toBeNull();
+  });
+});
@@ -255,4 +255,2127 @@ BEGIN
     EXECUTE 'DROP TRIGGER IF EXISTS set_updated_at_listings ON listings';
     EXECUTE 'CREATE TRIGGER set_updated_at_listings BEFORE UPDATE ON listings FOR EACH ROW EXECUTE FUNCTION trigger_set_updated_at()';
   END IF;
-END$$;
\ No newline at end of file
+END$$;
+
+-- Holdings are tracked per property by the API (investments reference properties directly)
+ALTER TABLE holdings ADD COLUMN IF NOT EXISTS property_id uuid;
+ALTER TABLE holdings ALTER COLUMN listing_id DROP NOT NULL;
+
+CREATE UNIQUE INDEX IF NOT EXISTS ux_holdings_user_property ON holdings(user_id, property_id);
+CREATE INDEX IF NOT EXISTS idx_holdings_property_id ON holdings(property_id);
+
+-- Tax lots: one per purchase, relieved by sales with the seller's chosen method.
+-- Disposals record the realized gain per lot, short or long term by holding period.
+CREATE TABLE IF NOT EXISTS tax_lots (
+  lot_id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id uuid NOT NULL,
+  property_id uuid NOT NULL,
+  investment_id uuid UNIQUE,
+  acquired_at timestamptz NOT NULL,
+  shares numeric(30,8) NOT NULL CHECK (shares > 0),
+  remaining_shares numeric(30,8) NOT NULL CHECK (remaining_shares >= 0),
+  cost_usd numeric(20,2) NOT NULL CHECK (cost_usd >= 0),
+  remaining_cost_usd numeric(20,2) NOT NULL CHECK (remaining_cost_usd >= 0),
+  status text NOT NULL DEFAULT 'open' CHECK (status IN ('open', 'closed', 'reversed')),
+  created_at timestamptz NOT NULL DEFAULT now(),
+  updated_at timestamptz NOT NULL DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS idx_tax_lots_user_property ON tax_lots(user_id, property_id, status);
+
+CREATE TABLE IF NOT EXISTS tax_lot_disposals (
+  disposal_id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  lot_id uuid NOT NULL REFERENCES tax_lots(lot_id),
+  sale_id uuid NOT NULL,
+  user_id uuid NOT NULL,
+  property_id uuid NOT NULL,
+  shares numeric(30,8) NOT NULL CHECK (shares > 0),
+  proceeds_usd numeric(20,2) NOT NULL,
+  cost_basis_usd numeric(20,2) NOT NULL,
+  realized_gain_usd numeric(20,2) NOT NULL,
+  acquired_at timestamptz NOT NULL,
+  disposed_at timestamptz NOT NULL DEFAULT now(),
+  term text NOT NULL CHECK (term IN ('short', 'long')),
+  lot_method text NOT NULL,
+  created_at timestamptz NOT NULL DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS idx_tax_lot_disposals_user_id ON tax_lot_disposals(user_id, disposed_at);
+CREATE INDEX IF NOT EXISTS idx_tax_lot_disposals_sale_id ON tax_lot_disposals(sale_id);
+CREATE INDEX IF NOT EXISTS idx_tax_lot_disposals_lot_id ON tax_lot_disposals(lot_id);
+
+CREATE OR REPLACE FUNCTION open_tax_lot(
+  p_investment_id uuid,
+  p_user_id uuid,
+  p_property_id uuid,
+  p_shares numeric,
+  p_amount numeric
+)
+RETURNS void LANGUAGE plpgsql AS $$
+BEGIN
+  INSERT INTO tax_lots (user_id, property_id, investment_id, acquired_at, shares, remaining_shares, cost_usd, remaining_cost_usd)
+  VALUES (p_user_id, p_property_id, p_investment_id, now(), p_shares, p_shares, p_amount, p_amount)
+  ON CONFLICT (investment_id) DO NOTHING;
+END;
+$$;
+
+-- Relieve p_shares of a user's lots in a property for a sale. p_lot_method is fifo,
+-- lifo, hifo (highest cost per share first) or specific, in which case p_lot_selection
+-- lists [{"lot_id", "shares"}] adding up to p_shares. Proceeds are split by shares,
+-- the last lot taking the rounding difference. Shares held from before lots were
+-- tracked first get a lot at their average cost. The caller must hold the holding lock.
+CREATE OR REPLACE FUNCTION relieve_tax_lots(
+  p_sale_id uuid,
+  p_user_id uuid,
+  p_property_id uuid,
+  p_shares numeric,
+  p_amount numeric,
+  p_lot_method text,
+  p_lot_selection jsonb
+)
+RETURNS SETOF tax_lot_disposals LANGUAGE plpgsql AS $$
+DECLARE
+  v_holding holdings%ROWTYPE;
+  v_untracked numeric;
+  v_lot record;
+  v_take numeric;
+  v_left numeric := p_shares;
+  v_proceeds_left numeric := p_amount;
+  v_proceeds numeric;
+  v_cost numeric;
+BEGIN
+  IF p_lot_method NOT IN ('fifo', 'lifo', 'hifo', 'specific') THEN
+    RAISE EXCEPTION 'invalid_lot_method' USING DETAIL = p_lot_method;
+  END IF;
+
+  IF p_lot_method = 'specific' AND (
+    p_lot_selection IS NULL
+    OR (SELECT COALESCE(SUM((s->>'shares')::numeric), 0) FROM jsonb_array_elements(p_lot_selection) s) <> p_shares
+  ) THEN
+    RAISE EXCEPTION 'invalid_lot_selection' USING DETAIL = 'Selected lot shares must add up to the shares sold';
+  END IF;
+
+  SELECT * INTO v_holding FROM holdings WHERE user_id = p_user_id AND property_id = p_property_id;
+
+  SELECT v_holding.share_quantity - COALESCE(SUM(remaining_shares), 0) INTO v_untracked
+    FROM tax_lots
+   WHERE user_id = p_user_id AND property_id = p_property_id AND status = 'open';
+
+  IF v_untracked > 0 THEN
+    INSERT INTO tax_lots (user_id, property_id, acquired_at, shares, remaining_shares, cost_usd, remaining_cost_usd)
+    VALUES (
+      p_user_id, p_property_id,
+      COALESCE(
+        (SELECT MIN(completed_at) FROM investments
+          WHERE user_id = p_user_id AND property_id = p_property_id AND status = 'completed'),
+        v_holding.last_updated_at
+      ),
+      v_untracked, v_untracked,
+      round(v_untracked * v_holding.average_cost_basis_usd, 2),
+      round(v_untracked * v_holding.average_cost_basis_usd, 2)
+    );
+  END IF;
+
+  FOR v_lot IN
+    SELECT l.*, sel.shares AS selected_shares
+      FROM tax_lots l
+      LEFT JOIN (
+        SELECT (s->>'lot_id')::uuid AS lot_id, SUM((s->>'shares')::numeric) AS shares
+          FROM jsonb_array_elements(COALESCE(p_lot_selection, '[]'::jsonb)) s
+         GROUP BY 1
+      ) sel ON sel.lot_id = l.lot_id
+     WHERE l.user_id = p_user_id
+       AND l.property_id = p_property_id
+       AND l.status = 'open'
+       AND (p_lot_method <> 'specific' OR sel.lot_id IS NOT NULL)
+     ORDER BY
+       CASE WHEN p_lot_method = 'hifo' THEN l.remaining_cost_usd / l.remaining_shares END DESC NULLS LAST,
+       CASE WHEN p_lot_method = 'lifo' THEN l.acquired_at END DESC NULLS LAST,
+       l.acquired_at,
+       l.lot_id
+       FOR UPDATE OF l
+  LOOP
+    EXIT WHEN v_left <= 0;
+
+    v_take := CASE WHEN p_lot_method = 'specific' THEN v_lot.selected_shares ELSE LEAST(v_lot.remaining_shares, v_left) END;
+    IF v_take <= 0 OR v_take > v_lot.remaining_shares THEN
+      RAISE EXCEPTION 'invalid_lot_selection'
+        USING DETAIL = format('Lot %s has %s shares remaining', v_lot.lot_id, v_lot.remaining_shares);
+    END IF;
+
+    v_left := v_left - v_take;
+    v_proceeds := CASE WHEN v_left = 0 THEN v_proceeds_left ELSE round(p_amount * v_take / p_shares, 2) END;
+    v_proceeds_left := v_proceeds_left - v_proceeds;
+    v_cost := CASE
+      WHEN v_take = v_lot.remaining_shares THEN v_lot.remaining_cost_usd
+      ELSE round(v_lot.remaining_cost_usd * v_take / v_lot.remaining_shares, 2)
+    END;
+
+    UPDATE tax_lots
+       SET remaining_shares = remaining_shares - v_take,
+           remaining_cost_usd = remaining_cost_usd - v_cost,
+           status = CASE WHEN remaining_shares - v_take = 0 THEN 'closed' ELSE 'open' END,
+           updated_at = now()
+     WHERE lot_id = v_lot.lot_id;
+
+    INSERT INTO tax_lot_disposals (
+      lot_id, sale_id, user_id, property_id, shares, proceeds_usd, cost_basis_usd, realized_gain_usd,
+      acquired_at, term, lot_method
+    )
+    VALUES (
+      v_lot.lot_id, p_sale_id, p_user_id, p_property_id, v_take, v_proceeds, v_cost, v_proceeds - v_cost,
+      v_lot.acquired_at,
+      CASE WHEN now() > v_lot.acquired_at + interval '1 year' THEN 'long' ELSE 'short' END,
+      p_lot_method
+    );
+  END LOOP;
+
+  IF v_left <> 0 THEN
+    RAISE EXCEPTION 'invalid_lot_selection' USING DETAIL = 'Selected lots do not cover the shares sold';
+  END IF;
+
+  RETURN QUERY SELECT * FROM tax_lot_disposals WHERE sale_id = p_sale_id;
+END;
+$$;
+
+-- Atomic share allocation. Each function runs in a single database transaction and
+-- locks the rows it reads, so concurrent buyers/sellers are serialised per property.
+
+CREATE OR REPLACE FUNCTION allocate_property_shares(
+  p_user_id uuid,
+  p_property_id uuid,
+  p_shares numeric,
+  p_amount numeric
+)
+RETURNS void LANGUAGE plpgsql AS $$
+DECLARE
+  v_property properties%ROWTYPE;
+BEGIN
+  SELECT * INTO v_property FROM properties WHERE id = p_property_id FOR UPDATE;
+
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'property_not_found';
+  END IF;
+
+  IF v_property.available_shares < p_shares THEN
+    RAISE EXCEPTION 'insufficient_shares' USING DETAIL = v_property.available_shares::text;
+  END IF;
+
+  UPDATE properties
+     SET available_shares = available_shares - p_shares,
+         updated_at = now()
+   WHERE id = p_property_id;
+
+  INSERT INTO holdings (user_id, property_id, share_quantity, average_cost_basis_usd, last_updated_at)
+  VALUES (p_user_id, p_property_id, p_shares, round(p_amount / p_shares, 8), now())
+  ON CONFLICT (user_id, property_id) DO UPDATE
+     SET average_cost_basis_usd = round(
+           (holdings.share_quantity * holdings.average_cost_basis_usd + p_amount)
+             / (holdings.share_quantity + EXCLUDED.share_quantity),
+           8
+         ),
+         share_quantity = holdings.share_quantity + EXCLUDED.share_quantity,
+         last_updated_at = now();
+END;
+$$;
+
+DROP FUNCTION IF EXISTS execute_investment_purchase(uuid, uuid, uuid, numeric, numeric, numeric, text, uuid, text);
+DROP FUNCTION IF EXISTS execute_investment_purchase(uuid, uuid, uuid, numeric, numeric, numeric, text, text, text, uuid, text);
+
+CREATE OR REPLACE FUNCTION execute_investment_purchase(
+  p_investment_id uuid,
+  p_user_id uuid,
+  p_property_id uuid,
+  p_shares numeric,
+  p_amount numeric,
+  p_price_per_share numeric,
+  p_payment_provider text,
+  p_payment_intent_id text,
+  p_payment_method_id text,
+  p_transaction_id uuid,
+  p_notes text,
+  p_entry_type text DEFAULT 'purchase'
+)
+RETURNS SETOF investments LANGUAGE plpgsql AS $$
+DECLARE
+  v_property properties%ROWTYPE;
+  v_listing_id uuid;
+BEGIN
+  -- Reinvested distributions are ordinary purchases, journaled under their own type
+  IF p_entry_type NOT IN ('purchase', 'dividend_reinvestment') THEN
+    RAISE EXCEPTION 'invalid_entry_type' USING DETAIL = p_entry_type;
+  END IF;
+
+  SELECT * INTO v_property FROM properties WHERE id = p_property_id FOR UPDATE;
+
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'property_not_found';
+  END IF;
+
+  IF v_property.status <> 'active' THEN
+    RAISE EXCEPTION 'property_not_active';
+  END IF;
+
+  IF v_property.price_per_share <> p_price_per_share THEN
+    RAISE EXCEPTION 'price_changed' USING DETAIL = v_property.price_per_share::text;
+  END IF;
+
+  PERFORM allocate_property_shares(p_user_id, p_property_id, p_shares, p_amount);
+  v_listing_id := listing_record_purchase(p_investment_id, p_user_id, p_property_id, p_shares, p_amount);
+
+  INSERT INTO investments (
+    id, user_id, property_id, listing_id, shares, amount, status, payment_status, payment_provider,
+    payment_intent_id, payment_method_id, transaction_id, notes, completed_at, created_at, updated_at
+  )
+  VALUES (
+    p_investment_id, p_user_id, p_property_id, v_listing_id, p_shares, p_amount, 'completed', 'authorized', p_payment_provider,
+    p_payment_intent_id, p_payment_method_id, p_transaction_id, p_notes, now(), now(), now()
+  );
+
+  PERFORM open_tax_lot(p_investment_id, p_user_id, p_property_id, p_shares, p_amount);
+
+  PERFORM post_share_trade(
+    p_entry_type, p_investment_id::text, p_user_id, p_property_id, p_shares, p_amount, 0,
+    ledger_account('platform_clearing'),
+    format(
+      CASE WHEN p_entry_type = 'dividend_reinvestment'
+        THEN 'Reinvested distribution in %s shares of property %s'
+        ELSE 'Purchased %s shares in property %s'
+      END,
+      p_shares, p_property_id
+    )
+  );
+
+  RETURN QUERY SELECT * FROM investments WHERE id = p_investment_id;
+END;
+$$;
+
+CREATE OR REPLACE FUNCTION complete_investment(p_investment_id uuid)
+RETURNS SETOF investments LANGUAGE plpgsql AS $$
+DECLARE
+  v_investment investments%ROWTYPE;
+BEGIN
+  SELECT * INTO v_investment FROM investments WHERE id = p_investment_id FOR UPDATE;
+
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'investment_not_found';
+  END IF;
+
+  IF v_investment.status <> 'pending' THEN
+    RAISE EXCEPTION 'invalid_status_transition' USING DETAIL = v_investment.status;
+  END IF;
+
+  PERFORM allocate_property_shares(
+    v_investment.user_id, v_investment.property_id, v_investment.shares, v_investment.amount
+  );
+
+  UPDATE investments
+     SET status = 'completed',
+         listing_id = listing_record_purchase(
+           p_investment_id, v_investment.user_id, v_investment.property_id, v_investment.shares, v_investment.amount
+         ),
+         completed_at = now(),
+         updated_at = now()
+   WHERE id = p_investment_id;
+
+  PERFORM open_tax_lot(
+    p_investment_id, v_investment.user_id, v_investment.property_id, v_investment.shares, v_investment.amount
+  );
+
+  PERFORM post_share_trade(
+    'purchase', p_investment_id::text, v_investment.user_id, v_investment.property_id,
+    v_investment.shares, v_investment.amount, 0,
+    ledger_account('platform_clearing'),
+    format('Purchased %s shares in property %s', v_investment.shares, v_investment.property_id)
+  );
+
+  RETURN QUERY SELECT * FROM investments WHERE id = p_investment_id;
+END;
+$$;
+
+-- Undo the share allocation of a completed investment and post the offsetting ledger
+-- entry. With no transaction type the purchase is voided (no money moved, e.g. failed
+-- capture); otherwise the entry is of that type (refund, chargeback).
+DROP FUNCTION IF EXISTS reverse_investment_allocation(uuid, text, text);
+
+CREATE OR REPLACE FUNCTION reverse_investment_allocation(
+  p_investment_id uuid,
+  p_status text,
+  p_payment_status text,
+  p_transaction_type text
+)
+RETURNS SETOF investments LANGUAGE plpgsql AS $$
+DECLARE
+  v_investment investments%ROWTYPE;
+  v_holding holdings%ROWTYPE;
+  v_listing listings%ROWTYPE;
+  v_listing_status text;
+BEGIN
+  SELECT * INTO v_investment FROM investments WHERE id = p_investment_id FOR UPDATE;
+
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'investment_not_found';
+  END IF;
+
+  IF v_investment.status <> 'completed' THEN
+    RAISE EXCEPTION 'invalid_status_transition' USING DETAIL = v_investment.status;
+  END IF;
+
+  PERFORM 1 FROM properties WHERE id = v_investment.property_id FOR UPDATE;
+
+  SELECT * INTO v_holding FROM holdings
+   WHERE user_id = v_investment.user_id AND property_id = v_investment.property_id
+   FOR UPDATE;
+
+  IF NOT FOUND OR v_holding.share_quantity < v_investment.shares THEN
+    RAISE EXCEPTION 'insufficient_holding' USING DETAIL = COALESCE(v_holding.share_quantity, 0)::text;
+  END IF;
+
+  -- The purchase's lot must still be intact; shares already sold can't be handed back
+  UPDATE tax_lots
+     SET status = 'reversed',
+         remaining_shares = 0,
+         remaining_cost_usd = 0,
+         updated_at = now()
+   WHERE investment_id = p_investment_id AND status = 'open' AND remaining_shares = shares;
+
+  IF NOT FOUND AND EXISTS (SELECT 1 FROM tax_lots WHERE investment_id = p_investment_id) THEN
+    RAISE EXCEPTION 'insufficient_holding'
+      USING DETAIL = (SELECT remaining_shares FROM tax_lots WHERE investment_id = p_investment_id)::text;
+  END IF;
+
+  UPDATE holdings
+     SET share_quantity = share_quantity - v_investment.shares,
+         last_updated_at = now()
+   WHERE holding_id = v_holding.holding_id;
+
+  UPDATE properties
+     SET available_shares = available_shares + v_investment.shares,
+         updated_at = now()
+   WHERE id = v_investment.property_id;
+
+  -- The shares go back to the funding round they were bought in. A round still before
+  -- its deadline reopens when it is no longer sold out, and drops back to open when
+  -- it falls below its minimum raise (unless another round for the property went live)
+  IF v_investment.listing_id IS NOT NULL THEN
+    SELECT * INTO v_listing FROM listings WHERE listing_id = v_investment.listing_id FOR UPDATE;
+    v_listing_status := v_listing.status;
+
+    IF v_listing.status IN ('funded', 'closed')
+       AND (v_listing.funding_deadline IS NULL OR v_listing.funding_deadline > now())
+       AND NOT EXISTS (
+         SELECT 1 FROM listings
+          WHERE property_id = v_listing.property_id
+            AND status IN ('open', 'funded')
+            AND listing_id <> v_listing.listing_id
+       ) THEN
+      v_listing_status := CASE
+        WHEN v_listing.raised_usd - v_investment.amount >= v_listing.min_raise_usd THEN 'funded'
+        ELSE 'open'
+      END;
+    END IF;
+
+    UPDATE listings
+       SET shares_sold = shares_sold - v_investment.shares,
+           raised_usd = raised_usd - v_investment.amount,
+           status = v_listing_status,
+           funded_at = CASE WHEN v_listing_status = 'open' THEN NULL ELSE funded_at END,
+           closed_at = CASE WHEN v_listing_status IN ('open', 'funded') THEN NULL ELSE closed_at END,
+           updated_at = now()
+     WHERE listing_id = v_investment.listing_id;
+  END IF;
+
+  UPDATE investments
+     SET status = p_status,
+         payment_status = p_payment_status,
+         updated_at = now()
+   WHERE id = p_investment_id;
+
+  PERFORM post_share_trade(
+    COALESCE(p_transaction_type, 'purchase_void'), p_investment_id::text, v_investment.user_id,
+    v_investment.property_id, -v_investment.shares, -v_investment.amount, 0,
+    ledger_account('platform_clearing'),
+    format('%s for investment %s', initcap(COALESCE(p_transaction_type, 'void')), p_investment_id)
+  );
+
+  RETURN QUERY SELECT * FROM investments WHERE id = p_investment_id;
+END;
+$$;
+
+CREATE OR REPLACE FUNCTION cancel_pending_investment(p_investment_id uuid, p_user_id uuid)
+RETURNS SETOF investments LANGUAGE plpgsql AS $$
+DECLARE
+  v_investment investments%ROWTYPE;
+BEGIN
+  SELECT * INTO v_investment FROM investments
+   WHERE id = p_investment_id AND user_id = p_user_id
+   FOR UPDATE;
+
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'investment_not_found';
+  END IF;
+
+  IF v_investment.status <> 'pending' THEN
+    RAISE EXCEPTION 'invalid_status_transition' USING DETAIL = v_investment.status;
+  END IF;
+
+  UPDATE investments
+     SET status = 'cancelled',
+         cancelled_at = now(),
+         updated_at = now()
+   WHERE id = p_investment_id;
+
+  RETURN QUERY SELECT * FROM investments WHERE id = p_investment_id;
+END;
+$$;
+
+DROP FUNCTION IF EXISTS execute_share_sale(uuid, uuid, uuid, numeric, numeric, numeric);
+
+CREATE OR REPLACE FUNCTION execute_share_sale(
+  p_sale_id uuid,
+  p_user_id uuid,
+  p_property_id uuid,
+  p_shares numeric,
+  p_amount numeric,
+  p_price_per_share numeric,
+  p_lot_method text DEFAULT 'fifo',
+  p_lot_selection jsonb DEFAULT NULL
+)
+RETURNS SETOF holdings LANGUAGE plpgsql AS $$
+DECLARE
+  v_property properties%ROWTYPE;
+  v_holding holdings%ROWTYPE;
+BEGIN
+  SELECT * INTO v_property FROM properties WHERE id = p_property_id FOR UPDATE;
+
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'property_not_found';
+  END IF;
+
+  IF v_property.status <> 'active' THEN
+    RAISE EXCEPTION 'property_not_active';
+  END IF;
+
+  IF v_property.price_per_share <> p_price_per_share THEN
+    RAISE EXCEPTION 'price_changed' USING DETAIL = v_property.price_per_share::text;
+  END IF;
+
+  SELECT * INTO v_holding FROM holdings
+   WHERE user_id = p_user_id AND property_id = p_property_id
+   FOR UPDATE;
+
+  IF NOT FOUND OR v_holding.share_quantity < p_shares THEN
+    RAISE EXCEPTION 'insufficient_holding' USING DETAIL = COALESCE(v_holding.share_quantity, 0)::text;
+  END IF;
+
+  PERFORM relieve_tax_lots(p_sale_id, p_user_id, p_property_id, p_shares, p_amount, p_lot_method, p_lot_selection);
+
+  -- Average cost follows the lots left open, which depends on the relief method
+  UPDATE holdings
+     SET share_quantity = share_quantity - p_shares,
+         average_cost_basis_usd = COALESCE(
+           (SELECT round(SUM(remaining_cost_usd) / NULLIF(SUM(remaining_shares), 0), 8)
+              FROM tax_lots
+             WHERE user_id = p_user_id AND property_id = p_property_id AND status = 'open'),
+           average_cost_basis_usd
+         ),
+         last_updated_at = now()
+   WHERE holding_id = v_holding.holding_id;
+
+  UPDATE properties
+     SET available_shares = available_shares + p_shares,
+         updated_at = now()
+   WHERE id = p_property_id;
+
+  -- Proceeds are credited straight to the seller's wallet
+  PERFORM post_share_trade(
+    'sale_proceeds', p_sale_id::text, p_user_id, p_property_id, -p_shares, -p_amount, 0,
+    ledger_account('user_cash', p_user_id),
+    format('Sold %s shares in property %s', p_shares, p_property_id)
+  );
+
+  RETURN QUERY SELECT * FROM holdings WHERE holding_id = v_holding.holding_id;
+END;
+$$;
+
+CREATE TABLE IF NOT EXISTS idempotency_keys (
+  user_id uuid NOT NULL,
+  idempotency_key text NOT NULL,
+  request_fingerprint text NOT NULL,
+  status text NOT NULL DEFAULT 'processing',
+  response_status integer,
+  response_body jsonb,
+  expires_at timestamptz NOT NULL,
+  created_at timestamptz NOT NULL DEFAULT now(),
+  PRIMARY KEY (user_id, idempotency_key)
+);
+
+CREATE INDEX IF NOT EXISTS idx_idempotency_keys_expires_at ON idempotency_keys(expires_at);
+
+CREATE TABLE IF NOT EXISTS payment_webhook_events (
+  provider text NOT NULL,
+  event_id text NOT NULL,
+  event_type text,
+  payment_intent_id text,
+  outcome text,
+  received_at timestamptz NOT NULL DEFAULT now(),
+  processed_at timestamptz,
+  PRIMARY KEY (provider, event_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_payment_webhook_events_payment_intent_id ON payment_webhook_events(payment_intent_id);
+
+-- Double-entry ledger. Every movement of cash or shares is a journal entry whose
+-- postings sum to zero per currency, and balances are derived from the postings.
+-- Amounts are signed: debits positive, credits negative. Account types:
+--   user_cash, user_cash_held  cash the platform owes an investor (available / held for buys)
+--   user_shares                shares an investor owns in a property
+--   listing_inventory          per property: cash raised and shares placed
+--   platform_clearing          cash held by the platform at its processors and banks
+--   platform_fees              fee revenue
+CREATE TABLE IF NOT EXISTS ledger_accounts (
+  account_id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  account_type text NOT NULL CHECK (account_type IN (
+    'user_cash', 'user_cash_held', 'user_shares', 'listing_inventory', 'platform_clearing', 'platform_fees'
+  )),
+  user_id uuid,
+  property_id uuid,
+  created_at timestamptz NOT NULL DEFAULT now()
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS ux_ledger_accounts_owner ON ledger_accounts(
+  account_type,
+  COALESCE(user_id, '00000000-0000-0000-0000-000000000000'::uuid),
+  COALESCE(property_id, '00000000-0000-0000-0000-000000000000'::uuid)
+);
+CREATE INDEX IF NOT EXISTS idx_ledger_accounts_user_id ON ledger_accounts(user_id);
+
+CREATE TABLE IF NOT EXISTS journal_entries (
+  entry_id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  entry_type text NOT NULL,
+  reference_id text,
+  user_id uuid,
+  property_id uuid,
+  description text,
+  created_at timestamptz NOT NULL DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS idx_journal_entries_reference_id ON journal_entries(reference_id);
+CREATE INDEX IF NOT EXISTS idx_journal_entries_user_id ON journal_entries(user_id, created_at);
+CREATE INDEX IF NOT EXISTS idx_journal_entries_property_id ON journal_entries(property_id);
+
+CREATE TABLE IF NOT EXISTS ledger_postings (
+  posting_id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  entry_id uuid NOT NULL REFERENCES journal_entries(entry_id),
+  account_id uuid NOT NULL REFERENCES ledger_accounts(account_id),
+  currency text NOT NULL CHECK (currency IN ('USD', 'SHARES')),
+  amount numeric(30,8) NOT NULL CHECK (amount <> 0),
+  created_at timestamptz NOT NULL DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS idx_ledger_postings_entry_id ON ledger_postings(entry_id);
+CREATE INDEX IF NOT EXISTS idx_ledger_postings_account_id ON ledger_postings(account_id, currency);
+
+-- Postings are append-only; mistakes are corrected with offsetting entries
+CREATE OR REPLACE FUNCTION ledger_postings_append_only()
+RETURNS trigger LANGUAGE plpgsql AS $$
+BEGIN
+  RAISE EXCEPTION 'ledger_postings_are_append_only';
+END;
+$$;
+
+DROP TRIGGER IF EXISTS trg_ledger_postings_append_only ON ledger_postings;
+CREATE TRIGGER trg_ledger_postings_append_only
+  BEFORE UPDATE OR DELETE ON ledger_postings
+  FOR EACH ROW EXECUTE FUNCTION ledger_postings_append_only();
+
+-- Checked at commit, so postings written outside post_journal_entry must balance too
+CREATE OR REPLACE FUNCTION ledger_check_entry_balanced()
+RETURNS trigger LANGUAGE plpgsql AS $$
+DECLARE
+  v_currency text;
+BEGIN
+  SELECT currency INTO v_currency
+    FROM ledger_postings
+   WHERE entry_id = NEW.entry_id
+   GROUP BY currency
+  HAVING SUM(amount) <> 0
+   LIMIT 1;
+
+  IF FOUND THEN
+    RAISE EXCEPTION 'unbalanced_entry' USING DETAIL = format('%s %s', NEW.entry_id, v_currency);
+  END IF;
+
+  RETURN NULL;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS trg_ledger_postings_balanced ON ledger_postings;
+CREATE CONSTRAINT TRIGGER trg_ledger_postings_balanced
+  AFTER INSERT ON ledger_postings
+  DEFERRABLE INITIALLY DEFERRED
+  FOR EACH ROW EXECUTE FUNCTION ledger_check_entry_balanced();
+
+-- Get (creating on first use) the account of a type for a user and/or property
+CREATE OR REPLACE FUNCTION ledger_account(
+  p_account_type text,
+  p_user_id uuid DEFAULT NULL,
+  p_property_id uuid DEFAULT NULL
+)
+RETURNS uuid LANGUAGE plpgsql AS $$
+DECLARE
+  v_account_id uuid;
+BEGIN
+  INSERT INTO ledger_accounts (account_type, user_id, property_id)
+  VALUES (p_account_type, p_user_id, p_property_id)
+  ON CONFLICT DO NOTHING;
+
+  SELECT account_id INTO v_account_id
+    FROM ledger_accounts
+   WHERE account_type = p_account_type
+     AND user_id IS NOT DISTINCT FROM p_user_id
+     AND property_id IS NOT DISTINCT FROM p_property_id;
+
+  RETURN v_account_id;
+END;
+$$;
+
+-- p_postings is an array of {"account_id", "currency", "amount"}; zero amounts are skipped
+CREATE OR REPLACE FUNCTION post_journal_entry(
+  p_entry_type text,
+  p_reference_id text,
+  p_description text,
+  p_user_id uuid,
+  p_property_id uuid,
+  p_postings jsonb
+)
+RETURNS uuid LANGUAGE plpgsql AS $$
+DECLARE
+  v_entry_id uuid := gen_random_uuid();
+  v_count integer;
+BEGIN
+  IF EXISTS (
+    SELECT 1
+      FROM jsonb_to_recordset(p_postings) AS p(account_id uuid, currency text, amount numeric)
+     GROUP BY p.currency
+    HAVING SUM(p.amount) <> 0
+  ) THEN
+    RAISE EXCEPTION 'unbalanced_entry' USING DETAIL = p_postings::text;
+  END IF;
+
+  INSERT INTO journal_entries (entry_id, entry_type, reference_id, user_id, property_id, description)
+  VALUES (v_entry_id, p_entry_type, p_reference_id, p_user_id, p_property_id, p_description);
+
+  INSERT INTO ledger_postings (entry_id, account_id, currency, amount)
+  SELECT v_entry_id, p.account_id, p.currency, p.amount
+    FROM jsonb_to_recordset(p_postings) AS p(account_id uuid, currency text, amount numeric)
+   WHERE p.amount <> 0;
+
+  GET DIAGNOSTICS v_count = ROW_COUNT;
+  IF v_count = 0 THEN
+    RAISE EXCEPTION 'empty_entry';
+  END IF;
+
+  RETURN v_entry_id;
+END;
+$$;
+
+-- Trade shares between an investor and a listing. Positive quantities are a buy paid
+-- from p_cash_account_id, negative ones a sale paid into it. p_fee is always charged
+-- to the cash account on top of the trade.
+CREATE OR REPLACE FUNCTION post_share_trade(
+  p_entry_type text,
+  p_reference_id text,
+  p_user_id uuid,
+  p_property_id uuid,
+  p_shares numeric,
+  p_amount numeric,
+  p_fee numeric,
+  p_cash_account_id uuid,
+  p_description text
+)
+RETURNS uuid LANGUAGE plpgsql AS $$
+DECLARE
+  v_listing_account_id uuid := ledger_account('listing_inventory', NULL, p_property_id);
+BEGIN
+  RETURN post_journal_entry(
+    p_entry_type, p_reference_id, p_description, p_user_id, p_property_id,
+    jsonb_build_array(
+      jsonb_build_object('account_id', p_cash_account_id, 'currency', 'USD', 'amount', p_amount + p_fee),
+      jsonb_build_object('account_id', v_listing_account_id, 'currency', 'USD', 'amount', -p_amount),
+      jsonb_build_object('account_id', ledger_account('platform_fees'), 'currency', 'USD', 'amount', -p_fee),
+      jsonb_build_object('account_id', ledger_account('user_shares', p_user_id, p_property_id), 'currency', 'SHARES', 'amount', p_shares),
+      jsonb_build_object('account_id', v_listing_account_id, 'currency', 'SHARES', 'amount', -p_shares)
+    )
+  );
+END;
+$$;
+
+CREATE OR REPLACE VIEW ledger_account_balances AS
+SELECT a.account_id,
+       a.account_type,
+       a.user_id,
+       a.property_id,
+       p.currency,
+       SUM(p.amount) AS balance,
+       MAX(p.created_at) AS last_posted_at
+  FROM ledger_accounts a
+  JOIN ledger_postings p ON p.account_id = a.account_id
+ GROUP BY a.account_id, p.currency;
+
+-- Per-investor USD cash wallet. Balances live in the ledger (user_cash is available to
+-- spend or withdraw, user_cash_held is reserved for buys authorized but not yet settled);
+-- the wallets row only serializes debits so balance checks can't race.
+CREATE TABLE IF NOT EXISTS wallets (
+  user_id uuid PRIMARY KEY,
+  created_at timestamptz NOT NULL DEFAULT now(),
+  updated_at timestamptz NOT NULL DEFAULT now()
+);
+
+ALTER TABLE wallets DROP COLUMN IF EXISTS available_usd;
+ALTER TABLE wallets DROP COLUMN IF EXISTS held_usd;
+
+DO $$
+BEGIN
+  IF EXISTS (SELECT 1 FROM pg_class WHERE relname = 'wallet_entries' AND relkind = 'r') THEN
+    DROP TABLE wallet_entries;
+  END IF;
+END$$;
+
+CREATE OR REPLACE VIEW wallet_balances AS
+SELECT a.user_id,
+       COALESCE(-SUM(p.amount) FILTER (WHERE a.account_type = 'user_cash'), 0)::numeric(20,2) AS available_usd,
+       COALESCE(-SUM(p.amount) FILTER (WHERE a.account_type = 'user_cash_held'), 0)::numeric(20,2) AS held_usd,
+       MAX(p.created_at) AS updated_at
+  FROM ledger_accounts a
+  LEFT JOIN ledger_postings p ON p.account_id = a.account_id AND p.currency = 'USD'
+ WHERE a.account_type IN ('user_cash', 'user_cash_held')
+ GROUP BY a.user_id;
+
+-- Wallet activity: one row per journal entry touching a user's cash accounts
+CREATE OR REPLACE VIEW wallet_entries AS
+SELECT e.entry_id,
+       a.user_id,
+       e.entry_type,
+       COALESCE(-SUM(p.amount) FILTER (WHERE a.account_type = 'user_cash'), 0)::numeric(20,2) AS amount_usd,
+       COALESCE(-SUM(p.amount) FILTER (WHERE a.account_type = 'user_cash_held'), 0)::numeric(20,2) AS held_amount_usd,
+       e.reference_id,
+       e.description,
+       e.created_at
+  FROM journal_entries e
+  JOIN ledger_postings p ON p.entry_id = e.entry_id AND p.currency = 'USD'
+  JOIN ledger_accounts a ON a.account_id = p.account_id
+ WHERE a.account_type IN ('user_cash', 'user_cash_held')
+ GROUP BY e.entry_id, a.user_id;
+
+CREATE TABLE IF NOT EXISTS wallet_holds (
+  hold_id text PRIMARY KEY,
+  user_id uuid NOT NULL,
+  amount_usd numeric(20,2) NOT NULL CHECK (amount_usd > 0),
+  status text NOT NULL DEFAULT 'held',
+  reference_id text,
+  created_at timestamptz NOT NULL DEFAULT now(),
+  updated_at timestamptz NOT NULL DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS idx_wallet_holds_user_id ON wallet_holds(user_id);
+
+CREATE TABLE IF NOT EXISTS wallet_deposits (
+  deposit_id uuid PRIMARY KEY,
+  user_id uuid NOT NULL,
+  amount_usd numeric(20,2) NOT NULL CHECK (amount_usd > 0),
+  status text NOT NULL DEFAULT 'pending',
+  payment_provider text,
+  payment_intent_id text,
+  created_at timestamptz NOT NULL DEFAULT now(),
+  updated_at timestamptz NOT NULL DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS idx_wallet_deposits_user_id ON wallet_deposits(user_id);
+CREATE UNIQUE INDEX IF NOT EXISTS ux_wallet_deposits_payment_intent_id ON wallet_deposits(payment_intent_id);
+
+-- Move money in or out of a wallet under a row lock and post it to the ledger.
+-- p_amount changes the available balance, p_held_amount the held balance; any
+-- net change is balanced against p_counter_account_id.
+DROP FUNCTION IF EXISTS wallet_apply(uuid, numeric, numeric, text, text, text);
+
+CREATE OR REPLACE FUNCTION wallet_apply(
+  p_user_id uuid,
+  p_amount numeric,
+  p_held_amount numeric,
+  p_entry_type text,
+  p_reference_id text,
+  p_description text,
+  p_counter_account_id uuid DEFAULT NULL
+)
+RETURNS SETOF wallet_balances LANGUAGE plpgsql AS $$
+DECLARE
+  v_available numeric := 0;
+  v_held numeric := 0;
+BEGIN
+  INSERT INTO wallets (user_id) VALUES (p_user_id) ON CONFLICT (user_id) DO NOTHING;
+
+  PERFORM 1 FROM wallets WHERE user_id = p_user_id FOR UPDATE;
+
+  SELECT available_usd, held_usd INTO v_available, v_held FROM wallet_balances WHERE user_id = p_user_id;
+  v_available := COALESCE(v_available, 0);
+  v_held := COALESCE(v_held, 0);
+
+  IF v_available + p_amount < 0 THEN
+    RAISE EXCEPTION 'insufficient_funds' USING DETAIL = v_available::text;
+  END IF;
+
+  IF v_held + p_held_amount < 0 THEN
+    RAISE EXCEPTION 'insufficient_held_funds' USING DETAIL = v_held::text;
+  END IF;
+
+  PERFORM post_journal_entry(
+    p_entry_type, p_reference_id, p_description, p_user_id, NULL,
+    jsonb_build_array(
+      jsonb_build_object('account_id', ledger_account('user_cash', p_user_id), 'currency', 'USD', 'amount', -p_amount),
+      jsonb_build_object('account_id', ledger_account('user_cash_held', p_user_id), 'currency', 'USD', 'amount', -p_held_amount),
+      jsonb_build_object('account_id', p_counter_account_id, 'currency', 'USD', 'amount', p_amount + p_held_amount)
+    )
+  );
+
+  UPDATE wallets SET updated_at = now() WHERE user_id = p_user_id;
+
+  RETURN QUERY SELECT * FROM wallet_balances WHERE user_id = p_user_id;
+END;
+$$;
+
+CREATE OR REPLACE FUNCTION wallet_place_hold(
+  p_hold_id text,
+  p_user_id uuid,
+  p_amount numeric,
+  p_reference_id text,
+  p_description text
+)
+RETURNS SETOF wallet_holds LANGUAGE plpgsql AS $$
+BEGIN
+  PERFORM wallet_apply(p_user_id, -p_amount, p_amount, 'hold', p_hold_id, p_description);
+
+  INSERT INTO wallet_holds (hold_id, user_id, amount_usd, status, reference_id)
+  VALUES (p_hold_id, p_user_id, p_amount, 'held', p_reference_id);
+
+  RETURN QUERY SELECT * FROM wallet_holds WHERE hold_id = p_hold_id;
+END;
+$$;
+
+-- Settle (captured), release (released) or refund (refunded) a hold
+CREATE OR REPLACE FUNCTION wallet_settle_hold(p_hold_id text, p_status text)
+RETURNS SETOF wallet_holds LANGUAGE plpgsql AS $$
+DECLARE
+  v_hold wallet_holds%ROWTYPE;
+BEGIN
+  SELECT * INTO v_hold FROM wallet_holds WHERE hold_id = p_hold_id FOR UPDATE;
+
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'hold_not_found';
+  END IF;
+
+  IF p_status = 'captured' AND v_hold.status = 'held' THEN
+    PERFORM wallet_apply(
+      v_hold.user_id, 0, -v_hold.amount_usd, 'hold_capture', p_hold_id, 'Held funds used for purchase',
+      ledger_account('platform_clearing')
+    );
+  ELSIF p_status = 'released' AND v_hold.status = 'held' THEN
+    PERFORM wallet_apply(v_hold.user_id, v_hold.amount_usd, -v_hold.amount_usd, 'release', p_hold_id, 'Hold released');
+  ELSIF p_status = 'refunded' AND v_hold.status = 'captured' THEN
+    PERFORM wallet_apply(
+      v_hold.user_id, v_hold.amount_usd, 0, 'refund_to_wallet', p_hold_id, 'Purchase refunded to wallet',
+      ledger_account('platform_clearing')
+    );
+  ELSE
+    RAISE EXCEPTION 'invalid_hold_transition' USING DETAIL = v_hold.status;
+  END IF;
+
+  UPDATE wallet_holds
+     SET status = p_status,
+         updated_at = now()
+   WHERE hold_id = p_hold_id;
+
+  RETURN QUERY SELECT * FROM wallet_holds WHERE hold_id = p_hold_id;
+END;
+$$;
+
+DROP FUNCTION IF EXISTS wallet_withdraw(uuid, uuid, numeric, text);
+
+CREATE OR REPLACE FUNCTION wallet_withdraw(
+  p_withdrawal_id uuid,
+  p_user_id uuid,
+  p_amount numeric,
+  p_bank_account_id text
+)
+RETURNS SETOF wallet_balances LANGUAGE plpgsql AS $$
+BEGIN
+  RETURN QUERY SELECT * FROM wallet_apply(
+    p_user_id, -p_amount, 0, 'withdrawal', p_withdrawal_id::text, 'Withdrawal to linked bank account',
+    ledger_account('platform_clearing')
+  );
+
+  INSERT INTO withdrawals (id, user_id, investment_id, amount, bank_account_id, status, created_at, updated_at)
+  VALUES (p_withdrawal_id, p_user_id, NULL, p_amount, p_bank_account_id, 'pending', now(), now());
+END;
+$$;
+
+-- Wallet withdrawal lifecycle: pending -> completed (paid out) or rejected;
+-- pending or completed -> failed (the payout bounced). The wallet is debited
+-- when the withdrawal is requested, so a rejected or failed one is credited
+-- back with a reversing entry. Settling to the current status is a no-op.
+CREATE OR REPLACE FUNCTION wallet_settle_withdrawal(p_withdrawal_id uuid, p_status text)
+RETURNS SETOF withdrawals LANGUAGE plpgsql AS $$
+DECLARE
+  v_withdrawal withdrawals%ROWTYPE;
+BEGIN
+  SELECT * INTO v_withdrawal
+    FROM withdrawals
+   WHERE id = p_withdrawal_id AND investment_id IS NULL
+     FOR UPDATE;
+
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'withdrawal_not_found';
+  END IF;
+
+  IF v_withdrawal.status = p_status THEN
+    RETURN NEXT v_withdrawal;
+    RETURN;
+  END IF;
+
+  IF p_status = 'completed' AND v_withdrawal.status = 'pending' THEN
+    NULL;
+  ELSIF (p_status = 'rejected' AND v_withdrawal.status = 'pending')
+     OR (p_status = 'failed' AND v_withdrawal.status IN ('pending', 'completed')) THEN
+    PERFORM wallet_apply(
+      v_withdrawal.user_id, v_withdrawal.amount, 0, 'withdrawal_reversal', p_withdrawal_id::text,
+      'Withdrawal returned to wallet', ledger_account('platform_clearing')
+    );
+  ELSE
+    RAISE EXCEPTION 'invalid_withdrawal_transition' USING DETAIL = v_withdrawal.status;
+  END IF;
+
+  UPDATE withdrawals
+     SET status = p_status,
+         updated_at = now()
+   WHERE id = p_withdrawal_id;
+
+  RETURN QUERY SELECT * FROM withdrawals WHERE id = p_withdrawal_id;
+END;
+$$;
+
+-- Deposit lifecycle: pending -> completed (credits the wallet) or failed;
+-- completed -> reversed (late refund or chargeback, debits the wallet). The
+-- webhook and the charge response can both settle a deposit, in either order,
+-- so settling it to the status it already has is a no-op.
+CREATE OR REPLACE FUNCTION wallet_settle_deposit(p_deposit_id uuid, p_status text)
+RETURNS SETOF wallet_deposits LANGUAGE plpgsql AS $$
+DECLARE
+  v_deposit wallet_deposits%ROWTYPE;
+BEGIN
+  SELECT * INTO v_deposit FROM wallet_deposits WHERE deposit_id = p_deposit_id FOR UPDATE;
+
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'deposit_not_found';
+  END IF;
+
+  IF v_deposit.status = p_status THEN
+    RETURN NEXT v_deposit;
+    RETURN;
+  END IF;
+
+  IF p_status = 'completed' AND v_deposit.status = 'pending' THEN
+    PERFORM wallet_apply(
+      v_deposit.user_id, v_deposit.amount_usd, 0, 'deposit', p_deposit_id::text, 'Deposit',
+      ledger_account('platform_clearing')
+    );
+  ELSIF p_status = 'failed' AND v_deposit.status = 'pending' THEN
+    NULL;
+  ELSIF p_status = 'reversed' AND v_deposit.status = 'completed' THEN
+    PERFORM wallet_apply(
+      v_deposit.user_id, -v_deposit.amount_usd, 0, 'deposit_reversal', p_deposit_id::text, 'Deposit reversed',
+      ledger_account('platform_clearing')
+    );
+  ELSE
+    RAISE EXCEPTION 'invalid_deposit_transition' USING DETAIL = v_deposit.status;
+  END IF;
+
+  UPDATE wallet_deposits
+     SET status = p_status,
+         updated_at = now()
+   WHERE deposit_id = p_deposit_id;
+
+  RETURN QUERY SELECT * FROM wallet_deposits WHERE deposit_id = p_deposit_id;
+END;
+$$;
+
+-- Rental income distributions declared by admins for a property. Entitlements are
+-- each investor's share balance in the ledger at the end of the record date (UTC).
+CREATE TABLE IF NOT EXISTS distributions (
+  distribution_id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  property_id uuid NOT NULL,
+  gross_amount_usd numeric(20,2) NOT NULL CHECK (gross_amount_usd > 0),
+  record_date date NOT NULL,
+  pay_date date NOT NULL,
+  description text,
+  status text NOT NULL DEFAULT 'declared' CHECK (status IN ('declared', 'paid', 'cancelled')),
+  eligible_shares numeric(30,8),
+  investor_count integer,
+  declared_by uuid,
+  paid_at timestamptz,
+  cancelled_at timestamptz,
+  created_at timestamptz NOT NULL DEFAULT now(),
+  updated_at timestamptz NOT NULL DEFAULT now(),
+  CHECK (pay_date >= record_date)
+);
+
+CREATE INDEX IF NOT EXISTS idx_distributions_property_id ON distributions(property_id, record_date);
+CREATE INDEX IF NOT EXISTS idx_distributions_status ON distributions(status, pay_date);
+
+ALTER TABLE distributions ADD COLUMN IF NOT EXISTS cancellation_reason text;
+
+-- Set once the payouts of DRIP investors have been reinvested; the daily job retries
+-- paid distributions without it. Distributions paid before it existed count as done.
+DO $$
+BEGIN
+  IF NOT EXISTS (SELECT 1 FROM information_schema.columns WHERE table_name='distributions' AND column_name='reinvested_at') THEN
+    ALTER TABLE distributions ADD COLUMN reinvested_at timestamptz;
+    UPDATE distributions SET reinvested_at = paid_at WHERE status = 'paid';
+  END IF;
+END$$;
+
+CREATE INDEX IF NOT EXISTS idx_distributions_reinvest_pending ON distributions(paid_at)
+  WHERE status = 'paid' AND reinvested_at IS NULL;
+
+CREATE TABLE IF NOT EXISTS distribution_payouts (
+  distribution_id uuid NOT NULL REFERENCES distributions(distribution_id),
+  user_id uuid NOT NULL,
+  shares numeric(30,8) NOT NULL,
+  amount_usd numeric(20,2) NOT NULL,
+  created_at timestamptz NOT NULL DEFAULT now(),
+  PRIMARY KEY (distribution_id, user_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_distribution_payouts_user_id ON distribution_payouts(user_id, created_at);
+
+-- Pay a declared distribution into investors' wallets. Each investor gets their
+-- pro-rata share rounded down to the cent; the cents left over go one at a time to
+-- the largest fractional remainders (ties by user_id), so the payouts always add up
+-- to the gross amount and a rerun over the same holdings gives the same result.
+CREATE OR REPLACE FUNCTION execute_distribution(p_distribution_id uuid)
+RETURNS SETOF distribution_payouts LANGUAGE plpgsql AS $$
+DECLARE
+  v_distribution distributions%ROWTYPE;
+  v_payout record;
+  v_listing_account_id uuid;
+  v_eligible_shares numeric;
+  v_investor_count integer;
+BEGIN
+  SELECT * INTO v_distribution FROM distributions WHERE distribution_id = p_distribution_id FOR UPDATE;
+
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'distribution_not_found';
+  END IF;
+
+  IF v_distribution.status <> 'declared' THEN
+    RAISE EXCEPTION 'invalid_distribution_transition' USING DETAIL = v_distribution.status;
+  END IF;
+
+  IF v_distribution.pay_date > current_date OR v_distribution.record_date >= current_date THEN
+    RAISE EXCEPTION 'distribution_not_payable' USING DETAIL = v_distribution.pay_date::text;
+  END IF;
+
+  v_listing_account_id := ledger_account('listing_inventory', NULL, v_distribution.property_id);
+
+  INSERT INTO distribution_payouts (distribution_id, user_id, shares, amount_usd)
+  WITH positions AS (
+    SELECT a.user_id, SUM(p.amount) AS shares
+      FROM ledger_postings p
+      JOIN ledger_accounts a ON a.account_id = p.account_id
+     WHERE a.account_type = 'user_shares'
+       AND a.property_id = v_distribution.property_id
+       AND p.currency = 'SHARES'
+       AND p.created_at < (v_distribution.record_date + 1)::timestamp AT TIME ZONE 'UTC'
+     GROUP BY a.user_id
+    HAVING SUM(p.amount) > 0
+  ),
+  entitlements AS (
+    SELECT user_id,
+           shares,
+           round(v_distribution.gross_amount_usd * 100) * shares / SUM(shares) OVER () AS exact_cents
+      FROM positions
+  ),
+  floored AS (
+    SELECT user_id,
+           shares,
+           floor(exact_cents) AS cents,
+           exact_cents - floor(exact_cents) AS remainder
+      FROM entitlements
+  ),
+  ranked AS (
+    SELECT user_id,
+           shares,
+           cents,
+           row_number() OVER (ORDER BY remainder DESC, user_id) AS remainder_rank,
+           round(v_distribution.gross_amount_usd * 100) - SUM(cents) OVER () AS leftover_cents
+      FROM floored
+  )
+  SELECT p_distribution_id,
+         user_id,
+         shares,
+         (cents + CASE WHEN remainder_rank <= leftover_cents THEN 1 ELSE 0 END) / 100
+    FROM ranked;
+
+  SELECT COALESCE(SUM(shares), 0), COUNT(*) INTO v_eligible_shares, v_investor_count
+    FROM distribution_payouts
+   WHERE distribution_id = p_distribution_id;
+
+  -- Nobody held shares on the record date, which is past, so it can never be paid:
+  -- cancel it rather than leave it to be retried. Returns no payouts.
+  IF v_investor_count = 0 THEN
+    UPDATE distributions
+       SET status = 'cancelled',
+           cancellation_reason = 'no_eligible_holders',
+           cancelled_at = now(),
+           updated_at = now()
+     WHERE distribution_id = p_distribution_id;
+    RETURN;
+  END IF;
+
+  -- Rental income received for the property funds the payouts
+  PERFORM post_journal_entry(
+    'rental_income', p_distribution_id::text,
+    format('Rental income for distribution %s', p_distribution_id),
+    NULL, v_distribution.property_id,
+    jsonb_build_array(
+      jsonb_build_object('account_id', ledger_account('platform_clearing'), 'currency', 'USD', 'amount', v_distribution.gross_amount_usd),
+      jsonb_build_object('account_id', v_listing_account_id, 'currency', 'USD', 'amount', -v_distribution.gross_amount_usd)
+    )
+  );
+
+  FOR v_payout IN
+    SELECT * FROM distribution_payouts
+     WHERE distribution_id = p_distribution_id AND amount_usd > 0
+     ORDER BY user_id
+  LOOP
+    PERFORM wallet_apply(
+      v_payout.user_id, v_payout.amount_usd, 0, 'dividend', p_distribution_id::text,
+      format('Distribution from property %s on %s shares', v_distribution.property_id, v_payout.shares),
+      v_listing_account_id
+    );
+  END LOOP;
+
+  UPDATE distributions
+     SET status = 'paid',
+         eligible_shares = v_eligible_shares,
+         investor_count = v_investor_count,
+         paid_at = now(),
+         updated_at = now()
+   WHERE distribution_id = p_distribution_id;
+
+  RETURN QUERY SELECT * FROM distribution_payouts WHERE distribution_id = p_distribution_id ORDER BY user_id;
+END;
+$$;
+
+-- An investor's activity as they see it: trades, income and wallet funding. Amounts
+-- are the cash effect on the investor (wallet movements where the wallet was used,
+-- otherwise the trade value); wallet-internal hold bookkeeping is left out. fee_usd is
+-- the platform fee charged in the entry.
+CREATE OR REPLACE VIEW user_transactions AS
+SELECT e.entry_id,
+       e.user_id,
+       e.entry_type,
+       e.reference_id,
+       e.property_id,
+       e.description,
+       e.created_at,
+       COALESCE(SUM(p.amount) FILTER (
+         WHERE a.account_type = 'user_shares' AND a.user_id = e.user_id AND p.currency = 'SHARES'
+       ), 0) AS shares,
+       CASE
+         WHEN bool_or(a.account_type IN ('user_cash', 'user_cash_held') AND a.user_id = e.user_id) THEN
+           -SUM(p.amount) FILTER (
+             WHERE a.account_type IN ('user_cash', 'user_cash_held') AND a.user_id = e.user_id AND p.currency = 'USD'
+           )
+         ELSE
+           SUM(p.amount) FILTER (WHERE a.account_type = 'listing_inventory' AND p.currency = 'USD')
+       END::numeric(20,2) AS amount_usd,
+       COALESCE(-SUM(p.amount) FILTER (
+         WHERE a.account_type = 'platform_fees' AND p.currency = 'USD'
+       ), 0)::numeric(20,2) AS fee_usd
+  FROM journal_entries e
+  JOIN ledger_postings p ON p.entry_id = e.entry_id
+  JOIN ledger_accounts a ON a.account_id = p.account_id
+ WHERE e.user_id IS NOT NULL
+   AND e.entry_type NOT IN ('hold', 'release', 'hold_capture', 'refund_to_wallet')
+ GROUP BY e.entry_id;
+
+-- End-of-day portfolio valuations used for performance history. Share and cash
+-- balances come from the ledger as of the end of the day (UTC) and are valued at the
+-- share price in effect that day (see property_price_at). Net contributions are the cash an investor
+-- has moved onto the platform (deposits and card-paid buys, less withdrawals and
+-- card refunds), so the difference to total value is their gain.
+CREATE TABLE IF NOT EXISTS portfolio_snapshots (
+  user_id uuid NOT NULL,
+  snapshot_date date NOT NULL,
+  holdings_value_usd numeric(20,2) NOT NULL DEFAULT 0,
+  cash_usd numeric(20,2) NOT NULL DEFAULT 0,
+  total_value_usd numeric(20,2) NOT NULL DEFAULT 0,
+  net_contributions_usd numeric(20,2) NOT NULL DEFAULT 0,
+  distributions_usd numeric(20,2) NOT NULL DEFAULT 0,
+  created_at timestamptz NOT NULL DEFAULT now(),
+  PRIMARY KEY (user_id, snapshot_date)
+);
+
+CREATE INDEX IF NOT EXISTS idx_portfolio_snapshots_snapshot_date ON portfolio_snapshots(snapshot_date);
+
+-- Snapshot every investor for a day; rerunning a day replaces its snapshots
+CREATE OR REPLACE FUNCTION snapshot_portfolio_values(p_snapshot_date date)
+RETURNS integer LANGUAGE plpgsql AS $$
+DECLARE
+  v_cutoff timestamptz := (p_snapshot_date + 1)::timestamp AT TIME ZONE 'UTC';
+  v_count integer;
+BEGIN
+  INSERT INTO portfolio_snapshots (
+    user_id, snapshot_date, holdings_value_usd, cash_usd, total_value_usd, net_contributions_usd, distributions_usd
+  )
+  WITH balances AS (
+    SELECT a.user_id, a.account_type, a.property_id, SUM(p.amount) AS balance
+      FROM ledger_postings p
+      JOIN ledger_accounts a ON a.account_id = p.account_id
+     WHERE a.user_id IS NOT NULL
+       AND a.account_type IN ('user_shares', 'user_cash', 'user_cash_held')
+       AND p.created_at < v_cutoff
+     GROUP BY a.user_id, a.account_type, a.property_id
+  ),
+  valuations AS (
+    SELECT b.user_id,
+           COALESCE(SUM(round(b.balance * property_price_at(b.property_id, p_snapshot_date), 2))
+             FILTER (WHERE b.account_type = 'user_shares'), 0) AS holdings_value,
+           COALESCE(-SUM(b.balance) FILTER (WHERE b.account_type IN ('user_cash', 'user_cash_held')), 0) AS cash
+      FROM balances b
+     GROUP BY b.user_id
+  ),
+  flows AS (
+    SELECT e.user_id,
+           COALESCE(SUM(p.amount) FILTER (WHERE a.account_type = 'platform_clearing'), 0) AS net_contributions,
+           COALESCE(-SUM(p.amount) FILTER (WHERE e.entry_type = 'dividend' AND a.account_type = 'user_cash'), 0) AS distributions
+      FROM journal_entries e
+      JOIN ledger_postings p ON p.entry_id = e.entry_id
+      JOIN ledger_accounts a ON a.account_id = p.account_id
+     WHERE e.user_id IS NOT NULL
+       AND e.created_at < v_cutoff
+     GROUP BY e.user_id
+  )
+  SELECT v.user_id,
+         p_snapshot_date,
+         v.holdings_value,
+         v.cash,
+         v.holdings_value + v.cash,
+         COALESCE(f.net_contributions, 0),
+         COALESCE(f.distributions, 0)
+    FROM valuations v
+    LEFT JOIN flows f ON f.user_id = v.user_id
+  ON CONFLICT (user_id, snapshot_date) DO UPDATE
+     SET holdings_value_usd = EXCLUDED.holdings_value_usd,
+         cash_usd = EXCLUDED.cash_usd,
+         total_value_usd = EXCLUDED.total_value_usd,
+         net_contributions_usd = EXCLUDED.net_contributions_usd,
+         distributions_usd = EXCLUDED.distributions_usd,
+         created_at = now();
+
+  GET DIAGNOSTICS v_count = ROW_COUNT;
+  RETURN v_count;
+END;
+$$;
+
+-- Cash an investor moved onto (negative) or off (positive) the platform, per journal
+-- entry: deposits, card-paid buys, withdrawals and card refunds. These are the
+-- external flows for money-weighted returns.
+CREATE OR REPLACE VIEW user_external_flows AS
+SELECT e.entry_id,
+       e.user_id,
+       e.entry_type,
+       e.property_id,
+       e.created_at,
+       (-SUM(p.amount))::numeric(20,2) AS amount_usd
+  FROM journal_entries e
+  JOIN ledger_postings p ON p.entry_id = e.entry_id
+  JOIN ledger_accounts a ON a.account_id = p.account_id
+ WHERE e.user_id IS NOT NULL
+   AND a.account_type = 'platform_clearing'
+   AND p.currency = 'USD'
+ GROUP BY e.entry_id
+HAVING SUM(p.amount) <> 0;
+
+-- Per user, tax year (UTC) and property: distributions paid and the proceeds, cost
+-- basis and realized gains of the lots sold. The basis of year-end tax statements.
+CREATE OR REPLACE VIEW tax_year_property_summary AS
+WITH income AS (
+  SELECT dp.user_id,
+         d.property_id,
+         EXTRACT(YEAR FROM d.paid_at AT TIME ZONE 'UTC')::integer AS tax_year,
+         SUM(dp.amount_usd) AS distributions_usd
+    FROM distribution_payouts dp
+    JOIN distributions d ON d.distribution_id = dp.distribution_id
+   WHERE d.status = 'paid'
+   GROUP BY 1, 2, 3
+),
+sales AS (
+  SELECT user_id,
+         property_id,
+         EXTRACT(YEAR FROM disposed_at AT TIME ZONE 'UTC')::integer AS tax_year,
+         SUM(proceeds_usd) AS gross_proceeds_usd,
+         SUM(cost_basis_usd) AS cost_basis_usd,
+         COALESCE(SUM(realized_gain_usd) FILTER (WHERE term = 'short'), 0) AS short_term_gain_usd,
+         COALESCE(SUM(realized_gain_usd) FILTER (WHERE term = 'long'), 0) AS long_term_gain_usd
+    FROM tax_lot_disposals
+   GROUP BY 1, 2, 3
+)
+SELECT COALESCE(i.user_id, s.user_id) AS user_id,
+       COALESCE(i.property_id, s.property_id) AS property_id,
+       COALESCE(i.tax_year, s.tax_year) AS tax_year,
+       COALESCE(i.distributions_usd, 0)::numeric(20,2) AS distributions_usd,
+       COALESCE(s.gross_proceeds_usd, 0)::numeric(20,2) AS gross_proceeds_usd,
+       COALESCE(s.cost_basis_usd, 0)::numeric(20,2) AS cost_basis_usd,
+       COALESCE(s.short_term_gain_usd, 0)::numeric(20,2) AS short_term_gain_usd,
+       COALESCE(s.long_term_gain_usd, 0)::numeric(20,2) AS long_term_gain_usd,
+       (COALESCE(s.short_term_gain_usd, 0) + COALESCE(s.long_term_gain_usd, 0))::numeric(20,2) AS realized_gain_usd
+  FROM income i
+  FULL JOIN sales s
+    ON s.user_id = i.user_id AND s.property_id = i.property_id AND s.tax_year = i.tax_year;
+
+-- Files generated for a user, such as year-end tax statements. The file itself is in
+-- storage at storage_path; regenerating a statement replaces the file and the row.
+CREATE TABLE IF NOT EXISTS user_documents (
+  document_id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id uuid NOT NULL,
+  document_type text NOT NULL CHECK (document_type IN ('tax_statement')),
+  tax_year integer,
+  format text NOT NULL CHECK (format IN ('pdf', 'json', 'csv')),
+  name text NOT NULL,
+  storage_path text NOT NULL,
+  content_type text NOT NULL,
+  size_bytes integer NOT NULL,
+  generated_at timestamptz NOT NULL DEFAULT now(),
+  created_at timestamptz NOT NULL DEFAULT now()
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS ux_user_documents_type_year_format
+  ON user_documents(user_id, document_type, tax_year, format);
+
+-- Watchlists: properties a user follows, each with optional alert rules. Rules are
+-- evaluated by triggers on properties and listings, so every change (admin edits,
+-- share purchases and sales, listing updates) is covered, and each rule that fires
+-- creates a notification.
+CREATE TABLE IF NOT EXISTS watchlist_items (
+  watchlist_item_id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id uuid NOT NULL,
+  property_id uuid NOT NULL,
+  created_at timestamptz NOT NULL DEFAULT now(),
+  UNIQUE (user_id, property_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_watchlist_items_property_id ON watchlist_items(property_id);
+
+-- price_cross: price per share moves across threshold, in either direction
+-- funding_reached: funded percentage rises to threshold (0-100) or beyond
+-- status_active: the property or a listing of it becomes active
+-- yield_change: annual yield changes by at least threshold points (any change without one)
+CREATE TABLE IF NOT EXISTS watchlist_alerts (
+  alert_id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  watchlist_item_id uuid NOT NULL REFERENCES watchlist_items(watchlist_item_id) ON DELETE CASCADE,
+  alert_type text NOT NULL CHECK (alert_type IN ('price_cross', 'funding_reached', 'status_active', 'yield_change')),
+  threshold numeric(20,8),
+  is_enabled boolean NOT NULL DEFAULT true,
+  last_triggered_at timestamptz,
+  created_at timestamptz NOT NULL DEFAULT now(),
+  CHECK (alert_type IN ('status_active', 'yield_change') OR threshold IS NOT NULL)
+);
+
+CREATE INDEX IF NOT EXISTS idx_watchlist_alerts_item_id ON watchlist_alerts(watchlist_item_id);
+
+-- Fire the watchlist alerts of a property for a change from the old to the new values.
+-- Values the caller doesn't track are passed as NULL and never fire.
+CREATE OR REPLACE FUNCTION evaluate_watchlist_alerts(
+  p_property_id uuid,
+  p_property_name text,
+  p_old_price numeric,
+  p_new_price numeric,
+  p_old_funded numeric,
+  p_new_funded numeric,
+  p_old_status text,
+  p_new_status text,
+  p_old_yield numeric,
+  p_new_yield numeric
+)
+RETURNS integer LANGUAGE plpgsql AS $$
+DECLARE
+  v_name text := COALESCE(p_property_name, 'A watched property');
+  v_count integer;
+BEGIN
+  WITH fired AS (
+    SELECT a.alert_id,
+           w.user_id,
+           CASE a.alert_type
+             WHEN 'price_cross' THEN format('Price alert: %s', v_name)
+             WHEN 'funding_reached' THEN format('Funding alert: %s', v_name)
+             WHEN 'status_active' THEN format('%s is now open for investment', v_name)
+             ELSE format('Yield update: %s', v_name)
+           END AS title,
+           CASE a.alert_type
+             WHEN 'price_cross' THEN format(
+               'Share price %s $%s: now $%s per share.',
+               CASE WHEN p_new_price >= a.threshold THEN 'reached' ELSE 'fell below' END,
+               trim_scale(a.threshold), trim_scale(p_new_price)
+             )
+             WHEN 'funding_reached' THEN format(
+               'Now %s%% funded (alert at %s%%).', round(p_new_funded, 2), trim_scale(a.threshold)
+             )
+             WHEN 'status_active' THEN 'A property on your watchlist is now accepting investments.'
+             ELSE format('Annual yield changed from %s%% to %s%%.', trim_scale(p_old_yield), trim_scale(p_new_yield))
+           END AS body
+      FROM watchlist_alerts a
+      JOIN watchlist_items w ON w.watchlist_item_id = a.watchlist_item_id
+     WHERE w.property_id = p_property_id
+       AND a.is_enabled
+       AND CASE a.alert_type
+             WHEN 'price_cross' THEN
+               (p_old_price < a.threshold AND p_new_price >= a.threshold)
+               OR (p_old_price > a.threshold AND p_new_price < a.threshold)
+             WHEN 'funding_reached' THEN p_old_funded < a.threshold AND p_new_funded >= a.threshold
+             WHEN 'status_active' THEN p_new_status = 'active' AND p_old_status IS DISTINCT FROM 'active'
+             WHEN 'yield_change' THEN
+               p_old_yield <> p_new_yield AND abs(p_new_yield - p_old_yield) >= COALESCE(a.threshold, 0)
+           END
+  ),
+  touched AS (
+    UPDATE watchlist_alerts
+       SET last_triggered_at = now()
+     WHERE alert_id IN (SELECT alert_id FROM fired)
+  )
+  INSERT INTO notifications (user_id, title, body, notification_type)
+  SELECT user_id, title, body, 'watchlist_alert' FROM fired;
+
+  GET DIAGNOSTICS v_count = ROW_COUNT;
+  RETURN v_count;
+END;
+$$;
+
+CREATE OR REPLACE FUNCTION trigger_property_watchlist_alerts()
+RETURNS trigger LANGUAGE plpgsql AS $$
+BEGIN
+  PERFORM evaluate_watchlist_alerts(
+    NEW.id,
+    NEW.title,
+    OLD.price_per_share,
+    NEW.price_per_share,
+    CASE WHEN OLD.total_shares > 0 THEN (OLD.total_shares - OLD.available_shares) * 100.0 / OLD.total_shares END,
+    CASE WHEN NEW.total_shares > 0 THEN (NEW.total_shares - NEW.available_shares) * 100.0 / NEW.total_shares END,
+    OLD.status,
+    NEW.status,
+    OLD.annual_yield,
+    NEW.annual_yield
+  );
+  RETURN NULL;
+END;
+$$;
+
+CREATE OR REPLACE FUNCTION trigger_listing_watchlist_alerts()
+RETURNS trigger LANGUAGE plpgsql AS $$
+BEGIN
+  -- A listing that opens for investment counts as the property becoming active
+  PERFORM evaluate_watchlist_alerts(
+    NEW.property_id,
+    (SELECT title FROM properties WHERE id = NEW.property_id),
+    CASE WHEN TG_OP = 'UPDATE' THEN OLD.price_per_share_usd END,
+    NEW.price_per_share_usd,
+    NULL,
+    NULL,
+    CASE WHEN TG_OP = 'UPDATE' THEN
+      CASE WHEN OLD.status IN ('open', 'funded') THEN 'active' ELSE OLD.status END
+    END,
+    CASE WHEN NEW.status IN ('open', 'funded') THEN 'active' ELSE NEW.status END,
+    NULL,
+    NULL
+  );
+  RETURN NULL;
+END;
+$$;
+
+DO $$
+BEGIN
+  IF EXISTS (SELECT 1 FROM information_schema.columns WHERE table_name='properties' AND column_name='price_per_share') THEN
+    EXECUTE 'DROP TRIGGER IF EXISTS watchlist_alerts_properties ON properties';
+    EXECUTE 'CREATE TRIGGER watchlist_alerts_properties AFTER UPDATE ON properties FOR EACH ROW EXECUTE FUNCTION trigger_property_watchlist_alerts()';
+  END IF;
+END$$;
+
+DROP TRIGGER IF EXISTS watchlist_alerts_listings ON listings;
+CREATE TRIGGER watchlist_alerts_listings
+  AFTER INSERT OR UPDATE ON listings
+  FOR EACH ROW EXECUTE FUNCTION trigger_listing_watchlist_alerts();
+
+-- Auto-invest: recurring purchases of a fixed amount split across one or more
+-- properties by weight. A daily job runs the plans that are due; each run is
+-- claimed by its (plan, date) row first, so a rerun never buys twice.
+CREATE TABLE IF NOT EXISTS auto_invest_plans (
+  plan_id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id uuid NOT NULL,
+  name text,
+  amount_usd numeric(20,2) NOT NULL CHECK (amount_usd >= 1),
+  cadence text NOT NULL CHECK (cadence IN ('weekly', 'biweekly', 'monthly')),
+  payment_source text NOT NULL DEFAULT 'wallet' CHECK (payment_source IN ('wallet', 'card')),
+  payment_method_id text,
+  start_date date NOT NULL,
+  end_date date,
+  next_run_date date,
+  status text NOT NULL DEFAULT 'active' CHECK (status IN ('active', 'paused', 'cancelled', 'completed')),
+  created_at timestamptz NOT NULL DEFAULT now(),
+  updated_at timestamptz NOT NULL DEFAULT now(),
+  CHECK (end_date IS NULL OR end_date >= start_date),
+  CHECK (payment_source = 'wallet' OR payment_method_id IS NOT NULL)
+);
+
+CREATE INDEX IF NOT EXISTS idx_auto_invest_plans_user_id ON auto_invest_plans(user_id);
+CREATE INDEX IF NOT EXISTS idx_auto_invest_plans_due ON auto_invest_plans(next_run_date) WHERE status = 'active';
+
+CREATE TABLE IF NOT EXISTS auto_invest_allocations (
+  plan_id uuid NOT NULL REFERENCES auto_invest_plans(plan_id) ON DELETE CASCADE,
+  property_id uuid NOT NULL,
+  weight_percent numeric(5,2) NOT NULL CHECK (weight_percent > 0 AND weight_percent <= 100),
+  PRIMARY KEY (plan_id, property_id)
+);
+
+-- One row per scheduled run. legs holds the outcome per property:
+-- [{ propertyId, amountUsd, status (invested, pending, skipped, failed), investmentId, reason, message }]
+CREATE TABLE IF NOT EXISTS auto_invest_runs (
+  run_id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  plan_id uuid NOT NULL REFERENCES auto_invest_plans(plan_id) ON DELETE CASCADE,
+  user_id uuid NOT NULL,
+  scheduled_date date NOT NULL,
+  status text NOT NULL DEFAULT 'running' CHECK (status IN ('running', 'succeeded', 'partial', 'skipped', 'failed')),
+  amount_usd numeric(20,2) NOT NULL,
+  invested_usd numeric(20,2) NOT NULL DEFAULT 0,
+  legs jsonb NOT NULL DEFAULT '[]'::jsonb,
+  started_at timestamptz NOT NULL DEFAULT now(),
+  completed_at timestamptz,
+  UNIQUE (plan_id, scheduled_date)
+);
+
+CREATE INDEX IF NOT EXISTS idx_auto_invest_runs_user_id ON auto_invest_runs(user_id, scheduled_date);
+
+-- Dividend reinvestment (DRIP). A setting without a property is the investor's
+-- account-wide default; a setting for a property overrides it for that holding.
+CREATE TABLE IF NOT EXISTS drip_settings (
+  setting_id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id uuid NOT NULL,
+  property_id uuid,
+  enabled boolean NOT NULL,
+  created_at timestamptz NOT NULL DEFAULT now(),
+  updated_at timestamptz NOT NULL DEFAULT now()
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS ux_drip_settings_account ON drip_settings(user_id) WHERE property_id IS NULL;
+CREATE UNIQUE INDEX IF NOT EXISTS ux_drip_settings_holding ON drip_settings(user_id, property_id) WHERE property_id IS NOT NULL;
+
+-- Outcome of reinvesting each DRIP payout: reinvested into the property, or kept as
+-- cash in the wallet (listing closed or sold out, amount below the minimum, ...).
+-- The row is claimed before buying, so a payout is never reinvested twice.
+CREATE TABLE IF NOT EXISTS distribution_reinvestments (
+  distribution_id uuid NOT NULL REFERENCES distributions(distribution_id),
+  user_id uuid NOT NULL,
+  property_id uuid NOT NULL,
+  amount_usd numeric(20,2) NOT NULL,
+  status text NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'reinvested', 'cash')),
+  investment_id uuid,
+  shares numeric(30,8),
+  price_per_share numeric(20,8),
+  reason text,
+  created_at timestamptz NOT NULL DEFAULT now(),
+  updated_at timestamptz NOT NULL DEFAULT now(),
+  PRIMARY KEY (distribution_id, user_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_distribution_reinvestments_user_id ON distribution_reinvestments(user_id, created_at);
+
+-- Property valuations (appraisals, broker opinions, ...). Each one records the
+-- property value on a date and the NAV per share it implies (value / total shares).
+-- The latest valuation sets the property's current share price; earlier prices are
+-- kept here so values and returns can use the price in effect on any date.
+CREATE TABLE IF NOT EXISTS property_valuations (
+  valuation_id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  property_id uuid NOT NULL,
+  valuation_date date NOT NULL,
+  value_usd numeric(20,2) NOT NULL CHECK (value_usd > 0),
+  nav_per_share numeric(20,8) NOT NULL CHECK (nav_per_share > 0),
+  total_shares numeric(30,8) NOT NULL,
+  previous_price_per_share numeric(20,8),
+  previous_value_usd numeric(20,2),
+  source text NOT NULL CHECK (source IN ('appraisal', 'broker_opinion', 'purchase', 'sale_offer', 'internal')),
+  appraiser text,
+  document_id uuid,
+  notes text,
+  is_current boolean NOT NULL DEFAULT false,
+  recorded_by uuid,
+  created_at timestamptz NOT NULL DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS idx_property_valuations_property_id ON property_valuations(property_id, valuation_date DESC, created_at DESC);
+
+-- Share price of a property in effect on a date: the NAV per share of the latest
+-- valuation on or before it, else the price before the first valuation, else the
+-- current price
+CREATE OR REPLACE FUNCTION property_price_at(p_property_id uuid, p_date date)
+RETURNS numeric LANGUAGE sql STABLE AS $$
+  SELECT COALESCE(
+    (SELECT nav_per_share FROM property_valuations
+      WHERE property_id = p_property_id AND valuation_date <= p_date
+      ORDER BY valuation_date DESC, created_at DESC
+      LIMIT 1),
+    (SELECT previous_price_per_share FROM property_valuations
+      WHERE property_id = p_property_id
+      ORDER BY valuation_date, created_at
+      LIMIT 1),
+    (SELECT price_per_share FROM properties WHERE id = p_property_id)
+  );
+$$;
+
+-- Record a valuation. When it is the property's latest (by valuation date) it
+-- reprices the property; a backdated valuation only fills in the history.
+CREATE OR REPLACE FUNCTION record_property_valuation(
+  p_property_id uuid,
+  p_valuation_date date,
+  p_value_usd numeric,
+  p_source text,
+  p_appraiser text,
+  p_document_id uuid,
+  p_notes text,
+  p_recorded_by uuid
+)
+RETURNS SETOF property_valuations LANGUAGE plpgsql AS $$
+DECLARE
+  v_property properties%ROWTYPE;
+  v_nav numeric;
+  v_latest_date date;
+  v_is_current boolean;
+  v_valuation_id uuid := gen_random_uuid();
+BEGIN
+  SELECT * INTO v_property FROM properties WHERE id = p_property_id FOR UPDATE;
+
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'property_not_found';
+  END IF;
+
+  IF p_valuation_date > current_date THEN
+    RAISE EXCEPTION 'invalid_valuation_date' USING DETAIL = p_valuation_date::text;
+  END IF;
+
+  IF COALESCE(v_property.total_shares, 0) <= 0 THEN
+    RAISE EXCEPTION 'property_has_no_shares';
+  END IF;
+
+  v_nav := round(p_value_usd / v_property.total_shares, 8);
+
+  IF v_nav <= 0 THEN
+    RAISE EXCEPTION 'invalid_valuation' USING DETAIL = p_value_usd::text;
+  END IF;
+
+  SELECT MAX(valuation_date) INTO v_latest_date FROM property_valuations WHERE property_id = p_property_id;
+  v_is_current := v_latest_date IS NULL OR p_valuation_date >= v_latest_date;
+
+  IF v_is_current THEN
+    UPDATE property_valuations SET is_current = false WHERE property_id = p_property_id AND is_current;
+  END IF;
+
+  INSERT INTO property_valuations (
+    valuation_id, property_id, valuation_date, value_usd, nav_per_share, total_shares,
+    previous_price_per_share, previous_value_usd, source, appraiser, document_id, notes,
+    is_current, recorded_by
+  )
+  VALUES (
+    v_valuation_id, p_property_id, p_valuation_date, p_value_usd, v_nav, v_property.total_shares,
+    v_property.price_per_share, v_property.total_value, p_source, p_appraiser, p_document_id, p_notes,
+    v_is_current, p_recorded_by
+  );
+
+  IF v_is_current THEN
+    UPDATE properties
+       SET price_per_share = v_nav,
+           total_value = p_value_usd,
+           updated_at = now()
+     WHERE id = p_property_id;
+  END IF;
+
+  RETURN QUERY SELECT * FROM property_valuations WHERE valuation_id = v_valuation_id;
+END;
+$$;
+
+-- Listings are the offerings (funding rounds) investors buy into:
+-- draft -> open -> funded -> closed, or cancelled (any time before closing).
+-- A round is funded once it raises its minimum and keeps taking investments until
+-- it sells out or its deadline passes; a round under its minimum at its deadline
+-- is cancelled, and everyone in it is refunded. Refunds before the deadline hand
+-- shares back to the round, reopening it if needed. A property has at
+-- most one live (open or funded) listing; properties never offered through a
+-- listing keep taking investments while the property is active.
+ALTER TABLE listings ADD COLUMN IF NOT EXISTS title text;
+ALTER TABLE listings ADD COLUMN IF NOT EXISTS funding_deadline timestamptz;
+ALTER TABLE listings ADD COLUMN IF NOT EXISTS min_raise_usd numeric(20,2) NOT NULL DEFAULT 0;
+ALTER TABLE listings ADD COLUMN IF NOT EXISTS shares_sold numeric(30,8) NOT NULL DEFAULT 0;
+ALTER TABLE listings ADD COLUMN IF NOT EXISTS raised_usd numeric(20,2) NOT NULL DEFAULT 0;
+ALTER TABLE listings ADD COLUMN IF NOT EXISTS opened_at timestamptz;
+ALTER TABLE listings ADD COLUMN IF NOT EXISTS funded_at timestamptz;
+ALTER TABLE listings ADD COLUMN IF NOT EXISTS closed_at timestamptz;
+ALTER TABLE listings ADD COLUMN IF NOT EXISTS cancelled_at timestamptz;
+ALTER TABLE listings ADD COLUMN IF NOT EXISTS cancellation_reason text;
+ALTER TABLE listings ADD COLUMN IF NOT EXISTS refunds_completed_at timestamptz;
+
+DO $$
+BEGIN
+  IF NOT EXISTS (
+    SELECT 1 FROM information_schema.table_constraints
+    WHERE table_name = 'listings' AND constraint_name = 'listings_status_check'
+  ) THEN
+    -- NOT VALID: rows written before the lifecycle existed keep their status
+    ALTER TABLE listings ADD CONSTRAINT listings_status_check
+      CHECK (status IN ('draft', 'open', 'funded', 'closed', 'cancelled')) NOT VALID;
+  END IF;
+
+  IF NOT EXISTS (
+    SELECT 1 FROM information_schema.table_constraints
+    WHERE table_name = 'listings' AND constraint_name = 'listings_investment_limits_check'
+  ) THEN
+    ALTER TABLE listings ADD CONSTRAINT listings_investment_limits_check
+      CHECK (max_investment_usd IS NULL OR max_investment_usd >= min_investment_usd) NOT VALID;
+  END IF;
+END$$;
+
+CREATE UNIQUE INDEX IF NOT EXISTS ux_listings_property_live ON listings(property_id) WHERE status IN ('open', 'funded');
+CREATE INDEX IF NOT EXISTS idx_listings_funding_deadline ON listings(funding_deadline) WHERE status IN ('open', 'funded');
+
+ALTER TABLE investments ADD COLUMN IF NOT EXISTS listing_id uuid REFERENCES listings(listing_id) ON DELETE SET NULL;
+CREATE INDEX IF NOT EXISTS idx_investments_listing_id ON investments(listing_id, user_id);
+
+-- Count a purchase towards the property's live listing, enforcing its deadline and
+-- per-investor limits (an investor's total in the round, pending investments
+-- included). Marks the round funded once it reaches its minimum raise and closes it
+-- when it sells out. Returns the listing, or NULL for properties never listed.
+CREATE OR REPLACE FUNCTION listing_record_purchase(
+  p_investment_id uuid,
+  p_user_id uuid,
+  p_property_id uuid,
+  p_shares numeric,
+  p_amount numeric
+)
+RETURNS uuid LANGUAGE plpgsql AS $$
+DECLARE
+  v_listing listings%ROWTYPE;
+  v_invested numeric;
+BEGIN
+  SELECT * INTO v_listing FROM listings
+   WHERE property_id = p_property_id AND status IN ('open', 'funded')
+   FOR UPDATE;
+
+  IF NOT FOUND THEN
+    IF EXISTS (SELECT 1 FROM listings WHERE property_id = p_property_id) THEN
+      RAISE EXCEPTION 'listing_not_open';
+    END IF;
+    RETURN NULL;
+  END IF;
+
+  IF v_listing.funding_deadline IS NOT NULL AND now() >= v_listing.funding_deadline THEN
+    RAISE EXCEPTION 'listing_not_open' USING DETAIL = v_listing.funding_deadline::text;
+  END IF;
+
+  IF p_amount < v_listing.min_investment_usd THEN
+    RAISE EXCEPTION 'below_listing_minimum' USING DETAIL = v_listing.min_investment_usd::text;
+  END IF;
+
+  SELECT COALESCE(SUM(amount), 0) INTO v_invested
+    FROM investments
+   WHERE listing_id = v_listing.listing_id
+     AND user_id = p_user_id
+     AND id <> p_investment_id
+     AND status IN ('pending', 'completed');
+
+  IF v_listing.max_investment_usd IS NOT NULL AND v_invested + p_amount > v_listing.max_investment_usd THEN
+    RAISE EXCEPTION 'above_listing_maximum'
+      USING DETAIL = GREATEST(v_listing.max_investment_usd - v_invested, 0)::text;
+  END IF;
+
+  IF v_listing.shares_sold + p_shares > v_listing.total_shares_available THEN
+    RAISE EXCEPTION 'insufficient_shares'
+      USING DETAIL = (v_listing.total_shares_available - v_listing.shares_sold)::text;
+  END IF;
+
+  UPDATE listings
+     SET shares_sold = shares_sold + p_shares,
+         raised_usd = raised_usd + p_amount,
+         status = CASE
+           WHEN shares_sold + p_shares >= total_shares_available THEN 'closed'
+           WHEN raised_usd + p_amount >= min_raise_usd THEN 'funded'
+           ELSE status
+         END,
+         funded_at = CASE
+           WHEN funded_at IS NULL AND raised_usd + p_amount >= min_raise_usd THEN now()
+           ELSE funded_at
+         END,
+         closed_at = CASE WHEN shares_sold + p_shares >= total_shares_available THEN now() ELSE closed_at END,
+         updated_at = now()
+   WHERE listing_id = v_listing.listing_id;
+
+  RETURN v_listing.listing_id;
+END;
+$$;
+
+-- Settle the live listings whose deadline has passed: rounds that raised their
+-- minimum close, the rest are cancelled for refund. Decided from what the round
+-- holds at the deadline, since refunds can take a funded round back under its
+-- minimum. Returns the listings touched.
+CREATE OR REPLACE FUNCTION expire_listings(p_now timestamptz DEFAULT now())
+RETURNS SETOF listings LANGUAGE plpgsql AS $$
+BEGIN
+  RETURN QUERY
+  UPDATE listings
+     SET status = CASE WHEN raised_usd > 0 AND raised_usd >= min_raise_usd THEN 'closed' ELSE 'cancelled' END,
+         closed_at = CASE WHEN raised_usd > 0 AND raised_usd >= min_raise_usd THEN p_now ELSE closed_at END,
+         cancelled_at = CASE WHEN raised_usd > 0 AND raised_usd >= min_raise_usd THEN cancelled_at ELSE p_now END,
+         cancellation_reason = CASE
+           WHEN raised_usd > 0 AND raised_usd >= min_raise_usd THEN cancellation_reason
+           ELSE 'minimum_raise_not_met'
+         END,
+         updated_at = now()
+   WHERE status IN ('open', 'funded')
+     AND funding_deadline <= p_now
+  RETURNING *;
+END;
+$$;
+
+-- Property search: keywords are matched with full-text search over the title,
+-- address and description; distance searches use the stored coordinates
+-- ({"latitude": .., "longitude": ..}). Search results and facet counts share one
+-- set of filters; each facet is counted without its own filter, so a filter UI
+-- can show how many results every option would give.
+DO $$
+BEGIN
+  IF EXISTS (SELECT 1 FROM information_schema.columns WHERE table_name='properties' AND column_name='title')
+     AND NOT EXISTS (SELECT 1 FROM information_schema.columns WHERE table_name='properties' AND column_name='search_vector') THEN
+    EXECUTE $ddl$
+      ALTER TABLE properties ADD COLUMN search_vector tsvector GENERATED ALWAYS AS (
+        setweight(to_tsvector('english'::regconfig, coalesce(title, '')), 'A') ||
+        setweight(to_tsvector('english'::regconfig,
+          coalesce(address, '') || ' ' || coalesce(city, '') || ' ' || coalesce(state, '') || ' ' ||
+          coalesce(zip_code, '') || ' ' || coalesce(country, '')), 'B') ||
+        setweight(to_tsvector('english'::regconfig, coalesce(description, '')), 'C')
+      ) STORED
+    $ddl$;
+  END IF;
+
+  IF EXISTS (SELECT 1 FROM information_schema.columns WHERE table_name='properties' AND column_name='search_vector') THEN
+    EXECUTE 'CREATE INDEX IF NOT EXISTS idx_properties_search_vector ON properties USING gin(search_vector)';
+    EXECUTE 'CREATE INDEX IF NOT EXISTS idx_properties_location ON properties(lower(country), lower(state), lower(city))';
+  END IF;
+END$$;
+
+-- Great-circle distance in miles from a point to a property's coordinates, or
+-- NULL when the property has none
+CREATE OR REPLACE FUNCTION property_distance_miles(p_coordinates jsonb, p_latitude double precision, p_longitude double precision)
+RETURNS double precision LANGUAGE sql IMMUTABLE AS $$
+  SELECT 3958.8 * 2 * asin(sqrt(
+    power(sin(radians((p_coordinates->>'latitude')::double precision - p_latitude) / 2), 2) +
+    cos(radians(p_latitude)) * cos(radians((p_coordinates->>'latitude')::double precision)) *
+    power(sin(radians((p_coordinates->>'longitude')::double precision - p_longitude) / 2), 2)
+  ))
+  WHERE jsonb_typeof(p_coordinates->'latitude') = 'number'
+    AND jsonb_typeof(p_coordinates->'longitude') = 'number';
+$$;
+
+-- Properties matching a set of search filters (query, status, propertyTypes,
+-- city, state, country, minYield, maxYield, minPrice, maxPrice, latitude,
+-- longitude, radiusMiles), optionally leaving one facet's filter out
+CREATE OR REPLACE FUNCTION property_search_matches(p_filters jsonb, p_ignore text DEFAULT NULL)
+RETURNS TABLE (
+  property_id uuid,
+  property_type text,
+  state text,
+  annual_yield numeric,
+  rank real,
+  distance_miles double precision
+) LANGUAGE plpgsql STABLE AS $$
+#variable_conflict use_column
+BEGIN
+  RETURN QUERY
+  SELECT m.*
+    FROM (
+      SELECT p.id,
+             p.property_type::text,
+             p.state::text,
+             p.annual_yield::numeric,
+             CASE WHEN p_filters->>'query' IS NOT NULL
+               THEN ts_rank(p.search_vector, websearch_to_tsquery('english', p_filters->>'query'))
+             END,
+             CASE WHEN p_filters->>'latitude' IS NOT NULL
+               THEN property_distance_miles(p.coordinates, (p_filters->>'latitude')::double precision, (p_filters->>'longitude')::double precision)
+             END AS distance_miles
+        FROM properties p
+       WHERE (p_filters->>'query' IS NULL OR p.search_vector @@ websearch_to_tsquery('english', p_filters->>'query'))
+         AND (p_filters->>'status' IS NULL OR p.status = p_filters->>'status')
+         AND (p_ignore = 'propertyType' OR p_filters->'propertyTypes' IS NULL
+              OR p.property_type IN (SELECT jsonb_array_elements_text(p_filters->'propertyTypes')))
+         AND (p_filters->>'city' IS NULL OR lower(p.city) = lower(p_filters->>'city'))
+         AND (p_ignore = 'state' OR p_filters->>'state' IS NULL OR lower(p.state) = lower(p_filters->>'state'))
+         AND (p_filters->>'country' IS NULL OR lower(p.country) = lower(p_filters->>'country'))
+         AND (p_ignore = 'yieldBand' OR p_filters->>'minYield' IS NULL OR p.annual_yield >= (p_filters->>'minYield')::numeric)
+         AND (p_ignore = 'yieldBand' OR p_filters->>'maxYield' IS NULL OR p.annual_yield <= (p_filters->>'maxYield')::numeric)
+         AND (p_filters->>'minPrice' IS NULL OR p.price_per_share >= (p_filters->>'minPrice')::numeric)
+         AND (p_filters->>'maxPrice' IS NULL OR p.price_per_share <= (p_filters->>'maxPrice')::numeric)
+    ) m
+   WHERE p_filters->>'radiusMiles' IS NULL OR m.distance_miles <= (p_filters->>'radiusMiles')::double precision;
+END;
+$$;
+
+-- A page of search results, ordered by relevance, distance, price, yield or
+-- listing date. Every order is reduced to one ascending numeric sort key
+-- (descending orders are negated, missing values sort last) with the property
+-- id as tie-breaker, so a page can start after any (sort_key, id) cursor and
+-- pages stay stable while properties are added or change.
+DROP FUNCTION IF EXISTS search_properties(jsonb, text, boolean, integer, integer);
+
+CREATE OR REPLACE FUNCTION search_properties(
+  p_filters jsonb,
+  p_sort text DEFAULT 'createdAt',
+  p_ascending boolean DEFAULT false,
+  p_limit integer DEFAULT 10,
+  p_offset integer DEFAULT 0,
+  p_after_key numeric DEFAULT NULL,
+  p_after_id uuid DEFAULT NULL
+)
+RETURNS TABLE (property_id uuid, rank real, distance_miles double precision, sort_key text)
+LANGUAGE plpgsql STABLE AS $$
+#variable_conflict use_column
+DECLARE
+  v_sign numeric := CASE WHEN p_ascending THEN 1 ELSE -1 END;
+BEGIN
+  RETURN QUERY
+  -- The key goes out as text so it survives JSON without losing precision
+  SELECT r.property_id, r.rank, r.distance_miles, r.sort_key::text
+    FROM (
+      SELECT m.property_id,
+             m.rank,
+             m.distance_miles,
+             COALESCE(CASE p_sort
+               WHEN 'relevance' THEN -m.rank::numeric
+               WHEN 'distance' THEN m.distance_miles::numeric
+               WHEN 'pricePerShare' THEN v_sign * p.price_per_share
+               WHEN 'annualYield' THEN v_sign * p.annual_yield
+               ELSE v_sign * extract(epoch FROM p.created_at)
+             END, 1e30) AS sort_key
+        FROM property_search_matches(p_filters) m
+        JOIN properties p ON p.id = m.property_id
+    ) r
+   WHERE p_after_key IS NULL OR (r.sort_key, r.property_id) > (p_after_key, p_after_id)
+   ORDER BY r.sort_key, r.property_id
+   LIMIT p_limit
+  OFFSET CASE WHEN p_after_key IS NULL THEN p_offset ELSE 0 END;
+END;
+$$;
+
+-- Total matches and facet counts (property type, state, yield band) for a
+-- search. Yield bands are numbered by how many of the band bounds a property's
+-- yield reaches (0 = below the first bound).
+CREATE OR REPLACE FUNCTION property_search_facets(p_filters jsonb, p_yield_bounds numeric[])
+RETURNS TABLE (facet text, facet_key text, match_count bigint)
+LANGUAGE plpgsql STABLE AS $$
+#variable_conflict use_column
+BEGIN
+  RETURN QUERY
+  SELECT 'total'::text, NULL::text, count(*) FROM property_search_matches(p_filters)
+  UNION ALL
+  SELECT 'propertyType', m.property_type, count(*)
+    FROM property_search_matches(p_filters, 'propertyType') m
+   GROUP BY m.property_type
+  UNION ALL
+  SELECT 'state', m.state, count(*)
+    FROM property_search_matches(p_filters, 'state') m
+   GROUP BY m.state
+  UNION ALL
+  SELECT 'yieldBand', b.band::text, count(*)
+    FROM (
+      SELECT CASE WHEN m.annual_yield IS NOT NULL
+               THEN (SELECT count(*) FROM unnest(p_yield_bounds) bound WHERE m.annual_yield >= bound)
+             END AS band
+        FROM property_search_matches(p_filters, 'yieldBand') m
+    ) b
+   GROUP BY b.band;
+END;
+$$;
+
+-- Number of investors currently holding shares in each of a set of properties
+CREATE OR REPLACE FUNCTION property_investor_counts(p_property_ids uuid[])
+RETURNS TABLE (property_id uuid, investor_count bigint)
+LANGUAGE sql STABLE AS $$
+  SELECT h.property_id, count(DISTINCT h.user_id)
+    FROM holdings h
+   WHERE h.property_id = ANY(p_property_ids)
+     AND h.share_quantity > 0
+   GROUP BY h.property_id;
+$$;
+
+-- Uploaded property media: where each file is stored (so deleting the record
+-- deletes the files), what it was sniffed as, its checksum and, for images,
+-- the generated renditions ({ thumbnail|small|medium|large: { path, url, width, height } })
+ALTER TABLE IF EXISTS property_images
+  ADD COLUMN IF NOT EXISTS storage_path text,
+  ADD COLUMN IF NOT EXISTS variants jsonb,
+  ADD COLUMN IF NOT EXISTS width integer,
+  ADD COLUMN IF NOT EXISTS height integer,
+  ADD COLUMN IF NOT EXISTS content_type text,
+  ADD COLUMN IF NOT EXISTS size_bytes bigint,
+  ADD COLUMN IF NOT EXISTS checksum_sha256 text,
+  ADD COLUMN IF NOT EXISTS original_name text;
+
+ALTER TABLE IF EXISTS property_documents
+  ADD COLUMN IF NOT EXISTS storage_path text,
+  ADD COLUMN IF NOT EXISTS content_type text,
+  ADD COLUMN IF NOT EXISTS size_bytes bigint,
+  ADD COLUMN IF NOT EXISTS checksum_sha256 text,
+  ADD COLUMN IF NOT EXISTS original_name text;
+
+-- Property operating statements, one row per month, quarter or year. Periods
+-- start on the first day of a month (quarters and years on a quarter or year
+-- boundary) and a property's periods never overlap, so they add up to
+-- trailing-twelve-month figures. loan_balance is the debt outstanding at the
+-- period end; the property value less it is the equity cash-on-cash is
+-- measured against. Metrics (NOI, cap rate, cash-on-cash, DSCR) are derived by
+-- the API and not stored.
+CREATE TABLE IF NOT EXISTS property_financial_periods (
+  period_id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  property_id uuid NOT NULL,
+  period_type text NOT NULL CHECK (period_type IN ('month', 'quarter', 'year')),
+  period_start date NOT NULL,
+  period_end date NOT NULL,
+  gross_rent numeric(14,2) NOT NULL DEFAULT 0 CHECK (gross_rent >= 0),
+  vacancy_loss numeric(14,2) NOT NULL DEFAULT 0 CHECK (vacancy_loss >= 0),
+  other_income numeric(14,2) NOT NULL DEFAULT 0 CHECK (other_income >= 0),
+  property_taxes numeric(14,2) NOT NULL DEFAULT 0 CHECK (property_taxes >= 0),
+  insurance numeric(14,2) NOT NULL DEFAULT 0 CHECK (insurance >= 0),
+  management_fees numeric(14,2) NOT NULL DEFAULT 0 CHECK (management_fees >= 0),
+  repairs_maintenance numeric(14,2) NOT NULL DEFAULT 0 CHECK (repairs_maintenance >= 0),
+  utilities numeric(14,2) NOT NULL DEFAULT 0 CHECK (utilities >= 0),
+  other_expenses numeric(14,2) NOT NULL DEFAULT 0 CHECK (other_expenses >= 0),
+  debt_service numeric(14,2) NOT NULL DEFAULT 0 CHECK (debt_service >= 0),
+  capex_reserve numeric(14,2) NOT NULL DEFAULT 0 CHECK (capex_reserve >= 0),
+  loan_balance numeric(14,2) NOT NULL DEFAULT 0 CHECK (loan_balance >= 0),
+  notes text,
+  recorded_by uuid,
+  created_at timestamptz NOT NULL DEFAULT now(),
+  updated_at timestamptz NOT NULL DEFAULT now(),
+  CHECK (period_end > period_start),
+  UNIQUE (property_id, period_type, period_start)
+);
+
+ALTER TABLE property_financial_periods
+  ADD COLUMN IF NOT EXISTS loan_balance numeric(14,2) NOT NULL DEFAULT 0 CHECK (loan_balance >= 0);
+
+CREATE INDEX IF NOT EXISTS idx_property_financial_periods_property_id
+  ON property_financial_periods(property_id, period_end DESC);